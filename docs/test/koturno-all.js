@@ -289,7 +289,7 @@ class Vector2d extends Vector {
 class Counters {
   constructor(general = 0, scene = 0) {
     /**
-     * General counter.
+     * General counter. It counts logical ticks, not rendered frames.
      * @member {number}
      */
     this.general = general;
@@ -336,20 +336,416 @@ class Counters {
 }
 
 /**
- * Class representing a state.
- * @param {any[]} [data=[]] pairs of state name and value
+ * Class representing an immutable map backed by a hash array mapped trie.
+ * Updates share the unchanged nodes with the original map, so they take O(log n) time and memory.
+ * It has the same reading methods as `Map`, and iterates in insertion order like `Map`.
+ * @param {Iterable} [entries=[]] pairs of key and value
+ */
+const PersistentMap = (() => {
+  const BITS = 5;
+  const MASK = (1 << BITS) - 1;
+
+  // objects are hashed by identity, because their string representations are mostly the same
+  const identities = new WeakMap();
+  let nextIdentity = 0;
+
+  // FNV-1a hash of the string representation, or the identity hash of an object
+  const hashOf = key => {
+    if ((typeof key === 'object' && key !== null) || typeof key === 'function') {
+      if (!identities.has(key)) identities.set(key, Math.imul(nextIdentity++, 0x9e3779b1) >>> 0);
+      return identities.get(key);
+    }
+    const str = String(key);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash = Math.imul(hash ^ str.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  };
+
+  const bitCount = x => {
+    x = x - ((x >>> 1) & 0x55555555);
+    x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+    return (((x + (x >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  };
+
+  const fragment = (hash, shift) => (hash >>> shift) & MASK;
+
+  // nodes owned by the edit token of a transient map can be mutated in place
+  const createBranch = (edit, bitmap, children) => ({ edit, bitmap, children });
+  const createCollision = (edit, hash, leaves) => ({ edit, hash, leaves, collision: true });
+  const isLeaf = child => 'key' in child;
+
+  const mergeLeaves = (edit, shift, a, b) => {
+    if (a.hash === b.hash) return createCollision(edit, a.hash, [a, b]);
+    const fa = fragment(a.hash, shift);
+    const fb = fragment(b.hash, shift);
+    if (fa === fb) return createBranch(edit, 1 << fa, [mergeLeaves(edit, shift + BITS, a, b)]);
+    return createBranch(edit, (1 << fa) | (1 << fb), fa < fb ? [a, b] : [b, a]);
+  };
+
+  const editable = (node, edit) => {
+    if (edit !== null && node.edit === edit) return node;
+    return node.collision ? createCollision(edit, node.hash, node.leaves.slice()) : createBranch(edit, node.bitmap, node.children.slice());
+  };
+
+  const find = (node, shift, hash, key) => {
+    if (node.collision) return node.leaves.find(leaf => leaf.key === key);
+    const bit = 1 << fragment(hash, shift);
+    if ((node.bitmap & bit) === 0) return undefined;
+    const child = node.children[bitCount(node.bitmap & (bit - 1))];
+    if (isLeaf(child)) return child.key === key ? child : undefined;
+    return find(child, shift + BITS, hash, key);
+  };
+
+  // `leaf.order` is replaced by the order of the existing leaf of the same key, and `change.added` is set if the key is new
+  const insert = (node, edit, shift, leaf, change) => {
+    if (node.collision) {
+      if (node.hash !== leaf.hash) return insert(createBranch(edit, 1 << fragment(node.hash, shift), [node]), edit, shift, leaf, change);
+      const i = node.leaves.findIndex(other => other.key === leaf.key);
+      if (i >= 0 && Object.is(node.leaves[i].value, leaf.value)) return node;
+      const next = editable(node, edit);
+      if (i >= 0) {
+        next.leaves[i] = Object.assign({}, leaf, { order: node.leaves[i].order });
+      } else {
+        next.leaves.push(leaf);
+        change.added = true;
+      }
+      return next;
+    }
+    const bit = 1 << fragment(leaf.hash, shift);
+    const index = bitCount(node.bitmap & (bit - 1));
+    if ((node.bitmap & bit) === 0) {
+      const next = editable(node, edit);
+      next.bitmap |= bit;
+      next.children.splice(index, 0, leaf);
+      change.added = true;
+      return next;
+    }
+    const child = node.children[index];
+    let nextChild;
+    if (isLeaf(child)) {
+      if (child.key === leaf.key) {
+        if (Object.is(child.value, leaf.value)) return node;
+        nextChild = Object.assign({}, leaf, { order: child.order });
+      } else {
+        nextChild = mergeLeaves(edit, shift + BITS, child, leaf);
+        change.added = true;
+      }
+    } else {
+      nextChild = insert(child, edit, shift + BITS, leaf, change);
+      if (nextChild === child) return node;
+    }
+    const next = editable(node, edit);
+    next.children[index] = nextChild;
+    return next;
+  };
+
+  // a node left with a single leaf is replaced with the leaf, so the shape of the trie depends only on its keys
+  const remove = (node, edit, shift, hash, key) => {
+    if (node.collision) {
+      const i = node.leaves.findIndex(leaf => leaf.key === key);
+      if (i < 0) return node;
+      if (node.leaves.length === 2) return node.leaves[1 - i];
+      const next = editable(node, edit);
+      next.leaves.splice(i, 1);
+      return next;
+    }
+    const bit = 1 << fragment(hash, shift);
+    if ((node.bitmap & bit) === 0) return node;
+    const index = bitCount(node.bitmap & (bit - 1));
+    const child = node.children[index];
+    let nextChild;
+    if (isLeaf(child)) {
+      if (child.key !== key) return node;
+      nextChild = null;
+    } else {
+      nextChild = remove(child, edit, shift + BITS, hash, key);
+      if (nextChild === child) return node;
+    }
+    if (nextChild === null) {
+      if (node.children.length === 1) return null;
+      if (node.children.length === 2 && shift > 0 && isLeaf(node.children[1 - index])) return node.children[1 - index];
+      const next = editable(node, edit);
+      next.bitmap &= ~bit;
+      next.children.splice(index, 1);
+      return next;
+    }
+    if (isLeaf(nextChild) && node.children.length === 1 && shift > 0) return nextChild;
+    const next = editable(node, edit);
+    next.children[index] = nextChild;
+    return next;
+  };
+
+  const collectLeaves = (node, acc) => {
+    if (node === null) return acc;
+    if (node.collision) {
+      acc.push(...node.leaves);
+    } else {
+      node.children.forEach(child => isLeaf(child) ? acc.push(child) : collectLeaves(child, acc));
+    }
+    return acc;
+  };
+
+  // leaves in insertion order. Each leaf has a distinct order, so they are placed by the orders unless there are many holes
+  const orderLeaves = (root, nextOrder) => {
+    const leaves = collectLeaves(root, []);
+    if (nextOrder > leaves.length * 2) return leaves.sort((a, b) => a.order - b.order);
+    const slots = new Array(nextOrder);
+    leaves.forEach(leaf => {
+      slots[leaf.order] = leaf;
+    });
+    return slots.filter(leaf => leaf !== undefined);
+  };
+  // ordered leaves of the frozen maps
+  const orderedCache = new WeakMap();
+
+  // identical subtrees are skipped, so comparing a map with its updated version takes time proportional to the changes
+  const equalNodes = (a, b) => {
+    if (a === b) return true;
+    if (a === null || b === null || isLeaf(a) !== isLeaf(b)) return false;
+    if (isLeaf(a)) return a.key === b.key && Object.is(a.value, b.value);
+    if (a.collision || b.collision) {
+      return a.collision === b.collision && a.leaves.length === b.leaves.length &&
+        a.leaves.every(leaf => b.leaves.some(other => other.key === leaf.key && Object.is(other.value, leaf.value)));
+    }
+    return a.bitmap === b.bitmap && a.children.every((child, i) => equalNodes(child, b.children[i]));
+  };
+
+  /**
+   * Class representing a map which can be modified in place, created by {@link PersistentMap#withMutations}.
+   * It must not be used after the mutations finish.
+   * @param {PersistentMap} map original map
+   */
+  class TransientMap {
+    constructor(map) {
+      this.edit = {};
+      this.root = map.root;
+      /** @member {number} */
+      this.size = map.size;
+      this.nextOrder = map.nextOrder;
+    }
+
+    /**
+     * Get the value of the key.
+     * @param {} key key
+     * @returns {} value, or `undefined` if it does not exist
+     */
+    get(key) {
+      const leaf = this.root === null ? undefined : find(this.root, 0, hashOf(key), key);
+      return leaf === undefined ? undefined : leaf.value;
+    }
+
+    /**
+     * Check if the key exists.
+     * @param {} key key
+     * @returns {boolean} `true` if exists
+     */
+    has(key) {
+      return this.root !== null && find(this.root, 0, hashOf(key), key) !== undefined;
+    }
+
+    /**
+     * Set the value of the key.
+     * @param {} key key
+     * @param {} value value
+     * @returns {TransientMap} this
+     */
+    set(key, value) {
+      const leaf = { hash: hashOf(key), key, value, order: this.nextOrder };
+      const change = { added: false };
+      this.root = insert(this.root === null ? createBranch(this.edit, 0, []) : this.root, this.edit, 0, leaf, change);
+      if (change.added) {
+        this.size++;
+        this.nextOrder++;
+      }
+      return this;
+    }
+
+    /**
+     * Delete the key.
+     * @param {} key key
+     * @returns {TransientMap} this
+     */
+    delete(key) {
+      if (this.has(key)) {
+        this.root = remove(this.root, this.edit, 0, hashOf(key), key);
+        this.size--;
+      }
+      return this;
+    }
+
+    /**
+     * Return keys in insertion order.
+     * @returns {Iterator} keys
+     */
+    keys() {
+      return orderLeaves(this.root, this.nextOrder).map(leaf => leaf.key)[Symbol.iterator]();
+    }
+
+    /**
+     * Finish the mutations.
+     * @param {PersistentMap} original original map, which is returned if nothing has changed
+     * @returns {PersistentMap} new map
+     * @protected
+     */
+    _persist(original) {
+      this.edit = null;
+      if (this.root === original.root) return original;
+      return new PersistentMap([], { root: this.root, size: this.size, nextOrder: this.nextOrder });
+    }
+  }
+
+  /*
+   * @param {Iterable} [entries=[]] pairs of key and value
+   * @param {Object} [trie] internal trie which has `root`, `size` and `nextOrder`. It is only for internal use
+   */
+  class PersistentMap {
+    constructor(entries = [], trie = null) {
+      if (trie === null) {
+        const transient = new TransientMap({ root: null, size: 0, nextOrder: 0 });
+        for (const [key, value] of entries) transient.set(key, value);
+        trie = transient;
+      }
+      this.root = trie.root;
+      /** @member {number} */
+      this.size = trie.size;
+      this.nextOrder = trie.nextOrder;
+      Object.freeze(this);
+    }
+
+    /**
+     * Get the value of the key.
+     * @param {} key key
+     * @returns {} value, or `undefined` if it does not exist
+     */
+    get(key) {
+      const leaf = this.root === null ? undefined : find(this.root, 0, hashOf(key), key);
+      return leaf === undefined ? undefined : leaf.value;
+    }
+
+    /**
+     * Check if the key exists.
+     * @param {} key key
+     * @returns {boolean} `true` if exists
+     */
+    has(key) {
+      return this.root !== null && find(this.root, 0, hashOf(key), key) !== undefined;
+    }
+
+    /**
+     * Set the value of the key.
+     * @param {} key key
+     * @param {} value value
+     * @returns {PersistentMap} new map. If the value is the same, this is returned
+     */
+    set(key, value) {
+      return this.withMutations(transient => transient.set(key, value));
+    }
+
+    /**
+     * Delete the key.
+     * @param {} key key
+     * @returns {PersistentMap} new map. If the key does not exist, this is returned
+     */
+    delete(key) {
+      return this.has(key) ? this.withMutations(transient => transient.delete(key)) : this;
+    }
+
+    /**
+     * Apply several changes at once. The nodes created during the changes are modified in place.
+     * @param {function(TransientMap)} f function which modifies the given map
+     * @returns {PersistentMap} new map. If nothing has changed, this is returned
+     */
+    withMutations(f) {
+      const transient = new TransientMap(this);
+      f(transient);
+      return transient._persist(this);
+    }
+
+    /**
+     * Check if two maps have the same keys and values. Values are compared by `Object.is`.
+     * @param {PersistentMap} another another map
+     * @returns {boolean} `true` if they are equal
+     */
+    equals(another) {
+      return this.size === another.size && equalNodes(this.root, another.root);
+    }
+
+    _sortedLeaves() {
+      if (!orderedCache.has(this)) orderedCache.set(this, orderLeaves(this.root, this.nextOrder));
+      return orderedCache.get(this);
+    }
+
+    /**
+     * Return pairs of key and value in insertion order.
+     * @returns {Iterator} entries
+     */
+    entries() {
+      return this._sortedLeaves().map(leaf => [leaf.key, leaf.value])[Symbol.iterator]();
+    }
+
+    /**
+     * Return keys in insertion order.
+     * @returns {Iterator} keys
+     */
+    keys() {
+      return this._sortedLeaves().map(leaf => leaf.key)[Symbol.iterator]();
+    }
+
+    /**
+     * Return values in insertion order.
+     * @returns {Iterator} values
+     */
+    values() {
+      return this._sortedLeaves().map(leaf => leaf.value)[Symbol.iterator]();
+    }
+
+    /**
+     * Execute the function for each entry in insertion order.
+     * @param {function(any, any, PersistentMap)} f function which takes the value, the key and this map
+     */
+    forEach(f) {
+      this._sortedLeaves().forEach(leaf => f(leaf.value, leaf.key, this));
+    }
+
+    [Symbol.iterator]() {
+      return this.entries();
+    }
+
+    /**
+     * Convert to string.
+     * @returns {string} a string
+     */
+    toString() {
+      return `[PersistentMap ${this.size}]`;
+    }
+  }
+
+  return PersistentMap;
+})();
+
+/**
+ * Class representing a state. It is immutable and backed by {@link PersistentMap},
+ * so a change shares the unchanged values with the previous state and does not copy all of them.
+ * @param {Iterable} [data=[]] pairs of state name and value
  */
 class State {
   constructor(data) {
-    this.data = new Map(data);
+    /** @member {PersistentMap} */
+    this.data = data instanceof PersistentMap ? data : new PersistentMap(data);
   }
 
   /**
-   * Clone itself.
+   * Clone itself. The clone shares the data with this state.
    * @returns {State} clone
    */
   clone() {
-    return new State(this.data.entries());
+    return new State(this.data);
+  }
+
+  _withData(data) {
+    return data === this.data ? this : new State(data);
   }
 
   /**
@@ -365,12 +761,10 @@ class State {
    * Set state of the name.
    * @param {string} name state name
    * @param {} state state value
-   * @returns {State} new state
+   * @returns {State} new state. If the value is the same, this is returned
    */
   setState(name, state) {
-    const clone = this.clone();
-    clone.data.set(name, state);
-    return clone;
+    return this._withData(this.data.set(name, state));
   }
 
   /**
@@ -379,9 +773,7 @@ class State {
    * @returns {State} new state
    */
   setStates(obj) {
-    const clone = this.clone();
-    Object.keys(obj).forEach(key => clone.data.set(key, obj[key]));
-    return clone;
+    return this._withData(this.data.withMutations(data => Object.keys(obj).forEach(key => data.set(key, obj[key]))));
   }
 
   /**
@@ -418,9 +810,9 @@ class State {
    * @returns {State} new state
    */
   modifyStates(obj) {
-    const clone = this.clone();
-    Object.keys(obj).forEach(key => this.hasState(key) && clone.data.set(key, obj[key](this.getState(key))));
-    return clone;
+    return this._withData(this.data.withMutations(data => {
+      Object.keys(obj).forEach(key => this.hasState(key) && data.set(key, obj[key](this.getState(key))));
+    }));
   }
 
   /**
@@ -429,103 +821,150 @@ class State {
    * @returns {State}
    */
   removeState(name) {
-    const clone = this.clone();
-    clone.data.delete(name);
-    return clone;
+    return this._withData(this.data.delete(name));
   }
 
   /**
-   * Return state name list.
-   * @returns {string[]} state names lisr
+   * Apply several changes at once on a draft, which has the same methods as a state except that they change the draft itself.
+   * For example, `state.update(draft => draft.setState('hp', 3).modifyState('score', s => s + 1))`.
+   * @param {function(Object)} f function which changes the draft
+   * @returns {State} new state. If nothing has changed, this is returned
    */
-  names() {
-    return Array.from(this.data.keys());
+  update(f) {
+    return this._withData(this.data.withMutations(data => f(State._createDraft(data))));
   }
 
-  /**
-   * Convert to properties.
-   * @returns {string} state properties
-   */
-  toProperties() {
-    return this.names().map(name => `${name} = ${this.getState(name)}`).join('\n');
+  static _createDraft(data) {
+    const has = name => data.has(name);
+    const get = name => has(name) ? data.get(name) : null;
+    const draft = {
+      hasState: has,
+      getState: get,
+      names: () => Array.from(data.keys()),
+      setState: (name, state) => {
+        data.set(name, state);
+        return draft;
+      },
+      setStates: obj => {
+        Object.keys(obj).forEach(key => data.set(key, obj[key]));
+        return draft;
+      },
+      modifyState: (name, f) => has(name) ? draft.setState(name, f(get(name))) : draft,
+      modifyStates: obj => {
+        Object.keys(obj).filter(has).forEach(key => data.set(key, obj[key](get(key))));
+        return draft;
+      },
+      removeState: name => {
+        data.delete(name);
+        return draft;
+      },
+      hasIn: path => State._lookup(get(path[0]), has(path[0]), path.slice(1)).found,
+      getIn: path => State._lookup(get(path[0]), has(path[0]), path.slice(1)).value,
+      setIn: (path, value) => draft.setState(path[0], State._updateIn(get(path[0]), path.slice(1), () => value)),
+      modifyIn: (path, f) => draft.hasIn(path) ? draft.setState(path[0], State._updateIn(get(path[0]), path.slice(1), f)) : draft
+    };
+    return draft;
   }
 
-  /**
-   * Convert to string.
-   * @returns {string} a string
-   */
-  toString() {
-    return `[State ${this.data.size}]`;
+  static _getChild(target, key) {
+    if (target instanceof State) return target.getState(key);
+    if (target instanceof Map || target instanceof PersistentMap) return target.get(key);
+    return target === null || target === undefined ? undefined : target[key];
   }
-}
 
-/**
- * Class representing an input.
- */
-class Action {
-  constructor() {
-    this.pressed = new Set();
-    this.down = new Set();
+  static _hasChild(target, key) {
+    if (target instanceof State) return target.hasState(key);
+    if (target instanceof Map || target instanceof PersistentMap) return target.has(key);
+    return target !== null && typeof target === 'object' && key in target;
+  }
+
+  // copy the container with the new child. Instances of classes keep their prototypes, and frozen objects stay frozen
+  static _setChild(target, key, value) {
+    if (target instanceof State) return target.setState(key, value);
+    if (target instanceof PersistentMap) return target.set(key, value);
+    if (target instanceof Map) return new Map(target).set(key, value);
+    if (target === null || typeof target !== 'object') return { [key]: value };
+    const copy = Array.isArray(target) ? target.slice() : Object.assign(Object.create(Object.getPrototypeOf(target)), target);
+    copy[key] = value;
+    return Object.isFrozen(target) ? Object.freeze(copy) : copy;
+  }
+
+  static _lookup(target, found, keys) {
+    if (!found) return { found: false, value: null };
+    if (keys.length === 0) return { found: true, value: target };
+    return State._lookup(State._getChild(target, keys[0]), State._hasChild(target, keys[0]), keys.slice(1));
+  }
+
+  static _updateIn(target, keys, f) {
+    if (keys.length === 0) return f(target);
+    const child = State._getChild(target, keys[0]);
+    const next = State._updateIn(child, keys.slice(1), f);
+    return Object.is(next, child) && State._hasChild(target, keys[0]) ? target : State._setChild(target, keys[0], next);
   }
 
   /**
-   * Set action.
-   * @param {...(string|number)} actions
-   * @protected
+   * Check whether the value at the path exists or not.
+   * @param {Array} path state name followed by keys of nested objects, arrays, maps or states
+   * @returns {boolean} `true` if exists
    */
-  _down(...actions) {
-    actions.forEach(action => {
-      if (!this.down.has(action)) {
-        this.pressed.add(action);
-        this.down.add(action);
-      }
-    });
+  hasIn(path) {
+    return State._lookup(this.getState(path[0]), this.hasState(path[0]), path.slice(1)).found;
   }
 
   /**
-   * Remove action.
-   * @param {...(string|number)} actions
-   * @protected
+   * Get the value at the path.
+   * @param {Array} path state name followed by keys of nested objects, arrays, maps or states
+   * @returns {} value or null
    */
-  _up(...actions) {
-    actions.forEach(action => {
-      this.pressed.delete(action);
-      this.down.delete(action);
-    });
+  getIn(path) {
+    return State._lookup(this.getState(path[0]), this.hasState(path[0]), path.slice(1)).value;
   }
 
   /**
-   * Clear action.
-   * @protected
+   * Set the value at the path, e.g. `state.setIn(['player', 'hp'], 3)`.
+   * The objects on the path are copied, and missing ones are created as plain objects.
+   * @param {Array} path state name followed by keys of nested objects, arrays, maps or states
+   * @param {} value value
+   * @returns {State} new state
    */
-  _clear() {
-    this.pressed.clear();
-    this.down.clear();
+  setIn(path, value) {
+    return this.setState(path[0], State._updateIn(this.getState(path[0]), path.slice(1), () => value));
   }
 
   /**
-   * Check if the action is being done.
-   * @param {...(string|number)} actions
-   * @returns {boolean} `true` if some actions are being done.
+   * Modify the value at the path.
+   * @param {Array} path state name followed by keys of nested objects, arrays, maps or states
+   * @param {function} f value modifier
+   * @returns {State} new state. If the value does not exist, this is returned
    */
-  isDown(...actions) {
-    return actions.some(action => this.down.has(action));
+  modifyIn(path, f) {
+    return this.hasIn(path) ? this.setState(path[0], State._updateIn(this.getState(path[0]), path.slice(1), f)) : this;
   }
 
   /**
-   * Check if the action begins to be done now.
-   * @param {...(string|number)} actions
-   * @returns {boolean} `true` if some actions begin to be done now.
+   * Check if two states have the same names and values. Values are compared by `Object.is`.
+   * It is fast because the shared values are not compared.
+   * @param {State} another another state
+   * @returns {boolean} `true` if they are equal
    */
-  isPressed(...actions) {
-    return actions.some(action => this.pressed.has(action));
+  equals(another) {
+    return this.data.equals(another.data);
   }
 
   /**
-   * Reset pressed actions.
+   * Return state name list.
+   * @returns {string[]} state names lisr
    */
-  resetAction() {
-    this.pressed.clear();
+  names() {
+    return Array.from(this.data.keys());
+  }
+
+  /**
+   * Convert to properties.
+   * @returns {string} state properties
+   */
+  toProperties() {
+    return this.names().map(name => `${name} = ${this.getState(name)}`).join('\n');
   }
 
   /**
@@ -533,37 +972,32 @@ class Action {
    * @returns {string} a string
    */
   toString() {
-    return `[Action ${this.down.size}|${this.pressed.size}]`;
+    return `[State ${this.data.size}]`;
   }
 }
 
 /**
- * Class representing a keyboard.
+ * Class representing a type of components which entities have. It is immutable.
+ * A component is a frozen plain object whose properties are filled with the defaults of its type.
+ * @param {string} name type name, which is the key of the components in {@link Entities}
+ * @param {Object} [defaults={}] default property values of the components
  */
-class Keyboard extends Action {
-  constructor() {
-    super();
+class ComponentType {
+  constructor(name, defaults = {}) {
+    /** @member {string} */
+    this.name = name;
+    /** @member {Object} */
+    this.defaults = Object.freeze(Object.assign({}, defaults));
+    Object.freeze(this);
   }
 
   /**
-   * Listen to the keyboard events.
-   * @returns {Keyboard} this
+   * Create a component.
+   * @param {Object} [values={}] property values overriding the defaults
+   * @returns {Object} frozen component
    */
-  listen() {
-    [
-      ['keydown', e => {
-        this._down(e.code);
-      }],
-      ['keyup', e => {
-        this._up(e.code);
-      }],
-      ['blur', e => {
-        this._clear();
-      }]
-    ].forEach(pair => {
-      window.addEventListener(pair[0], pair[1], false);
-    });
-    return this;
+  create(values = {}) {
+    return Object.freeze(Object.assign({}, this.defaults, values));
   }
 
   /**
@@ -571,91 +1005,312 @@ class Keyboard extends Action {
    * @returns {string} a string
    */
   toString() {
-    return `[Keyboard ${this.down.size}|${this.pressed.size}]`;
+    return `[ComponentType ${this.name}]`;
   }
 }
 
 /**
- * Enum for mouse buttons.
- * @readonly
- * @enum {number}
+ * Class representing the entities and their components. It is immutable, so it can be a state value.
+ * Entities are identified by serial numbers, and have at most one component of each registered {@link ComponentType}.
+ * Components are specified by objects whose keys are type names, e.g. `{ Position: { x: 0, y: 0 } }`.
+ * @param {Object} [obj] entities properties
+ * @param {ComponentType[]} [obj.types=[]] registered component types
+ * @param {number} [obj.nextID=0] ID of the next spawned entity
+ * @param {number[]} [obj.ids=[]] IDs of the living entities in ascending order
+ * @param {PersistentMap} [obj.living] living entities keyed by IDs in ascending order. It is used instead of `ids` if it is given
+ * @param {Map.<string, PersistentMap>} [obj.stores] components of each type keyed by entity IDs
  */
-const MouseButton = {
-  /** @member {number} */
-  LEFT: 0,
-  /** @member {number} */
-  MIDDLE: 1,
-  /** @member {number} */
-  RIGHT: 2,
-  /** @member {number} */
-  FOURTH: 3,
-  /** @member {number} */
-  FIFTH: 4,
+class Entities {
+  constructor(obj = {}) {
+    const types = 'types' in obj ? obj.types : [];
+    /** @member {ComponentType[]} */
+    this.types = Object.freeze(types.slice());
+    /** @member {number} */
+    this.nextID = 'nextID' in obj ? obj.nextID : 0;
+    /** @member {PersistentMap} */
+    this.living = 'living' in obj ? obj.living : new PersistentMap(('ids' in obj ? obj.ids : []).map(id => [id, true]));
+    this.stores = 'stores' in obj ? obj.stores : new Map(types.map(type => [type.name, new PersistentMap()]));
+    Object.freeze(this);
+  }
+
+  /**
+   * Create empty entities.
+   * @param {ComponentType[]} types component types
+   * @returns {Entities} entities
+   */
+  static init(types) {
+    return new Entities({ types });
+  }
+
+  static _nameOf(type) {
+    return typeof type === 'string' ? type : type.name;
+  }
+
+  _with(obj) {
+    return new Entities(Object.assign({
+      types: this.types,
+      nextID: this.nextID,
+      living: this.living,
+      stores: this.stores
+    }, obj));
+  }
+
+  /**
+   * Get the registered component type.
+   * @param {(ComponentType|string)} type component type or its name
+   * @returns {?ComponentType} component type, or `null` if it is not registered
+   * @protected
+   */
+  _getType(type) {
+    const name = Entities._nameOf(type);
+    const found = this.types.find(t => t.name === name);
+    if (found === undefined) {
+      Logger.error(`Component type ${name} is not registered!`);
+      return null;
+    }
+    return found;
+  }
+
+  // set the components of the entities at once, and return the new stores. Only the stores of the given types are copied
+  _setComponents(componentsList) {
+    const updates = new Map();
+    componentsList.forEach(([id, components]) => {
+      Object.keys(components).forEach(name => {
+        const type = this._getType(name);
+        if (type === null) return;
+        if (!updates.has(name)) updates.set(name, []);
+        updates.get(name).push([id, type.create(components[name])]);
+      });
+    });
+    const stores = new Map(this.stores);
+    updates.forEach((entries, name) => {
+      stores.set(name, stores.get(name).withMutations(store => entries.forEach(([id, component]) => store.set(id, component))));
+    });
+    return stores;
+  }
+
+  _collect(id, names) {
+    return names.reduce((acc, name) => Object.assign(acc, { [name]: this.stores.get(name).get(id) }), {});
+  }
+
+  /**
+   * IDs of the living entities in ascending order.
+   * @member {number[]}
+   */
+  get ids() {
+    return Array.from(this.living.keys());
+  }
+
   /** @member {number} */
-  UNKNOWN: -1
-};
+  get count() {
+    return this.living.size;
+  }
 
-Object.freeze(MouseButton);
+  /**
+   * Spawn an entity. Its ID is `nextID` before spawning.
+   * @param {Object} [components={}] object whose keys are type names and whose values are property values of the components
+   * @returns {Entities} new entities
+   */
+  spawn(components = {}) {
+    const stores = this._setComponents([[this.nextID, components]]);
+    return this._with({ nextID: this.nextID + 1, living: this.living.set(this.nextID, true), stores });
+  }
+
+  /**
+   * Despawn the entity with all its components.
+   * @param {number} id entity ID
+   * @returns {Entities} new entities
+   */
+  despawn(id) {
+    if (!this.exists(id)) return this;
+    const stores = new Map(this.stores);
+    stores.forEach((store, name) => stores.set(name, store.delete(id)));
+    return this._with({ living: this.living.delete(id), stores });
+  }
+
+  /**
+   * Check if the entity is living.
+   * @param {number} id entity ID
+   * @returns {boolean} `true` if it exists
+   */
+  exists(id) {
+    return this.living.has(id);
+  }
+
+  /**
+   * Check if the entity has the component.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @returns {boolean} `true` if it has
+   */
+  has(id, type) {
+    const store = this.stores.get(Entities._nameOf(type));
+    return store !== undefined && store.has(id);
+  }
+
+  /**
+   * Get the component of the entity.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @returns {?Object} component or null
+   */
+  get(id, type) {
+    return this.has(id, type) ? this.stores.get(Entities._nameOf(type)).get(id) : null;
+  }
+
+  /**
+   * Set the component of the entity. The component is replaced, so the omitted properties become the defaults.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @param {Object} [values={}] property values of the component
+   * @returns {Entities} new entities
+   */
+  set(id, type, values = {}) {
+    if (!this.exists(id)) {
+      Logger.error(`Entity ${id} does not exist!`);
+      return this;
+    }
+    const _type = this._getType(type);
+    if (_type === null) return this;
+    return this._with({ stores: this._setComponents([[id, { [_type.name]: values }]]) });
+  }
+
+  /**
+   * Modify the component of the entity.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @param {function(Object): Object} f component modifier which returns new property values
+   * @returns {Entities} new entities
+   */
+  modify(id, type, f) {
+    return this.has(id, type) ? this.set(id, type, f(this.get(id, type))) : this;
+  }
+
+  /**
+   * Remove the component from the entity.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @returns {Entities} new entities
+   */
+  remove(id, type) {
+    if (!this.has(id, type)) return this;
+    const name = Entities._nameOf(type);
+    const stores = new Map(this.stores);
+    stores.set(name, stores.get(name).delete(id));
+    return this._with({ stores });
+  }
+
+  /**
+   * Find the entities which have all the components.
+   * @param {(ComponentType|string)[]} types component types or their names
+   * @returns {number[]} entity IDs in ascending order
+   */
+  query(types) {
+    const names = types.map(type => Entities._nameOf(type));
+    if (names.some(name => !this.stores.has(name))) return [];
+    return this.ids.filter(id => names.every(name => this.stores.get(name).has(id)));
+  }
+
+  /**
+   * Execute the function for each entity which has all the components, in ascending order of IDs.
+   * @param {(ComponentType|string)[]} types component types or their names
+   * @param {function(Object, number)} f function which takes the components keyed by type names and the entity ID
+   */
+  forEach(types, f) {
+    const names = types.map(type => Entities._nameOf(type));
+    this.query(names).forEach(id => f(this._collect(id, names), id));
+  }
+
+  /**
+   * Modify the components of each entity which has all the components, in ascending order of IDs.
+   * @param {(ComponentType|string)[]} types component types or their names
+   * @param {function(Object, number): Object} f modifier which takes the components keyed by type names and the entity ID,
+   * and returns an object whose keys are type names and whose values are new property values. Omitted components are kept
+   * @returns {Entities} new entities
+   */
+  modifyEach(types, f) {
+    const names = types.map(type => Entities._nameOf(type));
+    return this._with({ stores: this._setComponents(this.query(names).map(id => [id, f(this._collect(id, names), id)])) });
+  }
+
+  /**
+   * Convert to a plain object. It can be restored by {@link Entities.fromObject}.
+   * @returns {Object} object which has `nextID` and `entities`, an array of objects which have `id` and `components` keyed by type names
+   */
+  toObject() {
+    return {
+      nextID: this.nextID,
+      entities: this.ids.map(id => ({
+        id,
+        components: Array.from(this.stores.keys()).filter(name => this.stores.get(name).has(id))
+          .reduce((acc, name) => Object.assign(acc, { [name]: Object.assign({}, this.stores.get(name).get(id)) }), {})
+      }))
+    };
+  }
+
+  /**
+   * Restore entities from a plain object.
+   * @param {Object} obj object created by {@link Entities#toObject}
+   * @param {ComponentType[]} types component types
+   * @returns {Entities} entities
+   */
+  static fromObject(obj, types) {
+    const entities = Entities.init(types);
+    const stores = entities._setComponents(obj.entities.map(entity => [entity.id, entity.components]));
+    const ids = obj.entities.map(entity => entity.id).sort((a, b) => a - b);
+    return entities._with({ nextID: obj.nextID, living: new PersistentMap(ids.map(id => [id, true])), stores });
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Entities ${this.count}]`;
+  }
+}
 
 /**
- * Class representing a mouse.
- * @param {EventTarget} target
+ * Class representing a system which processes entities in a scene. See {@link Entities}.
+ * If you want to create new system, please extend it and register it to a {@link Scene}.
+ * @param {string} name system name
+ * @param {Object} [opt] options
+ * @param {number} [opt.updateOrder=0] systems of smaller orders are updated earlier. Systems of the same order are updated in the registered order
+ * @param {number} [opt.drawOrder=0] systems of smaller orders are drawn earlier, so they are drawn below
  */
-class Mouse extends Action {
-  constructor(target) {
-    super();
-    this.target = target;
-    this.over = false;
-    /** @member {Vector2d} */
-    this.position = new Vector2d(Number.NaN, Number.NaN);
+class System {
+  constructor(name, opt = {}) {
+    /** @member {string} */
+    this.name = name;
+    /** @member {number} */
+    this.updateOrder = 'updateOrder' in opt ? opt.updateOrder : 0;
+    /** @member {number} */
+    this.drawOrder = 'drawOrder' in opt ? opt.drawOrder : 0;
   }
 
   /**
-   * Listen to the mouse events.
-   * @returns {Mouse} this
+   * Update the state.
+   * @param {State} state previous state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {SoundManager} sound sound manager
+   * @param {Game} game game itself
+   * @returns {State} updated state
    */
-  listen() {
-    [
-      ['mouseover', e => {
-        this.over = true;
-      }],
-      ['mouseout', e => {
-        this.over = false;
-        this.position.x = Number.NaN;
-        this.position.y = Number.NaN;
-      }],
-      ['mousemove', e => {
-        const rect = this.target.getBoundingClientRect();
-        const transform_str = this.target.style.transform;
-        const scale = transform_str === '' ? 1 : +transform_str.split('(')[1].split(',')[0];
-        this.position.x = Math.trunc((e.clientX - rect.left) / scale);
-        this.position.y = Math.trunc((e.clientY - rect.top) / scale);
-      }],
-      ['mousedown', e => {
-        this._down(e.button);
-      }]
-    ].forEach(pair => {
-      this.target.addEventListener(pair[0], pair[1], false);
-    });
-    [
-      ['mouseup', e => {
-        this._up(e.button);
-      }],
-      ['blur', e => {
-        this._clear();
-      }]
-    ].forEach(pair => {
-      window.addEventListener(pair[0], pair[1], false);
-    });
-    return this;
+  update(state, action, counters, sound, game) {
+    return state;
   }
 
   /**
-   * Check if mouse is over the event target.
-   * @returns {boolean} `true` if mouse is over the target
+   * Draw on the canvas.
+   * @param {State} state current state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {Painter} painter graphics controller
+   * @param {Game} game game itself
+   * @param {number} [alpha=0] elapsed fraction of a tick since the state was updated
    */
-  isOverTarget() {
-    return this.over;
+  draw(state, action, counters, painter, game, alpha = 0) {
   }
 
   /**
@@ -663,37 +1318,141 @@ class Mouse extends Action {
    * @returns {string} a string
    */
   toString() {
-    return `[Mouse ${this.position.toString()}]`;
+    return `[System ${this.name}]`;
   }
 }
 
 /**
- * Class for manageing several inputs.
- * @param {EventTarget} target mouse event target
+ * Class representing a seeded pseudo random number generator (xoshiro128**).
+ * Use it instead of `Math.random()` so that recorded games can be played back exactly.
+ * @param {number} [seed] 32-bit unsigned integer seed
  */
-class ActionManager {
-  constructor(target) {
-    this.target = target;
-    this.keyboard = new Keyboard();
-    this.mouse = new Mouse(target);
+class Random {
+  constructor(seed = Random.createSeed()) {
+    this._state = new Uint32Array(4);
+    this.reseed(seed);
   }
 
   /**
-   * Listen to the events.
-   * @returns {ActionManager} this
+   * Create a seed from `Math.random()`.
+   * @returns {number} 32-bit unsigned integer seed
    */
-  listen() {
-    this.keyboard.listen();
-    this.mouse.listen();
+  static createSeed() {
+    return Math.floor(Math.random() * 2 ** 32) >>> 0;
+  }
+
+  /**
+   * Seed of the generator.
+   * @member {number}
+   */
+  get seed() {
+    return this._seed;
+  }
+
+  /**
+   * Reset the generator with the seed.
+   * @param {number} seed 32-bit unsigned integer seed
+   * @returns {Random} this
+   */
+  reseed(seed) {
+    this._seed = seed >>> 0;
+    // expand the seed by SplitMix32
+    let s = this._seed;
+    for (let i = 0; i < 4; i++) {
+      s = (s + 0x9e3779b9) >>> 0;
+      let z = s;
+      z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+      z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+      this._state[i] = (z ^ (z >>> 16)) >>> 0;
+    }
     return this;
   }
 
   /**
-   * Reset pressed keys and buttons.
+   * Take a snapshot of the internal state.
+   * @returns {number[]} frozen snapshot, which can be restored by {@link Random#restore}
    */
-  resetAction() {
-    this.keyboard.resetAction();
-    this.mouse.resetAction();
+  snapshot() {
+    return Object.freeze(Array.from(this._state));
+  }
+
+  /**
+   * Restore the internal state from a snapshot. The seed is kept.
+   * @param {number[]} snapshot snapshot taken by {@link Random#snapshot}
+   * @returns {Random} this
+   */
+  restore(snapshot) {
+    this._state.set(snapshot);
+    return this;
+  }
+
+  /**
+   * Generate next 32-bit unsigned integer.
+   * @returns {number} integer in [0, 2^32)
+   */
+  nextUint32() {
+    const st = this._state;
+    const x = Math.imul(st[1], 5) >>> 0;
+    const result = Math.imul((x << 7) | (x >>> 25), 9) >>> 0;
+    const t = st[1] << 9;
+    st[2] ^= st[0];
+    st[3] ^= st[1];
+    st[1] ^= st[2];
+    st[0] ^= st[3];
+    st[2] ^= t;
+    st[3] = (st[3] << 11) | (st[3] >>> 21);
+    return result;
+  }
+
+  /**
+   * Generate next number.
+   * @returns {number} number in [0, 1)
+   */
+  next() {
+    return this.nextUint32() / 2 ** 32;
+  }
+
+  /**
+   * Generate next number in the range.
+   * @param {number} min minimum number (inclusive)
+   * @param {number} max maximum number (exclusive)
+   * @returns {number} number in [min, max)
+   */
+  nextRange(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Generate next integer in the range.
+   * @param {number} min minimum integer (inclusive)
+   * @param {number} max maximum integer (exclusive)
+   * @returns {number} integer in [min, max)
+   */
+  nextInt(min, max) {
+    return Math.floor(this.nextRange(Math.ceil(min), Math.ceil(max)));
+  }
+
+  /**
+   * Choose an element randomly.
+   * @param {any[]} array array
+   * @returns {} an element or null if the array is empty
+   */
+  choose(array) {
+    return array.length > 0 ? array[this.nextInt(0, array.length)] : null;
+  }
+
+  /**
+   * Shuffle the array.
+   * @param {any[]} array array
+   * @returns {any[]} shuffled new array
+   */
+  shuffle(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = this.nextInt(0, i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
   }
 
   /**
@@ -701,320 +1460,262 @@ class ActionManager {
    * @returns {string} a string
    */
   toString() {
-    return `[ActionManager]`;
+    return `[Random ${this.seed}]`;
   }
 }
 
 /**
- * Enum for sound types.
+ * Enum for playing modes of animation clips.
  * @readonly
  * @enum {number}
  */
-const SoundType = {
+const AnimationMode = {
   /** @member {number} */
-  BGM: 2048,
+  LOOP: 0,
   /** @member {number} */
-  SE: 4096,
+  PING_PONG: 1,
   /** @member {number} */
-  UNKNOWN: -1
+  ONCE: 2
 };
 
-Object.freeze(SoundType);
+Object.freeze(AnimationMode);
 
 /**
- * Class for manageing BGMs and SEs.
- * @param {Object[]} sounds sound properties
- * @param {string} sounds[].name name of sound
- * @param {string} sounds[].src source path of sound
- * @param {SoundType} sounds[].type sound type
- * @param {boolean} [sounds[].loop=false] whether the sound should loops or not
- * @param {number} [maxPlaySE=32] maximum number of simultaneously playing se
+ * Class representing an animation clip, which is a timeline of frames of an image.
+ * Time is measured in ticks.
+ * @param {string} name clip name
+ * @param {string} image image name. See {@link ImageManager}
+ * @param {(Array.<(number|string)>|Object)} frames sprite IDs or atlas frame names, or a range of sprite IDs
+ * @param {number} [frames.from] the first sprite ID of the range
+ * @param {number} [frames.to] the last sprite ID of the range
+ * @param {Object} [opt] options
+ * @param {(number|number[])} [opt.duration=1] ticks of each frame
+ * @param {AnimationMode} [opt.mode=AnimationMode.LOOP] playing mode
+ * @param {Object.<number, (string|string[])>} [opt.events] events keyed by frame indices. They fire when the frames begin
  */
-class SoundManager {
-  constructor(sounds, maxPlaySE = 32) {
-    if (sounds.every(sound => ['name', 'src', 'type'].every(param => param in sound))) {
-      this.sounds = new Map();
-      this.BGMs = new Map();
-      this.SEs = new Map();
+class AnimationClip {
+  constructor(name, image, frames, opt = {}) {
+    /** @member {string} */
+    this.name = name;
+    /** @member {string} */
+    this.image = image;
+    /** @member {Array.<(number|string)>} */
+    this.frames = Object.freeze(Array.isArray(frames) ?
+      frames.slice() :
+      Array.from({ length: Math.max(0, frames.to - frames.from + 1) }, (_, i) => frames.from + i));
+    if (this.frames.length === 0) {
+      Logger.fatal(`Animation clip ${name} has no frame!`);
+    }
 
-      /** @member {string[]} */
-      this.BGMList = sounds.filter(sound => sound.type === SoundType.BGM).map(sound => sound.name);
-      /** @member {string[]} */
-      this.SEList = sounds.filter(sound => sound.type === SoundType.SE).map(sound => sound.name);
+    const duration = 'duration' in opt ? opt.duration : 1;
+    /** @member {number[]} */
+    this.durations = Object.freeze(this.frames.map((_, i) => {
+      const d = Array.isArray(duration) ? duration[Math.min(i, duration.length - 1)] : duration;
+      if (d > 0) return d;
+      Logger.error(`Invalid duration of the frame ${i} in animation clip ${name}!`);
+      return 1;
+    }));
+    /** @member {AnimationMode} */
+    this.mode = 'mode' in opt ? opt.mode : AnimationMode.LOOP;
 
-      this.maxPlaySE = maxPlaySE;
-      this.currentPlaySE = 0;
-      this.currentPlayBGM = null;
+    const events = 'events' in opt ? opt.events : {};
+    this.events = new Map(Object.keys(events).map(index => [Number(index), [].concat(events[index])]));
 
-      /** @member {number} */
-      this.BGMVolume = 1.0;
-      /** @member {number} */
-      this.SEVolume = 1.0;
-
-      this._debugMode = false;
-      this._silent = null;
-
-      sounds.forEach(sound => {
-        const soundProp = {
-          name: sound.name,
-          src: sound.src,
-          audio: null,
-          loop: 'loop' in sound ? sound.loop : false,
-          playing: 0
-        };
-        this.sounds.set(sound.name, soundProp);
-        if (sound.type === SoundType.BGM) {
-          this.BGMs.set(sound.name, soundProp);
-        } else if (sound.type === SoundType.SE) {
-          this.SEs.set(sound.name, soundProp);
-        }
-      });
-    } else {
-      Logger.fatal("SoundManager requires sound properties of 'name', 'src' and 'type'");
-    }
+    // frame indices of one cycle
+    const indices = this.frames.map((_, i) => i);
+    this.sequence = Object.freeze(this.mode === AnimationMode.PING_PONG ? indices.concat(indices.slice(1, -1).reverse()) : indices);
+    /** @member {number} */
+    this.duration = this.sequence.reduce((acc, index) => acc + this.durations[index], 0);
+    Object.freeze(this);
   }
 
   /**
-   * Get volume.
-   * @param {SoundType} type sound type
-   * @returns {number} setted volume
+   * Get the number of frames passed since the clip began.
+   * Each frame in every cycle is counted, so it changes whenever a frame begins.
+   * @param {number} elapsed elapsed ticks
+   * @returns {number} step, or `-1` before the clip begins
    */
-  getVolume(type) {
-    if (type === SoundType.BGM) {
-      return this.BGMVolume;
-    } else if (type === SoundType.SE) {
-      return this.SEVolume;
-    } else {
-      return -1;
+  getStep(elapsed) {
+    if (elapsed < 0) return -1;
+    if (this.isFinished(elapsed)) return this.sequence.length - 1;
+    const cycle = Math.floor(elapsed / this.duration);
+    let rest = elapsed - cycle * this.duration;
+    let position = 0;
+    while (position < this.sequence.length - 1 && rest >= this.durations[this.sequence[position]]) {
+      rest -= this.durations[this.sequence[position]];
+      position++;
     }
+    return cycle * this.sequence.length + position;
   }
 
   /**
-   * Set volume.
-   * @param {SoundType} type sound type
-   * @param {number} vol volume
-   * @returns {number} actually setted volume (-1 if Failed)
+   * Get the frame index.
+   * @param {number} elapsed elapsed ticks
+   * @returns {number} frame index
    */
-  setVolume(type, vol) {
-    if (type === SoundType.BGM) {
-      return this.BGMVolume = Math.min(1.0, Math.max(0.0, vol));
-    } else if (type === SoundType.SE) {
-      return this.SEVolume = Math.min(1.0, Math.max(0.0, vol));
-    } else {
-      return -1;
-    }
+  getFrameIndex(elapsed) {
+    return this.sequence[Math.max(0, this.getStep(elapsed)) % this.sequence.length];
   }
 
   /**
-   * Switch to debug mode.
-   * @param {boolean} flag
+   * Get the frame.
+   * @param {number} elapsed elapsed ticks
+   * @returns {(number|string)} sprite ID or atlas frame name
    */
-  setDebugMode(flag) {
-    this._debugMode = flag;
+  getFrame(elapsed) {
+    return this.frames[this.getFrameIndex(elapsed)];
   }
 
   /**
-   * Load all sounds.
-   * @returns {Promise}
+   * Get the events of the frames which begin in the period.
+   * @param {number} from elapsed ticks at the beginning of the period (exclusive)
+   * @param {number} to elapsed ticks at the end of the period (inclusive)
+   * @returns {string[]} event names
    */
-  load() {
-    return Promise.all(Array.from(this.sounds.values()).map(soundProp => new Promise((res, rej) => {
-      if (soundProp.audio === null) {
-        soundProp.audio = new Audio(soundProp.src);
-        soundProp.audio.loop = soundProp.loop;
-        soundProp.audio.load();
-      }
-      res(null);
-    }))).then(() => new Promise((res, rej) => {
-      let tmp = __SCRIPT_PATH__.split('/');
-      tmp[tmp.length - 1] = 'silent.wav';
-      this._silent = new Audio(tmp.join('/'));
-      this._silent.loop = true;
-      this._silent.load();
-      this._silent.volume = 0.1;
-      this._silent.play();
-      res(null);
-    }));
+  getEvents(from, to) {
+    const events = [];
+    for (let step = this.getStep(from) + 1; step <= this.getStep(to); step++) {
+      const index = this.sequence[step % this.sequence.length];
+      if (this.events.has(index)) events.push(...this.events.get(index));
+    }
+    return events;
   }
 
   /**
-   * Play SE.
-   * @param {string} name SE name
-   * @param {Object} [opt] options
-   * @param {number} [opt.time=0.0] start time
-   * @param {number} [opt.volume] volume
-   * @param {number} [opt.speed=1.0] playing speed
-   * @param {number} [opt.maxPlay] maximum number of simultaneously playing this SE
+   * Check if the clip has finished. Only clips played once can finish.
+   * @param {number} elapsed elapsed ticks
+   * @returns {boolean} `true` if finished
    */
-  playSE(name, opt = {}) {
-    if (this.SEs.has(name)) {
-      const se = this.SEs.get(name);
-      const maxPlayTheSE = 'maxPlay' in opt ? opt.maxPlay : this.maxPlaySE;
-      if (se.audio === null) {
-        Logger.fatal('Please load before playing!');
-      } else if (this.currentPlaySE >= this.maxPlaySE || se.playing >= maxPlayTheSE) {
-        Logger.warn(`Too many SEs are playing!\nSE: ${name}`);
-      } else {
-        const se0 = new Audio(se.src);
-
-        se0.currentTime = 'time' in opt ? opt.time : 0.0;
-        se0.volume = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : this.SEVolume;
-        se0.playbackRate = 'speed' in opt ? opt.speed : 1.0;
+  isFinished(elapsed) {
+    return this.mode === AnimationMode.ONCE && elapsed >= this.duration;
+  }
 
-        this.currentPlaySE++;
-        se.playing++;
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[AnimationClip ${this.image}:${this.name}]`;
+  }
+}
 
-        se0.addEventListener('loadedmetadata', () => {
-          if (this._debugMode) {
-            Logger.debug(`play se: ${name}`);
-          } else {
-            se0.play();
-          }
-          window.setTimeout(() => {
-            this.currentPlaySE--;
-            se.playing--;
-          }, se0.duration * 1000 + 96);
-        });
-        se0.load();
-      }
-    } else {
-      Logger.error(`There is no SE of name ${name}!`);
-    }
+/**
+ * Class representing a playing animation clip. It is immutable, so it can be a state value.
+ * It advances with the general counter of {@link Counters}.
+ * @param {AnimationClip} clip playing clip
+ * @param {number} [origin=0] general counter when the clip began or the speed changed
+ * @param {number} [offset=0] elapsed ticks at the origin
+ * @param {number} [speed=1] playing speed
+ * @param {boolean} [paused=false] if `true`, then the clip is paused
+ */
+class Animator {
+  constructor(clip, origin = 0, offset = 0, speed = 1, paused = false) {
+    /** @member {AnimationClip} */
+    this.clip = clip;
+    this.origin = origin;
+    this.offset = offset;
+    /** @member {number} */
+    this.speed = speed;
+    /** @member {boolean} */
+    this.paused = paused;
+    Object.freeze(this);
   }
 
   /**
-   * Play BGM.
-   * @param {string} name BGM name
-   * @param {Object} [opt] options
-   * @param {number} [opt.time] start time
-   * @param {number} [opt.volume] volume
-   * @param {number} [opt.speed=1.0] playing speed
+   * Start playing the clip.
+   * @param {AnimationClip} clip clip
+   * @param {Counters} counters counters
+   * @param {number} [speed=1] playing speed
+   * @returns {Animator} new animator
    */
-  playBGM(name, opt = {}) {
-    if (this.BGMs.has(name)) {
-      const bgm = this.BGMs.get(name);
-      if (bgm.audio === null) {
-        Logger.fatal('Please load before playing!');
-      } else if (this.currentPlayBGM === null || this.currentPlayBGM.name !== name) {
-        bgm.audio.currentTime = 'time' in opt ? opt.time : bgm.audio.currentTime;
-        bgm.audio.volume = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : this.BGMVolume;
-        bgm.audio.playbackRate = 'speed' in opt ? opt.speed : 1.0;
+  static play(clip, counters, speed = 1) {
+    return new Animator(clip, counters.general, 0, speed);
+  }
 
-        this.stopBGM();
-        this.currentPlayBGM = bgm;
-        if (this._debugMode) {
-          Logger.debug(`play bgm: ${name}`);
-        } else {
-          bgm.audio.play();
-        }
-      }
-    } else {
-      Logger.error(`There is no BGM of name ${name}!`);
-    }
+  /**
+   * Switch to the clip. If the clip is already playing, it continues unless restarted.
+   * @param {AnimationClip} clip clip
+   * @param {Counters} counters counters
+   * @param {boolean} [restart=false] if `true`, then the clip is played from the beginning
+   * @returns {Animator} new animator
+   */
+  play(clip, counters, restart = false) {
+    if (!restart && clip.name === this.clip.name && clip.image === this.clip.image) return this;
+    return new Animator(clip, counters.general, 0, this.speed);
   }
 
   /**
-   * Change BGM parameters.
-   * @param {Object} param parameters
-   * @param {number} [param.time] start time
-   * @param {number} [param.volume] volume
-   * @param {number} [param.speed] playing speed
+   * Get the elapsed ticks of the clip.
+   * @param {Counters} counters counters
+   * @returns {number} elapsed ticks
    */
-  changeBGMParams(param) {
-    if (this.isPlayingBGM()) {
-      if ('time' in param)
-        this.currentPlayBGM.audio.currentTime = param.time;
-      if ('volume' in param)
-        this.currentPlayBGM.audio.volume = Math.min(1.0, Math.max(0.0, param.volume))
-      if ('speed' in param)
-        this.currentPlayBGM.audio.playbackRate = param.speed;
-    }
+  getElapsed(counters) {
+    return this.paused ? this.offset : this.offset + (counters.general - this.origin) * this.speed;
   }
 
   /**
-   * Pause playing BGM.
-   * @param {string} [name] BGM name. If it is blank, then pause playing BGM.
+   * Change the playing speed.
+   * @param {number} speed playing speed
+   * @param {Counters} counters counters
+   * @returns {Animator} new animator
    */
-  pauseBGM(name) {
-    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
-      if (this._debugMode) {
-        Logger.debug('pause bgm');
-      } else {
-        this.currentPlayBGM.audio.pause();
-      }
-      this.currentPlayBGM = null;
-    }
+  setSpeed(speed, counters) {
+    return new Animator(this.clip, counters.general, this.getElapsed(counters), speed, this.paused);
   }
 
   /**
-   * Stop playing BGM.
-   * @param {string} [name] BGM name. If it is blank, then stop playing BGM.
+   * Pause the clip.
+   * @param {Counters} counters counters
+   * @returns {Animator} new animator
    */
-  stopBGM(name) {
-    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
-      if (this._debugMode) {
-        Logger.debug('stop bgm');
-      } else {
-        this.currentPlayBGM.audio.pause();
-      }
-      this.currentPlayBGM.audio.currentTime = 0.0;
-      this.currentPlayBGM = null;
-    }
+  pause(counters) {
+    return this.paused ? this : new Animator(this.clip, counters.general, this.getElapsed(counters), this.speed, true);
   }
 
   /**
-   * Fade playing BGM.
-   * @param {number} duration fading duration
-   * @param {number} time current time from start fading
-   * @param {boolean} [out=true] `true` if fading out
-   * @returns {number} current BGM volume
+   * Resume the paused clip.
+   * @param {Counters} counters counters
+   * @returns {Animator} new animator
    */
-  fadeBGM(duration, time, out = true) {
-    const volume = this.BGMVolume * (out ? 1 - time / duration : time / duration);
-    this.changeBGMParams({ volume });
-    if (volume <= 0) this.stopBGM();
-    return Math.min(1.0, Math.max(0.0, volume));
+  resume(counters) {
+    return this.paused ? new Animator(this.clip, counters.general, this.offset, this.speed, false) : this;
   }
 
   /**
-   * Check if there is any playing BGM.
-   * @returns {boolean} `true` if any BGM is playing now
+   * Get the current frame index.
+   * @param {Counters} counters counters
+   * @returns {number} frame index
    */
-  isPlayingBGM() {
-    return this.currentPlayBGM !== null;
+  getFrameIndex(counters) {
+    return this.clip.getFrameIndex(this.getElapsed(counters));
   }
 
   /**
-   * Convert ID to sound name. Please use it for sound test.
-   * @param {number} id id
-   * @param {SoundType} type sound type
-   * @returns {string} sound name
+   * Get the current frame.
+   * @param {Counters} counters counters
+   * @returns {(number|string)} sprite ID or atlas frame name
    */
-  getNameFromID(id, type) {
-    if (type === SoundType.BGM) {
-      return this.BGMList[id - Math.floor(id / this.BGMList.length)];
-    } else if (type === SoundType.SE) {
-      return this.SEList[id - Math.floor(id / this.SEList.length)];
-    } else {
-      return '';
-    }
+  getFrame(counters) {
+    return this.clip.getFrame(this.getElapsed(counters));
   }
 
   /**
-   * Reset
+   * Get the events which fire at the current tick.
+   * @param {Counters} counters counters
+   * @returns {string[]} event names
    */
-  reset() {
-    this.stopBGM();
-    this.BGMVolume = 1.0;
-    this.SEVolume = 1.0;
+  getEvents(counters) {
+    if (this.paused) return [];
+    return this.clip.getEvents(this.getElapsed(counters) - this.speed, this.getElapsed(counters));
   }
 
   /**
-   * Finalize sound manager.
+   * Check if the clip has finished.
+   * @param {Counters} counters counters
+   * @returns {boolean} `true` if finished
    */
-  finalize() {
-    this.stopBGM();
-    if (this._silent !== null) this._silent.pause();
+  isFinished(counters) {
+    return this.clip.isFinished(this.getElapsed(counters));
   }
 
   /**
@@ -1022,97 +1723,77 @@ class SoundManager {
    * @returns {string} a string
    */
   toString() {
-    return `[SoundManager (${this.BGMs.size}, ${this.SEs.size})]`;
+    return `[Animator ${this.clip.name}]`;
   }
 }
 
-const __SCRIPT_PATH__ = (() => {
-  if (document.currentScript) return document.currentScript.src;
-  const scripts = document.getElementsByTagName('script');
-  const script = scripts[scripts.length - 1];
-  if (script.src) return script.src;
-})();
-
 /**
- * Class for manageing images.
- * @param {Object[]} images image properties
- * @param {string} images[].name name of an image
- * @param {string} images[].src source path of an image
- * @param {Object} [images[].sprite] if the image is a sprite, then use this parameter
- * @param {number} [images[].sprite.width] sprite width
- * @param {number} [images[].sprite.height] sprite height
+ * Class representing an input.
  */
-class ImageManager {
-  constructor(images) {
-    if (images.every(image => ['name', 'src'].every(param => param in image))) {
-      this.images = new Map();
-      images.forEach(image => {
-        this.images.set(image.name, {
-          name: image.name,
-          src: image.src,
-          image: null,
-          imageData: null,
-          size: 'sprite' in image ? image.sprite : null
-        });
-      });
-    } else {
-      Logger.fatal("ImageManager requires image properties of 'name' and 'src'");
-    }
+class Action {
+  constructor() {
+    this.pressed = new Set();
+    this.down = new Set();
   }
 
   /**
-   * Load images.
-   * @returns {Promise}
+   * Set action.
+   * @param {...(string|number)} actions
+   * @protected
    */
-  load() {
-    return Promise.all(Array.from(this.images.values()).map(imageProp => new Promise((res, rej) => {
-      if (imageProp.image === null) {
-        imageProp.image = new Image();
-        imageProp.image.onload = e => {
-          if (imageProp.size === null) imageProp.size = { width: imageProp.image.width, height: imageProp.image.height };
-          const cv = document.createElement('canvas');
-          const ctx = cv.getContext('2d');
-          [cv.width, cv.height] = [imageProp.image.width, imageProp.image.height];
-          ctx.drawImage(imageProp.image, 0, 0);
-          imageProp.imageData = ctx.getImageData(0, 0, cv.width, cv.height);
-          res(null);
-        };
-        imageProp.image.onerror = e => {
-          rej(null);
-        };
-        imageProp.image.src = imageProp.src;
-      } else {
-        res(null);
+  _down(...actions) {
+    actions.forEach(action => {
+      if (!this.down.has(action)) {
+        this.pressed.add(action);
+        this.down.add(action);
       }
-    })));
+    });
   }
 
   /**
-   * Get an image.
-   * @param {string} name image name
-   * @returns {?Image} the image
+   * Remove action.
+   * @param {...(string|number)} actions
+   * @protected
    */
-  getImage(name) {
-    if (this.images.has(name)) {
-      return this.images.get(name).image;
-    } else {
-      Logger.fatal(`ImageManager has no image of name ${name}. Please preload before use.`);
-      return null;
-    }
+  _up(...actions) {
+    actions.forEach(action => {
+      this.pressed.delete(action);
+      this.down.delete(action);
+    });
   }
 
   /**
-   * Get image properties.
-   * @param {string} name image name
-   * @returns {?Object} the image properties
+   * Clear action.
+   * @protected
    */
-  getImageProperties(name) {
-    if (this.images.has(name)) {
-      return this.images.get(name);
-    } else {
-      Logger.fatal(`ImageManager has no image of name ${name}. Please preload before use.`);
-      return null;
-    }
+  _clear() {
+    this.pressed.clear();
+    this.down.clear();
+  }
+
+  /**
+   * Check if the action is being done.
+   * @param {...(string|number)} actions
+   * @returns {boolean} `true` if some actions are being done.
+   */
+  isDown(...actions) {
+    return actions.some(action => this.down.has(action));
+  }
+
+  /**
+   * Check if the action begins to be done now.
+   * @param {...(string|number)} actions
+   * @returns {boolean} `true` if some actions begin to be done now.
+   */
+  isPressed(...actions) {
+    return actions.some(action => this.pressed.has(action));
+  }
+
+  /**
+   * Reset pressed actions.
+   */
+  resetAction() {
+    this.pressed.clear();
   }
 
   /**
@@ -1120,42 +1801,37 @@ class ImageManager {
    * @returns {string} a string
    */
   toString() {
-    return `[ImageManager ${this.images.size}]`;
+    return `[Action ${this.down.size}|${this.pressed.size}]`;
   }
 }
 
 /**
- * Class of graphics.
- * @param {HTMLCanvasElement} canvas
- * @param {ImageManager} imageManager
- * @param {string} contextType
+ * Class representing a keyboard.
  */
-class Painter {
-  constructor(canvas, imageManager, contextType) {
-    /** @member {HTMLCanvasElement} */
-    this.canvas = canvas;
-    /** @member {CanvasRenderingContext2D} */
-    this.context = canvas.getContext(contextType);
-    /** @member {string} */
-    this.contextType = contextType;
-    /** @member {ImageManager} */
-    this.imageManager = imageManager;
-  }
-
-  /**
-   * Canvas width.
-   * @member {number}
-   */
-  get width() {
-    return this.canvas.width;
+class Keyboard extends Action {
+  constructor() {
+    super();
   }
 
   /**
-   * Canvas height
-   * @member {number}
+   * Listen to the keyboard events.
+   * @returns {Keyboard} this
    */
-  get height() {
-    return this.canvas.height;
+  listen() {
+    [
+      ['keydown', e => {
+        this._down(e.code);
+      }],
+      ['keyup', e => {
+        this._up(e.code);
+      }],
+      ['blur', e => {
+        this._clear();
+      }]
+    ].forEach(pair => {
+      window.addEventListener(pair[0], pair[1], false);
+    });
+    return this;
   }
 
   /**
@@ -1163,536 +1839,564 @@ class Painter {
    * @returns {string} a string
    */
   toString() {
-    return `[Painter]`;
+    return `[Keyboard ${this.down.size}|${this.pressed.size}]`;
   }
 }
 
 /**
- * Class of 2-dimentional graphics.
- * @param {HTMLCanvasElement} canvas
- * @param {ImageManager} imageManager
+ * Enum for mouse buttons.
+ * @readonly
+ * @enum {number}
  */
-class Painter2d extends Painter {
-  constructor(canvas, imageManager) {
-    super(canvas, imageManager, '2d');
-    this.recentLineOptions = {
-      width: 1.0,
-      cap: 'butt',
-      join: 'miter',
-      miterLimit: 10.0,
-      dash: [],
-      dashOffset: 0.0
-    };
-    this.recentTextOptions = {
-      size: 10,
-      font: 'sans-serif',
-      align: 'start',
-      baseline: 'alphabetic',
-      lineHeight: '100%'
-    };
+const MouseButton = {
+  /** @member {number} */
+  LEFT: 0,
+  /** @member {number} */
+  MIDDLE: 1,
+  /** @member {number} */
+  RIGHT: 2,
+  /** @member {number} */
+  FOURTH: 3,
+  /** @member {number} */
+  FIFTH: 4,
+  /** @member {number} */
+  UNKNOWN: -1
+};
+
+Object.freeze(MouseButton);
+
+/**
+ * Class representing a mouse.
+ * @param {EventTarget} target
+ */
+class Mouse extends Action {
+  constructor(target) {
+    super();
+    this.target = target;
+    this.over = false;
+    /** @member {Vector2d} */
+    this.position = new Vector2d(Number.NaN, Number.NaN);
   }
 
   /**
-   * Create another painter with new canvas.
-   * @returns {Painter2d} another painter
+   * Convert client coordinates to the coordinates on the scaled canvas.
+   * @param {HTMLCanvasElement} target canvas
+   * @param {number} clientX x-coordinate in the client area
+   * @param {number} clientY y-coordinate in the client area
+   * @returns {Vector2d} truncated position on the canvas
    */
-  createAnotherPainter() {
-    const anotherCanvas = document.createElement('canvas');
-    anotherCanvas.width = this.width;
-    anotherCanvas.height = this.height;
-    const another = new Painter2d(anotherCanvas, this.imageManager);
-    another.recentLineOptions = this.recentLineOptions;
-    another.recentTextOptions = this.recentTextOptions;
+  static toCanvasPosition(target, clientX, clientY) {
+    const rect = target.getBoundingClientRect();
+    const transform_str = target.style.transform;
+    const scale = transform_str === '' ? 1 : +transform_str.split('(')[1].split(',')[0];
+    return new Vector2d(Math.trunc((clientX - rect.left) / scale), Math.trunc((clientY - rect.top) / scale));
+  }
 
-    // configuration
-    another.context.lineWidth = this.recentLineOptions.width;
-    another.context.lineCap = this.recentLineOptions.cap;
-    another.context.lineJoin = this.recentLineOptions.join;
-    another.context.miterLimit = this.recentLineOptions.miterLimit;
-    another.context.setLineDash(this.recentLineOptions.dash);
-    another.context.lineDashOffset = this.recentLineOptions.dashOffset;
+  /**
+   * Listen to the mouse events.
+   * @returns {Mouse} this
+   */
+  listen() {
+    [
+      ['mouseover', e => {
+        this.over = true;
+      }],
+      ['mouseout', e => {
+        this.over = false;
+        this.position.x = Number.NaN;
+        this.position.y = Number.NaN;
+      }],
+      ['mousemove', e => {
+        const position = Mouse.toCanvasPosition(this.target, e.clientX, e.clientY);
+        this.position.x = position.x;
+        this.position.y = position.y;
+      }],
+      ['mousedown', e => {
+        this._down(e.button);
+      }]
+    ].forEach(pair => {
+      this.target.addEventListener(pair[0], pair[1], false);
+    });
+    [
+      ['mouseup', e => {
+        this._up(e.button);
+      }],
+      ['blur', e => {
+        this._clear();
+      }]
+    ].forEach(pair => {
+      window.addEventListener(pair[0], pair[1], false);
+    });
+    return this;
+  }
 
-    another.context.font = `${this.recentTextOptions.size.toString(10)}px ${this.recentTextOptions.font}`;
-    another.context.textAlign = this.recentTextOptions.align;
-    another.context.textBaseline = this.recentTextOptions.baseline;
-    return another;
+  /**
+   * Check if mouse is over the event target.
+   * @returns {boolean} `true` if mouse is over the target
+   */
+  isOverTarget() {
+    return this.over;
   }
 
   /**
-   * @member {Object}
+   * Convert to string.
+   * @returns {string} a string
    */
-  get pathOperations() {
-    return {
-      /**
-       * Fill the path.
-       * @param {(string|CanvasGradient|CanvasPattern)} style fill style
-       * @memberof Painter2d#pathOperations
-       */
-      fill: (style) => {
-        this.context.fillStyle = style;
-        this.context.fill();
-      },
-      /**
-       * Stroke the path.
-       * @param {(string|CanvasGradient|CanvasPattern)} style stroke style
-       * @param {Object} [opt = {}] options
-       * @param {number} [opt.width] line width
-       * @param {string} [opt.cap] line cap
-       * @param {string} [opt.join] line join
-       * @param {number} [opt.miterLimit] line miter limit
-       * @param {number[]} [opt.dash] line dash
-       * @param {number} [opt.dashOffset] line dash offset
-       * @memberof Painter2d#pathOperations
-       */
-      stroke: (style, opt = {}) => {
-        // configuration
-        if ('width' in opt) this.recentLineOptions.width = opt.width;
-        if ('cap' in opt) this.recentLineOptions.cap = opt.cap;
-        if ('join' in opt) this.recentLineOptions.join = opt.join;
-        if ('miterLimit' in opt) this.context.miterLimit = this.recentLineOptions.miterLimit = opt.miterLimit;
-        if ('dash' in opt) this.context.setLineDash(this.recentLineOptions.dash = opt.dash);
-        if ('dashOffset' in opt) this.context.lineDashOffset = this.recentLineOptions.dashOffset = opt.dashOffset;
+  toString() {
+    return `[Mouse ${this.position.toString()}]`;
+  }
+}
 
-        this.context.lineWidth = this.recentLineOptions.width;
-        this.context.lineCap = this.recentLineOptions.cap;
-        this.context.lineJoin = this.recentLineOptions.join;
+/**
+ * Enum for gamepad buttons in the standard mapping.
+ * @readonly
+ * @enum {number}
+ */
+const GamepadButton = {
+  /** @member {number} */
+  A: 0,
+  /** @member {number} */
+  B: 1,
+  /** @member {number} */
+  X: 2,
+  /** @member {number} */
+  Y: 3,
+  /** @member {number} */
+  LB: 4,
+  /** @member {number} */
+  RB: 5,
+  /** @member {number} */
+  LT: 6,
+  /** @member {number} */
+  RT: 7,
+  /** @member {number} */
+  BACK: 8,
+  /** @member {number} */
+  START: 9,
+  /** @member {number} */
+  LEFT_STICK: 10,
+  /** @member {number} */
+  RIGHT_STICK: 11,
+  /** @member {number} */
+  UP: 12,
+  /** @member {number} */
+  DOWN: 13,
+  /** @member {number} */
+  LEFT: 14,
+  /** @member {number} */
+  RIGHT: 15,
+  /** @member {number} */
+  HOME: 16
+};
 
-        this.context.strokeStyle = style;
-        this.context.stroke();
-      },
-      /**
-       * Fill the path with outline.
-       * @param {(string|CanvasGradient|CanvasPattern)} innerStyle fill style
-       * @param {(string|CanvasGradient|CanvasPattern)} outerStyle stroke style
-       * @param {number} [lineWidth=1] line width
-       * @memberof Painter2d#pathOperations
-       */
-      outlined: (innerStyle, outerStyle, lineWidth = 1) => {
-        this.context.fillStyle = innerStyle;
-        this.context.strokeStyle = outerStyle;
-        this.context.lineCap = 'round';
-        this.context.lineJoin = 'round';
-        this.context.lineWidth = lineWidth * 2;
-        this.context.stroke();
-        this.context.fill();
-      },
-      /**
-       * Clip the path and draw.
-       * @param {function} cb callback function
-       * @memberof Painter2d#pathOperations
-       */
-      clipAndDraw: (cb) => {
-        this.context.save();
-        this.context.clip();
-        cb();
-        this.context.restore();
-      }
-    };
+Object.freeze(GamepadButton);
+
+/**
+ * Class representing a gamepad.
+ * Buttons are identified by the index of the standard mapping. See {@link GamepadButton}.
+ * @param {number} index gamepad index
+ * @param {number} [deadZone=0.2] dead zone of analog axes
+ */
+class Gamepad extends Action {
+  constructor(index, deadZone = 0.2) {
+    super();
+    /** @member {number} */
+    this.index = index;
+    /** @member {number} */
+    this.deadZone = deadZone;
+    /** @member {?string} */
+    this.id = null;
+    this.connected = false;
+    this.connectionChanged = false;
+    /**
+     * Raw values of the analog axes.
+     * @member {number[]}
+     */
+    this.axes = [];
+    this.listening = false;
   }
 
   /**
-   * Clear the canvas.
+   * Quantize an axis value, so that recorded values are the same as the original ones.
+   * @param {number} value axis value
+   * @returns {number} quantized value
    */
-  clear() {
-    this.context.clearRect(0, 0, this.width, this.height);
+  static quantize(value) {
+    return Math.round(Math.min(1.0, Math.max(-1.0, value)) * 0x7fff) / 0x7fff;
   }
 
   /**
-   * Fill the canvas.
-   * @param {(string|CanvasGradient|CanvasPattern)} style fill style
+   * Listen to the gamepad events.
+   * @returns {Gamepad} this
    */
-  background(style) {
-    this.rect(0, 0, this.width, this.height).fill(style);
+  listen() {
+    [
+      ['gamepadconnected', e => {
+        if (e.gamepad.index === this.index) this._connect(e.gamepad.id);
+      }],
+      ['gamepaddisconnected', e => {
+        if (e.gamepad.index === this.index) this._disconnect();
+      }],
+      ['blur', e => {
+        this._clear();
+      }]
+    ].forEach(pair => {
+      window.addEventListener(pair[0], pair[1], false);
+    });
+    this.listening = true;
+    return this;
   }
 
   /**
-   * Create rectangle path.
-   * @param {number} x x-coordinate of the leftmost point
-   * @param {number} y y-coordinate of the uppermost point
-   * @param {number} w width
-   * @param {number} h height
-   * @returns {Object} path operations
+   * Read the current state of the gamepad.
+   * The Gamepad API has no event for buttons and axes, so it must be called every frame.
+   * @returns {Gamepad} this
    */
-  rect(x, y, w, h) {
-    this.context.beginPath();
-    this.context.rect(x, y, w, h);
-    this.context.closePath();
-    return this.pathOperations;
+  poll() {
+    if (!this.listening || !navigator.getGamepads) return this;
+    const pad = navigator.getGamepads()[this.index];
+    if (!pad) {
+      if (this.connected) this._disconnect();
+      return this;
+    }
+    if (!this.connected) this._connect(pad.id);
+    pad.buttons.forEach((button, i) => {
+      if (button.pressed) this._down(i);
+      else this._up(i);
+    });
+    this._setAxes(Array.from(pad.axes, Gamepad.quantize));
+    return this;
   }
 
   /**
-   * Create round rectangle path.
-   * @param {number} x x-coordinate of the leftmost point
-   * @param {number} y y-coordinate of the uppermost point
-   * @param {number} w width
-   * @param {number} h height
-   * @param {number} r radius of the corner
-   * @returns {Object} path operations
+   * Connect the gamepad.
+   * @param {string} id gamepad id
+   * @protected
    */
-  roundRect(x, y, w, h, r) {
-    const hw = w / 2;
-    const hh = h / 2;
-    const _r = Math.abs(r);
-    this.context.beginPath();
-    this.context.moveTo(x + hw, y);
-    this.context.arcTo(x, y, x, y + hh, _r);
-    this.context.arcTo(x, y + h, x + hw, y + h, _r);
-    this.context.arcTo(x + w, y + h, x + w, y + hh, _r);
-    this.context.arcTo(x + w, y, x + hw, y, _r);
-    this.context.closePath();
-    return this.pathOperations;
+  _connect(id) {
+    this.id = id;
+    this.connected = true;
+    this.connectionChanged = true;
   }
 
   /**
-   * Create circle path.
-   * @param {number} x x-coordinate of the center point
-   * @param {number} y y-coordinate of the center point
-   * @param {number} r radius
-   * @returns {Object} path operations
+   * Disconnect the gamepad.
+   * @protected
    */
-  circle(x, y, r) {
-    this.context.beginPath();
-    this.context.arc(x, y, Math.abs(r), -Math.PI, Math.PI);
-    this.context.closePath();
-    return this.pathOperations;
+  _disconnect() {
+    this._clear();
+    this.axes = [];
+    this.connected = false;
+    this.connectionChanged = true;
   }
 
   /**
-   * Create ellipse path.
-   * @param {number} x x-coordinate of the center point
-   * @param {number} y y-coordinate of the center point
-   * @param {number} radiusX major-axis radius
-   * @param {number} radiusY minor-axis radius
-   * @param {number} [rotation=0] the rotation for the ellipse, expressed in radius
-   * @returns {Object} path operations
+   * Set raw values of the analog axes.
+   * @param {number[]} axes axis values
+   * @protected
    */
-  ellipse(x, y, radiusX, radiusY, rotation = 0) {
-    this.context.beginPath();
-    this.context.ellipse(x, y, Math.abs(radiusX), Math.abs(radiusY), rotation, -Math.PI, Math.PI);
-    this.context.closePath();
-    return this.pathOperations;
+  _setAxes(axes) {
+    this.axes = axes;
   }
 
   /**
-   * Create polygon path.
-   * @param {Object[]} vertices
-   * @param {number} vertices[].x x-coordinate of a vertex
-   * @param {number} vertices[].y y-coordinate of a vertex
+   * Check if the gamepad is connected.
+   * @returns {boolean} `true` if connected
    */
-  polygon(vertices) {
-    this.context.beginPath();
-    vertices.forEach(vertex => {
-      this.context.lineTo(vertex.x, vertex.y);
-    });
-    this.context.closePath();
-    return this.pathOperations;
+  isConnected() {
+    return this.connected;
   }
 
   /**
-   * Create diamond path.
-   * @param {number} x x-coordinate of the leftmost point
-   * @param {number} y y-coordinate of the uppermost point
-   * @param {number} w width
-   * @param {number} h height
-   * @returns {Object} path operations
+   * Check if the gamepad is connected now.
+   * @returns {boolean} `true` if connected now
    */
-  diamond(x, y, w, h) {
-    this.context.beginPath();
-    this.context.moveTo(x + w / 2, y);
-    this.context.lineTo(x, y + h / 2);
-    this.context.lineTo(x + w / 2, y + h);
-    this.context.lineTo(x + w, y + h / 2);
-    this.context.closePath();
-    return this.pathOperations;
+  isJustConnected() {
+    return this.connected && this.connectionChanged;
   }
 
   /**
-   * Draw text.
-   * @param {string} str string
-   * @param {number} x x-coordinate
-   * @param {number} y y-coordinate
-   * @param {Object} [opt] options
-   * @param {number} [opt.size] font size [px]
-   * @param {string} [opt.font] font name
-   * @param {string} [opt.align] text alignment (start, end, left, right, center)
-   * @param {string} [opt.baseline] baseline alignment (top, hanging, middle, alphabetic, ideographic, bottom)
-   * @param {string} [opt.lineHeight] line height
-   * @returns {Object} path operations
+   * Check if the gamepad is disconnected now.
+   * @returns {boolean} `true` if disconnected now
    */
-  text(str, x, y, opt = {}) {
-    if ('size' in opt) this.context.font = `${(this.recentTextOptions.size = opt.size).toString(10)}px ${this.recentTextOptions.font}`;
-    if ('font' in opt) this.context.font = `${this.recentTextOptions.size.toString(10)}px ${this.recentTextOptions.font = opt.font}`;
-    if ('align' in opt) this.context.textAlign = this.recentTextOptions.align = opt.align;
-    if ('baseline' in opt) this.context.textBaseline = this.recentTextOptions.baseline = opt.baseline;
-    if ('lineHeight' in opt) this.recentTextOptions.lineHeight = opt.lineHeight;
-
-    let lineHeight;
-    if ((/%$/).test(this.recentTextOptions.lineHeight)) {
-      lineHeight = this.recentTextOptions.size * parseFloat(this.recentTextOptions.lineHeight.slice(0, -1)) / 100;
-    } else if ((/px$/).test(this.recentTextOptions.lineHeight)) {
-      lineHeight = parseFloat(this.recentTextOptions.lineHeight.slice(0, -2));
-    } else if ((/^(0|[1-9][0-9]*)(\.[0-9]+)?$/).test(this.recentTextOptions.lineHeight)) {
-      lineHeight = parseFloat(this.recentTextOptions.lineHeight);
-    }
+  isJustDisconnected() {
+    return !this.connected && this.connectionChanged;
+  }
 
-    return {
-      fill: (style) => {
-        this.context.fillStyle = style;
-        str.split('\n').forEach((line, lineNum) => {
-          this.context.fillText(line, x, y + lineHeight * lineNum);
-        });
-      },
-      stroke: (style, lineOpt = {}) => {
-        // configuration
-        if ('width' in lineOpt) this.recentLineOptions.width = lineOpt.width;
-        if ('cap' in lineOpt) this.recentLineOptions.cap = lineOpt.cap;
-        if ('join' in lineOpt) this.recentLineOptions.join = lineOpt.join;
-        if ('miterLimit' in lineOpt) this.context.miterLimit = this.recentLineOptions.miterLimit = lineOpt.miterLimit;
-        if ('dash' in lineOpt) this.context.setLineDash(this.recentLineOptions.dash = lineOpt.dash);
-        if ('dashOffset' in lineOpt) this.context.lineDashOffset = this.recentLineOptions.dashOffset = lineOpt.dashOffset;
+  /**
+   * Get the value of an axis. Values in the dead zone are treated as `0`.
+   * @param {number} axis axis index
+   * @returns {number} axis value in [-1, 1]
+   */
+  getAxis(axis) {
+    const value = axis < this.axes.length ? this.axes[axis] : 0.0;
+    if (Math.abs(value) <= this.deadZone) return 0.0;
+    return Math.sign(value) * (Math.abs(value) - this.deadZone) / (1.0 - this.deadZone);
+  }
 
-        this.context.lineWidth = this.recentLineOptions.width;
-        this.context.lineCap = this.recentLineOptions.cap;
-        this.context.lineJoin = this.recentLineOptions.join;
+  /**
+   * Get the direction of a stick. The dead zone is applied radially.
+   * @param {number} [stick=0] stick index (`0` for the left stick, `1` for the right stick)
+   * @returns {Vector2d} stick direction whose norm is at most 1
+   */
+  getStick(stick = 0) {
+    const x = 2 * stick < this.axes.length ? this.axes[2 * stick] : 0.0;
+    const y = 2 * stick + 1 < this.axes.length ? this.axes[2 * stick + 1] : 0.0;
+    const norm = Math.hypot(x, y);
+    if (norm <= this.deadZone) return new Vector2d(0, 0);
+    const rate = Math.min(1.0, (norm - this.deadZone) / (1.0 - this.deadZone)) / norm;
+    return new Vector2d(x * rate, y * rate);
+  }
 
-        this.context.strokeStyle = style;
-        str.split('\n').forEach((line, lineNum) => {
-          this.context.strokeText(line, x, y + lineHeight * lineNum);
-        });
-      },
-      outlined: (inner_style, outer_style, width = 1) => {
-        this.context.fillStyle = inner_style;
-        this.context.strokeStyle = outer_style;
-        this.context.lineCap = 'round';
-        this.context.lineJoin = 'round';
-        this.context.lineWidth = width * 2;
-        str.split('\n').forEach((line, lineNum) => {
-          this.context.strokeText(line, x, y + lineHeight * lineNum);
-          this.context.fillText(line, x, y + lineHeight * lineNum);
-        });
-      }
-    };
+  /**
+   * Reset pressed buttons and connection changes.
+   */
+  resetAction() {
+    super.resetAction();
+    this.connectionChanged = false;
   }
 
   /**
-   * Draw image.
-   * @param {(string|CanvasImageSource)} img image source or the registered name of an image
-   * @param {number} x x-coordinate of the leftmost point of an image
-   * @param {number} y y-coordinate of the uppermost point of an image
-   * @param {Object} [opt] options
-   * @param {number} [opt.width] width of an image
-   * @param {number} [opt.height] height of an image
-   * @param {Object} [opt.crop] cropping the image
-   * @param {number} [opt.crop.x=0] x-coordinate of the leftmost point of the cropped image
-   * @param {number} [opt.crop.y=0] y-coordinate of the uppermost point of the cropped image
-   * @param {number} [opt.crop.width] width of the cropped image
-   * @param {number} [opt.crop.height] height of the cropped image
-   * @param {boolean} [opt.keepAspectRatio=false] if `true`, aspect ratio of an image is kept
-   * @param {number} [opt.spriteID=0] sprite ID
-   * @param {Directions} [opt.relativeOrigin=Directions.NW] relative origin position
+   * Convert to string.
+   * @returns {string} a string
    */
-  image(img, x, y, opt = {}) {
-    let imageProps;
-    if (Object.prototype.toString.call(img) === '[object String]') {
-      imageProps = this.imageManager.getImageProperties(img);
-    } else {
-      imageProps = { image: img, size: { width: img.width, height: img.height } };
-    }
+  toString() {
+    return `[Gamepad ${this.index} ${this.connected ? 'connected' : 'disconnected'} ${this.down.size}|${this.pressed.size}]`;
+  }
+}
 
-    const spriteCols = Math.floor(imageProps.image.width / imageProps.size.width);
-    const spriteRows = Math.floor(imageProps.image.height / imageProps.size.height);
-    const id = 'spriteID' in opt ? opt.spriteID % (spriteCols * spriteRows) : 0;
-    const spriteX = (id % spriteCols) * imageProps.size.width;
-    const spriteY = Math.floor(id / spriteCols) * imageProps.size.height;
-    const relativeOrigin = 'relativeOrigin' in opt ? opt.relativeOrigin : Directions.NW;
-    const horizontalRelativeDiff = (relativeOrigin + 4) % 3;
-    const verticalRelativeDiff = Math.floor((relativeOrigin + 4) / 3);
+/**
+ * Class representing touch and pen contacts.
+ * Contacts are identified by small ids, which are assigned to the pointer ids of the events and reused after the contacts are released,
+ * so that they fit in records. Mouse pointers are handled by {@link Mouse}.
+ * @param {EventTarget} target
+ */
+class Pointer extends Action {
+  constructor(target) {
+    super();
+    this.target = target;
+    this.released = new Set();
+    /**
+     * Contacts in the current frame.
+     * @member {Map.<number, Object>}
+     */
+    this.contacts = new Map();
+    /**
+     * Taps finished in the current frame.
+     * @member {Vector2d[]}
+     */
+    this.taps = [];
+    /**
+     * Swipes finished in the current frame.
+     * @member {Object[]}
+     */
+    this.swipes = [];
+    this.pinchBase = null;
+    this._raw = new Map();
+    this._slots = new Map();
+  }
 
-    if ('crop' in opt) {
-      const cx = 'x' in opt.crop ? Math.min(opt.crop.x, imageProps.size.width) : 0;
-      const cy = 'y' in opt.crop ? Math.min(opt.crop.y, imageProps.size.height) : 0;
-      const cw = Math.max('width' in opt.crop ? Math.min(opt.crop.width, imageProps.size.width - cx) : imageProps.size.width - cx, 0.01);
-      const ch = Math.max('height' in opt.crop ? Math.min(opt.crop.height, imageProps.size.height - cy) : imageProps.size.height - cy, 0.01);
-      const w = 'width' in opt ? opt.width : cw;
-      const h = 'height' in opt ? opt.height : ch;
-      const _x = x - w * horizontalRelativeDiff / 2;
-      const _y = y - h * verticalRelativeDiff / 2;
-      if (`keepAspectRatio` in opt && opt.keepAspectRatio) {
-        const expansionRate = Math.min(w / cw, h / ch);
-        this.context.drawImage(imageProps.image, spriteX + cx, spriteY + cy, cw, ch, _x, _y, cw * expansionRate, ch * expansionRate);
-      } else {
-        this.context.drawImage(imageProps.image, spriteX + cx, spriteY + cy, cw, ch, _x, _y, w, h);
-      }
-    } else {
-      const w = 'width' in opt ? opt.width : imageProps.size.width;
-      const h = 'height' in opt ? opt.height : imageProps.size.height;
-      const _x = x - w * horizontalRelativeDiff / 2;
-      const _y = y - h * verticalRelativeDiff / 2;
-      if (`keepAspectRatio` in opt && opt.keepAspectRatio) {
-        const expansionRate = Math.min(w / imageProps.size.width, h / imageProps.size.height);
-        this.context.drawImage(imageProps.image, spriteX, spriteY, imageProps.size.width, imageProps.size.height, _x, _y, imageProps.size.width * expansionRate, imageProps.size.height * expansionRate);
-      } else {
-        this.context.drawImage(imageProps.image, spriteX, spriteY, imageProps.size.width, imageProps.size.height, _x, _y, w, h);
-      }
-    }
+  /**
+   * Maximum frames of a tap.
+   */
+  static get TAP_FRAMES() {
+    return 15;
   }
 
   /**
-   * Set global alpha value and draw.
-   * @param {number} alpha global alpha value
-   * @param {function} cb callback function
+   * Maximum moving distance of a tap.
    */
-  setGlobalAlphaAndDraw(alpha, cb) {
-    const _prevAlpha = this.context.globalAlpha;
-    this.context.globalAlpha = Math.min(1.0, Math.max(0.0, alpha));
-    cb();
-    this.context.globalAlpha = _prevAlpha;
+  static get TAP_DISTANCE() {
+    return 10;
   }
 
   /**
-   * Set global composite operation and draw.
-   * @param {string} operation global composite operation
-   * @param {function} cb callback function
+   * Maximum frames of a swipe.
    */
-  setGlobalCompositeOperationAndDraw(operation, cb) {
-    const _prevOperation = this.context.globalCompositeOperation;
-    this.context.globalCompositeOperation = operation;
-    cb();
-    this.context.globalCompositeOperation = _prevOperation;
+  static get SWIPE_FRAMES() {
+    return 30;
   }
 
   /**
-   * Transform and draw.
-   * @param {number} m11 horizontal scaling
-   * @param {number} m12 horizontal skewing
-   * @param {number} m21 vertical skewing
-   * @param {number} m22 vertical scaling
-   * @param {number} dx horizontal moving
-   * @param {number} dy vertical moving
-   * @param {function} cb callback function
+   * Minimum moving distance of a swipe.
    */
-  transformAndDraw(m11, m12, m21, m22, dx, dy, cb) {
-    this.context.save();
-    this.context.transform(m11, m12, m21, m22, dx, dy);
-    cb();
-    this.context.restore();
+  static get SWIPE_DISTANCE() {
+    return 50;
+  }
+
+  // the smallest id used by neither the received contacts nor the contacts of the current frame
+  _freeSlot() {
+    let slot = 0;
+    while (this._raw.has(slot) || this.contacts.has(slot)) slot++;
+    return slot;
   }
 
   /**
-   * Rotate canvas and draw.
-   * @param {number} x x-coordinate of the center of rotation
-   * @param {number} y y-coordinate of the center of rotation
-   * @param {number} angle rotation angle, expressed in radians
-   * @param {function} cb callback function
+   * Listen to the pointer events.
+   * @returns {Pointer} this
    */
-  rotateAndDraw(x, y, angle, cb) {
-    const cosVal = Math.cos(angle);
-    const sinVal = Math.sin(angle);
-    this.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, -x * cosVal - y * sinVal + x, x * sinVal - y * cosVal + y, cb);
+  listen() {
+    this.target.style.touchAction = 'none';
+    [
+      ['pointerdown', e => {
+        if (e.pointerType === 'mouse') return;
+        if (!this._slots.has(e.pointerId)) this._slots.set(e.pointerId, this._freeSlot());
+        this._raw.set(this._slots.get(e.pointerId), Mouse.toCanvasPosition(this.target, e.clientX, e.clientY));
+      }],
+      ['pointermove', e => {
+        if (this._slots.has(e.pointerId)) this._raw.set(this._slots.get(e.pointerId), Mouse.toCanvasPosition(this.target, e.clientX, e.clientY));
+      }]
+    ].forEach(pair => {
+      this.target.addEventListener(pair[0], pair[1], false);
+    });
+    [
+      // the last position is not updated, so that records are the same as the original
+      ['pointerup', e => {
+        this._raw.delete(this._slots.get(e.pointerId));
+        this._slots.delete(e.pointerId);
+      }],
+      ['pointercancel', e => {
+        this._raw.delete(this._slots.get(e.pointerId));
+        this._slots.delete(e.pointerId);
+      }],
+      ['blur', e => {
+        this._raw.clear();
+        this._slots.clear();
+      }]
+    ].forEach(pair => {
+      window.addEventListener(pair[0], pair[1], false);
+    });
+    return this;
   }
 
   /**
-   * Scale canvas and draw.
-   * @param {number} focusX x-coordinate of the center of scaling
-   * @param {number} focusY y-coordinate of the center of scaling
-   * @param {number} scaleX scaling factor in the horizontal direction
-   * @param {number} scaleY scaling factor in the vertical direction
-   * @param {function} cb callback function
+   * Reflect the contacts received from the events.
+   * @returns {Pointer} this
    */
-  scaleAndDraw(focusX, focusY, scaleX, scaleY, cb) {
-    this.transformAndDraw(scaleX, 0, 0, scaleY, focusX * (1 - scaleX), focusY * (1 - scaleY), cb);
+  poll() {
+    this._sync();
+    return this;
   }
 
   /**
-   * Create image pattern.
-   * @param {string} name image name
-   * @param {string} [repetition='repeat'] repetition. (`'repeat'`, `'repeat-x'`, `'repeat-y'`, or `'no-repeat'`)
-   * @returns {CanvasPattern} a pattern
+   * Set the contacts.
+   * @param {Object[]} contacts
+   * @param {number} contacts[].id contact id
+   * @param {number} contacts[].x x-coordinate
+   * @param {number} contacts[].y y-coordinate
+   * @protected
    */
-  createPattern(name, repetition = 'repeat') {
-    return this.context.createPattern(this.imageManager.getImage(name), repetition);
+  _setContacts(contacts) {
+    this._raw = new Map(contacts.map(contact => [contact.id, new Vector2d(contact.x, contact.y)]));
+    this._sync();
   }
 
   /**
-   * Return information about measured text.
-   * @param {string} text text
-   * @param {Object} [opt] options
-   * @param {number} [opt.size] font size [px]
-   * @param {string} [opt.font] font name
-   * @returns {TextMetrics}
+   * Update the contacts and detect gestures.
+   * @protected
    */
-  measureText(text, opt = {}) {
-    if ('size' in opt) this.context.font = `${(this.recentTextOptions.size = opt.size).toString(10)}px ${this.recentTextOptions.font}`;
-    if ('font' in opt) this.context.font = `${this.recentTextOptions.size.toString(10)}px ${this.recentTextOptions.font = opt.font}`;
-    return this.context.measureText(text);
+  _sync() {
+    this._raw.forEach((position, id) => {
+      if (this.contacts.has(id)) {
+        this.contacts.get(id).position = position;
+      } else {
+        this.contacts.set(id, { id, position, start: position, frames: 0, pinched: false });
+        this._down(id);
+      }
+    });
+    [...this.contacts.values()].filter(contact => !this._raw.has(contact.id)).forEach(contact => {
+      const move = contact.position.minus(contact.start);
+      // contacts of a pinch are neither taps nor swipes
+      if (!contact.pinched && contact.frames <= Pointer.TAP_FRAMES && move.norm <= Pointer.TAP_DISTANCE) {
+        this.taps.push(contact.position);
+      } else if (!contact.pinched && contact.frames <= Pointer.SWIPE_FRAMES && move.norm >= Pointer.SWIPE_DISTANCE) {
+        const direction = Math.abs(move.x) >= Math.abs(move.y) ? (move.x > 0 ? Directions.E : Directions.W) : (move.y > 0 ? Directions.S : Directions.N);
+        this.swipes.push({ direction, start: contact.start, end: contact.position });
+      }
+      this.contacts.delete(contact.id);
+      this._up(contact.id);
+      this.released.add(contact.id);
+    });
+    if (this.contacts.size < 2) {
+      this.pinchBase = null;
+    } else if (this.pinchBase === null) {
+      this.pinchBase = this._pinchDistance();
+      this.contacts.forEach(contact => {
+        contact.pinched = true;
+      });
+    }
+  }
+
+  _pinchDistance() {
+    const [first, second] = this.contacts.values();
+    return first.position.distanceTo(second.position);
   }
 
   /**
-   * Convert to string.
-   * @returns {string} a string
+   * Clear contacts.
+   * @protected
    */
-  toString() {
-    return `[Painter2d]`;
+  _clear() {
+    super._clear();
+    this._raw.clear();
+    this._slots.clear();
+    this.contacts.clear();
+    this.pinchBase = null;
   }
-}
 
-/**
- * Class for scene transition.
- * @param {function} data
- */
-class Transition {
-  constructor(data) {
-    this.data = data;
+  /**
+   * Check if the contacts are released now.
+   * @param {...number} ids contact ids
+   * @returns {boolean} `true` if some contacts are released now
+   */
+  isReleased(...ids) {
+    return ids.some(id => this.released.has(id));
   }
 
   /**
-   * Do pattern match.
-   * @param {Object} pattern pattern matcher
-   * @param {function} pattern.stay if Transition.Stay then do this
-   * @param {function} pattern.trans if Transition.Trans then do this
-   * @param {function} pattern.end if Transition.End then do this
-   * @param {function} pattern.reset if Transition.Reset then do this
+   * Get a contact.
+   * @param {number} id contact id
+   * @returns {?Object} contact whose properties are `id`, `position`, `start`, `frames` and `pinched`
    */
-  match(pattern) {
-    return this.data(pattern);
+  getContact(id) {
+    return this.contacts.has(id) ? this.contacts.get(id) : null;
   }
 
   /**
-   * Stay the scene.
-   * @returns {Transition}
+   * Get all contacts in order of touching.
+   * @returns {Object[]} contacts
    */
-  static Stay() {
-    return new Transition(pattern => pattern.stay());
+  getContacts() {
+    return [...this.contacts.values()];
   }
 
   /**
-   * Transition to another scene.
-   * @param {string} nextScene next scene name
-   * @param {Object} [opt] options
-   * @param {number} [opt.counter=0] scene counter when the next scene start
-   * @param {function} [opt.transFunc] transition function
-   * @returns {Transition}
+   * Check if two or more contacts are pinching.
+   * @returns {boolean} `true` if pinching
    */
-  static Trans(nextScene, opt = {}) {
-    const nextCounter = 'counter' in opt ? opt.counter : 0;
-    const transFunc = 'transFunc' in opt ? opt.transFunc : () => true;
-    return new Transition(pattern => pattern.trans(nextScene, nextCounter, transFunc));
+  isPinching() {
+    return this.pinchBase !== null;
   }
 
   /**
-   * End the game.
-   * @returns {Transition}
+   * Get the pinch scale, which is the ratio of the current distance between the first two contacts to the distance when pinching started.
+   * @returns {number} pinch scale (`1` if not pinching)
    */
-  static End() {
-    return new Transition(pattern => pattern.end());
+  getPinchScale() {
+    return this.isPinching() && this.pinchBase > 0 ? this._pinchDistance() / this.pinchBase : 1.0;
   }
 
   /**
-   * Reset the game.
-   * @returns {Transition}
+   * Reset pressed contacts and gestures.
    */
-  static Reset() {
-    return new Transition(pattern => pattern.reset());
+  resetAction() {
+    super.resetAction();
+    this.released.clear();
+    this.taps = [];
+    this.swipes = [];
+    this.contacts.forEach(contact => {
+      contact.frames++;
+    });
   }
 
   /**
@@ -1700,332 +2404,3222 @@ class Transition {
    * @returns {string} a string
    */
   toString() {
-    return this.match({
-      stay: () => `[Transition Stay]`,
-      trans: () => `[Transition Trans]`,
-      end: () => `[Transition End]`,
-      reset: () => `[Transition Reset]`
-    });
+    return `[Pointer ${this.contacts.size}]`;
   }
 }
 
 /**
- * Class representing a game scene.
- * If you want to create new scene, please extend it.
- * @param {string} name scene name
+ * Class for mapping named actions to physical inputs.
+ * A binding is one of the following objects.
+ * - `{ keyboard: code }` key code of {@link Keyboard}
+ * - `{ mouse: button }` mouse button. See {@link MouseButton}
+ * - `{ gamepad: button, pad: index }` gamepad button. See {@link GamepadButton}. If `pad` is omitted, then any gamepad
+ * - `{ gamepadAxis: axis, pad: index }` analog axis of a gamepad (only for axes). If `pad` is omitted, then any gamepad
+ * @param {Object} [obj] bindings
+ * @param {Object.<string, Object[]>} [obj.buttons] bindings of named buttons
+ * @param {Object.<string, Object>} [obj.axes] bindings of named axes
+ * @param {Object[]} [obj.axes[].negative] bindings which make the axis `-1`
+ * @param {Object[]} [obj.axes[].positive] bindings which make the axis `1`
+ * @param {Object[]} [obj.axes[].analog] analog bindings
  */
-class Scene {
-  constructor(name) {
-    /** @member {string} */
-    this.name = name;
+class InputMap {
+  constructor(obj = {}) {
+    this.buttons = new Map();
+    this.axes = new Map();
+    if ('buttons' in obj) {
+      Object.keys(obj.buttons).forEach(name => this.setButton(name, obj.buttons[name]));
+    }
+    if ('axes' in obj) {
+      Object.keys(obj.axes).forEach(name => this.setAxis(name, obj.axes[name]));
+    }
   }
 
   /**
-   * Initialize the state.
-   * @param {State} state previous state
-   * @param {Counters} counters counters
-   * @param {Game} game game itself
-   * @returns {State} initialized state
+   * Parse bindings from JSON.
+   * @param {(string|Object)} json JSON string created by `JSON.stringify(inputMap)`, or the object created by {@link InputMap#toJSON}
+   * @returns {InputMap} new input map
    */
-  init(state, counters, game) {
-    return state;
+  static fromJSON(json) {
+    return new InputMap(typeof json === 'string' ? JSON.parse(json) : json);
   }
 
   /**
-   * Update the state.
-   * @param {State} state previous state
-   * @param {ActionManager} action user inputs
-   * @param {Counters} counters counters
-   * @param {SoundManager} sound sound manager
-   * @param {Game} game game itself
-   * @returns {State} updated state
+   * Check if the binding is valid.
+   * @param {Object} binding binding
+   * @param {boolean} [analog=false] if `true`, then the binding must be analog
+   * @returns {boolean} `true` if valid
    */
-  update(state, action, counters, sound, game) {
-    return state;
+  static isValidBinding(binding, analog = false) {
+    if (analog) return 'gamepadAxis' in binding;
+    return ['keyboard', 'mouse', 'gamepad'].some(device => device in binding);
   }
 
   /**
-   * Draw on the canvas.
-   * @param {State} state previous state
-   * @param {ActionManager} action user inputs
-   * @param {Counters} counters counters
-   * @param {Painter} painter graphics controller
-   * @param {Game} game game itself
+   * Check if two bindings are the same.
+   * @param {Object} binding1 binding
+   * @param {Object} binding2 binding
+   * @returns {boolean} `true` if the same
    */
-  draw(state, action, counters, painter, game) {
-    if (painter.contextType === '2d') {
-      painter.background("#ffffff");
-      painter.text(this.name, painter.width / 2, painter.height / 2, { size: 64, align: 'center', baseline: 'middle' }).fill("#000000");
+  static isSameBinding(binding1, binding2) {
+    return ['keyboard', 'mouse', 'gamepad', 'gamepadAxis', 'pad'].every(key => binding1[key] === binding2[key]);
+  }
+
+  _validate(name, bindings, analog = false) {
+    const invalid = bindings.filter(binding => !InputMap.isValidBinding(binding, analog));
+    if (invalid.length > 0) {
+      Logger.error(`Invalid bindings of ${name}!\n${JSON.stringify(invalid)}`);
     }
+    return bindings.filter(binding => InputMap.isValidBinding(binding, analog)).map(binding => Object.assign({}, binding));
   }
 
   /**
-   * Transition to the next scene.
-   * @param {State} state previous state
-   * @param {ActionManager} action user inputs
-   * @param {Counters} counters counters
-   * @param {Game} game game itself
-   * @returns {Transition} transition
+   * Set bindings of the button.
+   * @param {string} name button name
+   * @param {Object[]} bindings bindings
+   * @returns {InputMap} this
    */
-  transition(state, action, counters, game) {
-    return Transition.Stay();
+  setButton(name, bindings) {
+    this.buttons.set(name, this._validate(name, bindings));
+    return this;
   }
 
   /**
-   * Convert to string.
-   * @returns {string} a string
+   * Set bindings of the axis.
+   * @param {string} name axis name
+   * @param {Object} bindings bindings
+   * @param {Object[]} [bindings.negative] bindings which make the axis `-1`
+   * @param {Object[]} [bindings.positive] bindings which make the axis `1`
+   * @param {Object[]} [bindings.analog] analog bindings
+   * @returns {InputMap} this
    */
-  toString() {
-    return `[Scene ${this.name}]`;
-  }
-}
-
-/**
- * Class representing game scenes.
- * @param {Scene[]} scenes an array of scenes
- */
-class Scenes {
-  constructor(scenes) {
-    this._scenes = new Map();
-    scenes.forEach(scene => this.scenes.set(scene.name, scene));
-  }
-
-  /** @member {Map.<string, Scene>} */
-  get scenes() {
-    return this._scenes;
+  setAxis(name, bindings) {
+    this.axes.set(name, {
+      negative: this._validate(name, 'negative' in bindings ? bindings.negative : []),
+      positive: this._validate(name, 'positive' in bindings ? bindings.positive : []),
+      analog: this._validate(name, 'analog' in bindings ? bindings.analog : [], true)
+    });
+    return this;
   }
 
-  set scenes(scenes) {
-    Logger.fatal("Cannot set Scenes.scenes directly.\nIf you want to set a scene, please use Scenes#addScene(scene).");
+  /**
+   * Add a binding to the button.
+   * @param {string} name button name
+   * @param {Object} binding binding
+   * @returns {InputMap} this
+   */
+  bind(name, binding) {
+    const bindings = this.getButton(name);
+    if (!bindings.some(b => InputMap.isSameBinding(b, binding))) this.setButton(name, [...bindings, binding]);
+    return this;
   }
 
   /**
-   * Add new scene.
-   * @param {Scene} scene new scene
-   * @returns {boolean} If this already has the scene of the same name, returns `false`.
+   * Remove a binding from the button.
+   * @param {string} name button name
+   * @param {Object} binding binding
+   * @returns {InputMap} this
    */
-  addScene(scene) {
-    if (this.hasScene(scene.name)) {
-      return false;
-    } else {
-      this.scenes.set(scene.name, scene);
-      return true;
-    }
+  unbind(name, binding) {
+    this.setButton(name, this.getButton(name).filter(b => !InputMap.isSameBinding(b, binding)));
+    return this;
   }
 
   /**
-   * Check if this has the scene.
-   * @param {string} name the scene name
-   * @returns {boolean} `true` if this has the scene
+   * Replace all bindings of the button with one binding, and remove the binding from other buttons and the axes.
+   * It is useful for an options screen.
+   * @param {string} name button name
+   * @param {Object} binding binding
+   * @returns {InputMap} this
    */
-  hasScene(name) {
-    return this.scenes.has(name);
+  rebind(name, binding) {
+    this.buttons.forEach((bindings, buttonName) => this.unbind(buttonName, binding));
+    this.axes.forEach((bindings, axisName) => this.setAxis(axisName, {
+      negative: bindings.negative.filter(b => !InputMap.isSameBinding(b, binding)),
+      positive: bindings.positive.filter(b => !InputMap.isSameBinding(b, binding)),
+      analog: bindings.analog
+    }));
+    this.setButton(name, [binding]);
+    return this;
   }
 
   /**
-   * Returns the scene.
-   * @param {string} name the scene name
-   * @returns {?Scene} the scene
+   * Get bindings of the button.
+   * @param {string} name button name
+   * @returns {Object[]} bindings
    */
-  getScene(name) {
-    if (this.hasScene(name)) {
-      return this.scenes.get(name);
-    } else {
-      Logger.error(`Scenes has no scene of name ${name}!`);
-      return null;
-    }
+  getButton(name) {
+    return this.buttons.has(name) ? this.buttons.get(name) : [];
   }
 
   /**
-   * Execute function for each scenes.
-   * @param {Scenes~forEach} f callback function
+   * Get bindings of the axis.
+   * @param {string} name axis name
+   * @returns {?Object} bindings
    */
-  forEach(f) {
-    this.scenes.forEach(f);
+  getAxis(name) {
+    return this.axes.has(name) ? this.axes.get(name) : null;
   }
+
   /**
-   * @callback Scenes~forEach
-   * @param {string} key
-   * @param {Scene} value
+   * Convert to an object for JSON.
+   * @returns {Object} bindings
    */
+  toJSON() {
+    const buttons = {};
+    const axes = {};
+    this.buttons.forEach((bindings, name) => {
+      buttons[name] = bindings;
+    });
+    this.axes.forEach((bindings, name) => {
+      axes[name] = bindings;
+    });
+    return { buttons, axes };
+  }
 
   /**
    * Convert to string.
    * @returns {string} a string
    */
   toString() {
-    return `[Scenes]`;
+    return `[InputMap ${this.buttons.size}|${this.axes.size}]`;
   }
 }
 
 /**
- * Enum for logging level.
- * @readonly
- * @enum {number}
+ * Class for manageing several inputs.
+ * @param {EventTarget} target mouse event target
+ * @param {(InputMap|Object)} [inputMap] bindings of named actions. See {@link InputMap}
  */
-const LogLevel = {
+class ActionManager {
+  constructor(target, inputMap = new InputMap()) {
+    this.target = target;
+    this.keyboard = new Keyboard();
+    this.mouse = new Mouse(target);
+    this.pointer = new Pointer(target);
+    /** @member {Gamepad[]} */
+    this.gamepads = Array.from({ length: ActionManager.GAMEPADS }, (_, i) => new Gamepad(i));
+    /** @member {InputMap} */
+    this.inputMap = inputMap instanceof InputMap ? inputMap : new InputMap(inputMap);
+  }
+
   /**
-   * Logger.fatal or Logger.error
-   * @member {number}
+   * Maximum number of gamepads.
    */
-  ONLY_ERROR: 0b00011,
+  static get GAMEPADS() {
+    return 4;
+  }
+
   /**
-   * Logger.fatal, Logger.error or Logger.info
-   * @member {number}
+   * Listen to the events.
+   * @returns {ActionManager} this
    */
-  OPTIMISM: 0b01011,
+  listen() {
+    this.keyboard.listen();
+    this.mouse.listen();
+    this.pointer.listen();
+    this.gamepads.forEach(gamepad => gamepad.listen());
+    return this;
+  }
+
   /**
-   * Logger.fatal, Logger.error, Logger.warn or Logger.info
-   * @member {number}
+   * Read the current states of the devices which must be polled.
    */
-  NORMAL: 0b01111,
+  poll() {
+    this.pointer.poll();
+    this.gamepads.forEach(gamepad => gamepad.poll());
+  }
+
   /**
-   * All logs
-   * @member {number}
+   * Reset pressed keys and buttons.
    */
-  DEBUG: 0b11111
-};
-Object.freeze(LogLevel);
+  resetAction() {
+    this.keyboard.resetAction();
+    this.mouse.resetAction();
+    this.pointer.resetAction();
+    this.gamepads.forEach(gamepad => gamepad.resetAction());
+  }
 
-/**
- * Namespace for logging.
- * @namespace
- */
-const Logger = {
-  FATAL_STYLE: 'color: #903; background-color: #f99;',
-  ERROR_STYLE: 'color: #f00; background-color: #fcc;',
-  WARNING_STYLE: 'color: #f50; background-color: #fec;',
-  INFO_STYLE: 'color: #090; background-color: #cfc;',
-  DEBUG_STYLE: 'color: #00f; background-color: #ccf;',
-  BOLD_STYLE: 'font-weight: bold;',
-  NORMAL_STYLE: 'font-weight: normal;',
-  ITALIC_STYLE: 'font-style: italic',
-  _game: null,
-  _level: LogLevel.NORMAL,
   /**
-   * Log fatal error and force to exit.
-   * @param {...string} msg messages
+   * Get the gamepads which the binding refers to.
+   * @param {Object} binding binding
+   * @returns {Gamepad[]} gamepads
+   * @protected
    */
-  fatal: (...msg) => {
-    if (Logger._level & 0b00001) {
-      console.groupCollapsed('%c[Fatal]%c' + msg.join('\n'), Logger.FATAL_STYLE + Logger.BOLD_STYLE, Logger.FATAL_STYLE + Logger.NORMAL_STYLE);
-      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
-      console.groupEnd();
-      if (Logger._game !== null) {
-        Logger._game.sendLog(msg, Logger.FATAL_STYLE);
-      }
+  _boundGamepads(binding) {
+    return 'pad' in binding ? this.gamepads.filter(gamepad => gamepad.index === binding.pad) : this.gamepads;
+  }
 
-      throw new Error('Some fatal error occurred. See error messages.');
-    }
-  },
   /**
-   * Log error but do nothing else.
-   * @param {...string} msg messages
+   * Check the binding.
+   * @param {Object} binding binding
+   * @param {string} method `'isDown'` or `'isPressed'`
+   * @returns {boolean} `true` if the binding is active
+   * @protected
    */
-  error: (...msg) => {
-    if (Logger._level & 0b00010) {
-      console.groupCollapsed('%c[Error]%c' + msg.join('\n'), Logger.ERROR_STYLE + Logger.BOLD_STYLE, Logger.ERROR_STYLE + Logger.NORMAL_STYLE);
-      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
-      console.groupEnd();
-      if (Logger._game !== null) {
-        Logger._game.sendLog(msg, Logger.ERROR_STYLE);
-      }
-    }
-  },
+  _checkBinding(binding, method) {
+    if ('keyboard' in binding) return this.keyboard[method](binding.keyboard);
+    if ('mouse' in binding) return this.mouse[method](binding.mouse);
+    if ('gamepad' in binding) return this._boundGamepads(binding).some(gamepad => gamepad[method](binding.gamepad));
+    return false;
+  }
+
   /**
-   * Log warning.
-   * @param {...string} msg messages
+   * Check if the named buttons are being pressed.
+   * @param {...string} names button names. See {@link InputMap}
+   * @returns {boolean} `true` if some buttons are being pressed
    */
-  warn: (...msg) => {
-    if (Logger._level & 0b00100) {
-      console.groupCollapsed('%c[Warning]%c' + msg.join('\n'), Logger.WARNING_STYLE + Logger.BOLD_STYLE, Logger.WARNING_STYLE + Logger.NORMAL_STYLE);
-      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
-      console.groupEnd();
-      if (Logger._game !== null) {
-        Logger._game.sendLog(msg, Logger.WARNING_STYLE);
-      }
-    }
-  },
+  isDown(...names) {
+    return names.some(name => this.inputMap.getButton(name).some(binding => this._checkBinding(binding, 'isDown')));
+  }
+
   /**
-   * Log information.
-   * For confirmation or testing, use Logger.debug.
-   * @param {...string} msg messages
+   * Check if the named buttons begin to be pressed now.
+   * @param {...string} names button names. See {@link InputMap}
+   * @returns {boolean} `true` if some buttons begin to be pressed now
    */
-  info: (...msg) => {
-    if (Logger._level & 0b01000) {
-      console.groupCollapsed('%c[Info]%c' + msg.join('\n'), Logger.INFO_STYLE + Logger.BOLD_STYLE, Logger.INFO_STYLE + Logger.NORMAL_STYLE);
-      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
-      console.groupEnd();
-      if (Logger._game !== null) {
-        Logger._game.sendLog(msg, Logger.INFO_STYLE);
-      }
-    }
-  },
+  isPressed(...names) {
+    return names.some(name => this.inputMap.getButton(name).some(binding => this._checkBinding(binding, 'isPressed')));
+  }
+
   /**
-   * Log debug message.
-   * @param {...string} msg messages
+   * Get the value of the named axis.
+   * Digital bindings give `-1` or `1`, and the analog binding with the largest magnitude is added to them.
+   * @param {string} name axis name. See {@link InputMap}
+   * @returns {number} value in [-1, 1]
    */
-  debug: (...msg) => {
-    if (Logger._level & 0b10000) {
-      console.groupCollapsed('%c[Debug]%c' + msg.join('\n'), Logger.DEBUG_STYLE + Logger.BOLD_STYLE, Logger.DEBUG_STYLE + Logger.NORMAL_STYLE);
-      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
-      console.groupEnd();
-      if (Logger._game !== null) {
-        Logger._game.sendLog(msg, Logger.DEBUG_STYLE);
-      }
-    }
-  },
+  getAxis(name) {
+    const axis = this.inputMap.getAxis(name);
+    if (axis === null) return 0;
+    const isDown = bindings => bindings.some(binding => this._checkBinding(binding, 'isDown'));
+    const digital = (isDown(axis.positive) ? 1 : 0) - (isDown(axis.negative) ? 1 : 0);
+    const analog = axis.analog
+      .map(binding => this._boundGamepads(binding).map(gamepad => gamepad.getAxis(binding.gamepadAxis)))
+      .reduce((acc, values) => acc.concat(values), [])
+      .reduce((acc, value) => Math.abs(value) > Math.abs(acc) ? value : acc, 0);
+    return Math.max(-1, Math.min(1, digital + analog));
+  }
+
   /**
-   * Set game to cooperate each other.
-   * @param {Game} game
+   * Get a binding of the key or the button which begins to be pressed now.
+   * It is useful to rebind the button on an options screen.
+   * @returns {?Object} binding. See {@link InputMap}
    */
-  setGame: (game) => {
-    Logger._game = game;
-  },
+  getPressedBinding() {
+    if (this.keyboard.pressed.size > 0) return { keyboard: this.keyboard.pressed.values().next().value };
+    if (this.mouse.pressed.size > 0) return { mouse: this.mouse.pressed.values().next().value };
+    const gamepad = this.gamepads.find(gamepad => gamepad.pressed.size > 0);
+    if (gamepad !== undefined) return { gamepad: gamepad.pressed.values().next().value, pad: gamepad.index };
+    return null;
+  }
+
   /**
-   * Set log level.
-   * @param {LogLevel} level
+   * Convert to string.
+   * @returns {string} a string
    */
-  setLogLevel: (level) => {
-    Logger._level = level;
+  toString() {
+    return `[ActionManager]`;
   }
-};
+}
 
 /**
- * Key code bi-direction map.
- * @namespace
+ * Class for loading assets with progress reports.
+ * Each asset property may have the following parameters.
+ * - `optional` if `true`, then the asset is skipped when it cannot be loaded
+ * - `retry` number of retries before the asset is given up
+ * @param {Object} [opt] options
+ * @param {function(Object)} [opt.onProgress] function called with {@link AssetLoader#progress} every time an asset makes progress
  */
-const KeycodeBiDiMap = (() => {
-  const nameToCode = new Map();
-  const codeToName = new Map();
-  const register = (name, code) => {
-    if (nameToCode.has(name) || codeToName.has(code)) Logger.fatal('key code duplicated!');
-    nameToCode.set(name, code);
-    codeToName.set(code, name);
-  };
+class AssetLoader {
+  constructor(opt = {}) {
+    this.onProgress = 'onProgress' in opt ? opt.onProgress : () => {};
+    this.reset();
+  }
 
-  const keycodeTable = {
-    BackSpace: 8,
-    Tab: 9,
-    Enter: 13,
-    ShiftLeft: 14,
-    ControlLeft: 15,
-    ShiftRight: 16,
-    ControlRight: 17,
-    AltLeft: 18,
-    AltRight: 19,
-    CapsLock: 20,
-    Escape: 27,
-    Space: 32,
-    ArrowLeft: 37,
-    ArrowUp: 38,
-    ArrowRight: 39,
-    ArrowDown: 40,
-    Digit0: 48,
-    Digit1: 49,
-    Digit2: 50,
-    Digit3: 51,
-    Digit4: 52,
+  /**
+   * Check if assets can be fetched with byte progress.
+   * @returns {boolean} `true` if `fetch` is available
+   */
+  static canFetch() {
+    return typeof fetch === 'function' && !(typeof location !== 'undefined' && location.protocol === 'file:');
+  }
+
+  /**
+   * Fetch an asset and report received bytes.
+   * @param {string} src source path
+   * @param {string} [type='arrayBuffer'] `'arrayBuffer'`, `'blob'`, `'text'` or `'json'`
+   * @param {function(number, number)} [onBytes] function called with loaded bytes and total bytes (`0` if unknown)
+   * @returns {Promise} promise of the fetched data
+   */
+  static fetch(src, type = 'arrayBuffer', onBytes = () => {}) {
+    return fetch(src).then(res => {
+      if (!res.ok) return Promise.reject(new Error(`${res.status} ${res.statusText}`));
+      const total = Number(res.headers.get('Content-Length')) || 0;
+      if (!res.body || !res.body.getReader) {
+        return res[type]().then(data => {
+          onBytes(total, total);
+          return data;
+        });
+      }
+      const reader = res.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      const read = () => reader.read().then(chunk => {
+        if (chunk.done) {
+          const blob = new Blob(chunks, { type: res.headers.get('Content-Type') || '' });
+          return type === 'blob' ? blob : new Response(blob)[type]();
+        }
+        chunks.push(chunk.value);
+        loaded += chunk.value.length;
+        onBytes(loaded, total);
+        return read();
+      });
+      return read();
+    });
+  }
+
+  /**
+   * Current progress.
+   * @type {Object}
+   * @property {number} loaded number of finished assets including skipped ones
+   * @property {number} total number of requested assets
+   * @property {number} bytesLoaded received bytes
+   * @property {number} bytesTotal total bytes known so far
+   * @property {number} ratio ratio of finished assets
+   * @property {string[]} skipped source paths of skipped assets
+   * @property {?string} src source path of the asset which made progress last
+   */
+  get progress() {
+    const bytes = Array.from(this.bytes.values());
+    return Object.freeze({
+      loaded: this.loaded,
+      total: this.total,
+      bytesLoaded: bytes.reduce((acc, b) => acc + b.loaded, 0),
+      bytesTotal: bytes.reduce((acc, b) => acc + b.total, 0),
+      ratio: this.total === 0 ? 1.0 : this.loaded / this.total,
+      skipped: this.skipped.slice(),
+      src: this.src
+    });
+  }
+
+  /**
+   * Reset the progress.
+   * @returns {AssetLoader} this
+   */
+  reset() {
+    this.loaded = 0;
+    this.total = 0;
+    this.bytes = new Map();
+    this.skipped = [];
+    this.src = null;
+    return this;
+  }
+
+  _notify(src) {
+    this.src = src;
+    this.onProgress(this.progress);
+  }
+
+  /**
+   * Load an asset following its retry and skip policies.
+   * @param {Object} prop asset property
+   * @param {string} prop.src source path
+   * @param {boolean} [prop.optional=false] if `true`, then the asset is skipped when it cannot be loaded
+   * @param {number} [prop.retry=0] number of retries
+   * @param {function(function(number, number)): Promise} load function which loads the asset. It receives the function to report bytes
+   * @returns {Promise} promise of the loaded asset. It is resolved with `null` if the asset is skipped, and rejected with an error naming the source path if it fails
+   */
+  loadAsset(prop, load) {
+    const retry = 'retry' in prop ? prop.retry : 0;
+    const onBytes = (loaded, total) => {
+      this.bytes.set(prop.src, { loaded, total });
+      this._notify(prop.src);
+    };
+    const attempt = count => load(onBytes).catch(err => {
+      if (count >= retry) return Promise.reject(err);
+      Logger.warn(`Retry loading ${prop.src} (${count + 1}/${retry})`);
+      return attempt(count + 1);
+    });
+
+    this.total++;
+    return attempt(0).then(asset => {
+      this.loaded++;
+      this._notify(prop.src);
+      return asset;
+    }, err => {
+      const reason = err instanceof Error ? err.message : String(err);
+      if ('optional' in prop && prop.optional) {
+        Logger.warn(`Skipped optional asset ${prop.src}: ${reason}`);
+        this.skipped.push(prop.src);
+        this.loaded++;
+        this._notify(prop.src);
+        return null;
+      }
+      return Promise.reject(new Error(`Failed to load ${prop.src}: ${reason}`));
+    });
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[AssetLoader ${this.loaded}/${this.total}]`;
+  }
+}
+
+/**
+ * Enum for sound types.
+ * @readonly
+ * @enum {number}
+ */
+const SoundType = {
+  /** @member {number} */
+  BGM: 2048,
+  /** @member {number} */
+  SE: 4096,
+  /** @member {number} */
+  UNKNOWN: -1
+};
+
+Object.freeze(SoundType);
+
+/**
+ * Class for manageing BGMs and SEs.
+ * @param {Object[]} sounds sound properties
+ * @param {string} sounds[].name name of sound
+ * @param {string} sounds[].src source path of sound
+ * @param {SoundType} sounds[].type sound type
+ * @param {boolean} [sounds[].loop=false] whether the sound should loops or not
+ * @param {number} [sounds[].loopStart=0.0] time in seconds where the loop begins. The section before it is played only once as an intro
+ * @param {number} [sounds[].loopEnd] time in seconds where the loop ends. If it is omitted, then the end of the sound.
+ * Loop points are sample-accurate only with {@link WebAudioSoundManager}
+ * @param {boolean} [sounds[].optional=false] if `true`, then the sound is skipped when it cannot be loaded. See {@link AssetLoader}
+ * @param {number} [sounds[].retry=0] number of retries
+ * @param {number} [maxPlaySE=32] maximum number of simultaneously playing se
+ */
+class SoundManager {
+  constructor(sounds, maxPlaySE = 32) {
+    if (sounds.every(sound => ['name', 'src', 'type'].every(param => param in sound))) {
+      this.sounds = new Map();
+      this.BGMs = new Map();
+      this.SEs = new Map();
+
+      /** @member {string[]} */
+      this.BGMList = sounds.filter(sound => sound.type === SoundType.BGM).map(sound => sound.name);
+      /** @member {string[]} */
+      this.SEList = sounds.filter(sound => sound.type === SoundType.SE).map(sound => sound.name);
+
+      this.maxPlaySE = maxPlaySE;
+      this.currentPlaySE = 0;
+      this.currentPlayBGM = null;
+
+      /** @member {number} */
+      this.BGMVolume = 1.0;
+      /** @member {number} */
+      this.SEVolume = 1.0;
+
+      this._debugMode = false;
+      this._silent = null;
+
+      sounds.forEach(sound => {
+        const soundProp = {
+          name: sound.name,
+          src: sound.src,
+          audio: null,
+          loop: 'loop' in sound ? sound.loop : false,
+          loopStart: 'loopStart' in sound ? Math.max(0.0, sound.loopStart) : 0.0,
+          loopEnd: 'loopEnd' in sound ? sound.loopEnd : null,
+          playing: 0,
+          fade: null,
+          optional: 'optional' in sound ? sound.optional : false,
+          retry: 'retry' in sound ? sound.retry : 0
+        };
+        if (soundProp.loopEnd !== null && soundProp.loopEnd <= soundProp.loopStart) {
+          Logger.error(`Invalid loop points of ${sound.name}!\nloopStart: ${soundProp.loopStart}, loopEnd: ${soundProp.loopEnd}`);
+          soundProp.loopStart = 0.0;
+          soundProp.loopEnd = null;
+        }
+        this.sounds.set(sound.name, soundProp);
+        if (sound.type === SoundType.BGM) {
+          this.BGMs.set(sound.name, soundProp);
+        } else if (sound.type === SoundType.SE) {
+          this.SEs.set(sound.name, soundProp);
+        }
+      });
+    } else {
+      Logger.fatal("SoundManager requires sound properties of 'name', 'src' and 'type'");
+    }
+  }
+
+  /**
+   * Get volume.
+   * @param {SoundType} type sound type
+   * @returns {number} setted volume
+   */
+  getVolume(type) {
+    if (type === SoundType.BGM) {
+      return this.BGMVolume;
+    } else if (type === SoundType.SE) {
+      return this.SEVolume;
+    } else {
+      return -1;
+    }
+  }
+
+  /**
+   * Set volume.
+   * @param {SoundType} type sound type
+   * @param {number} vol volume
+   * @returns {number} actually setted volume (-1 if Failed)
+   */
+  setVolume(type, vol) {
+    if (type === SoundType.BGM) {
+      return this.BGMVolume = Math.min(1.0, Math.max(0.0, vol));
+    } else if (type === SoundType.SE) {
+      return this.SEVolume = Math.min(1.0, Math.max(0.0, vol));
+    } else {
+      return -1;
+    }
+  }
+
+  /**
+   * Switch to debug mode.
+   * @param {boolean} flag
+   */
+  setDebugMode(flag) {
+    this._debugMode = flag;
+  }
+
+  /**
+   * Load all sounds.
+   * Loading errors of audio elements are reported after the promise is resolved, because they are found only when playing.
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @param {string[]} [names] names of the sounds to load. If it is omitted, then all sounds
+   * @returns {Promise}
+   */
+  load(loader = new AssetLoader(), names = Array.from(this.sounds.keys())) {
+    return Promise.all(names.filter(name => this.sounds.has(name)).map(name => this.sounds.get(name)).map(soundProp => loader.loadAsset(soundProp, () => new Promise((res, rej) => {
+      if (soundProp.audio === null) {
+        const audio = new Audio(soundProp.src);
+        audio.addEventListener('error', () => {
+          Logger.error(`Failed to load ${soundProp.src}`);
+        });
+        audio.loop = soundProp.loop && soundProp.loopStart === 0.0 && soundProp.loopEnd === null;
+        if (soundProp.loop && !audio.loop) {
+          audio.addEventListener('timeupdate', () => {
+            if (soundProp.loopEnd !== null && audio.currentTime >= soundProp.loopEnd)
+              audio.currentTime = soundProp.loopStart + audio.currentTime - soundProp.loopEnd;
+          });
+          audio.addEventListener('ended', () => {
+            audio.currentTime = soundProp.loopStart;
+            audio.play();
+          });
+        }
+        audio.load();
+        soundProp.audio = audio;
+      }
+      res(null);
+    })))).then(() => new Promise((res, rej) => {
+      if (this._silent !== null) return res(null);
+      let tmp = __SCRIPT_PATH__.split('/');
+      tmp[tmp.length - 1] = 'silent.wav';
+      this._silent = new Audio(tmp.join('/'));
+      this._silent.loop = true;
+      this._silent.load();
+      this._silent.volume = 0.1;
+      this._silent.play();
+      res(null);
+    }));
+  }
+
+  /**
+   * Unload sounds to free their memory. The playing BGM is not unloaded.
+   * @param {string[]} names names of the sounds to unload
+   */
+  unload(names) {
+    names.filter(name => this.sounds.has(name)).map(name => this.sounds.get(name))
+      .filter(soundProp => soundProp !== this.currentPlayBGM && soundProp.audio !== null)
+      .forEach(soundProp => {
+        this._cancelFade(soundProp);
+        soundProp.audio.pause();
+        soundProp.audio = null;
+      });
+  }
+
+  /**
+   * Play SE.
+   * @param {string} name SE name
+   * @param {Object} [opt] options
+   * @param {number} [opt.time=0.0] start time
+   * @param {number} [opt.volume] volume
+   * @param {number} [opt.speed=1.0] playing speed
+   * @param {number} [opt.maxPlay] maximum number of simultaneously playing this SE
+   */
+  playSE(name, opt = {}) {
+    if (this.SEs.has(name)) {
+      const se = this.SEs.get(name);
+      const maxPlayTheSE = 'maxPlay' in opt ? opt.maxPlay : this.maxPlaySE;
+      if (se.audio === null) {
+        Logger.fatal('Please load before playing!');
+      } else if (this.currentPlaySE >= this.maxPlaySE || se.playing >= maxPlayTheSE) {
+        Logger.warn(`Too many SEs are playing!\nSE: ${name}`);
+      } else {
+        const se0 = new Audio(se.src);
+
+        se0.currentTime = 'time' in opt ? opt.time : 0.0;
+        se0.volume = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : this.SEVolume;
+        se0.playbackRate = 'speed' in opt ? opt.speed : 1.0;
+
+        this.currentPlaySE++;
+        se.playing++;
+
+        se0.addEventListener('loadedmetadata', () => {
+          if (this._debugMode) {
+            Logger.debug(`play se: ${name}`);
+          } else {
+            se0.play();
+          }
+          window.setTimeout(() => {
+            this.currentPlaySE--;
+            se.playing--;
+          }, se0.duration * 1000 + 96);
+        });
+        se0.load();
+      }
+    } else {
+      Logger.error(`There is no SE of name ${name}!`);
+    }
+  }
+
+  /**
+   * Change the volume of the sound gradually.
+   * @param {Object} soundProp sound property
+   * @param {number} volume target volume
+   * @param {number} duration fading duration in seconds
+   * @param {function} [callback] function called when fading ends
+   * @protected
+   */
+  _fadeAudio(soundProp, volume, duration, callback = () => {}) {
+    const audio = soundProp.audio;
+    const from = audio.volume;
+    const start = Date.now();
+    this._cancelFade(soundProp);
+    soundProp.fade = window.setInterval(() => {
+      const t = Math.min(1.0, (Date.now() - start) / (duration * 1000));
+      audio.volume = from + (volume - from) * t;
+      if (t >= 1.0) {
+        this._cancelFade(soundProp);
+        callback();
+      }
+    }, 16);
+  }
+
+  /**
+   * Cancel fading of the sound.
+   * @param {Object} soundProp sound property
+   * @protected
+   */
+  _cancelFade(soundProp) {
+    if (soundProp.fade !== null) {
+      window.clearInterval(soundProp.fade);
+      soundProp.fade = null;
+    }
+  }
+
+  /**
+   * Play BGM.
+   * @param {string} name BGM name
+   * @param {Object} [opt] options
+   * @param {number} [opt.time] start time
+   * @param {number} [opt.volume] volume
+   * @param {number} [opt.speed=1.0] playing speed
+   * @param {number} [opt.fade=0.0] duration of crossfading from the playing BGM in seconds
+   */
+  playBGM(name, opt = {}) {
+    if (this.BGMs.has(name)) {
+      const bgm = this.BGMs.get(name);
+      if (bgm.audio === null) {
+        Logger.fatal('Please load before playing!');
+      } else if (this.currentPlayBGM === null || this.currentPlayBGM.name !== name) {
+        const fade = 'fade' in opt ? Math.max(0.0, opt.fade) : 0.0;
+        const volume = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : this.BGMVolume;
+        this._cancelFade(bgm);
+        bgm.audio.currentTime = 'time' in opt ? opt.time : bgm.audio.currentTime;
+        bgm.audio.volume = fade > 0.0 ? 0.0 : volume;
+        bgm.audio.playbackRate = 'speed' in opt ? opt.speed : 1.0;
+
+        this.fadeOutBGM(fade);
+        this.currentPlayBGM = bgm;
+        if (this._debugMode) {
+          Logger.debug(`play bgm: ${name}`);
+        } else {
+          bgm.audio.play();
+          if (fade > 0.0) this._fadeAudio(bgm, volume, fade);
+        }
+      }
+    } else {
+      Logger.error(`There is no BGM of name ${name}!`);
+    }
+  }
+
+  /**
+   * Change BGM parameters.
+   * @param {Object} param parameters
+   * @param {number} [param.time] start time
+   * @param {number} [param.volume] volume
+   * @param {number} [param.speed] playing speed
+   */
+  changeBGMParams(param) {
+    if (this.isPlayingBGM()) {
+      if ('volume' in param)
+        this._cancelFade(this.currentPlayBGM);
+      if ('time' in param)
+        this.currentPlayBGM.audio.currentTime = param.time;
+      if ('volume' in param)
+        this.currentPlayBGM.audio.volume = Math.min(1.0, Math.max(0.0, param.volume))
+      if ('speed' in param)
+        this.currentPlayBGM.audio.playbackRate = param.speed;
+    }
+  }
+
+  /**
+   * Pause playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then pause playing BGM.
+   */
+  pauseBGM(name) {
+    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      this._cancelFade(this.currentPlayBGM);
+      if (this._debugMode) {
+        Logger.debug('pause bgm');
+      } else {
+        this.currentPlayBGM.audio.pause();
+      }
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Stop playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then stop playing BGM.
+   */
+  stopBGM(name) {
+    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      this._cancelFade(this.currentPlayBGM);
+      if (this._debugMode) {
+        Logger.debug('stop bgm');
+      } else {
+        this.currentPlayBGM.audio.pause();
+      }
+      this.currentPlayBGM.audio.currentTime = 0.0;
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Fade out and stop playing BGM.
+   * @param {number} duration fading duration in seconds. If it is `0`, then stop immediately
+   */
+  fadeOutBGM(duration) {
+    if (duration <= 0.0) {
+      this.stopBGM();
+    } else if (this.isPlayingBGM()) {
+      const bgm = this.currentPlayBGM;
+      if (this._debugMode) {
+        Logger.debug('fade out bgm');
+        bgm.audio.currentTime = 0.0;
+      } else {
+        this._fadeAudio(bgm, 0.0, duration, () => {
+          bgm.audio.pause();
+          bgm.audio.currentTime = 0.0;
+        });
+      }
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Fade playing BGM. It must be called every frame while fading.
+   * @deprecated Please use the `fade` option of {@link SoundManager#playBGM} or {@link SoundManager#fadeOutBGM}.
+   * @param {number} duration fading duration
+   * @param {number} time current time from start fading
+   * @param {boolean} [out=true] `true` if fading out
+   * @returns {number} current BGM volume
+   */
+  fadeBGM(duration, time, out = true) {
+    const volume = this.BGMVolume * (out ? 1 - time / duration : time / duration);
+    this.changeBGMParams({ volume });
+    if (volume <= 0) this.stopBGM();
+    return Math.min(1.0, Math.max(0.0, volume));
+  }
+
+  /**
+   * Check if there is any playing BGM.
+   * @returns {boolean} `true` if any BGM is playing now
+   */
+  isPlayingBGM() {
+    return this.currentPlayBGM !== null;
+  }
+
+  /**
+   * Convert ID to sound name. Please use it for sound test.
+   * @param {number} id id
+   * @param {SoundType} type sound type
+   * @returns {string} sound name
+   */
+  getNameFromID(id, type) {
+    if (type === SoundType.BGM) {
+      return this.BGMList[id - Math.floor(id / this.BGMList.length)];
+    } else if (type === SoundType.SE) {
+      return this.SEList[id - Math.floor(id / this.SEList.length)];
+    } else {
+      return '';
+    }
+  }
+
+  /**
+   * Reset
+   */
+  reset() {
+    this.stopBGM();
+    this.setVolume(SoundType.BGM, 1.0);
+    this.setVolume(SoundType.SE, 1.0);
+  }
+
+  /**
+   * Finalize sound manager.
+   */
+  finalize() {
+    this.stopBGM();
+    if (this._silent !== null) this._silent.pause();
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[SoundManager (${this.BGMs.size}, ${this.SEs.size})]`;
+  }
+}
+
+const __SCRIPT_PATH__ = (() => {
+  if (typeof document === 'undefined') return null;
+  if (document.currentScript) return document.currentScript.src;
+  const scripts = document.getElementsByTagName('script');
+  const script = scripts[scripts.length - 1];
+  if (script.src) return script.src;
+})();
+
+/**
+ * Class for manageing BGMs and SEs without playing any sound.
+ * It is used for headless games, and keeps the same states as {@link SoundManager}.
+ * @param {Object[]} sounds sound properties. See {@link SoundManager}
+ * @param {number} [maxPlaySE=32] maximum number of simultaneously playing se
+ */
+class NullSoundManager extends SoundManager {
+  constructor(sounds, maxPlaySE = 32) {
+    super(sounds, maxPlaySE);
+  }
+
+  /**
+   * Load nothing.
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @param {string[]} [names] names of the sounds to load
+   * @returns {Promise}
+   */
+  load(loader = new AssetLoader(), names = []) {
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Play nothing but check the SE name.
+   * @param {string} name SE name
+   * @param {Object} [opt] options
+   */
+  playSE(name, opt = {}) {
+    if (!this.SEs.has(name)) {
+      Logger.error(`There is no SE of name ${name}!`);
+    }
+  }
+
+  /**
+   * Set BGM as playing one.
+   * @param {string} name BGM name
+   * @param {Object} [opt] options
+   */
+  playBGM(name, opt = {}) {
+    if (this.BGMs.has(name)) {
+      this.currentPlayBGM = this.BGMs.get(name);
+    } else {
+      Logger.error(`There is no BGM of name ${name}!`);
+    }
+  }
+
+  /**
+   * Do nothing.
+   * @param {Object} param parameters
+   */
+  changeBGMParams(param) {}
+
+  /**
+   * Pause playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then pause playing BGM.
+   */
+  pauseBGM(name) {
+    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Stop playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then stop playing BGM.
+   */
+  stopBGM(name) {
+    this.pauseBGM(name);
+  }
+
+  /**
+   * Stop playing BGM without fading.
+   * @param {number} duration fading duration in seconds
+   */
+  fadeOutBGM(duration) {
+    this.stopBGM();
+  }
+
+  /**
+   * Finalize sound manager.
+   */
+  finalize() {
+    this.stopBGM();
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[NullSoundManager (${this.BGMs.size}, ${this.SEs.size})]`;
+  }
+}
+
+/**
+ * Class for manageing BGMs and SEs with Web Audio API.
+ * Each sound is decoded only once, and BGMs and SEs are played through the gain nodes of their sound types.
+ * Volumes given as options are relative to the volume of the sound type.
+ * @param {Object[]} sounds sound properties. See {@link SoundManager}
+ * @param {number} [maxPlaySE=32] maximum number of simultaneously playing se
+ */
+class WebAudioSoundManager extends SoundManager {
+  constructor(sounds, maxPlaySE = 32) {
+    super(sounds, maxPlaySE);
+
+    /** @member {AudioContext} */
+    this.context = new (window.AudioContext || window.webkitAudioContext)();
+    this.gains = new Map([SoundType.BGM, SoundType.SE].map(type => {
+      const gain = this.context.createGain();
+      gain.gain.value = this.getVolume(type);
+      gain.connect(this.context.destination);
+      return [type, gain];
+    }));
+
+    this.sounds.forEach(soundProp => {
+      Object.assign(soundProp, {
+        buffer: null,
+        source: null,
+        gain: null,
+        offset: 0.0,
+        startedAt: 0.0,
+        speed: 1.0,
+        unloading: false
+      });
+    });
+    this.BGMs.forEach(bgm => {
+      bgm.gain = this.context.createGain();
+      bgm.gain.connect(this.gains.get(SoundType.BGM));
+    });
+  }
+
+  /**
+   * Check if Web Audio API is available.
+   * @returns {boolean} `true` if available
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && ('AudioContext' in window || 'webkitAudioContext' in window);
+  }
+
+  /**
+   * Current time of the audio context in seconds.
+   * @type {number}
+   */
+  get currentTime() {
+    return this.context.currentTime;
+  }
+
+  /**
+   * Set volume.
+   * @param {SoundType} type sound type
+   * @param {number} vol volume
+   * @returns {number} actually setted volume (-1 if Failed)
+   */
+  setVolume(type, vol) {
+    const volume = super.setVolume(type, vol);
+    if (this.gains.has(type)) this.gains.get(type).gain.value = volume;
+    return volume;
+  }
+
+  /**
+   * Resume the audio context at the first user gesture, because browsers suspend it until then.
+   * @protected
+   */
+  _unlock() {
+    if (typeof document === 'undefined') return;
+    const unlock = () => {
+      if (this.context.state === 'suspended') this.context.resume();
+      ['pointerdown', 'keydown', 'touchend'].forEach(type => document.removeEventListener(type, unlock));
+    };
+    ['pointerdown', 'keydown', 'touchend'].forEach(type => document.addEventListener(type, unlock));
+  }
+
+  /**
+   * Load and decode all sounds.
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @param {string[]} [names] names of the sounds to load. If it is omitted, then all sounds
+   * @returns {Promise} promise rejected with an error naming the source path of the failing sound
+   */
+  load(loader = new AssetLoader(), names = Array.from(this.sounds.keys())) {
+    this._unlock();
+    return Promise.all(names.filter(name => this.sounds.has(name)).map(name => this.sounds.get(name)).map(soundProp => {
+      soundProp.unloading = false;
+      if (soundProp.buffer !== null) return null;
+      return loader.loadAsset(soundProp, onBytes => AssetLoader.fetch(soundProp.src, 'arrayBuffer', onBytes)
+        .then(data => new Promise((res, rej) => this.context.decodeAudioData(data, res, () => rej(new Error('The sound cannot be decoded'))))))
+        .then(buffer => {
+          soundProp.buffer = buffer;
+        });
+    })).then(() => null);
+  }
+
+  /**
+   * Unload sounds to free their memory. The playing BGM is not unloaded,
+   * and BGMs fading out are unloaded when they end.
+   * @param {string[]} names names of the sounds to unload
+   */
+  unload(names) {
+    names.filter(name => this.sounds.has(name)).map(name => this.sounds.get(name))
+      .filter(soundProp => soundProp !== this.currentPlayBGM)
+      .forEach(soundProp => {
+        if (soundProp.source !== null) {
+          soundProp.unloading = true;
+        } else {
+          soundProp.buffer = null;
+          soundProp.offset = 0.0;
+        }
+      });
+  }
+
+  /**
+   * Play SE.
+   * @param {string} name SE name
+   * @param {Object} [opt] options
+   * @param {number} [opt.time=0.0] start time
+   * @param {number} [opt.volume=1.0] volume relative to the SE volume
+   * @param {number} [opt.speed=1.0] playing speed
+   * @param {number} [opt.pan=0.0] stereo panning from `-1` (left) to `1` (right)
+   * @param {number} [opt.when=0.0] delay in seconds. See {@link WebAudioSoundManager#currentTime}
+   * @param {number} [opt.maxPlay] maximum number of simultaneously playing this SE
+   */
+  playSE(name, opt = {}) {
+    if (this.SEs.has(name)) {
+      const se = this.SEs.get(name);
+      const maxPlayTheSE = 'maxPlay' in opt ? opt.maxPlay : this.maxPlaySE;
+      if (se.buffer === null && se.optional) {
+        Logger.warn(`SE ${name} is not loaded!`);
+      } else if (se.buffer === null) {
+        Logger.fatal('Please load before playing!');
+      } else if (this.currentPlaySE >= this.maxPlaySE || se.playing >= maxPlayTheSE) {
+        Logger.warn(`Too many SEs are playing!\nSE: ${name}`);
+      } else if (this._debugMode) {
+        Logger.debug(`play se: ${name}`);
+      } else {
+        const source = this.context.createBufferSource();
+        const gain = this.context.createGain();
+        source.buffer = se.buffer;
+        source.playbackRate.value = 'speed' in opt ? opt.speed : 1.0;
+        gain.gain.value = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : 1.0;
+        source.connect(gain);
+
+        if ('pan' in opt && this.context.createStereoPanner) {
+          const panner = this.context.createStereoPanner();
+          panner.pan.value = Math.min(1.0, Math.max(-1.0, opt.pan));
+          gain.connect(panner);
+          panner.connect(this.gains.get(SoundType.SE));
+        } else {
+          gain.connect(this.gains.get(SoundType.SE));
+        }
+
+        this.currentPlaySE++;
+        se.playing++;
+        source.onended = () => {
+          this.currentPlaySE--;
+          se.playing--;
+          gain.disconnect();
+        };
+        source.start(this.context.currentTime + ('when' in opt ? Math.max(0.0, opt.when) : 0.0), 'time' in opt ? opt.time : 0.0);
+      }
+    } else {
+      Logger.error(`There is no SE of name ${name}!`);
+    }
+  }
+
+  /**
+   * Get the current position of the BGM.
+   * @param {Object} bgm BGM property
+   * @returns {number} position in seconds
+   * @protected
+   */
+  _getPosition(bgm) {
+    if (bgm.source === null) return bgm.offset;
+    const position = bgm.offset + (this.context.currentTime - bgm.startedAt) * bgm.speed;
+    const loopEnd = bgm.loopEnd === null ? bgm.buffer.duration : bgm.loopEnd;
+    if (!bgm.loop) return Math.min(position, bgm.buffer.duration);
+    if (position < loopEnd) return position;
+    return bgm.loopStart + (position - bgm.loopStart) % (loopEnd - bgm.loopStart);
+  }
+
+  /**
+   * Change the value of the gain node.
+   * @param {GainNode} gain gain node
+   * @param {number} value target value
+   * @param {number} [duration=0.0] fading duration in seconds
+   * @param {number} [from] value at the beginning of fading
+   * @protected
+   */
+  _setGain(gain, value, duration = 0.0, from = gain.gain.value) {
+    const now = this.context.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(from, now);
+    if (duration > 0.0) {
+      gain.gain.linearRampToValueAtTime(value, now + duration);
+    } else {
+      gain.gain.setValueAtTime(value, now);
+    }
+  }
+
+  /**
+   * Start the BGM from the position.
+   * @param {Object} bgm BGM property
+   * @param {number} time start time
+   * @protected
+   */
+  _startSource(bgm, time) {
+    const source = this.context.createBufferSource();
+    this._stopSource(bgm);
+    source.buffer = bgm.buffer;
+    source.loop = bgm.loop;
+    source.loopStart = bgm.loopStart;
+    source.loopEnd = bgm.loopEnd === null ? bgm.buffer.duration : bgm.loopEnd;
+    source.playbackRate.value = bgm.speed;
+    source.connect(bgm.gain);
+    source.onended = () => {
+      if (bgm.source === source) {
+        bgm.source = null;
+        bgm.offset = 0.0;
+        if (bgm.unloading) {
+          bgm.buffer = null;
+          bgm.unloading = false;
+        }
+      }
+    };
+    source.start(0, time);
+    bgm.unloading = false;
+    bgm.source = source;
+    bgm.offset = time;
+    bgm.startedAt = this.context.currentTime;
+  }
+
+  /**
+   * Stop the source of the BGM.
+   * @param {Object} bgm BGM property
+   * @protected
+   */
+  _stopSource(bgm) {
+    if (bgm.source !== null) {
+      bgm.source.onended = null;
+      bgm.source.stop();
+      bgm.source.disconnect();
+      bgm.source = null;
+    }
+  }
+
+  /**
+   * Play BGM.
+   * @param {string} name BGM name
+   * @param {Object} [opt] options
+   * @param {number} [opt.time] start time
+   * @param {number} [opt.volume=1.0] volume relative to the BGM volume
+   * @param {number} [opt.speed=1.0] playing speed
+   * @param {number} [opt.fade=0.0] duration of crossfading from the playing BGM in seconds
+   */
+  playBGM(name, opt = {}) {
+    if (this.BGMs.has(name)) {
+      const bgm = this.BGMs.get(name);
+      if (bgm.buffer === null && bgm.optional) {
+        Logger.warn(`BGM ${name} is not loaded!`);
+      } else if (bgm.buffer === null) {
+        Logger.fatal('Please load before playing!');
+      } else if (this.currentPlayBGM === null || this.currentPlayBGM.name !== name) {
+        const time = 'time' in opt ? opt.time : bgm.offset;
+        const fade = 'fade' in opt ? Math.max(0.0, opt.fade) : 0.0;
+        const volume = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : 1.0;
+        this._setGain(bgm.gain, volume, fade, fade > 0.0 ? 0.0 : volume);
+        bgm.speed = 'speed' in opt ? opt.speed : 1.0;
+
+        this.fadeOutBGM(fade);
+        this.currentPlayBGM = bgm;
+        if (this._debugMode) {
+          Logger.debug(`play bgm: ${name}`);
+        } else {
+          this._startSource(bgm, time);
+        }
+      }
+    } else {
+      Logger.error(`There is no BGM of name ${name}!`);
+    }
+  }
+
+  /**
+   * Change BGM parameters.
+   * @param {Object} param parameters
+   * @param {number} [param.time] start time
+   * @param {number} [param.volume] volume relative to the BGM volume
+   * @param {number} [param.speed] playing speed
+   */
+  changeBGMParams(param) {
+    if (this.isPlayingBGM()) {
+      const bgm = this.currentPlayBGM;
+      if ('volume' in param)
+        this._setGain(bgm.gain, Math.min(1.0, Math.max(0.0, param.volume)));
+      if ('speed' in param) {
+        if (bgm.source !== null) {
+          bgm.offset = this._getPosition(bgm);
+          bgm.startedAt = this.context.currentTime;
+          bgm.source.playbackRate.value = param.speed;
+        }
+        bgm.speed = param.speed;
+      }
+      if ('time' in param) {
+        if (bgm.source !== null) {
+          this._stopSource(bgm);
+          this._startSource(bgm, param.time);
+        } else {
+          bgm.offset = param.time;
+        }
+      }
+    }
+  }
+
+  /**
+   * Pause playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then pause playing BGM.
+   */
+  pauseBGM(name) {
+    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      if (this._debugMode) {
+        Logger.debug('pause bgm');
+      } else {
+        this.currentPlayBGM.offset = this._getPosition(this.currentPlayBGM);
+        this._stopSource(this.currentPlayBGM);
+      }
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Stop playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then stop playing BGM.
+   */
+  stopBGM(name) {
+    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      if (this._debugMode) {
+        Logger.debug('stop bgm');
+      } else {
+        this._stopSource(this.currentPlayBGM);
+      }
+      this.currentPlayBGM.offset = 0.0;
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Fade out and stop playing BGM.
+   * @param {number} duration fading duration in seconds. If it is `0`, then stop immediately
+   */
+  fadeOutBGM(duration) {
+    if (duration <= 0.0) {
+      this.stopBGM();
+    } else if (this.isPlayingBGM()) {
+      const bgm = this.currentPlayBGM;
+      if (this._debugMode) {
+        Logger.debug('fade out bgm');
+      } else if (bgm.source !== null) {
+        this._setGain(bgm.gain, 0.0, duration);
+        bgm.source.stop(this.context.currentTime + duration);
+      }
+      bgm.offset = 0.0;
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Fade playing BGM. It must be called every frame while fading.
+   * @deprecated Please use the `fade` option of {@link SoundManager#playBGM} or {@link SoundManager#fadeOutBGM}.
+   * @param {number} duration fading duration
+   * @param {number} time current time from start fading
+   * @param {boolean} [out=true] `true` if fading out
+   * @returns {number} current BGM volume
+   */
+  fadeBGM(duration, time, out = true) {
+    const volume = out ? 1 - time / duration : time / duration;
+    this.changeBGMParams({ volume });
+    if (volume <= 0) this.stopBGM();
+    return Math.min(1.0, Math.max(0.0, volume)) * this.BGMVolume;
+  }
+
+  /**
+   * Finalize sound manager.
+   */
+  finalize() {
+    this.stopBGM();
+    if (this.context.state === 'running') this.context.suspend();
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[WebAudioSoundManager (${this.BGMs.size}, ${this.SEs.size})]`;
+  }
+}
+
+/**
+ * Class for manageing images.
+ * @param {Object[]} images image properties
+ * @param {string} images[].name name of an image
+ * @param {string} images[].src source path of an image
+ * @param {Object} [images[].sprite] if the image is a sprite, then use this parameter
+ * @param {number} [images[].sprite.width] sprite width
+ * @param {number} [images[].sprite.height] sprite height
+ * @param {(string|Object)} [images[].atlas] source path or content of the atlas JSON exported by TexturePacker or Aseprite.
+ * Its frames can be drawn by their names with {@link Painter2d#image}, and its frame tags of Aseprite become animation clips
+ * @param {Object.<string, Object>} [images[].animations] animation clips keyed by their names. See {@link AnimationClip}
+ * @param {(Array.<(number|string)>|Object)} images[].animations[].frames sprite IDs or atlas frame names, or a range of sprite IDs
+ * @param {(number|number[])} [images[].animations[].duration=1] ticks of each frame
+ * @param {AnimationMode} [images[].animations[].mode=AnimationMode.LOOP] playing mode
+ * @param {Object.<number, (string|string[])>} [images[].animations[].events] events keyed by frame indices
+ * @param {number} [images[].tickRate=60] ticks per second used to convert frame durations of Aseprite
+ * @param {boolean} [images[].optional=false] if `true`, then the image is skipped when it cannot be loaded. See {@link AssetLoader}
+ * @param {number} [images[].retry=0] number of retries
+ */
+class ImageManager {
+  constructor(images) {
+    if (images.every(image => ['name', 'src'].every(param => param in image))) {
+      this.images = new Map();
+      images.forEach(image => {
+        this.images.set(image.name, {
+          name: image.name,
+          src: image.src,
+          image: null,
+          imageData: null,
+          sprite: 'sprite' in image ? image.sprite : null,
+          size: 'sprite' in image ? image.sprite : null,
+          atlas: 'atlas' in image ? image.atlas : null,
+          frameNames: [],
+          animations: new Map(Object.keys('animations' in image ? image.animations : {})
+            .map(clip => [clip, new AnimationClip(clip, image.name, image.animations[clip].frames, image.animations[clip])])),
+          tickRate: 'tickRate' in image ? image.tickRate : 60,
+          optional: 'optional' in image ? image.optional : false,
+          retry: 'retry' in image ? image.retry : 0
+        });
+      });
+      this.frames = new Map();
+    } else {
+      Logger.fatal("ImageManager requires image properties of 'name' and 'src'");
+    }
+  }
+
+  /**
+   * Decode an image.
+   * @param {string} src source path or object URL of an image
+   * @returns {Promise} promise of the image
+   */
+  static decode(src) {
+    return new Promise((res, rej) => {
+      const image = new Image();
+      image.onload = e => {
+        res(image);
+      };
+      image.onerror = e => {
+        rej(new Error('The image cannot be decoded'));
+      };
+      image.src = src;
+    });
+  }
+
+  /**
+   * Load an image, fetching it if possible to report bytes.
+   * @param {string} src source path
+   * @param {function(number, number)} onBytes function called with loaded bytes and total bytes
+   * @returns {Promise} promise of the image
+   */
+  static fetchImage(src, onBytes) {
+    if (!AssetLoader.canFetch()) return ImageManager.decode(src);
+    return AssetLoader.fetch(src, 'blob', onBytes).then(blob => {
+      const url = URL.createObjectURL(blob);
+      return ImageManager.decode(url).then(image => {
+        URL.revokeObjectURL(url);
+        return image;
+      }, err => {
+        URL.revokeObjectURL(url);
+        return Promise.reject(err);
+      });
+    });
+  }
+
+  /**
+   * Parse the atlas JSON exported by TexturePacker or Aseprite. Both hash and array formats are accepted.
+   * @param {Object} json atlas JSON
+   * @returns {Map.<string, Object>} frames keyed by their names
+   */
+  static parseAtlas(json) {
+    const entries = Array.isArray(json.frames) ?
+      json.frames.map(frame => [frame.filename, frame]) :
+      Object.keys(json.frames).map(name => [name, json.frames[name]]);
+    return new Map(entries.map(([name, frame]) => [name, {
+      x: frame.frame.x,
+      y: frame.frame.y,
+      width: frame.frame.w,
+      height: frame.frame.h,
+      rotated: 'rotated' in frame ? frame.rotated : false,
+      offsetX: 'spriteSourceSize' in frame ? frame.spriteSourceSize.x : 0,
+      offsetY: 'spriteSourceSize' in frame ? frame.spriteSourceSize.y : 0,
+      sourceWidth: 'sourceSize' in frame ? frame.sourceSize.w : frame.frame.w,
+      sourceHeight: 'sourceSize' in frame ? frame.sourceSize.h : frame.frame.h,
+      duration: 'duration' in frame ? frame.duration : null
+    }]));
+  }
+
+  _registerFrames(imageProp, json) {
+    ImageManager.parseAtlas(json).forEach((frame, name) => {
+      const frameProp = Object.assign({ name, image: imageProp.image, imageName: imageProp.name }, frame);
+      // 'hero/run_03.png' can be also called 'hero/run_03'
+      const aliases = [name, name.replace(/\.(png|jpe?g|gif|webp|bmp)$/i, '')].filter((alias, i, arr) => arr.indexOf(alias) === i);
+      aliases.forEach(alias => {
+        if (this.frames.has(alias)) Logger.warn(`Frame ${alias} is already registered!`);
+        this.frames.set(alias, frameProp);
+        imageProp.frameNames.push(alias);
+      });
+    });
+  }
+
+  _registerAnimations(imageProp, json) {
+    const frames = ImageManager.parseAtlas(json);
+    const frameNames = Array.from(frames.keys());
+    const tags = 'meta' in json && 'frameTags' in json.meta ? json.meta.frameTags : [];
+    tags.forEach(tag => {
+      const direction = 'direction' in tag ? tag.direction : 'forward';
+      const range = frameNames.slice(tag.from, tag.to + 1);
+      const names = direction === 'reverse' || direction === 'pingpong_reverse' ? range.reverse() : range;
+      const duration = names.map(name => frames.get(name).duration === null ? 1 : Math.max(1, Math.round(frames.get(name).duration * imageProp.tickRate / 1000)));
+      let mode = AnimationMode.LOOP;
+      if (direction === 'pingpong' || direction === 'pingpong_reverse') mode = AnimationMode.PING_PONG;
+      else if ('repeat' in tag && Number(tag.repeat) === 1) mode = AnimationMode.ONCE;
+      imageProp.animations.set(tag.name, new AnimationClip(tag.name, imageProp.name, names, { duration, mode }));
+    });
+  }
+
+  /**
+   * Load images.
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @param {string[]} [names] names of the images to load. If it is omitted, then all images
+   * @returns {Promise} promise rejected with an error naming the source path of the failing image
+   */
+  load(loader = new AssetLoader(), names = Array.from(this.images.keys())) {
+    return Promise.all(names.filter(name => this.images.has(name)).map(name => this.images.get(name)).map(imageProp => {
+      if (imageProp.image !== null) return null;
+      const atlasProp = { src: imageProp.atlas, optional: imageProp.optional, retry: imageProp.retry };
+      return Promise.all([
+        loader.loadAsset(imageProp, onBytes => ImageManager.fetchImage(imageProp.src, onBytes)),
+        Object.prototype.toString.call(imageProp.atlas) === '[object String]' ?
+          loader.loadAsset(atlasProp, onBytes => AssetLoader.fetch(imageProp.atlas, 'json', onBytes)) :
+          imageProp.atlas
+      ]).then(([image, atlas]) => {
+        if (image === null) return null;
+        imageProp.image = image;
+        if (imageProp.size === null) imageProp.size = { width: image.width, height: image.height };
+        if (atlas !== null) {
+          this._registerFrames(imageProp, atlas);
+          this._registerAnimations(imageProp, atlas);
+        }
+        return null;
+      });
+    }));
+  }
+
+  /**
+   * Unload images to free their memory.
+   * @param {string[]} names names of the images to unload
+   */
+  unload(names) {
+    names.filter(name => this.images.has(name)).map(name => this.images.get(name)).forEach(imageProp => {
+      imageProp.image = null;
+      imageProp.imageData = null;
+      imageProp.size = imageProp.sprite;
+      imageProp.frameNames.filter(frame => {
+        // the frame may have been overwritten by another image, and then deleted when that image was unloaded
+        const frameProp = this.frames.get(frame);
+        return frameProp !== undefined && frameProp.imageName === imageProp.name;
+      }).forEach(frame => this.frames.delete(frame));
+      imageProp.frameNames = [];
+    });
+  }
+
+  /**
+   * Get an image.
+   * @param {string} name image name
+   * @returns {?Image} the image
+   */
+  getImage(name) {
+    if (this.images.has(name)) {
+      return this.images.get(name).image;
+    } else {
+      Logger.fatal(`ImageManager has no image of name ${name}. Please preload before use.`);
+      return null;
+    }
+  }
+
+  /**
+   * Get pixels of an image. They are copied at the first call and cached until the image is unloaded.
+   * @param {string} name image name
+   * @returns {?ImageData} pixels of the image
+   */
+  getImageData(name) {
+    const imageProp = this.getImageProperties(name);
+    if (imageProp === null || imageProp.image === null) return null;
+    if (imageProp.imageData === null) {
+      const cv = document.createElement('canvas');
+      const ctx = cv.getContext('2d');
+      [cv.width, cv.height] = [imageProp.image.width, imageProp.image.height];
+      ctx.drawImage(imageProp.image, 0, 0);
+      imageProp.imageData = ctx.getImageData(0, 0, cv.width, cv.height);
+    }
+    return imageProp.imageData;
+  }
+
+  /**
+   * Check if there is a loaded atlas frame of the name.
+   * @param {string} name frame name
+   * @returns {boolean} `true` if there is the frame
+   */
+  hasFrame(name) {
+    return this.frames.has(name);
+  }
+
+  /**
+   * Get an atlas frame.
+   * @param {string} name frame name
+   * @returns {?Object} the frame, which has the image, the rectangle in the image, the trim offset and the size before trimmed
+   */
+  getFrame(name) {
+    if (this.frames.has(name)) {
+      return this.frames.get(name);
+    } else {
+      Logger.fatal(`ImageManager has no frame of name ${name}. Please preload before use.`);
+      return null;
+    }
+  }
+
+  /**
+   * Get an animation clip of an image.
+   * @param {string} name image name
+   * @param {string} clip clip name
+   * @returns {?AnimationClip} the clip
+   */
+  getAnimation(name, clip) {
+    const imageProp = this.getImageProperties(name);
+    if (imageProp === null) return null;
+    if (imageProp.animations.has(clip)) {
+      return imageProp.animations.get(clip);
+    } else {
+      Logger.fatal(`Image ${name} has no animation clip of name ${clip}.`);
+      return null;
+    }
+  }
+
+  /**
+   * Get image properties.
+   * @param {string} name image name
+   * @returns {?Object} the image properties
+   */
+  getImageProperties(name) {
+    if (this.images.has(name)) {
+      return this.images.get(name);
+    } else {
+      Logger.fatal(`ImageManager has no image of name ${name}. Please preload before use.`);
+      return null;
+    }
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[ImageManager ${this.images.size}]`;
+  }
+}
+
+/**
+ * Class for manageing asset bundles, which are loaded when a scene needs them and unloaded when no scene needs them.
+ * Assets are reference-counted, so an asset shared by several bundles is loaded only once.
+ * Assets in bundles are not loaded when the game starts.
+ * @param {Object.<string, Object>} bundles bundles keyed by their names
+ * @param {string[]} [bundles[].images] image names. See {@link ImageManager}
+ * @param {string[]} [bundles[].sounds] sound names. See {@link SoundManager}
+ * @param {ImageManager} imageManager image manager
+ * @param {SoundManager} soundManager sound manager
+ * @param {AssetLoader} [loader] loader which reports the progress
+ */
+class BundleManager {
+  constructor(bundles, imageManager, soundManager, loader = new AssetLoader()) {
+    this.imageManager = imageManager;
+    this.soundManager = soundManager;
+    this.loader = loader;
+    this.bundles = new Map();
+    this.counts = new Map();
+    this.assets = new Map();
+
+    Object.keys(bundles).forEach(name => {
+      const images = 'images' in bundles[name] ? bundles[name].images : [];
+      const sounds = 'sounds' in bundles[name] ? bundles[name].sounds : [];
+      images.filter(image => !imageManager.images.has(image)).forEach(image => {
+        Logger.error(`Bundle ${name} has no image of name ${image}!`);
+      });
+      sounds.filter(sound => !soundManager.sounds.has(sound)).forEach(sound => {
+        Logger.error(`Bundle ${name} has no sound of name ${sound}!`);
+      });
+      this.bundles.set(name, {
+        images: images.filter(image => imageManager.images.has(image)),
+        sounds: sounds.filter(sound => soundManager.sounds.has(sound))
+      });
+      this.counts.set(name, 0);
+    });
+  }
+
+  /**
+   * Names of the images in bundles.
+   * @type {Set.<string>}
+   */
+  get images() {
+    return new Set(Array.from(this.bundles.values()).reduce((acc, bundle) => acc.concat(bundle.images), []));
+  }
+
+  /**
+   * Names of the sounds in bundles.
+   * @type {Set.<string>}
+   */
+  get sounds() {
+    return new Set(Array.from(this.bundles.values()).reduce((acc, bundle) => acc.concat(bundle.sounds), []));
+  }
+
+  _hasBundle(name) {
+    if (!this.bundles.has(name)) Logger.error(`There is no bundle of name ${name}!`);
+    return this.bundles.has(name);
+  }
+
+  _getAssets(name) {
+    const bundle = this.bundles.get(name);
+    return bundle.images.map(image => ({ key: `image:${image}`, name: image, manager: this.imageManager }))
+      .concat(bundle.sounds.map(sound => ({ key: `sound:${sound}`, name: sound, manager: this.soundManager })));
+  }
+
+  /**
+   * Acquire bundles, and load their assets if they are not loaded.
+   * @param {...string} names bundle names
+   * @returns {Promise} promise resolved when all assets of the bundles are loaded.
+   * If it is rejected, then the bundles are released, and they can be acquired again
+   */
+  acquire(...names) {
+    return Promise.all(names.filter(name => this._hasBundle(name)).map(name => {
+      const first = this.counts.get(name) === 0;
+      this.counts.set(name, this.counts.get(name) + 1);
+      return Promise.all(this._getAssets(name).map(asset => {
+        if (!this.assets.has(asset.key)) {
+          const entry = { count: 0, loaded: false, promise: null };
+          entry.promise = asset.manager.load(this.loader, [asset.name]).then(() => {
+            entry.loaded = true;
+          }, err => {
+            // forget the failure, so that the asset is loaded again next time
+            if (this.assets.get(asset.key) === entry) this.assets.delete(asset.key);
+            return Promise.reject(err);
+          });
+          this.assets.set(asset.key, entry);
+        }
+        const entry = this.assets.get(asset.key);
+        if (first) entry.count++;
+        return entry.promise;
+      })).catch(err => {
+        this.release(name);
+        return Promise.reject(err);
+      });
+    })).then(() => null);
+  }
+
+  /**
+   * Release bundles, and unload the assets which no bundle needs.
+   * @param {...string} names bundle names
+   */
+  release(...names) {
+    names.filter(name => this._hasBundle(name)).forEach(name => {
+      if (this.counts.get(name) === 0) {
+        Logger.warn(`Bundle ${name} is not acquired!`);
+      } else {
+        this.counts.set(name, this.counts.get(name) - 1);
+        if (this.counts.get(name) === 0) {
+          this._getAssets(name).forEach(asset => {
+            const entry = this.assets.get(asset.key);
+            // the entry is already removed if the asset failed to load
+            if (entry === undefined) return;
+            entry.count--;
+            if (entry.count === 0) {
+              this.assets.delete(asset.key);
+              // unload after loading, unless the asset is acquired again meanwhile
+              entry.promise.then(() => {
+                if (!this.assets.has(asset.key)) asset.manager.unload([asset.name]);
+              }, () => {});
+            }
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Check if all assets of the bundles are loaded.
+   * @param {...string} names bundle names
+   * @returns {boolean} `true` if loaded
+   */
+  isLoaded(...names) {
+    return names.filter(name => this._hasBundle(name))
+      .every(name => this._getAssets(name).every(asset => this.assets.has(asset.key) && this.assets.get(asset.key).loaded));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[BundleManager ${this.bundles.size}]`;
+  }
+}
+
+/**
+ * Class of graphics.
+ * @param {HTMLCanvasElement} canvas
+ * @param {ImageManager} imageManager
+ * @param {string} contextType
+ */
+class Painter {
+  constructor(canvas, imageManager, contextType) {
+    /** @member {HTMLCanvasElement} */
+    this.canvas = canvas;
+    /** @member {CanvasRenderingContext2D} */
+    this.context = canvas.getContext(contextType);
+    /** @member {string} */
+    this.contextType = contextType;
+    /** @member {ImageManager} */
+    this.imageManager = imageManager;
+  }
+
+  /**
+   * Canvas width.
+   * @member {number}
+   */
+  get width() {
+    return this.canvas.width;
+  }
+
+  /**
+   * Canvas height
+   * @member {number}
+   */
+  get height() {
+    return this.canvas.height;
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Painter]`;
+  }
+}
+
+/**
+ * Class of 2-dimentional graphics.
+ * @param {HTMLCanvasElement} canvas
+ * @param {ImageManager} imageManager
+ */
+class Painter2d extends Painter {
+  constructor(canvas, imageManager) {
+    super(canvas, imageManager, '2d');
+    this.recentLineOptions = {
+      width: 1.0,
+      cap: 'butt',
+      join: 'miter',
+      miterLimit: 10.0,
+      dash: [],
+      dashOffset: 0.0
+    };
+    this.recentTextOptions = {
+      size: 10,
+      font: 'sans-serif',
+      align: 'start',
+      baseline: 'alphabetic',
+      lineHeight: '100%'
+    };
+  }
+
+  /**
+   * Create another painter with new canvas.
+   * @returns {Painter2d} another painter
+   */
+  createAnotherPainter() {
+    const anotherCanvas = document.createElement('canvas');
+    anotherCanvas.width = this.width;
+    anotherCanvas.height = this.height;
+    const another = new Painter2d(anotherCanvas, this.imageManager);
+    another.recentLineOptions = this.recentLineOptions;
+    another.recentTextOptions = this.recentTextOptions;
+
+    // configuration
+    another.context.lineWidth = this.recentLineOptions.width;
+    another.context.lineCap = this.recentLineOptions.cap;
+    another.context.lineJoin = this.recentLineOptions.join;
+    another.context.miterLimit = this.recentLineOptions.miterLimit;
+    another.context.setLineDash(this.recentLineOptions.dash);
+    another.context.lineDashOffset = this.recentLineOptions.dashOffset;
+
+    another.context.font = `${this.recentTextOptions.size.toString(10)}px ${this.recentTextOptions.font}`;
+    another.context.textAlign = this.recentTextOptions.align;
+    another.context.textBaseline = this.recentTextOptions.baseline;
+    return another;
+  }
+
+  /**
+   * @member {Object}
+   */
+  get pathOperations() {
+    return {
+      /**
+       * Fill the path.
+       * @param {(string|CanvasGradient|CanvasPattern)} style fill style
+       * @memberof Painter2d#pathOperations
+       */
+      fill: (style) => {
+        this.context.fillStyle = style;
+        this.context.fill();
+      },
+      /**
+       * Stroke the path.
+       * @param {(string|CanvasGradient|CanvasPattern)} style stroke style
+       * @param {Object} [opt = {}] options
+       * @param {number} [opt.width] line width
+       * @param {string} [opt.cap] line cap
+       * @param {string} [opt.join] line join
+       * @param {number} [opt.miterLimit] line miter limit
+       * @param {number[]} [opt.dash] line dash
+       * @param {number} [opt.dashOffset] line dash offset
+       * @memberof Painter2d#pathOperations
+       */
+      stroke: (style, opt = {}) => {
+        // configuration
+        if ('width' in opt) this.recentLineOptions.width = opt.width;
+        if ('cap' in opt) this.recentLineOptions.cap = opt.cap;
+        if ('join' in opt) this.recentLineOptions.join = opt.join;
+        if ('miterLimit' in opt) this.context.miterLimit = this.recentLineOptions.miterLimit = opt.miterLimit;
+        if ('dash' in opt) this.context.setLineDash(this.recentLineOptions.dash = opt.dash);
+        if ('dashOffset' in opt) this.context.lineDashOffset = this.recentLineOptions.dashOffset = opt.dashOffset;
+
+        this.context.lineWidth = this.recentLineOptions.width;
+        this.context.lineCap = this.recentLineOptions.cap;
+        this.context.lineJoin = this.recentLineOptions.join;
+
+        this.context.strokeStyle = style;
+        this.context.stroke();
+      },
+      /**
+       * Fill the path with outline.
+       * @param {(string|CanvasGradient|CanvasPattern)} innerStyle fill style
+       * @param {(string|CanvasGradient|CanvasPattern)} outerStyle stroke style
+       * @param {number} [lineWidth=1] line width
+       * @memberof Painter2d#pathOperations
+       */
+      outlined: (innerStyle, outerStyle, lineWidth = 1) => {
+        this.context.fillStyle = innerStyle;
+        this.context.strokeStyle = outerStyle;
+        this.context.lineCap = 'round';
+        this.context.lineJoin = 'round';
+        this.context.lineWidth = lineWidth * 2;
+        this.context.stroke();
+        this.context.fill();
+      },
+      /**
+       * Clip the path and draw.
+       * @param {function} cb callback function
+       * @memberof Painter2d#pathOperations
+       */
+      clipAndDraw: (cb) => {
+        this.context.save();
+        this.context.clip();
+        cb();
+        this.context.restore();
+      }
+    };
+  }
+
+  /**
+   * Clear the canvas.
+   */
+  clear() {
+    this.context.clearRect(0, 0, this.width, this.height);
+  }
+
+  /**
+   * Fill the canvas.
+   * @param {(string|CanvasGradient|CanvasPattern)} style fill style
+   */
+  background(style) {
+    this.rect(0, 0, this.width, this.height).fill(style);
+  }
+
+  /**
+   * Create rectangle path.
+   * @param {number} x x-coordinate of the leftmost point
+   * @param {number} y y-coordinate of the uppermost point
+   * @param {number} w width
+   * @param {number} h height
+   * @returns {Object} path operations
+   */
+  rect(x, y, w, h) {
+    this.context.beginPath();
+    this.context.rect(x, y, w, h);
+    this.context.closePath();
+    return this.pathOperations;
+  }
+
+  /**
+   * Create line path.
+   * @param {number} x1 x-coordinate of the start point
+   * @param {number} y1 y-coordinate of the start point
+   * @param {number} x2 x-coordinate of the end point
+   * @param {number} y2 y-coordinate of the end point
+   * @returns {Object} path operations
+   */
+  line(x1, y1, x2, y2) {
+    this.context.beginPath();
+    this.context.moveTo(x1, y1);
+    this.context.lineTo(x2, y2);
+    return this.pathOperations;
+  }
+
+  /**
+   * Create round rectangle path.
+   * @param {number} x x-coordinate of the leftmost point
+   * @param {number} y y-coordinate of the uppermost point
+   * @param {number} w width
+   * @param {number} h height
+   * @param {number} r radius of the corner
+   * @returns {Object} path operations
+   */
+  roundRect(x, y, w, h, r) {
+    const hw = w / 2;
+    const hh = h / 2;
+    const _r = Math.abs(r);
+    this.context.beginPath();
+    this.context.moveTo(x + hw, y);
+    this.context.arcTo(x, y, x, y + hh, _r);
+    this.context.arcTo(x, y + h, x + hw, y + h, _r);
+    this.context.arcTo(x + w, y + h, x + w, y + hh, _r);
+    this.context.arcTo(x + w, y, x + hw, y, _r);
+    this.context.closePath();
+    return this.pathOperations;
+  }
+
+  /**
+   * Create circle path.
+   * @param {number} x x-coordinate of the center point
+   * @param {number} y y-coordinate of the center point
+   * @param {number} r radius
+   * @returns {Object} path operations
+   */
+  circle(x, y, r) {
+    this.context.beginPath();
+    this.context.arc(x, y, Math.abs(r), -Math.PI, Math.PI);
+    this.context.closePath();
+    return this.pathOperations;
+  }
+
+  /**
+   * Create ellipse path.
+   * @param {number} x x-coordinate of the center point
+   * @param {number} y y-coordinate of the center point
+   * @param {number} radiusX major-axis radius
+   * @param {number} radiusY minor-axis radius
+   * @param {number} [rotation=0] the rotation for the ellipse, expressed in radius
+   * @returns {Object} path operations
+   */
+  ellipse(x, y, radiusX, radiusY, rotation = 0) {
+    this.context.beginPath();
+    this.context.ellipse(x, y, Math.abs(radiusX), Math.abs(radiusY), rotation, -Math.PI, Math.PI);
+    this.context.closePath();
+    return this.pathOperations;
+  }
+
+  /**
+   * Create polygon path.
+   * @param {Object[]} vertices
+   * @param {number} vertices[].x x-coordinate of a vertex
+   * @param {number} vertices[].y y-coordinate of a vertex
+   */
+  polygon(vertices) {
+    this.context.beginPath();
+    vertices.forEach(vertex => {
+      this.context.lineTo(vertex.x, vertex.y);
+    });
+    this.context.closePath();
+    return this.pathOperations;
+  }
+
+  /**
+   * Create diamond path.
+   * @param {number} x x-coordinate of the leftmost point
+   * @param {number} y y-coordinate of the uppermost point
+   * @param {number} w width
+   * @param {number} h height
+   * @returns {Object} path operations
+   */
+  diamond(x, y, w, h) {
+    this.context.beginPath();
+    this.context.moveTo(x + w / 2, y);
+    this.context.lineTo(x, y + h / 2);
+    this.context.lineTo(x + w / 2, y + h);
+    this.context.lineTo(x + w, y + h / 2);
+    this.context.closePath();
+    return this.pathOperations;
+  }
+
+  /**
+   * Draw text.
+   * @param {string} str string
+   * @param {number} x x-coordinate
+   * @param {number} y y-coordinate
+   * @param {Object} [opt] options
+   * @param {number} [opt.size] font size [px]
+   * @param {string} [opt.font] font name
+   * @param {string} [opt.align] text alignment (start, end, left, right, center)
+   * @param {string} [opt.baseline] baseline alignment (top, hanging, middle, alphabetic, ideographic, bottom)
+   * @param {string} [opt.lineHeight] line height
+   * @returns {Object} path operations
+   */
+  text(str, x, y, opt = {}) {
+    if ('size' in opt) this.context.font = `${(this.recentTextOptions.size = opt.size).toString(10)}px ${this.recentTextOptions.font}`;
+    if ('font' in opt) this.context.font = `${this.recentTextOptions.size.toString(10)}px ${this.recentTextOptions.font = opt.font}`;
+    if ('align' in opt) this.context.textAlign = this.recentTextOptions.align = opt.align;
+    if ('baseline' in opt) this.context.textBaseline = this.recentTextOptions.baseline = opt.baseline;
+    if ('lineHeight' in opt) this.recentTextOptions.lineHeight = opt.lineHeight;
+
+    let lineHeight;
+    if ((/%$/).test(this.recentTextOptions.lineHeight)) {
+      lineHeight = this.recentTextOptions.size * parseFloat(this.recentTextOptions.lineHeight.slice(0, -1)) / 100;
+    } else if ((/px$/).test(this.recentTextOptions.lineHeight)) {
+      lineHeight = parseFloat(this.recentTextOptions.lineHeight.slice(0, -2));
+    } else if ((/^(0|[1-9][0-9]*)(\.[0-9]+)?$/).test(this.recentTextOptions.lineHeight)) {
+      lineHeight = parseFloat(this.recentTextOptions.lineHeight);
+    }
+
+    return {
+      fill: (style) => {
+        this.context.fillStyle = style;
+        str.split('\n').forEach((line, lineNum) => {
+          this.context.fillText(line, x, y + lineHeight * lineNum);
+        });
+      },
+      stroke: (style, lineOpt = {}) => {
+        // configuration
+        if ('width' in lineOpt) this.recentLineOptions.width = lineOpt.width;
+        if ('cap' in lineOpt) this.recentLineOptions.cap = lineOpt.cap;
+        if ('join' in lineOpt) this.recentLineOptions.join = lineOpt.join;
+        if ('miterLimit' in lineOpt) this.context.miterLimit = this.recentLineOptions.miterLimit = lineOpt.miterLimit;
+        if ('dash' in lineOpt) this.context.setLineDash(this.recentLineOptions.dash = lineOpt.dash);
+        if ('dashOffset' in lineOpt) this.context.lineDashOffset = this.recentLineOptions.dashOffset = lineOpt.dashOffset;
+
+        this.context.lineWidth = this.recentLineOptions.width;
+        this.context.lineCap = this.recentLineOptions.cap;
+        this.context.lineJoin = this.recentLineOptions.join;
+
+        this.context.strokeStyle = style;
+        str.split('\n').forEach((line, lineNum) => {
+          this.context.strokeText(line, x, y + lineHeight * lineNum);
+        });
+      },
+      outlined: (inner_style, outer_style, width = 1) => {
+        this.context.fillStyle = inner_style;
+        this.context.strokeStyle = outer_style;
+        this.context.lineCap = 'round';
+        this.context.lineJoin = 'round';
+        this.context.lineWidth = width * 2;
+        str.split('\n').forEach((line, lineNum) => {
+          this.context.strokeText(line, x, y + lineHeight * lineNum);
+          this.context.fillText(line, x, y + lineHeight * lineNum);
+        });
+      }
+    };
+  }
+
+  /**
+   * Draw a frame of an atlas. Trimmed frames are drawn at the same position as untrimmed ones.
+   * @param {Object} frame atlas frame. See {@link ImageManager#getFrame}
+   * @param {number} x x-coordinate
+   * @param {number} y y-coordinate
+   * @param {Object} opt options. See {@link Painter2d#image}
+   * @protected
+   */
+  _drawFrame(frame, x, y, opt) {
+    const relativeOrigin = 'relativeOrigin' in opt ? opt.relativeOrigin : Directions.NW;
+    const horizontalRelativeDiff = (relativeOrigin + 4) % 3;
+    const verticalRelativeDiff = Math.floor((relativeOrigin + 4) / 3);
+    const w = 'width' in opt ? opt.width : frame.sourceWidth;
+    const h = 'height' in opt ? opt.height : frame.sourceHeight;
+    const keepAspectRatio = `keepAspectRatio` in opt && opt.keepAspectRatio;
+    const scaleX = keepAspectRatio ? Math.min(w / frame.sourceWidth, h / frame.sourceHeight) : w / frame.sourceWidth;
+    const scaleY = keepAspectRatio ? scaleX : h / frame.sourceHeight;
+    const dx = x - w * horizontalRelativeDiff / 2 + frame.offsetX * scaleX;
+    const dy = y - h * verticalRelativeDiff / 2 + frame.offsetY * scaleY;
+    const dw = frame.width * scaleX;
+    const dh = frame.height * scaleY;
+
+    if (frame.rotated) {
+      // rotated frames are stored clockwise in the atlas
+      this.rotateAndDraw(dx + dw / 2, dy + dh / 2, Math.PI / 2, () => {
+        this.context.drawImage(frame.image, frame.x, frame.y, frame.height, frame.width, dx + (dw - dh) / 2, dy + (dh - dw) / 2, dh, dw);
+      });
+    } else {
+      this.context.drawImage(frame.image, frame.x, frame.y, frame.width, frame.height, dx, dy, dw, dh);
+    }
+  }
+
+  /**
+   * Draw image.
+   * @param {(string|CanvasImageSource)} img image source, the registered name of an image or the name of an atlas frame
+   * @param {number} x x-coordinate of the leftmost point of an image
+   * @param {number} y y-coordinate of the uppermost point of an image
+   * @param {Object} [opt] options
+   * @param {number} [opt.width] width of an image
+   * @param {number} [opt.height] height of an image
+   * @param {Object} [opt.crop] cropping the image
+   * @param {number} [opt.crop.x=0] x-coordinate of the leftmost point of the cropped image
+   * @param {number} [opt.crop.y=0] y-coordinate of the uppermost point of the cropped image
+   * @param {number} [opt.crop.width] width of the cropped image
+   * @param {number} [opt.crop.height] height of the cropped image. Atlas frames cannot be cropped
+   * @param {boolean} [opt.keepAspectRatio=false] if `true`, aspect ratio of an image is kept
+   * @param {number} [opt.spriteID=0] sprite ID
+   * @param {Directions} [opt.relativeOrigin=Directions.NW] relative origin position
+   */
+  image(img, x, y, opt = {}) {
+    let imageProps;
+    if (Object.prototype.toString.call(img) === '[object String]' && !this.imageManager.images.has(img) && this.imageManager.hasFrame(img)) {
+      this._drawFrame(this.imageManager.getFrame(img), x, y, opt);
+      return;
+    }
+    if (Object.prototype.toString.call(img) === '[object String]') {
+      imageProps = this.imageManager.getImageProperties(img);
+    } else {
+      imageProps = { image: img, size: { width: img.width, height: img.height } };
+    }
+    // unknown or skipped optional image
+    if (imageProps === null || imageProps.image === null) return;
+
+    const spriteCols = Math.floor(imageProps.image.width / imageProps.size.width);
+    const spriteRows = Math.floor(imageProps.image.height / imageProps.size.height);
+    const id = 'spriteID' in opt ? opt.spriteID % (spriteCols * spriteRows) : 0;
+    const spriteX = (id % spriteCols) * imageProps.size.width;
+    const spriteY = Math.floor(id / spriteCols) * imageProps.size.height;
+    const relativeOrigin = 'relativeOrigin' in opt ? opt.relativeOrigin : Directions.NW;
+    const horizontalRelativeDiff = (relativeOrigin + 4) % 3;
+    const verticalRelativeDiff = Math.floor((relativeOrigin + 4) / 3);
+
+    if ('crop' in opt) {
+      const cx = 'x' in opt.crop ? Math.min(opt.crop.x, imageProps.size.width) : 0;
+      const cy = 'y' in opt.crop ? Math.min(opt.crop.y, imageProps.size.height) : 0;
+      const cw = Math.max('width' in opt.crop ? Math.min(opt.crop.width, imageProps.size.width - cx) : imageProps.size.width - cx, 0.01);
+      const ch = Math.max('height' in opt.crop ? Math.min(opt.crop.height, imageProps.size.height - cy) : imageProps.size.height - cy, 0.01);
+      const w = 'width' in opt ? opt.width : cw;
+      const h = 'height' in opt ? opt.height : ch;
+      const _x = x - w * horizontalRelativeDiff / 2;
+      const _y = y - h * verticalRelativeDiff / 2;
+      if (`keepAspectRatio` in opt && opt.keepAspectRatio) {
+        const expansionRate = Math.min(w / cw, h / ch);
+        this.context.drawImage(imageProps.image, spriteX + cx, spriteY + cy, cw, ch, _x, _y, cw * expansionRate, ch * expansionRate);
+      } else {
+        this.context.drawImage(imageProps.image, spriteX + cx, spriteY + cy, cw, ch, _x, _y, w, h);
+      }
+    } else {
+      const w = 'width' in opt ? opt.width : imageProps.size.width;
+      const h = 'height' in opt ? opt.height : imageProps.size.height;
+      const _x = x - w * horizontalRelativeDiff / 2;
+      const _y = y - h * verticalRelativeDiff / 2;
+      if (`keepAspectRatio` in opt && opt.keepAspectRatio) {
+        const expansionRate = Math.min(w / imageProps.size.width, h / imageProps.size.height);
+        this.context.drawImage(imageProps.image, spriteX, spriteY, imageProps.size.width, imageProps.size.height, _x, _y, imageProps.size.width * expansionRate, imageProps.size.height * expansionRate);
+      } else {
+        this.context.drawImage(imageProps.image, spriteX, spriteY, imageProps.size.width, imageProps.size.height, _x, _y, w, h);
+      }
+    }
+  }
+
+  /**
+   * Draw the current frame of an animation.
+   * @param {Animator} animator animator
+   * @param {Counters} counters counters
+   * @param {number} x x-coordinate of the leftmost point of an image
+   * @param {number} y y-coordinate of the uppermost point of an image
+   * @param {Object} [opt] options. See {@link Painter2d#image}
+   */
+  animation(animator, counters, x, y, opt = {}) {
+    const frame = animator.getFrame(counters);
+    if (Object.prototype.toString.call(frame) === '[object String]') {
+      this.image(frame, x, y, opt);
+    } else {
+      this.image(animator.clip.image, x, y, Object.assign({}, opt, { spriteID: frame }));
+    }
+  }
+
+  /**
+   * Set global alpha value and draw.
+   * @param {number} alpha global alpha value
+   * @param {function} cb callback function
+   */
+  setGlobalAlphaAndDraw(alpha, cb) {
+    const _prevAlpha = this.context.globalAlpha;
+    this.context.globalAlpha = Math.min(1.0, Math.max(0.0, alpha));
+    cb();
+    this.context.globalAlpha = _prevAlpha;
+  }
+
+  /**
+   * Set global composite operation and draw.
+   * @param {string} operation global composite operation
+   * @param {function} cb callback function
+   */
+  setGlobalCompositeOperationAndDraw(operation, cb) {
+    const _prevOperation = this.context.globalCompositeOperation;
+    this.context.globalCompositeOperation = operation;
+    cb();
+    this.context.globalCompositeOperation = _prevOperation;
+  }
+
+  /**
+   * Transform and draw.
+   * @param {number} m11 horizontal scaling
+   * @param {number} m12 horizontal skewing
+   * @param {number} m21 vertical skewing
+   * @param {number} m22 vertical scaling
+   * @param {number} dx horizontal moving
+   * @param {number} dy vertical moving
+   * @param {function} cb callback function
+   */
+  transformAndDraw(m11, m12, m21, m22, dx, dy, cb) {
+    this.context.save();
+    this.context.transform(m11, m12, m21, m22, dx, dy);
+    cb();
+    this.context.restore();
+  }
+
+  /**
+   * Rotate canvas and draw.
+   * @param {number} x x-coordinate of the center of rotation
+   * @param {number} y y-coordinate of the center of rotation
+   * @param {number} angle rotation angle, expressed in radians
+   * @param {function} cb callback function
+   */
+  rotateAndDraw(x, y, angle, cb) {
+    const cosVal = Math.cos(angle);
+    const sinVal = Math.sin(angle);
+    this.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, -x * cosVal - y * sinVal + x, x * sinVal - y * cosVal + y, cb);
+  }
+
+  /**
+   * Scale canvas and draw.
+   * @param {number} focusX x-coordinate of the center of scaling
+   * @param {number} focusY y-coordinate of the center of scaling
+   * @param {number} scaleX scaling factor in the horizontal direction
+   * @param {number} scaleY scaling factor in the vertical direction
+   * @param {function} cb callback function
+   */
+  scaleAndDraw(focusX, focusY, scaleX, scaleY, cb) {
+    this.transformAndDraw(scaleX, 0, 0, scaleY, focusX * (1 - scaleX), focusY * (1 - scaleY), cb);
+  }
+
+  /**
+   * Create image pattern.
+   * @param {string} name image name
+   * @param {string} [repetition='repeat'] repetition. (`'repeat'`, `'repeat-x'`, `'repeat-y'`, or `'no-repeat'`)
+   * @returns {CanvasPattern} a pattern
+   */
+  createPattern(name, repetition = 'repeat') {
+    return this.context.createPattern(this.imageManager.getImage(name), repetition);
+  }
+
+  /**
+   * Return information about measured text.
+   * @param {string} text text
+   * @param {Object} [opt] options
+   * @param {number} [opt.size] font size [px]
+   * @param {string} [opt.font] font name
+   * @returns {TextMetrics}
+   */
+  measureText(text, opt = {}) {
+    if ('size' in opt) this.context.font = `${(this.recentTextOptions.size = opt.size).toString(10)}px ${this.recentTextOptions.font}`;
+    if ('font' in opt) this.context.font = `${this.recentTextOptions.size.toString(10)}px ${this.recentTextOptions.font = opt.font}`;
+    return this.context.measureText(text);
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Painter2d]`;
+  }
+}
+
+/**
+ * Class of 2-dimentional graphics which draws nothing.
+ * It is used for headless games.
+ * @param {number} width canvas width
+ * @param {number} height canvas height
+ * @param {ImageManager} imageManager
+ */
+class NullPainter2d extends Painter2d {
+  constructor(width, height, imageManager) {
+    super(NullPainter2d.createCanvas(width, height), imageManager);
+  }
+
+  /**
+   * Create a canvas-like object whose context does nothing.
+   * @param {number} width canvas width
+   * @param {number} height canvas height
+   * @returns {Object} canvas-like object
+   */
+  static createCanvas(width, height) {
+    const context = {
+      measureText: text => ({ width: 0 }),
+      createPattern: () => null,
+      setLineDash: () => {}
+    };
+    [
+      'save', 'restore', 'transform', 'clip', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'rect', 'arc', 'arcTo', 'ellipse',
+      'fill', 'stroke', 'clearRect', 'fillText', 'strokeText', 'drawImage'
+    ].forEach(name => {
+      context[name] = () => {};
+    });
+    return {
+      width,
+      height,
+      getContext: () => context
+    };
+  }
+
+  /**
+   * Create another painter with new canvas.
+   * @returns {NullPainter2d} another painter
+   */
+  createAnotherPainter() {
+    const another = new NullPainter2d(this.width, this.height, this.imageManager);
+    another.recentLineOptions = this.recentLineOptions;
+    another.recentTextOptions = this.recentTextOptions;
+    return another;
+  }
+
+  /**
+   * Draw nothing, because images are not loaded in headless games.
+   */
+  image(img, x, y, opt = {}) {}
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[NullPainter2d]`;
+  }
+}
+
+/**
+ * Class representing a camera looking at the world. It is immutable, so it can be a state value.
+ * The camera position is the world point at the center of the viewport.
+ * @param {Object} [obj] camera properties
+ * @param {number} [obj.width=600] viewport width
+ * @param {number} [obj.height=600] viewport height
+ * @param {number} [obj.x=0] x-coordinate of the camera position
+ * @param {number} [obj.y=0] y-coordinate of the camera position
+ * @param {number} [obj.zoom=1] zoom factor
+ * @param {number} [obj.rotation=0] rotation angle of the camera, expressed in radians
+ * @param {?Object} [obj.bounds=null] world rectangle the viewport cannot go out of
+ * @param {number} obj.bounds.x x-coordinate of the leftmost point
+ * @param {number} obj.bounds.y y-coordinate of the uppermost point
+ * @param {number} obj.bounds.width width
+ * @param {number} obj.bounds.height height
+ * @param {Object} [obj.deadZone] size of the rectangle around the camera position in which the followed target does not move the camera
+ * @param {number} [obj.deadZone.width=0] width
+ * @param {number} [obj.deadZone.height=0] height
+ * @param {number} [obj.followRate=1] ratio of the distance to the followed target moved in one tick. `1` means no smoothing
+ * @param {?Object} [obj.shake=null] current screen shake. See {@link Camera2d#shake}
+ */
+class Camera2d {
+  constructor(obj = {}) {
+    /** @member {number} */
+    this.width = 'width' in obj ? obj.width : 600;
+    /** @member {number} */
+    this.height = 'height' in obj ? obj.height : 600;
+    /** @member {number} */
+    this.zoom = 'zoom' in obj ? obj.zoom : 1;
+    /** @member {number} */
+    this.rotation = 'rotation' in obj ? obj.rotation : 0;
+    /** @member {?Object} */
+    this.bounds = 'bounds' in obj ? obj.bounds : null;
+    /** @member {Object} */
+    this.deadZone = 'deadZone' in obj ? obj.deadZone : { width: 0, height: 0 };
+    /** @member {number} */
+    this.followRate = 'followRate' in obj ? obj.followRate : 1;
+    this.shaking = 'shake' in obj ? obj.shake : null;
+
+    const [x, y] = this._clamp('x' in obj ? obj.x : 0, 'y' in obj ? obj.y : 0);
+    /** @member {number} */
+    this.x = x;
+    /** @member {number} */
+    this.y = y;
+    Object.freeze(this);
+  }
+
+  _clamp(x, y) {
+    if (this.bounds === null) return [x, y];
+    const halfWidth = this.width / this.zoom / 2;
+    const halfHeight = this.height / this.zoom / 2;
+    const clamp = (val, min, max) => min > max ? (min + max) / 2 : Math.min(max, Math.max(min, val));
+    return [
+      clamp(x, this.bounds.x + halfWidth, this.bounds.x + this.bounds.width - halfWidth),
+      clamp(y, this.bounds.y + halfHeight, this.bounds.y + this.bounds.height - halfHeight)
+    ];
+  }
+
+  _with(obj) {
+    return new Camera2d(Object.assign({
+      width: this.width,
+      height: this.height,
+      x: this.x,
+      y: this.y,
+      zoom: this.zoom,
+      rotation: this.rotation,
+      bounds: this.bounds,
+      deadZone: this.deadZone,
+      followRate: this.followRate,
+      shake: this.shaking
+    }, obj));
+  }
+
+  /**
+   * Move the camera to the position.
+   * @param {number} x x-coordinate
+   * @param {number} y y-coordinate
+   * @returns {Camera2d} new camera
+   */
+  moveTo(x, y) {
+    return this._with({ x, y });
+  }
+
+  /**
+   * Move the camera by the difference.
+   * @param {number} dx difference of x-coordinate
+   * @param {number} dy difference of y-coordinate
+   * @returns {Camera2d} new camera
+   */
+  moveBy(dx, dy) {
+    return this._with({ x: this.x + dx, y: this.y + dy });
+  }
+
+  /**
+   * Change the zoom factor.
+   * @param {number} zoom zoom factor
+   * @returns {Camera2d} new camera
+   */
+  zoomTo(zoom) {
+    return this._with({ zoom });
+  }
+
+  /**
+   * Change the rotation angle.
+   * @param {number} rotation rotation angle, expressed in radians
+   * @returns {Camera2d} new camera
+   */
+  rotateTo(rotation) {
+    return this._with({ rotation });
+  }
+
+  /**
+   * Change the bounds.
+   * @param {?Object} bounds world rectangle. If it is `null`, then the camera can go anywhere
+   * @returns {Camera2d} new camera
+   */
+  setBounds(bounds) {
+    return this._with({ bounds });
+  }
+
+  /**
+   * Follow the target. Call it every tick.
+   * @param {number} x x-coordinate of the target
+   * @param {number} y y-coordinate of the target
+   * @returns {Camera2d} new camera
+   */
+  follow(x, y) {
+    const follow1d = (pos, target, deadZone) => {
+      const goal = Math.min(target + deadZone / 2, Math.max(target - deadZone / 2, pos));
+      return pos + (goal - pos) * this.followRate;
+    };
+    return this.moveTo(follow1d(this.x, x, this.deadZone.width), follow1d(this.y, y, this.deadZone.height));
+  }
+
+  /**
+   * Shake the screen. The shake weakens linearly.
+   * @param {number} intensity maximum distance of shaking in world coordinates
+   * @param {number} duration duration in ticks
+   * @param {Counters} counters counters
+   * @param {number} [seed=0] seed of shaking
+   * @returns {Camera2d} new camera
+   */
+  shake(intensity, duration, counters, seed = 0) {
+    return this._with({ shake: { intensity, duration, start: counters.general, seed } });
+  }
+
+  /**
+   * Get the offset by the screen shake.
+   * @param {Counters} counters counters
+   * @returns {Vector2d} offset in world coordinates
+   */
+  getShakeOffset(counters) {
+    if (this.shaking === null) return new Vector2d(0, 0);
+    const elapsed = counters.general - this.shaking.start;
+    if (elapsed < 0 || elapsed >= this.shaking.duration) return new Vector2d(0, 0);
+    const random = new Random(this.shaking.seed + elapsed);
+    const distance = this.shaking.intensity * (1 - elapsed / this.shaking.duration);
+    return new Vector2d(random.nextRange(-distance, distance), random.nextRange(-distance, distance));
+  }
+
+  _getMatrix(x, y) {
+    const cosVal = Math.cos(this.rotation) * this.zoom;
+    const sinVal = Math.sin(this.rotation) * this.zoom;
+    return [
+      cosVal, -sinVal, sinVal, cosVal,
+      this.width / 2 - cosVal * x - sinVal * y,
+      this.height / 2 + sinVal * x - cosVal * y
+    ];
+  }
+
+  /**
+   * Draw in world coordinates.
+   * @param {Painter2d} painter painter
+   * @param {Counters} counters counters
+   * @param {function} cb callback function
+   */
+  apply(painter, counters, cb) {
+    const offset = this.getShakeOffset(counters);
+    painter.transformAndDraw(...this._getMatrix(this.x + offset.x, this.y + offset.y), cb);
+  }
+
+  /**
+   * Convert world coordinates into screen coordinates. The screen shake is ignored.
+   * @param {Vector2d} point point in world coordinates
+   * @returns {Vector2d} point in screen coordinates
+   */
+  worldToScreen(point) {
+    const [m11, m12, m21, m22, dx, dy] = this._getMatrix(this.x, this.y);
+    return new Vector2d(m11 * point.x + m21 * point.y + dx, m12 * point.x + m22 * point.y + dy);
+  }
+
+  /**
+   * Convert screen coordinates into world coordinates. The screen shake is ignored.
+   * It can convert {@link Mouse#position}.
+   * @param {Vector2d} point point in screen coordinates
+   * @returns {Vector2d} point in world coordinates
+   */
+  screenToWorld(point) {
+    const cosVal = Math.cos(this.rotation) / this.zoom;
+    const sinVal = Math.sin(this.rotation) / this.zoom;
+    const dx = point.x - this.width / 2;
+    const dy = point.y - this.height / 2;
+    return new Vector2d(this.x + cosVal * dx - sinVal * dy, this.y + sinVal * dx + cosVal * dy);
+  }
+
+  /**
+   * Get the smallest world rectangle containing the viewport. It is useful for culling.
+   * @returns {Object} rectangle which has `x`, `y`, `width` and `height`
+   */
+  getViewRect() {
+    const corners = [[0, 0], [this.width, 0], [0, this.height], [this.width, this.height]]
+      .map(([x, y]) => this.screenToWorld(new Vector2d(x, y)));
+    const xs = corners.map(corner => corner.x);
+    const ys = corners.map(corner => corner.y);
+    const [left, top] = [Math.min(...xs), Math.min(...ys)];
+    return { x: left, y: top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Camera2d (${this.x}, ${this.y}) x${this.zoom}]`;
+  }
+}
+
+/**
+ * Class for scene transition.
+ * @param {function} data
+ */
+class Transition {
+  constructor(data) {
+    this.data = data;
+  }
+
+  /**
+   * Do pattern match.
+   * @param {Object} pattern pattern matcher
+   * @param {function} pattern.stay if Transition.Stay then do this
+   * @param {function} pattern.trans if Transition.Trans then do this
+   * @param {function} pattern.end if Transition.End then do this
+   * @param {function} pattern.reset if Transition.Reset then do this
+   * @param {function} pattern.push if Transition.Push then do this
+   * @param {function} pattern.pop if Transition.Pop then do this
+   */
+  match(pattern) {
+    return this.data(pattern);
+  }
+
+  /**
+   * Stay the scene.
+   * @returns {Transition}
+   */
+  static Stay() {
+    return new Transition(pattern => pattern.stay());
+  }
+
+  /**
+   * Transition to another scene.
+   * @param {string} nextScene next scene name
+   * @param {Object} [opt] options
+   * @param {number} [opt.counter=0] scene counter when the next scene start
+   * @param {function} [opt.transFunc] transition function
+   * @returns {Transition}
+   */
+  static Trans(nextScene, opt = {}) {
+    const nextCounter = 'counter' in opt ? opt.counter : 0;
+    const transFunc = 'transFunc' in opt ? opt.transFunc : () => true;
+    return new Transition(pattern => pattern.trans(nextScene, nextCounter, transFunc));
+  }
+
+  /**
+   * End the game.
+   * @returns {Transition}
+   */
+  static End() {
+    return new Transition(pattern => pattern.end());
+  }
+
+  /**
+   * Reset the game.
+   * @returns {Transition}
+   */
+  static Reset() {
+    return new Transition(pattern => pattern.reset());
+  }
+
+  /**
+   * Push another scene on the current scene.
+   * The current scene is frozen until the pushed scene pops.
+   * @param {string} nextScene next scene name
+   * @param {Object} [opt] options
+   * @param {number} [opt.counter=0] scene counter when the next scene start
+   * @param {boolean} [opt.drawBelow=true] if `true`, then the frozen scene is drawn beneath the next scene
+   * @returns {Transition}
+   */
+  static Push(nextScene, opt = {}) {
+    const nextCounter = 'counter' in opt ? opt.counter : 0;
+    const drawBelow = 'drawBelow' in opt ? opt.drawBelow : true;
+    return new Transition(pattern => pattern.push(nextScene, nextCounter, drawBelow));
+  }
+
+  /**
+   * Pop the current scene and resume the scene beneath.
+   * @param {} [result=null] result delivered to {@link Scene#resume}
+   * @returns {Transition}
+   */
+  static Pop(result = null) {
+    return new Transition(pattern => pattern.pop(result));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return this.match({
+      stay: () => `[Transition Stay]`,
+      trans: () => `[Transition Trans]`,
+      end: () => `[Transition End]`,
+      reset: () => `[Transition Reset]`,
+      push: () => `[Transition Push]`,
+      pop: () => `[Transition Pop]`
+    });
+  }
+}
+
+/**
+ * Class representing a game scene.
+ * If you want to create new scene, please extend it.
+ * @param {string} name scene name
+ * @param {Object} [opt] options
+ * @param {string[]} [opt.bundles=[]] names of the asset bundles which the scene needs. See {@link BundleManager}
+ * @param {System[]} [opt.systems=[]] systems processing the entities of the scene. See {@link Scene#addSystem}
+ */
+class Scene {
+  constructor(name, opt = {}) {
+    /** @member {string} */
+    this.name = name;
+    /** @member {string[]} */
+    this.bundles = 'bundles' in opt ? opt.bundles : [];
+    /** @member {System[]} */
+    this.systems = [];
+    ('systems' in opt ? opt.systems : []).forEach(system => this.addSystem(system));
+  }
+
+  /**
+   * Add new system.
+   * @param {System} system new system
+   * @returns {boolean} If this already has the system of the same name, returns `false`.
+   */
+  addSystem(system) {
+    if (this.systems.some(other => other.name === system.name)) {
+      return false;
+    } else {
+      this.systems.push(system);
+      return true;
+    }
+  }
+
+  /**
+   * Update the state by the systems in the update order.
+   * @param {State} state previous state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {SoundManager} sound sound manager
+   * @param {Game} game game itself
+   * @returns {State} updated state
+   */
+  updateSystems(state, action, counters, sound, game) {
+    return this.systems.slice().sort((a, b) => a.updateOrder - b.updateOrder)
+      .reduce((acc, system) => system.update(acc, action, counters, sound, game), state);
+  }
+
+  /**
+   * Draw by the systems in the draw order.
+   * @param {State} state current state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {Painter} painter graphics controller
+   * @param {Game} game game itself
+   * @param {number} [alpha=0] elapsed fraction of a tick since the state was updated
+   */
+  drawSystems(state, action, counters, painter, game, alpha = 0) {
+    this.systems.slice().sort((a, b) => a.drawOrder - b.drawOrder)
+      .forEach(system => system.draw(state, action, counters, painter, game, alpha));
+  }
+
+  /**
+   * Initialize the state.
+   * @param {State} state previous state
+   * @param {Counters} counters counters
+   * @param {Game} game game itself
+   * @returns {State} initialized state
+   */
+  init(state, counters, game) {
+    return state;
+  }
+
+  /**
+   * Resume the scene when the scene pushed on it pops.
+   * @param {State} state the state when the scene was frozen
+   * @param {} result result of the popped scene
+   * @param {Counters} counters counters
+   * @param {Game} game game itself
+   * @returns {State} resumed state
+   */
+  resume(state, result, counters, game) {
+    return state;
+  }
+
+  /**
+   * Update the state. By default, the systems update it.
+   * @param {State} state previous state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {SoundManager} sound sound manager
+   * @param {Game} game game itself
+   * @returns {State} updated state
+   */
+  update(state, action, counters, sound, game) {
+    return this.updateSystems(state, action, counters, sound, game);
+  }
+
+  /**
+   * Draw on the canvas. By default, the systems draw if the scene has any.
+   * @param {State} state previous state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {Painter} painter graphics controller
+   * @param {Game} game game itself
+   * @param {number} [alpha=0] elapsed fraction of a tick since the state was updated. It is always `0` unless the game runs with fixed timestep
+   */
+  draw(state, action, counters, painter, game, alpha = 0) {
+    if (this.systems.length > 0) {
+      this.drawSystems(state, action, counters, painter, game, alpha);
+    } else if (painter.contextType === '2d') {
+      painter.background("#ffffff");
+      painter.text(this.name, painter.width / 2, painter.height / 2, { size: 64, align: 'center', baseline: 'middle' }).fill("#000000");
+    }
+  }
+
+  /**
+   * Transition to the next scene.
+   * @param {State} state previous state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {Game} game game itself
+   * @returns {Transition} transition
+   */
+  transition(state, action, counters, game) {
+    return Transition.Stay();
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Scene ${this.name}]`;
+  }
+}
+
+/**
+ * Class representing the scene drawn while assets are loading.
+ * It shows a progress bar of {@link AssetLoader#progress}. Its state is not recorded, and it never transits.
+ * If you want to customize it, please extend it and give it to {@link Game} as `loadingScene`.
+ * @param {string} [name='loading'] scene name
+ */
+class LoadingScene extends Scene {
+  constructor(name = 'loading') {
+    super(name);
+  }
+
+  /**
+   * Draw the progress bar.
+   * @param {State} state previous state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {Painter} painter graphics controller
+   * @param {Game} game game itself
+   * @param {number} [alpha=0] always `0`
+   */
+  draw(state, action, counters, painter, game, alpha = 0) {
+    if (painter.contextType === '2d') {
+      const progress = game.loader.progress;
+      const width = painter.width * 0.6;
+      const x = (painter.width - width) / 2;
+      const y = painter.height / 2;
+      painter.background("#000000");
+      painter.rect(x, y, width * progress.ratio, 8).fill("#ffffff");
+      painter.rect(x, y, width, 8).stroke("#ffffff", { width: 1 });
+      painter.text(`${progress.loaded} / ${progress.total}`, painter.width / 2, y - 12, { size: 16, align: 'center', baseline: 'bottom' }).fill("#ffffff");
+    }
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[LoadingScene ${this.name}]`;
+  }
+}
+
+/**
+ * Class representing game scenes.
+ * @param {Scene[]} scenes an array of scenes
+ */
+class Scenes {
+  constructor(scenes) {
+    this._scenes = new Map();
+    scenes.forEach(scene => this.scenes.set(scene.name, scene));
+  }
+
+  /** @member {Map.<string, Scene>} */
+  get scenes() {
+    return this._scenes;
+  }
+
+  set scenes(scenes) {
+    Logger.fatal("Cannot set Scenes.scenes directly.\nIf you want to set a scene, please use Scenes#addScene(scene).");
+  }
+
+  /**
+   * Add new scene.
+   * @param {Scene} scene new scene
+   * @returns {boolean} If this already has the scene of the same name, returns `false`.
+   */
+  addScene(scene) {
+    if (this.hasScene(scene.name)) {
+      return false;
+    } else {
+      this.scenes.set(scene.name, scene);
+      return true;
+    }
+  }
+
+  /**
+   * Check if this has the scene.
+   * @param {string} name the scene name
+   * @returns {boolean} `true` if this has the scene
+   */
+  hasScene(name) {
+    return this.scenes.has(name);
+  }
+
+  /**
+   * Returns the scene.
+   * @param {string} name the scene name
+   * @returns {?Scene} the scene
+   */
+  getScene(name) {
+    if (this.hasScene(name)) {
+      return this.scenes.get(name);
+    } else {
+      Logger.error(`Scenes has no scene of name ${name}!`);
+      return null;
+    }
+  }
+
+  /**
+   * Execute function for each scenes.
+   * @param {Scenes~forEach} f callback function
+   */
+  forEach(f) {
+    this.scenes.forEach(f);
+  }
+  /**
+   * @callback Scenes~forEach
+   * @param {string} key
+   * @param {Scene} value
+   */
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Scenes]`;
+  }
+}
+
+/**
+ * Enum for logging level.
+ * @readonly
+ * @enum {number}
+ */
+const LogLevel = {
+  /**
+   * Logger.fatal or Logger.error
+   * @member {number}
+   */
+  ONLY_ERROR: 0b00011,
+  /**
+   * Logger.fatal, Logger.error or Logger.info
+   * @member {number}
+   */
+  OPTIMISM: 0b01011,
+  /**
+   * Logger.fatal, Logger.error, Logger.warn or Logger.info
+   * @member {number}
+   */
+  NORMAL: 0b01111,
+  /**
+   * All logs
+   * @member {number}
+   */
+  DEBUG: 0b11111
+};
+Object.freeze(LogLevel);
+
+/**
+ * Namespace for logging.
+ * @namespace
+ */
+const Logger = {
+  FATAL_STYLE: 'color: #903; background-color: #f99;',
+  ERROR_STYLE: 'color: #f00; background-color: #fcc;',
+  WARNING_STYLE: 'color: #f50; background-color: #fec;',
+  INFO_STYLE: 'color: #090; background-color: #cfc;',
+  DEBUG_STYLE: 'color: #00f; background-color: #ccf;',
+  BOLD_STYLE: 'font-weight: bold;',
+  NORMAL_STYLE: 'font-weight: normal;',
+  ITALIC_STYLE: 'font-style: italic',
+  _game: null,
+  _level: LogLevel.NORMAL,
+  /**
+   * Log fatal error and force to exit.
+   * @param {...string} msg messages
+   */
+  fatal: (...msg) => {
+    if (Logger._level & 0b00001) {
+      console.groupCollapsed('%c[Fatal]%c' + msg.join('\n'), Logger.FATAL_STYLE + Logger.BOLD_STYLE, Logger.FATAL_STYLE + Logger.NORMAL_STYLE);
+      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
+      console.groupEnd();
+      if (Logger._game !== null) {
+        Logger._game.sendLog(msg, Logger.FATAL_STYLE);
+      }
+
+      throw new Error('Some fatal error occurred. See error messages.');
+    }
+  },
+  /**
+   * Log error but do nothing else.
+   * @param {...string} msg messages
+   */
+  error: (...msg) => {
+    if (Logger._level & 0b00010) {
+      console.groupCollapsed('%c[Error]%c' + msg.join('\n'), Logger.ERROR_STYLE + Logger.BOLD_STYLE, Logger.ERROR_STYLE + Logger.NORMAL_STYLE);
+      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
+      console.groupEnd();
+      if (Logger._game !== null) {
+        Logger._game.sendLog(msg, Logger.ERROR_STYLE);
+      }
+    }
+  },
+  /**
+   * Log warning.
+   * @param {...string} msg messages
+   */
+  warn: (...msg) => {
+    if (Logger._level & 0b00100) {
+      console.groupCollapsed('%c[Warning]%c' + msg.join('\n'), Logger.WARNING_STYLE + Logger.BOLD_STYLE, Logger.WARNING_STYLE + Logger.NORMAL_STYLE);
+      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
+      console.groupEnd();
+      if (Logger._game !== null) {
+        Logger._game.sendLog(msg, Logger.WARNING_STYLE);
+      }
+    }
+  },
+  /**
+   * Log information.
+   * For confirmation or testing, use Logger.debug.
+   * @param {...string} msg messages
+   */
+  info: (...msg) => {
+    if (Logger._level & 0b01000) {
+      console.groupCollapsed('%c[Info]%c' + msg.join('\n'), Logger.INFO_STYLE + Logger.BOLD_STYLE, Logger.INFO_STYLE + Logger.NORMAL_STYLE);
+      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
+      console.groupEnd();
+      if (Logger._game !== null) {
+        Logger._game.sendLog(msg, Logger.INFO_STYLE);
+      }
+    }
+  },
+  /**
+   * Log debug message.
+   * @param {...string} msg messages
+   */
+  debug: (...msg) => {
+    if (Logger._level & 0b10000) {
+      console.groupCollapsed('%c[Debug]%c' + msg.join('\n'), Logger.DEBUG_STYLE + Logger.BOLD_STYLE, Logger.DEBUG_STYLE + Logger.NORMAL_STYLE);
+      console.trace('%cstack trace:', Logger.ITALIC_STYLE);
+      console.groupEnd();
+      if (Logger._game !== null) {
+        Logger._game.sendLog(msg, Logger.DEBUG_STYLE);
+      }
+    }
+  },
+  /**
+   * Set game to cooperate each other.
+   * @param {Game} game
+   */
+  setGame: (game) => {
+    Logger._game = game;
+  },
+  /**
+   * Set log level.
+   * @param {LogLevel} level
+   */
+  setLogLevel: (level) => {
+    Logger._level = level;
+  }
+};
+
+/**
+ * Key code bi-direction map.
+ * @namespace
+ */
+const KeycodeBiDiMap = (() => {
+  const nameToCode = new Map();
+  const codeToName = new Map();
+  const register = (name, code) => {
+    if (nameToCode.has(name) || codeToName.has(code)) Logger.fatal('key code duplicated!');
+    nameToCode.set(name, code);
+    codeToName.set(code, name);
+  };
+
+  const keycodeTable = {
+    BackSpace: 8,
+    Tab: 9,
+    Enter: 13,
+    ShiftLeft: 14,
+    ControlLeft: 15,
+    ShiftRight: 16,
+    ControlRight: 17,
+    AltLeft: 18,
+    AltRight: 19,
+    CapsLock: 20,
+    Escape: 27,
+    Space: 32,
+    ArrowLeft: 37,
+    ArrowUp: 38,
+    ArrowRight: 39,
+    ArrowDown: 40,
+    Digit0: 48,
+    Digit1: 49,
+    Digit2: 50,
+    Digit3: 51,
+    Digit4: 52,
     Digit5: 53,
     Digit6: 54,
     Digit7: 55,
@@ -2087,1007 +5681,3894 @@ const KeycodeBiDiMap = (() => {
     IntlYen: 255
   };
 
-  Object.keys(keycodeTable).forEach(name => {
-    register(name, keycodeTable[name]);
-  });
+  Object.keys(keycodeTable).forEach(name => {
+    register(name, keycodeTable[name]);
+  });
+
+  return {
+    getName: (num) => {
+      return codeToName.get(num);
+    },
+    getCodes: (names) => {
+      return names.filter(name => nameToCode.has(name)).map(name => nameToCode.get(name));
+    }
+  };
+})();
+Object.freeze(KeycodeBiDiMap);
+
+/**
+ * Namespace for hashing.
+ * @namespace
+ */
+const SHA256 = (() => {
+  const H = Uint32Array.from([
+    0x6a09e667,
+    0xbb67ae85,
+    0x3c6ef372,
+    0xa54ff53a,
+    0x510e527f,
+    0x9b05688c,
+    0x1f83d9ab,
+    0x5be0cd19
+  ]);
+  const K = Uint32Array.from([
+    0x428a2f98,
+    0x71374491,
+    0xb5c0fbcf,
+    0xe9b5dba5,
+    0x3956c25b,
+    0x59f111f1,
+    0x923f82a4,
+    0xab1c5ed5,
+    0xd807aa98,
+    0x12835b01,
+    0x243185be,
+    0x550c7dc3,
+    0x72be5d74,
+    0x80deb1fe,
+    0x9bdc06a7,
+    0xc19bf174,
+    0xe49b69c1,
+    0xefbe4786,
+    0x0fc19dc6,
+    0x240ca1cc,
+    0x2de92c6f,
+    0x4a7484aa,
+    0x5cb0a9dc,
+    0x76f988da,
+    0x983e5152,
+    0xa831c66d,
+    0xb00327c8,
+    0xbf597fc7,
+    0xc6e00bf3,
+    0xd5a79147,
+    0x06ca6351,
+    0x14292967,
+    0x27b70a85,
+    0x2e1b2138,
+    0x4d2c6dfc,
+    0x53380d13,
+    0x650a7354,
+    0x766a0abb,
+    0x81c2c92e,
+    0x92722c85,
+    0xa2bfe8a1,
+    0xa81a664b,
+    0xc24b8b70,
+    0xc76c51a3,
+    0xd192e819,
+    0xd6990624,
+    0xf40e3585,
+    0x106aa070,
+    0x19a4c116,
+    0x1e376c08,
+    0x2748774c,
+    0x34b0bcb5,
+    0x391c0cb3,
+    0x4ed8aa4a,
+    0x5b9cca4f,
+    0x682e6ff3,
+    0x748f82ee,
+    0x78a5636f,
+    0x84c87814,
+    0x8cc70208,
+    0x90befffa,
+    0xa4506ceb,
+    0xbef9a3f7,
+    0xc67178f2
+  ]);
+  const PLUS = (...args) => args.length ? (args[0] + PLUS(...args.slice(1))) & 0xffffffff : 0;
+  const CH = (x, y, z) => (x & y) ^ (~x & z);
+  const MAJ = (x, y, z) => (x & y) ^ (x & z) ^ (y & z);
+  const SHR = (x, n) => x >>> n;
+  const ROTR = (x, n) => (x >>> n) | (x << (32 - n));
+  const SIGMA0 = x => ROTR(x, 2) ^ ROTR(x, 13) ^ ROTR(x, 22);
+  const SIGMA1 = x => ROTR(x, 6) ^ ROTR(x, 11) ^ ROTR(x, 25);
+  const _SIGMA0 = x => ROTR(x, 7) ^ ROTR(x, 18) ^ SHR(x, 3);
+  const _SIGMA1 = x => ROTR(x, 17) ^ ROTR(x, 19) ^ SHR(x, 10);
+  return {
+    parse: (uint32Array) => {
+      let blocks = [];
+      uint32Array.forEach((int, i) => {
+        if (i % 16 === 0) blocks[(i / 16) | 0] = new Uint32Array(16);
+        blocks[Math.floor(i / 16)][i % 16] = int;
+      });
+      return blocks;
+    },
+    digest: (uint32Array) => {
+      // TODO: impl.
+      let hashes = Uint32Array.from(H);
+      // parse buffer to some blocks
+      const BLOCKS = SHA256.parse(uint32Array);
+      BLOCKS.forEach(M => {
+        let W = new Uint32Array(64);
+        for (let t = 0; t < 64; ++t)
+          W[t] = t < 16 ? M[t] : PLUS(_SIGMA1(W[t - 2]), W[t - 7], _SIGMA0(W[t - 15]), W[t - 16]);
+        let [a, b, c, d, e, f, g, h] = hashes;
+        for (let t = 0; t < 64; t++) {
+          const T1 = PLUS(h, SIGMA1(e), CH(e, f, g), K[t], W[t]);
+          const T2 = PLUS(SIGMA0(a), MAJ(a, b, c));
+          h = g;
+          g = f;
+          f = e;
+          e = PLUS(d, T1);
+          d = c;
+          c = b;
+          b = a;
+          a = PLUS(T1, T2);
+        }
+        hashes[0] = PLUS(hashes[0], a);
+        hashes[1] = PLUS(hashes[1], b);
+        hashes[2] = PLUS(hashes[2], c);
+        hashes[3] = PLUS(hashes[3], d);
+        hashes[4] = PLUS(hashes[4], e);
+        hashes[5] = PLUS(hashes[5], f);
+        hashes[6] = PLUS(hashes[6], g);
+        hashes[7] = PLUS(hashes[7], h);
+      });
+      return hashes;
+    }
+  };
+})();
+
+/**
+ * Class for recording and auto-playing tool.
+ */
+class Recorder {
+  constructor() {
+    this.data = [];
+    this.mode = 'r';
+
+    this._detail = {
+      startTime: 0,
+      endTime: 0,
+      revision: 0,
+      seed: 0,
+      title: typeof document === 'undefined' ? 'NoTitle' : `NoTitle:${document.lastModified}`
+    };
+  }
+
+  /**
+   * Magic number of Recorder.js.
+   */
+  static get MAGIC() {
+    return 0x4b72;
+  }
+
+  /**
+   * Version number of Recorder.js.
+   */
+  static get VERSION() {
+    return 0x2002;
+  }
+
+  /**
+   * Number of showing log at once.
+   */
+  static get SHOWING_LOG() {
+    return 8;
+  }
+
+  /**
+   * Seed of the random number generator at the start of the record.
+   * @member {number}
+   */
+  get seed() {
+    return this._detail.seed;
+  }
+
+  /**
+   * Create empty input data of a frame.
+   * @returns {Object} frame data
+   */
+  static createFrameData() {
+    return {
+      keyboard: [],
+      mouseButton: [],
+      mousePosition: { x: Number.NaN, y: Number.NaN },
+      pointers: [],
+      gamepads: Array.from({ length: ActionManager.GAMEPADS }, () => ({ connected: false, buttons: [], axes: [] }))
+    };
+  }
+
+  /**
+   * Copy input data of a frame.
+   * @param {Object} frameData frame data
+   * @returns {Object} copied frame data
+   */
+  static copyFrameData(frameData) {
+    return {
+      keyboard: [...frameData.keyboard],
+      mouseButton: [...frameData.mouseButton],
+      mousePosition: { x: frameData.mousePosition.x, y: frameData.mousePosition.y },
+      pointers: frameData.pointers.map(pointer => ({ id: pointer.id, x: pointer.x, y: pointer.y })),
+      gamepads: frameData.gamepads.map(gamepad => ({ connected: gamepad.connected, buttons: [...gamepad.buttons], axes: [...gamepad.axes] }))
+    };
+  }
+
+  /**
+   * Set recorder mode.
+   * @param {string} mode `'r'` if reading, `'w'` if writing
+   */
+  setMode(mode) {
+    this.mode = mode;
+  }
+
+  /**
+   * Start recording.
+   * @param {string} [title] game title
+   * @param {number} [seed] seed of the random number generator
+   */
+  startRecord(title = null, seed = null) {
+    if (this.mode === 'r') return;
+    if (title !== null) this._detail.title = title;
+    if (this._detail.startTime === 0) {
+      this._detail.startTime = Date.now();
+      if (seed !== null) this._detail.seed = seed >>> 0;
+    } else {
+      this._detail.revision++;
+    }
+  }
+
+  /**
+   * Store action as data.
+   * @param {ActionManager} action
+   * @param {number} frame
+   */
+  storeAction(action, frame) {
+    if (this.mode === 'r') return;
+    while (!(frame in this.data)) this.data.push(Recorder.createFrameData());
+    this.data[frame].keyboard = [...action.keyboard.down];
+    this.data[frame].mouseButton = [...action.mouse.down];
+    this.data[frame].mousePosition.x = action.mouse.position.x;
+    this.data[frame].mousePosition.y = action.mouse.position.y;
+    this.data[frame].pointers = action.pointer.getContacts().map(contact => ({ id: contact.id, x: contact.position.x, y: contact.position.y }));
+    this.data[frame].gamepads = action.gamepads.map(gamepad => ({
+      connected: gamepad.connected,
+      buttons: [...gamepad.down],
+      axes: [...gamepad.axes]
+    }));
+  }
+
+  /**
+   * Reset data after the frame.
+   * @param {number} frame
+   */
+  resetAfter(frame) {
+    if (this.mode === 'r') return;
+    if (this.data.length - 1 > frame) {
+      this.data = this.data.slice(0, frame);
+    }
+  }
+
+  /**
+   * Convert the record to binary.
+   * @returns {ArrayBuffer} record data
+   */
+  toBuffer() {
+    this._detail.endTime = Date.now();
+
+    // parse action data
+    const binaryData0 = [0x18];
+    let waitFrames = -1;
+    let prevData = Recorder.createFrameData();
+    const diffGamepads = (prevGamepads, frameGamepads) => {
+      const binary = [];
+      frameGamepads.forEach((frameGamepad, i) => {
+        const prevGamepad = prevGamepads[i];
+        if (frameGamepad.connected && !prevGamepad.connected) binary.push(0x4c, i);
+        frameGamepad.buttons.filter(button => !prevGamepad.buttons.includes(button)).forEach(button => binary.push(0x40, i, button));
+        prevGamepad.buttons.filter(button => !frameGamepad.buttons.includes(button)).forEach(button => binary.push(0x41, i, button));
+        frameGamepad.axes.forEach((value, axis) => {
+          if (value !== prevGamepad.axes[axis]) {
+            const quantized = Math.round(value * 0x7fff) & 0xffff;
+            binary.push(0x48, i, axis, quantized & 0xff, quantized >>> 8);
+          }
+        });
+        if (!frameGamepad.connected && prevGamepad.connected) binary.push(0x4d, i);
+      });
+      return binary;
+    };
+    const diffPointers = (prevPointers, framePointers) => {
+      const binary = [];
+      framePointers.forEach(pointer => {
+        const prevPointer = prevPointers.find(prev => prev.id === pointer.id);
+        if (prevPointer === undefined || prevPointer.x !== pointer.x || prevPointer.y !== pointer.y) {
+          binary.push(0x50, pointer.id & 0xff, (pointer.id >>> 8) & 0xff, pointer.x & 0xff, (pointer.x >>> 8) & 0xff, pointer.y & 0xff, (pointer.y >>> 8) & 0xff);
+        }
+      });
+      prevPointers.filter(prev => !framePointers.some(pointer => pointer.id === prev.id)).forEach(prev => {
+        binary.push(0x51, prev.id & 0xff, (prev.id >>> 8) & 0xff);
+      });
+      return binary;
+    };
+    this.data.forEach(frameData => {
+      const keyboardPlus = frameData.keyboard.filter(frameKey => !prevData.keyboard.includes(frameKey));
+      const keyboardMinus = prevData.keyboard.filter(prevKey => !frameData.keyboard.includes(prevKey));
+      const mouseButtonPlus = frameData.mouseButton.filter(frameButton => !prevData.mouseButton.includes(frameButton));
+      const mouseButtonMinus = prevData.mouseButton.filter(prevButton => !frameData.mouseButton.includes(prevButton));
+      const mouseMove = (prevData.mousePosition.x !== frameData.mousePosition.x && (!Number.isNaN(prevData.mousePosition.x) || !Number.isNaN(frameData.mousePosition.x))) ||
+        (prevData.mousePosition.y !== frameData.mousePosition.y && (!Number.isNaN(prevData.mousePosition.y) || !Number.isNaN(frameData.mousePosition.y)));
+      const pointerBinary = diffPointers(prevData.pointers, frameData.pointers);
+      const gamepadBinary = diffGamepads(prevData.gamepads, frameData.gamepads);
+      if (keyboardPlus.length + keyboardMinus.length + mouseButtonPlus.length + mouseButtonMinus.length + pointerBinary.length + gamepadBinary.length === 0 && !mouseMove) {
+        waitFrames++;
+      } else {
+        switch (waitFrames) {
+        case -1:
+          break;
+        case 0:
+          binaryData0.push(0x10);
+          break;
+        case 1:
+          binaryData0.push(0x10, 0x10);
+          break;
+        default:
+          waitFrames++;
+          binaryData0.push(0x1a, waitFrames & 0xff, waitFrames >>> 8);
+        }
+        KeycodeBiDiMap.getCodes(keyboardPlus).forEach(code => binaryData0.push(0x20, code));
+        KeycodeBiDiMap.getCodes(keyboardMinus).forEach(code => binaryData0.push(0x21, code));
+        mouseButtonPlus.forEach(code => binaryData0.push(0x30, code));
+        mouseButtonMinus.forEach(code => binaryData0.push(0x31, code));
+        if (mouseMove) {
+          const mouseX = frameData.mousePosition.x;
+          const mouseY = frameData.mousePosition.y;
+          binaryData0.push(0x38);
+          if (Number.isNaN(mouseX)) binaryData0.push(0xff, 0xff);
+          else binaryData0.push(mouseX & 0xff, mouseX >>> 8);
+          if (Number.isNaN(mouseY)) binaryData0.push(0xff, 0xff);
+          else binaryData0.push(mouseY & 0xff, mouseY >>> 8);
+        }
+        binaryData0.push(...pointerBinary);
+        binaryData0.push(...gamepadBinary);
+
+        waitFrames = 0;
+        prevData = frameData;
+      }
+    });
+    switch (waitFrames) {
+    case 0:
+      binaryData0.push(0x10);
+      break;
+    case 1:
+      binaryData0.push(0x10, 0x10);
+      break;
+    default:
+      waitFrames++;
+      binaryData0.push(0x1a, waitFrames & 0xff, waitFrames >>> 8);
+    }
+    binaryData0.push(0x19);
+
+    // padding
+    const nopeLength = 1024 - binaryData0.length % 512;
+    for (let i = 0; i < nopeLength; i++) {
+      binaryData0.push(0xff);
+    }
+
+    // create checksum
+    const checkSum = SHA256.digest(new Uint32Array(Uint8Array.from(binaryData0).buffer));
+
+    const binaryData1 = [];
+    const pushUint = (array, number, length) => {
+      for (let i = 0; i < length; i++) {
+        array.push(Math.floor((number / 2 ** (8 * i)) & 0xff));
+      }
+    };
+    // push version
+    binaryData1.push(Recorder.MAGIC & 0xff, Recorder.MAGIC >>> 8, Recorder.VERSION & 0xff, Recorder.VERSION >>> 8, 0, 0, 0, 0);
+    // push last frames
+    pushUint(binaryData1, this.data.length, 4);
+    // push revision time
+    pushUint(binaryData1, this._detail.revision, 4);
+    // push start time
+    pushUint(binaryData1, this._detail.startTime, 8);
+    // push end time
+    pushUint(binaryData1, this._detail.endTime, 8);
+    // push game title
+    for (let i = 0; i < 32; i++) {
+      if (i >= this._detail.title.length) binaryData1.push(0);
+      else binaryData1.push(this._detail.title.charCodeAt(i) & 0xff);
+    }
+    // push random seed
+    pushUint(binaryData1, this._detail.seed, 4);
+    // push reserved
+    for (let i = 0; i < 28; i++) {
+      binaryData1.push(0);
+    }
+    // push checksum
+    new Uint8Array(checkSum.buffer).forEach(num => binaryData1.push(num));
+    // push action data
+    binaryData1.push(...binaryData0);
+
+    return Uint8Array.from(binaryData1).buffer;
+  }
+
+  /**
+   * Save as a file.
+   * @param {string} [fileName='savedata'] name of save file
+   */
+  save(fileName = 'savedata') {
+    if (this.mode === 'r') return;
+    if (!window.Blob) {
+      Logger.error('The File APIs are not fully supported in this browser.');
+      return;
+    }
+
+    // download save data
+    const blob = new Blob([this.toBuffer()]);
+    const url = window.URL.createObjectURL(blob);
+    const aElem = document.createElement('a');
+    document.body.appendChild(aElem);
+    aElem.setAttribute('style', 'display: none;');
+    aElem.href = url;
+    aElem.download = fileName;
+    aElem.click();
+    window.URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Load a record data.
+   * @param {EventTarget} target
+   * @returns {Promise}
+   */
+  load(target) {
+    if (this.mode === 'w') return Promise.reject('Please set recorder in reading mode.');
+    if (!window.File || !window.FileReader) {
+      return Promise.reject('The File APIs are not fully supported in this browser.');
+    }
+
+    const inputElem = document.createElement('input');
+    document.body.appendChild(inputElem);
+    inputElem.setAttribute('type', 'file');
+    inputElem.setAttribute('name', 'savedata');
+    inputElem.setAttribute('style', 'display: none;');
+    const clickEvent = () => {
+      inputElem.click();
+    };
+
+    target.addEventListener('click', clickEvent, true);
+
+    return new Promise((res, rej) => {
+      inputElem.addEventListener('change', ev0 => {
+        const reader = new FileReader();
+        reader.addEventListener('load', ev1 => {
+          this.loadBuffer(ev1.target.result).then(res, rej);
+        });
+        reader.readAsArrayBuffer(ev0.target.files[0]);
+
+        target.removeEventListener('click', clickEvent, true);
+      }, false);
+    });
+  }
+
+  /**
+   * Load a record data from a buffer.
+   * @param {ArrayBuffer} buffer record data
+   * @returns {Promise}
+   */
+  loadBuffer(buffer) {
+    if (this.mode === 'w') return Promise.reject('Please set recorder in reading mode.');
+    if (new Uint16Array(buffer, 0, 2)[0] !== Recorder.MAGIC) {
+      return Promise.reject('Save data is wrong!');
+    }
+    if (new Uint16Array(buffer, 0, 2)[1] !== Recorder.VERSION) {
+      return Promise.reject('Save data is too old!');
+    }
+    const checkSum = new Uint32Array(buffer, 0x60, 8);
+    const exackHashes = SHA256.digest(new Uint32Array(buffer, 0x80));
+    if (!checkSum.every((hash, i) => hash === exackHashes[i])) {
+      return Promise.reject('Save data is broken!');
+    }
+
+    this._detail.revision = new Uint32Array(buffer, 0x0c, 1)[0];
+    this._detail.title = String.fromCharCode(...new Uint8Array(buffer, 0x20, 32).filter(byte => byte !== 0));
+    const timeBinary = new Uint32Array(buffer, 0x10, 4);
+    this._detail.startTime = timeBinary[0] + (timeBinary[1] * 2 ** 32);
+    this._detail.endTime = timeBinary[2] + (timeBinary[3] * 2 ** 32);
+    this._detail.seed = new Uint32Array(buffer, 0x40, 1)[0];
+
+    const dataBinary = new Uint8Array(buffer, 0x80);
+    this.parseData(dataBinary);
+    return Promise.resolve();
+  }
+
+  /**
+   * Parse binary to data.
+   * @param {Uint8Array} binary
+   */
+  parseData(binary) {
+    let _tmpData = Recorder.createFrameData();
+    let readingByte = 0;
+    let _end = false;
+    while (!_end) {
+      switch (binary[readingByte]) {
+      case 0x10:
+        this.data.push(Recorder.copyFrameData(_tmpData));
+        break;
+      case 0x18:
+        this.data = [];
+        _tmpData = Recorder.createFrameData();
+        break;
+      case 0x19:
+        _end = true;
+        break;
+      case 0x1a:
+        const skipFrames = binary[readingByte + 1] | (binary[readingByte + 2] << 8);
+        for (let i = 0; i < skipFrames; i++)
+          this.data.push(Recorder.copyFrameData(_tmpData));
+        readingByte += 2;
+        break;
+      case 0x20:
+        _tmpData.keyboard.push(KeycodeBiDiMap.getName(binary[readingByte + 1]));
+        readingByte += 1;
+        break;
+      case 0x21:
+        _tmpData.keyboard = _tmpData.keyboard.filter(key => key != KeycodeBiDiMap.getName(binary[readingByte + 1]));
+        readingByte += 1;
+        break;
+      case 0x30:
+        _tmpData.mouseButton.push(binary[readingByte + 1]);
+        readingByte += 1;
+        break;
+      case 0x31:
+        _tmpData.mouseButton = _tmpData.mouseButton.filter(button => button != binary[readingByte + 1]);
+        readingByte += 1;
+        break;
+      case 0x38:
+        _tmpData.mousePosition.x = binary[readingByte + 1] | (binary[readingByte + 2] << 8);
+        _tmpData.mousePosition.y = binary[readingByte + 3] | (binary[readingByte + 4] << 8);
+        if (_tmpData.mousePosition.x === 0xffff)
+          _tmpData.mousePosition = { x: Number.NaN, y: Number.NaN };
+        readingByte += 4;
+        break;
+      case 0x50:
+        const pointerId = binary[readingByte + 1] | (binary[readingByte + 2] << 8);
+        const pointer = {
+          id: pointerId,
+          x: ((binary[readingByte + 3] | (binary[readingByte + 4] << 8)) << 16) >> 16,
+          y: ((binary[readingByte + 5] | (binary[readingByte + 6] << 8)) << 16) >> 16
+        };
+        _tmpData.pointers = _tmpData.pointers.some(prev => prev.id === pointerId) ?
+          _tmpData.pointers.map(prev => prev.id === pointerId ? pointer : prev) : [..._tmpData.pointers, pointer];
+        readingByte += 6;
+        break;
+      case 0x51:
+        _tmpData.pointers = _tmpData.pointers.filter(prev => prev.id !== (binary[readingByte + 1] | (binary[readingByte + 2] << 8)));
+        readingByte += 2;
+        break;
+      case 0x40:
+        _tmpData.gamepads[binary[readingByte + 1]].buttons.push(binary[readingByte + 2]);
+        readingByte += 2;
+        break;
+      case 0x41:
+        _tmpData.gamepads[binary[readingByte + 1]].buttons = _tmpData.gamepads[binary[readingByte + 1]].buttons.filter(button => button != binary[readingByte + 2]);
+        readingByte += 2;
+        break;
+      case 0x48:
+        const axes = _tmpData.gamepads[binary[readingByte + 1]].axes;
+        const axis = binary[readingByte + 2];
+        while (axes.length <= axis) axes.push(0.0);
+        axes[axis] = (((binary[readingByte + 3] | (binary[readingByte + 4] << 8)) << 16) >> 16) / 0x7fff;
+        readingByte += 4;
+        break;
+      case 0x4c:
+        _tmpData.gamepads[binary[readingByte + 1]].connected = true;
+        readingByte += 1;
+        break;
+      case 0x4d:
+        _tmpData.gamepads[binary[readingByte + 1]] = { connected: false, buttons: [], axes: [] };
+        readingByte += 1;
+        break;
+      default:
+        //
+      }
+      readingByte++;
+    }
+  }
+
+  /**
+   * Read action from record data.
+   * @param {ActionManager} action
+   * @param {number} frame
+   */
+  readAction(action, frame) {
+    if (this.mode === 'w') return;
+    if (this.data.length === frame) {
+      Logger.debug(`movie end\nframes: ${frame}f\nrevision: ${this._detail.revision}`);
+      return;
+    } else if (this.data.length < frame) {
+      return;
+    }
+    this.data[frame].keyboard.forEach(key => {
+      action.keyboard._down(key);
+    });
+    [...action.keyboard.down].filter(key => !this.data[frame].keyboard.includes(key)).forEach(key => {
+      action.keyboard._up(key);
+    });
+    this.data[frame].mouseButton.forEach(button => {
+      action.mouse._down(button);
+    });
+    [...action.mouse.down].filter(button => !this.data[frame].mouseButton.includes(button)).forEach(button => {
+      action.mouse._up(button);
+    });
+    action.mouse.position.x = this.data[frame].mousePosition.x;
+    action.mouse.position.y = this.data[frame].mousePosition.y;
+    action.pointer._setContacts(this.data[frame].pointers);
+    action.gamepads.forEach((gamepad, i) => {
+      const gamepadData = this.data[frame].gamepads[i];
+      if (gamepadData.connected && !gamepad.connected) gamepad._connect('recorded');
+      if (!gamepadData.connected && gamepad.connected) gamepad._disconnect();
+      gamepadData.buttons.forEach(button => {
+        gamepad._down(button);
+      });
+      [...gamepad.down].filter(button => !gamepadData.buttons.includes(button)).forEach(button => {
+        gamepad._up(button);
+      });
+      gamepad._setAxes([...gamepadData.axes]);
+    });
+  }
+
+  // the last frame of the shown rows, which keeps the cursor in the middle while scrubbing
+  static _timelineEnd(frame, cursor) {
+    if (cursor === null) return frame;
+    return Math.min(frame, Math.max(cursor + Math.floor(Recorder.SHOWING_LOG / 2), Recorder.SHOWING_LOG - 1));
+  }
+
+  /**
+   * Get the frame of the row at the position on the timeline.
+   * @param {Painter2d} painter painter which the timeline is printed on
+   * @param {number} frame the latest frame number
+   * @param {?number} cursor frame number of the cursor. See {@link Recorder#printTimeline}
+   * @param {number} y y-coordinate on the painter
+   * @returns {?number} frame number, or `null` if there is no row
+   */
+  timelineFrameAt(painter, frame, cursor, y) {
+    // rows are printed from the bottom
+    const row = Recorder.SHOWING_LOG - 1 - Math.floor(y / (painter.height / Recorder.SHOWING_LOG));
+    const target = Recorder._timelineEnd(frame, cursor) - row;
+    return row >= 0 && row < Recorder.SHOWING_LOG && target >= 0 && target <= frame ? target : null;
+  }
+
+  /**
+   * Print timeline.
+   * @param {Painter2d} painter painter
+   * @param {number} frame the latest frame number
+   * @param {?number} [cursor=null] frame number to be marked, such as the frame rewound to
+   */
+  printTimeline(painter, frame, cursor = null) {
+    const LOG_HEIGHT = painter.height / Recorder.SHOWING_LOG;
+    const LOG_MARK_WIDTH = painter.width / 20;
+    const LOG_FRAME_WIDTH = painter.width / 5;
+    const LOG_TIME_WIDTH = painter.width / 5;
+    const LOG_KEYBOARD_WIDTH = painter.width * 7 / 20;
+    const LOG_MOUSE_WIDTH = painter.width / 5;
+    const frameToTime = f => {
+      const seconds = (f / 60);
+      if (f < 60 * 60) {
+        return `${seconds.toFixed(2)}s`;
+      } else if (f < 60 * 60 * 60) {
+        return `${Math.floor(seconds / 60).toString(10)}m${(seconds % 60).toFixed(2)}s`;
+      } else if (f < 60 * 60 * 60 * 24) {
+        return `${Math.floor(seconds / 3600).toString(10)}h${(Math.floor(seconds / 60) % 60).toString(10)}m${(seconds % 60).toFixed(2)}s`;
+      } else {
+        return `${Math.floor(seconds / 86400).toString(10)}d${(Math.floor(seconds / 3600) % 24).toString(10)}h${(Math.floor(seconds / 60) % 60).toString(10)}m${(seconds % 60).toFixed(2)}s`;
+      }
+    };
+    const end = Recorder._timelineEnd(frame, cursor);
+    painter.background('#000');
+    for (let i = 0; i < Recorder.SHOWING_LOG; i++) {
+      if (i > end) break;
+      // console.log(this.data);
+      // debugger;
+      const FRAME_DATA = this.data[end - i];
+      if (end - i === cursor) painter.rect(0, painter.height - LOG_HEIGHT * (i + 1), painter.width, LOG_HEIGHT).fill('#030');
+      painter.rect(0, painter.height - LOG_HEIGHT * (i + 1), LOG_MARK_WIDTH, LOG_HEIGHT).stroke('#0f0', { width: 1 });
+      painter.rect(LOG_MARK_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_FRAME_WIDTH, LOG_HEIGHT).stroke('#0f0');
+      painter.rect(LOG_MARK_WIDTH + LOG_FRAME_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_TIME_WIDTH, LOG_HEIGHT).stroke('#0f0');
+      painter.rect(LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_KEYBOARD_WIDTH, LOG_HEIGHT).stroke('#0f0');
+      painter.rect(LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH + LOG_KEYBOARD_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_MOUSE_WIDTH, LOG_HEIGHT).stroke('#0f0');
+      painter.text(end - i === cursor ? '>' : '-', LOG_MARK_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5), { size: LOG_HEIGHT / 2, align: 'center', baseline: 'middle' }).fill('#0f0');
+      painter.text((end - i).toString(10) + 'f', LOG_MARK_WIDTH + LOG_FRAME_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
+      painter.text(frameToTime(end - i), LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
+      painter.text(FRAME_DATA.keyboard.toString(), LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH + LOG_KEYBOARD_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
+      painter.text(`(${FRAME_DATA.mousePosition.x}, ${FRAME_DATA.mousePosition.y})`, LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH + LOG_KEYBOARD_WIDTH + LOG_MOUSE_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
+    }
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Recorder ${this.mode}]`;
+  }
+}
+
+/**
+ * Class for keeping the latest snapshots of the game for time-travel debugging.
+ * It is a ring buffer, so the oldest snapshot is dropped when it is full.
+ * A snapshot is taken at the beginning of a tick, and it has the scene name `scene`, the state `state` and the counters `counters`.
+ * @param {number} [capacity=600] maximum number of snapshots
+ */
+class SnapshotHistory {
+  constructor(capacity = 600) {
+    /** @member {number} */
+    this.capacity = Math.max(1, Math.floor(capacity));
+    this._buffer = new Array(this.capacity);
+    this._start = 0;
+    this._size = 0;
+    this._cursor = null;
+  }
+
+  /** @member {number} */
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * General counter of the oldest snapshot, or `null` if empty.
+   * @member {?number}
+   */
+  get oldestFrame() {
+    return this._size === 0 ? null : this._at(0).counters.general;
+  }
+
+  /**
+   * General counter of the newest snapshot, or `null` if empty.
+   * @member {?number}
+   */
+  get newestFrame() {
+    return this._size === 0 ? null : this._at(this._size - 1).counters.general;
+  }
+
+  /**
+   * General counter of the snapshot being looked at, or `null` if the game is not rewound.
+   * @member {?number}
+   */
+  get cursor() {
+    return this._cursor;
+  }
+
+  _at(index) {
+    return this._buffer[(this._start + index) % this.capacity];
+  }
+
+  // index of the newest snapshot taken at or before the frame, or -1
+  _search(frame) {
+    let low = 0;
+    let high = this._size - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this._at(mid).counters.general <= frame) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Add a snapshot. The snapshots taken at or after its frame are dropped, and the cursor is cleared.
+   * @param {Object} snapshot snapshot
+   */
+  push(snapshot) {
+    this.truncateAfter(snapshot.counters.general - 1);
+    if (this._size === this.capacity) {
+      this._buffer[this._start] = undefined;
+      this._start = (this._start + 1) % this.capacity;
+      this._size--;
+    }
+    this._buffer[(this._start + this._size) % this.capacity] = snapshot;
+    this._size++;
+    this._cursor = null;
+  }
+
+  /**
+   * Find the newest snapshot taken at or before the frame.
+   * @param {number} frame general counter
+   * @returns {?Object} snapshot or null
+   */
+  find(frame) {
+    const index = this._search(frame);
+    return index < 0 ? null : this._at(index);
+  }
+
+  /**
+   * Drop the snapshots taken after the frame.
+   * @param {number} frame general counter
+   */
+  truncateAfter(frame) {
+    const size = this._search(frame) + 1;
+    for (let i = size; i < this._size; i++) this._buffer[(this._start + i) % this.capacity] = undefined;
+    this._size = size;
+    if (this._cursor !== null && this._cursor > frame) this._cursor = null;
+  }
+
+  /**
+   * Look at the snapshot of the frame. The frame is clamped into the kept range.
+   * @param {number} frame general counter
+   * @returns {?Object} snapshot, or `null` if empty
+   */
+  seek(frame) {
+    if (this._size === 0) return null;
+    const snapshot = this.find(Math.min(this.newestFrame, Math.max(this.oldestFrame, frame)));
+    this._cursor = snapshot.counters.general;
+    return snapshot;
+  }
+
+  /**
+   * Check if the game is rewound to an earlier snapshot than the newest one.
+   * @returns {boolean} `true` if rewound
+   */
+  isRewound() {
+    return this._cursor !== null && this._cursor !== this.newestFrame;
+  }
+
+  /**
+   * Stop looking at the snapshot.
+   * @returns {?Object} the snapshot which was looked at, or `null`
+   */
+  leave() {
+    const snapshot = this._cursor === null ? null : this.find(this._cursor);
+    this._cursor = null;
+    return snapshot;
+  }
+
+  /**
+   * Drop all snapshots.
+   */
+  clear() {
+    this._buffer = new Array(this.capacity);
+    this._start = 0;
+    this._size = 0;
+    this._cursor = null;
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[SnapshotHistory ${this._size}/${this.capacity}]`;
+  }
+}
+
+/**
+ * Class for showing the current state as a tree in the debug UI.
+ * The shown state is the one at the start of a frame, before the update, like the snapshots for rewinding.
+ * The values changed since the previous frame are highlighted, and numbers, strings and booleans can be edited while the game is paused.
+ * While the game is playing, the tree is rebuilt only once in several frames.
+ * States, maps, arrays and objects are expanded, and other classes can be expanded by {@link StateInspector#register}.
+ * @param {HTMLDivElement} div element which the tree is shown in
+ * @param {function(): boolean} [isEditable] function which returns `true` if the values can be edited
+ * @param {number} [interval=10] number of frames between the rebuilds while the values cannot be edited
+ */
+class StateInspector {
+  constructor(div, isEditable = () => true, interval = 10) {
+    this.div = div;
+    this.isEditable = isEditable;
+    /** @member {number} */
+    this.interval = Math.max(1, Math.floor(interval));
+    this._skipped = 0;
+    /** @member {?string} */
+    this.sceneName = null;
+    /**
+     * The shown state, including the edits.
+     * @member {?State}
+     */
+    this.state = null;
+    this._base = null;
+    this._previous = null;
+    this._views = [];
+    this._expanded = new Set([StateInspector._pathKey([])]);
+    this.register(Vector2d, {
+      entries: vector => [['x', vector.x], ['y', vector.y]],
+      with: (vector, key, child) => key === 'x' ? new Vector2d(child, vector.y) : new Vector2d(vector.x, child)
+    });
+  }
+
+  /**
+   * Register how to expand and edit the instances of a class. The latest registration is used first.
+   * @param {function} type class
+   * @param {Object} view view
+   * @param {function(Object): Array} view.entries function which returns the pairs of the keys and the children
+   * @param {function(Object, *, *): Object} [view.with] function which returns a copy with the child of the key replaced
+   * @returns {StateInspector} this
+   */
+  register(type, view) {
+    this._views.unshift({ type, entries: view.entries, with: 'with' in view ? view.with : State._setChild });
+    return this;
+  }
+
+  static _pathKey(path) {
+    return JSON.stringify(path.map(key => String(key)));
+  }
+
+  static _summarize(value) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'function') return `function ${value.name}`;
+    if (value === null || typeof value !== 'object') return String(value);
+    if (Array.isArray(value)) return `Array(${value.length})`;
+    if (value instanceof Map) return `Map(${value.size})`;
+    if (value.toString !== Object.prototype.toString) return String(value);
+    return typeof value.constructor === 'function' ? value.constructor.name : 'Object';
+  }
+
+  _viewOf(value) {
+    if (value === null || typeof value !== 'object') return null;
+    const registered = this._views.find(view => value instanceof view.type);
+    if (registered !== undefined) return registered;
+    const entries = (() => {
+      if (value instanceof State) return state => state.names().map(name => [name, state.getState(name)]);
+      if (value instanceof Map || value instanceof PersistentMap) return map => Array.from(map.entries());
+      if (Array.isArray(value)) return array => array.map((child, i) => [i, child]);
+      return obj => Object.keys(obj).map(key => [key, obj[key]]);
+    })();
+    return { entries, with: State._setChild };
+  }
+
+  _updateIn(target, path, value) {
+    if (path.length === 0) return value;
+    const view = this._viewOf(target);
+    const entry = view.entries(target).find(([key]) => Object.is(key, path[0]));
+    return view.with(target, path[0], this._updateIn(entry[1], path.slice(1), value));
+  }
+
+  /**
+   * Show the state of the frame.
+   * @param {string} sceneName scene name
+   * @param {State} state state at the start of the frame
+   * @param {?State} [previous=null] state at the start of the previous frame, which the state is compared with
+   */
+  show(sceneName, state, previous = null) {
+    this._previous = previous;
+    this.sceneName = sceneName;
+    this._base = state;
+    this.state = state;
+    this._skipped++;
+    if (this.isEditable() || this._skipped >= this.interval) {
+      this.render();
+    }
+  }
+
+  /**
+   * Check if the shown state has been edited.
+   * @returns {boolean} `true` if edited
+   */
+  isEdited() {
+    return !Object.is(this.state, this._base);
+  }
+
+  /**
+   * Get the state which the next update starts from.
+   * @param {State} state the state given to {@link StateInspector#show}
+   * @returns {State} the edited state, or the given state if it is not shown or not edited
+   */
+  edited(state) {
+    return Object.is(state, this._base) ? this.state : state;
+  }
+
+  /**
+   * Edit the value at the path of the shown state.
+   * @param {Array} path state name followed by the keys of the children
+   * @param {*} value value
+   */
+  set(path, value) {
+    if (this.state === null) return;
+    if (!this.isEditable()) {
+      Logger.warn(`Pause the game to edit the state.\npath: ${path.map(key => String(key)).join('.')}`);
+    } else {
+      this.state = this._updateIn(this.state, path, value);
+    }
+    this.render();
+  }
+
+  /**
+   * Expand or collapse the value at the path.
+   * @param {Array} path state name followed by the keys of the children
+   */
+  toggle(path) {
+    const pathKey = StateInspector._pathKey(path);
+    if (this._expanded.has(pathKey)) {
+      this._expanded.delete(pathKey);
+    } else {
+      this._expanded.add(pathKey);
+    }
+    this.render();
+  }
+
+  /**
+   * Rebuild the tree.
+   */
+  render() {
+    this._skipped = 0;
+    this.div.innerHTML = '';
+    const header = document.createElement('div');
+    header.setAttribute('style', 'border-bottom: 1px #0f0 solid;');
+    header.textContent = `scene: ${this.sceneName}`;
+    this.div.appendChild(header);
+    if (this.state !== null) {
+      this._renderChildren(this.state, this._previous, [], 0);
+    }
+  }
+
+  _renderChildren(value, previous, path, depth) {
+    const previousView = this._viewOf(previous);
+    const previousChildren = new Map(previousView === null ? [] : previousView.entries(previous));
+    this._viewOf(value).entries(value).forEach(([key, child]) => {
+      const changed = this._previous !== null && !Object.is(child, previousChildren.get(key));
+      this._renderNode(key, child, previousChildren.get(key), [...path, key], depth, changed);
+    });
+  }
+
+  _renderNode(key, value, previous, path, depth, changed) {
+    const row = document.createElement('div');
+    row.setAttribute('style', `padding-left: ${depth}em; white-space: nowrap;` + (changed ? ' background-color: #060;' : ''));
+    const view = this._viewOf(value);
+    const expandable = view !== null && view.entries(value).length > 0;
+    const expanded = expandable && this._expanded.has(StateInspector._pathKey(path));
+
+    const mark = document.createElement('span');
+    mark.textContent = expandable ? (expanded ? '- ' : '+ ') : '  ';
+    if (expandable) {
+      mark.setAttribute('style', 'cursor: pointer;');
+      mark.addEventListener('mousedown', () => this.toggle(path));
+    }
+    row.appendChild(mark);
+    const label = document.createElement('span');
+    label.textContent = `${String(key)}: `;
+    row.appendChild(label);
+
+    if (['number', 'string', 'boolean'].includes(typeof value)) {
+      row.appendChild(this._createInput(value, path));
+    } else {
+      const summary = document.createElement('span');
+      summary.textContent = StateInspector._summarize(value);
+      row.appendChild(summary);
+    }
+    this.div.appendChild(row);
+
+    if (expanded) {
+      this._renderChildren(value, previous, path, depth + 1);
+    }
+  }
+
+  _createInput(value, path) {
+    const input = document.createElement('input');
+    input.setAttribute('style', 'background-color: #000; color: #0f0; border: none; font-family: monospace;');
+    if (typeof value === 'boolean') {
+      input.setAttribute('type', 'checkbox');
+      input.checked = value;
+      input.addEventListener('change', () => this.set(path, input.checked));
+    } else {
+      input.value = String(value);
+      input.addEventListener('change', () => {
+        if (typeof value === 'string') {
+          this.set(path, input.value);
+        } else if (Number.isNaN(Number(input.value)) && input.value.trim() !== 'NaN') {
+          Logger.warn(`${input.value} is not a number.`);
+          this.render();
+        } else {
+          this.set(path, Number(input.value));
+        }
+      });
+    }
+    return input;
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[StateInspector ${this.sceneName}]`;
+  }
+}
+
+/**
+ * Class for converting states into JSON and back.
+ * Instances of classes are written with the names of their types, so they must be registered by {@link Serializer#register}.
+ * Primitives, arrays, plain objects, `Map`, `Set`, `Date`, {@link State}, {@link PersistentMap} and the immutable classes of koturno
+ * such as {@link Vector2d}, {@link Counters}, {@link Entities}, {@link Camera2d}, {@link Animator} and {@link Rigid2d} are registered by default.
+ * @param {Object} [opt] options
+ * @param {Object[]} [opt.types=[]] additional types. Each one has `type` and the properties of the codec of {@link Serializer#register}
+ */
+class Serializer {
+  constructor(opt = {}) {
+    this.codecs = new Map();
+    this.names = new Map();
+    this._registerDefaults();
+    ('types' in opt ? opt.types : []).forEach(type => this.register(type.type, type));
+  }
+
+  /**
+   * Register a type. A codec converts an instance into a value which can be serialized, and restores the instance from the value.
+   * The value may include instances of the registered types, e.g.
+   * `serializer.register(Player, { encode: player => [player.name, player.position], decode: ([name, position]) => new Player(name, position) })`.
+   * A type of the same name is overwritten.
+   * @param {function} type class
+   * @param {Object} codec codec
+   * @param {string} [codec.name=type.name] type name written in JSON
+   * @param {function(any): any} codec.encode function which converts an instance
+   * @param {function(any): any} codec.decode function which restores an instance
+   */
+  register(type, codec) {
+    const name = 'name' in codec ? codec.name : type.name;
+    const entry = { name, type, encode: codec.encode, decode: codec.decode };
+    if (this.names.has(name)) this.codecs.delete(this.names.get(name).type);
+    this.codecs.set(type, entry);
+    this.names.set(name, entry);
+  }
+
+  /**
+   * Register a type whose instances are created from their constructor arguments.
+   * @param {function} type class
+   * @param {function(any): Array} toArgs function which returns the constructor arguments of an instance
+   * @param {string} [name=type.name] type name written in JSON
+   */
+  registerByArgs(type, toArgs, name = type.name) {
+    this.register(type, { name, encode: toArgs, decode: args => new type(...args) });
+  }
+
+  /**
+   * Register a type whose instances are created from an object of their own properties, like {@link World2d}.
+   * @param {function} type class
+   * @param {string[]} [omit=[]] names of the properties which are not written
+   * @param {string} [name=type.name] type name written in JSON
+   */
+  registerByProperties(type, omit = [], name = type.name) {
+    this.register(type, {
+      name,
+      encode: value => Object.keys(value).filter(key => !omit.includes(key))
+        .reduce((acc, key) => Object.assign(acc, { [key]: value[key] }), {}),
+      decode: obj => new type(obj)
+    });
+  }
+
+  _registerDefaults() {
+    this.register(Map, { encode: map => Array.from(map.entries()), decode: entries => new Map(entries) });
+    this.register(Set, { encode: set => Array.from(set.values()), decode: values => new Set(values) });
+    this.register(Date, { encode: date => date.getTime(), decode: time => new Date(time) });
+    this.register(State, { encode: state => Array.from(state.data.entries()), decode: entries => new State(entries) });
+    this.register(PersistentMap, { encode: map => Array.from(map.entries()), decode: entries => new PersistentMap(entries) });
+    this.registerByArgs(Vector, vector => [vector.vector.slice()]);
+    this.registerByArgs(Vector2d, vector => [vector.x, vector.y]);
+    this.registerByArgs(Counters, counters => [counters.general, counters.scene]);
+    this.registerByArgs(ComponentType, type => [type.name, type.defaults]);
+    this.register(Entities, {
+      encode: entities => ({ types: entities.types, data: entities.toObject() }),
+      decode: obj => Entities.fromObject(obj.data, obj.types)
+    });
+    this.registerByArgs(AnimationClip, clip => [clip.name, clip.image, clip.frames, {
+      duration: clip.durations,
+      mode: clip.mode,
+      events: Array.from(clip.events.entries()).reduce((acc, [index, names]) => Object.assign(acc, { [index]: names }), {})
+    }]);
+    this.registerByArgs(Animator, animator => [animator.clip, animator.origin, animator.offset, animator.speed, animator.paused]);
+    this.register(Camera2d, {
+      encode: camera => ({
+        width: camera.width,
+        height: camera.height,
+        x: camera.x,
+        y: camera.y,
+        zoom: camera.zoom,
+        rotation: camera.rotation,
+        bounds: camera.bounds,
+        deadZone: camera.deadZone,
+        followRate: camera.followRate,
+        shake: camera.shaking
+      }),
+      decode: obj => new Camera2d(obj)
+    });
+
+    // figures are optional, so they are registered only if they exist
+    if (typeof Rigid2d === 'undefined') return;
+    this.registerByArgs(Material, material => [material.density, material.friction, material.restitution]);
+    this.registerByArgs(Rect2d, shape => [shape.width, shape.height, shape.gravityCenter, shape.gyradius]);
+    this.registerByArgs(Circle2d, shape => [shape.radius, shape.gravityCenter, shape.gyradius]);
+    this.registerByArgs(Polygon2d, shape => [shape.vertices, shape.gravityCenter, shape.gyradius]);
+    this.registerByArgs(Capsule2d, shape => [shape.length, shape.radius, shape.gravityCenter, shape.gyradius]);
+    this.registerByArgs(CompoundShape2d, shape => [shape.children]);
+    this.registerByArgs(Rigid2d, figure => [figure.physicalType, figure.shape, figure.material, figure.center, figure.rotation,
+      figure.velocity, figure.angularVelocity, figure.category, figure.mask]);
+    this.registerByArgs(Manifold2d, manifold => [manifold.normal, manifold.depth, manifold.points, manifold.a, manifold.b]);
+    this.registerByProperties(World2d);
+    [DistanceJoint2d, RevoluteJoint2d, PrismaticJoint2d, SpringJoint2d].forEach(type => this.registerByProperties(type, ['name']));
+  }
+
+  /**
+   * Convert a value into a value which can be written as JSON.
+   * Instances of the registered types become objects which have `$type` and `$value`.
+   * @param {} value value
+   * @returns {} JSON value
+   */
+  encode(value) {
+    if (value === undefined) return { $type: 'undefined' };
+    if (typeof value === 'number') {
+      if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+      return { $type: 'number', $value: Object.is(value, -0) ? '-0' : String(value) };
+    }
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+    if (typeof value !== 'object') {
+      Logger.error(`Cannot serialize a value of type ${typeof value}!`);
+      return null;
+    }
+    const proto = Object.getPrototypeOf(value);
+    if (Array.isArray(value) || proto === Object.prototype || proto === null) {
+      let encoded = Array.isArray(value) ? value.map(v => this.encode(v)) : this._encodeProperties(value);
+      // plain objects having `$type` are escaped not to be decoded as typed values
+      if (!Array.isArray(value) && '$type' in value) encoded = { $type: 'object', $value: encoded };
+      return Object.isFrozen(value) ? { $type: 'frozen', $value: encoded } : encoded;
+    }
+    const codec = this.codecs.get(value.constructor);
+    if (codec === undefined) {
+      Logger.error(`Type ${value.constructor.name} is not registered in the serializer!`);
+      return null;
+    }
+    return { $type: codec.name, $value: this.encode(codec.encode(value)) };
+  }
+
+  _encodeProperties(obj) {
+    return Object.keys(obj).reduce((acc, key) => Object.assign(acc, { [key]: this.encode(obj[key]) }), {});
+  }
+
+  _decodeProperties(obj) {
+    return Object.keys(obj).reduce((acc, key) => Object.assign(acc, { [key]: this.decode(obj[key]) }), {});
+  }
+
+  /**
+   * Restore a value converted by {@link Serializer#encode}.
+   * @param {} value JSON value
+   * @returns {} value
+   */
+  decode(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(v => this.decode(v));
+    if (!('$type' in value)) return this._decodeProperties(value);
+    switch (value.$type) {
+      case 'undefined':
+        return undefined;
+      case 'number':
+        return Number(value.$value);
+      case 'object':
+        return this._decodeProperties(value.$value);
+      case 'frozen':
+        return Object.freeze(this.decode(value.$value));
+    }
+    const codec = this.names.get(value.$type);
+    if (codec === undefined) {
+      Logger.error(`Type ${value.$type} is not registered in the serializer!`);
+      return null;
+    }
+    return codec.decode(this.decode(value.$value));
+  }
+
+  /**
+   * Serialize a state.
+   * @param {State} state state
+   * @returns {string} JSON string
+   */
+  serialize(state) {
+    return JSON.stringify(this.encode(state));
+  }
+
+  /**
+   * Deserialize a state.
+   * @param {string} json JSON string made by {@link Serializer#serialize}
+   * @returns {State} state
+   */
+  deserialize(json) {
+    return this.decode(JSON.parse(json));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Serializer ${this.codecs.size}]`;
+  }
+}
+
+/**
+ * Class for storing saved data on memory. The data are lost when the page is closed.
+ * It is used for headless games, and it is the base class of the other storages. All methods are asynchronous.
+ */
+class SaveStorage {
+  constructor() {
+    this._data = new Map();
+  }
+
+  /**
+   * Read the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved with the string, or `null` if nothing is stored
+   */
+  read(key) {
+    return Promise.resolve(this._data.has(key) ? this._data.get(key) : null);
+  }
+
+  /**
+   * Write the data of the key.
+   * @param {string} key key
+   * @param {string} data data
+   * @returns {Promise} promise resolved when written
+   */
+  write(key, data) {
+    this._data.set(key, data);
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved when removed
+   */
+  remove(key) {
+    this._data.delete(key);
+    return Promise.resolve();
+  }
+
+  /**
+   * List the stored keys.
+   * @returns {Promise} promise resolved with the keys
+   */
+  keys() {
+    return Promise.resolve(Array.from(this._data.keys()));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[SaveStorage]`;
+  }
+}
+
+/**
+ * Class for storing saved data in `localStorage`.
+ * The promises are rejected if the storage is not available or full.
+ * @param {Storage} [storage=window.localStorage] web storage
+ */
+class LocalSaveStorage extends SaveStorage {
+  constructor(storage = window.localStorage) {
+    super();
+    this.storage = storage;
+  }
+
+  /**
+   * Read the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved with the string, or `null` if nothing is stored
+   */
+  read(key) {
+    return new Promise(resolve => resolve(this.storage.getItem(key)));
+  }
+
+  /**
+   * Write the data of the key.
+   * @param {string} key key
+   * @param {string} data data
+   * @returns {Promise} promise resolved when written
+   */
+  write(key, data) {
+    return new Promise(resolve => resolve(this.storage.setItem(key, data)));
+  }
+
+  /**
+   * Remove the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved when removed
+   */
+  remove(key) {
+    return new Promise(resolve => resolve(this.storage.removeItem(key)));
+  }
+
+  /**
+   * List the stored keys.
+   * @returns {Promise} promise resolved with the keys
+   */
+  keys() {
+    return new Promise(resolve => resolve(Array.from({ length: this.storage.length }, (_, i) => this.storage.key(i))));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[LocalSaveStorage]`;
+  }
+}
+
+/**
+ * Class for storing saved data in IndexedDB, which can keep larger data than `localStorage`.
+ * The database is opened when it is used first.
+ * @param {string} [dbName='koturno'] database name
+ * @param {string} [storeName='saves'] object store name
+ */
+class IndexedDBSaveStorage extends SaveStorage {
+  constructor(dbName = 'koturno', storeName = 'saves') {
+    super();
+    /** @member {string} */
+    this.dbName = dbName;
+    /** @member {string} */
+    this.storeName = storeName;
+    this._db = null;
+  }
+
+  // open the database at the version, or the current version if it is omitted
+  _openVersion(version) {
+    return new Promise((resolve, reject) => {
+      const request = version === undefined ? indexedDB.open(this.dbName) : indexedDB.open(this.dbName, version);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) request.result.createObjectStore(this.storeName);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _open() {
+    if (this._db === null) {
+      // another storage may have created the database without the store, so upgrade it to add the store
+      this._db = this._openVersion().then(db => {
+        if (db.objectStoreNames.contains(this.storeName)) return db;
+        const version = db.version + 1;
+        db.close();
+        return this._openVersion(version);
+      });
+      // allow retrying after the failure
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    return this._db;
+  }
+
+  // run a request in a transaction, and resolve with its result when the transaction completes
+  _request(mode, f) {
+    return this._open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = f(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  }
+
+  /**
+   * Read the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved with the string, or `null` if nothing is stored
+   */
+  read(key) {
+    return this._request('readonly', store => store.get(key)).then(data => data === undefined ? null : data);
+  }
+
+  /**
+   * Write the data of the key.
+   * @param {string} key key
+   * @param {string} data data
+   * @returns {Promise} promise resolved when written
+   */
+  write(key, data) {
+    return this._request('readwrite', store => store.put(data, key)).then(() => undefined);
+  }
+
+  /**
+   * Remove the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved when removed
+   */
+  remove(key) {
+    return this._request('readwrite', store => store.delete(key)).then(() => undefined);
+  }
+
+  /**
+   * List the stored keys.
+   * @returns {Promise} promise resolved with the keys
+   */
+  keys() {
+    return this._request('readonly', store => store.getAllKeys());
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[IndexedDBSaveStorage ${this.dbName}]`;
+  }
+}
+
+/**
+ * Class for saving states in named slots. All methods are asynchronous.
+ * Each save remembers the schema version, and older saves are migrated to the current version when they are loaded.
+ * @param {Object} [opt] options
+ * @param {string} [opt.name='koturno'] prefix of the keys in the storage. Games sharing a storage must have different names
+ * @param {number} [opt.version=1] current schema version of the saved states
+ * @param {Object.<number, function(State): State>} [opt.migrations={}] functions keyed by versions, each of which converts a state of the previous version to the version
+ * @param {Object.<number, function(Object): Object>} [opt.rawMigrations={}] functions keyed by versions, each of which converts the encoded state of the previous version to the version.
+ * They run before the state is decoded, so they can fix the data which the current codecs cannot decode, such as renamed types. See {@link Serializer#encode}
+ * @param {Serializer} [opt.serializer=new Serializer()] serializer which knows the types in the states
+ * @param {SaveStorage} [opt.storage] storage. {@link LocalSaveStorage} if `localStorage` is available, otherwise {@link SaveStorage} on memory
+ */
+class SaveSlots {
+  constructor(opt = {}) {
+    /** @member {string} */
+    this.name = 'name' in opt ? opt.name : 'koturno';
+    /** @member {number} */
+    this.version = 'version' in opt ? opt.version : 1;
+    this.migrations = 'migrations' in opt ? opt.migrations : {};
+    this.rawMigrations = 'rawMigrations' in opt ? opt.rawMigrations : {};
+    /** @member {Serializer} */
+    this.serializer = 'serializer' in opt ? opt.serializer : new Serializer();
+    /** @member {SaveStorage} */
+    this.storage = 'storage' in opt ? opt.storage : SaveSlots._createStorage();
+  }
+
+  static _createStorage() {
+    try {
+      // accessing localStorage throws when it is disabled
+      if (typeof localStorage !== 'undefined' && localStorage !== null) return new LocalSaveStorage(localStorage);
+    } catch (e) {
+      Logger.warn(`localStorage is not available, so saves are kept on memory.\n${e}`);
+    }
+    return new SaveStorage();
+  }
+
+  _key(slot) {
+    return `${this.name}:${slot}`;
+  }
+
+  _summarize(slot, record) {
+    return { slot, version: record.version, savedAt: record.savedAt, meta: record.meta };
+  }
+
+  _read(slot) {
+    return this.storage.read(this._key(slot)).then(data => data === null ? null : JSON.parse(data));
+  }
+
+  /**
+   * Save the state in the slot. The data in the slot is overwritten.
+   * @param {string} slot slot name
+   * @param {State} state state
+   * @param {Object} [meta={}] information shown in save menus, such as the play time. It must be JSON
+   * @returns {Promise} promise resolved with the summary of the save, which has `slot`, `version`, `savedAt` and `meta`
+   */
+  save(slot, state, meta = {}) {
+    const record = { version: this.version, savedAt: Date.now(), meta, state: this.serializer.encode(state) };
+    return this.storage.write(this._key(slot), JSON.stringify(record)).then(() => this._summarize(slot, record));
+  }
+
+  /**
+   * Load the state in the slot, migrating it to the current version.
+   * The raw migrations of all newer versions run before decoding, and then the migrations run on the decoded state.
+   * @param {string} slot slot name
+   * @returns {Promise} promise resolved with the state, or `null` if the slot is empty.
+   * It is rejected if the save is newer than the current version
+   */
+  load(slot) {
+    return this._read(slot).then(record => {
+      if (record === null) return null;
+      if (record.version > this.version) {
+        return Promise.reject(new Error(`The save in slot ${slot} is version ${record.version}, newer than ${this.version}.`));
+      }
+      let data = record.state;
+      for (let version = record.version + 1; version <= this.version; version++) {
+        if (version in this.rawMigrations) {
+          data = this.rawMigrations[version](data);
+          Logger.debug(`Migrated the raw data in slot ${slot} to version ${version}.`);
+        }
+      }
+      let state = this.serializer.decode(data);
+      for (let version = record.version + 1; version <= this.version; version++) {
+        if (version in this.migrations) {
+          state = this.migrations[version](state);
+          Logger.debug(`Migrated the save in slot ${slot} to version ${version}.`);
+        }
+      }
+      return state;
+    });
+  }
+
+  /**
+   * Check if the slot has a save.
+   * @param {string} slot slot name
+   * @returns {Promise} promise resolved with `true` if it has
+   */
+  has(slot) {
+    return this.storage.read(this._key(slot)).then(data => data !== null);
+  }
+
+  /**
+   * Get the summary of the save in the slot without restoring the state.
+   * @param {string} slot slot name
+   * @returns {Promise} promise resolved with the summary, or `null` if the slot is empty. See {@link SaveSlots#save}
+   */
+  info(slot) {
+    return this._read(slot).then(record => record === null ? null : this._summarize(slot, record));
+  }
+
+  /**
+   * List the summaries of all saves.
+   * @returns {Promise} promise resolved with the summaries in ascending order of slot names. See {@link SaveSlots#save}
+   */
+  list() {
+    const prefix = `${this.name}:`;
+    return this.storage.keys().then(keys => {
+      const slots = keys.filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length)).sort();
+      return Promise.all(slots.map(slot => this.info(slot)));
+    }).then(summaries => summaries.filter(summary => summary !== null));
+  }
+
+  /**
+   * Delete the save in the slot.
+   * @param {string} slot slot name
+   * @returns {Promise} promise resolved when deleted
+   */
+  remove(slot) {
+    return this.storage.remove(this._key(slot));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[SaveSlots ${this.name} v${this.version}]`;
+  }
+}
+
+/**
+ * Class representing a game.
+ * @param {Object} obj various settings
+ * @param {Scenes} obj.scenes game scenes
+ * @param {string} obj.firstScene the first scene name
+ * @param {string} [obj.name] game name
+ * @param {string} [obj.divId='koturno-ui'] id name of the {@link https://developer.mozilla.org/en-US/docs/Web/API/HTMLDivElement|HTMLDivElememt} which will be the game content
+ * @param {State} [obj.state] the first state
+ * @param {Object[]} [obj.images] image properties. See {@link ImageManager}
+ * @param {Object[]} [obj.sounds] sound properties. See {@link SoundManager}
+ * @param {Object.<string, Object>} [obj.bundles] asset bundles loaded only when scenes need them. See {@link BundleManager}
+ * @param {Scene} [obj.loadingScene] scene drawn while assets are loading. See {@link LoadingScene}
+ * @param {function(Object)} [obj.onLoadProgress] function called with the loading progress. See {@link AssetLoader#progress}
+ * @param {boolean} [obj.webAudio=true] if `true`, then sounds are played with Web Audio API if available. See {@link WebAudioSoundManager}
+ * @param {number} [obj.width=600] canvas width
+ * @param {number} [obj.height=600] canvas height
+ * @param {number} [obj.seed] seed of the random number generator. See {@link Random}
+ * @param {(InputMap|Object)} [obj.inputMap] bindings of named actions. See {@link InputMap}
+ * @param {boolean} [obj.headless=false] if `true`, then the game uses neither DOM nor canvas. See {@link Game#simulate}
+ */
+class Game {
+  constructor(obj) {
+    if (['scenes', 'firstScene'].every(param => param in obj)) {
+      this.scenes = obj.scenes;
+      this.firstScene = obj.firstScene;
+      this.firstState = 'state' in obj ? obj.state : State.init({});
+      this.name = 'name' in obj ? obj.name : null;
+      /** @member {Random} */
+      this.random = new Random('seed' in obj ? obj.seed : Random.createSeed());
+
+      this._fps = (() => {
+        const millisecondsBetweenTwoFrame = [0.0, 0.0];
+        return {
+          update: (stamp) => {
+            millisecondsBetweenTwoFrame.push(stamp);
+            millisecondsBetweenTwoFrame.shift();
+          },
+          getValue: () => 1000.0 / (millisecondsBetweenTwoFrame[1] - millisecondsBetweenTwoFrame[0])
+        };
+      })();
+      this._animationState = (() => {
+        let flag = false;
+        let persist = false;
+        return {
+          getFlag: () => flag,
+          reset: () => {
+            if (!persist) flag = false;
+          },
+          next: () => {
+            persist = false;
+            flag = true;
+          },
+          play: () => {
+            persist = true;
+            flag = true;
+          },
+          stop: () => {
+            persist = false;
+          },
+          pause: () => {
+            persist = false;
+            flag = false;
+          },
+          isPlaying: () => persist
+        };
+      })();
+      this._timestep = (() => {
+        let tickRate = null;
+        let maxCatchUp = 5;
+        let accumulator = 0.0;
+        let lastStamp = null;
+        let pendingTicks = 0;
+        const tickLength = () => 1000.0 / tickRate;
+        // tolerance against rounding errors of the accumulator
+        const epsilon = 1e-6;
+        return {
+          isFixed: () => tickRate !== null,
+          configure: (rate, maxTicks) => {
+            tickRate = rate;
+            maxCatchUp = Math.max(1, maxTicks);
+            accumulator = 0.0;
+            lastStamp = null;
+            pendingTicks = 0;
+          },
+          advance: (stamp) => {
+            if (tickRate === null) {
+              pendingTicks = 1;
+            } else {
+              if (lastStamp !== null) accumulator = Math.min(accumulator + stamp - lastStamp, tickLength() * maxCatchUp);
+              lastStamp = stamp;
+            }
+          },
+          step: () => {
+            if (tickRate === null) pendingTicks = 1;
+            else accumulator = tickLength();
+            lastStamp = null;
+          },
+          suspend: () => {
+            lastStamp = null;
+          },
+          consume: () => {
+            if (tickRate === null) {
+              if (pendingTicks <= 0) return false;
+              pendingTicks--;
+              return true;
+            } else {
+              if (accumulator + epsilon < tickLength()) return false;
+              accumulator -= tickLength();
+              return true;
+            }
+          },
+          getAlpha: () => tickRate === null ? 0.0 : Math.max(0.0, accumulator / tickLength())
+        };
+      })();
+      Object.freeze(this._fps);
+      Object.freeze(this._animationState);
+      Object.freeze(this._timestep);
+
+      /** @member {boolean} */
+      this.headless = 'headless' in obj ? obj.headless : false;
+      const width = 'width' in obj ? Math.floor(obj.width) : 600;
+      const height = 'height' in obj ? Math.floor(obj.height) : 600;
+      this.divExpansionRate = 1;
+      this.centering = false;
+
+      /** @member {ImageManager} */
+      this.imageManager = new ImageManager('images' in obj ? obj.images : []);
+      if (this.headless) {
+        this.divElem = {
+          base: null,
+          canvas: null,
+          frame: null,
+          ctrl: null,
+          log: null,
+          timeline: null,
+          inspector: null,
+          play: null
+        };
+        /** @member {SoundManager} */
+        this.soundManager = new NullSoundManager('sounds' in obj ? obj.sounds : []);
+        this.painter = new NullPainter2d(width, height, this.imageManager);
+        this.canvas = this.painter.canvas;
+      } else {
+        this.divElem = {
+          base: document.getElementById('divId' in obj ? obj.divId : 'koturno-ui'),
+          canvas: document.createElement('div'),
+          frame: null,
+          ctrl: null,
+          log: null,
+          timeline: null,
+          inspector: null,
+          play: null
+        };
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.divElem.base.setAttribute('style', `width: ${this.canvas.width}px; height: ${this.canvas.height}px; border: 1px #ccc solid;`);
+        this.divElem.canvas.appendChild(this.canvas);
+
+        /** @member {SoundManager} */
+        this.soundManager = ('webAudio' in obj ? obj.webAudio : true) && WebAudioSoundManager.isSupported() ?
+          new WebAudioSoundManager('sounds' in obj ? obj.sounds : []) :
+          new SoundManager('sounds' in obj ? obj.sounds : []);
+        this.painter = new Painter2d(this.canvas, this.imageManager);
+      }
+      this.action = new ActionManager(this.canvas, 'inputMap' in obj ? obj.inputMap : new InputMap());
+      /** @member {AssetLoader} */
+      this.loader = new AssetLoader({ onProgress: 'onLoadProgress' in obj ? obj.onLoadProgress : () => {} });
+      /** @member {BundleManager} */
+      this.bundleManager = new BundleManager('bundles' in obj ? obj.bundles : {}, this.imageManager, this.soundManager, this.loader);
+      /** @member {Scene} */
+      this.loadingScene = 'loadingScene' in obj ? obj.loadingScene : new LoadingScene();
+
+      this.timelineCanvasPainter = null;
+      this._history = null;
+      this._inspector = null;
+      // scenes whose bundles are acquired, which are released when the game resumes from a snapshot
+      this._heldScenes = [];
+    } else {
+      Logger.fatal("Game must have 'scenes' and 'firstScene'!");
+    }
+  }
+
+  /**
+   * Canvas width.
+   * @member {number}
+   */
+  get width() {
+    return this.canvas.width;
+  }
+
+  /**
+   * Canvas height.
+   * @member {number}
+   */
+  get height() {
+    return this.canvas.height;
+  }
+
+  /**
+   * Current FPS(frames per second).
+   * @member {number}
+   */
+  get fps() {
+    return this._fps.getValue();
+  }
+
+  /**
+   * Whether the game runs with fixed timestep or not.
+   * @member {boolean}
+   */
+  get fixedTimestep() {
+    return this._timestep.isFixed();
+  }
+
+  /**
+   * Set timestep of the game loop.
+   * If `tickRate` is `null`, then the scenes are updated once per animation frame.
+   * @param {?number} tickRate logical ticks per second
+   * @param {number} [maxCatchUp=5] maximum number of ticks processed in one animation frame
+   * @returns {Game} this
+   */
+  setTimestep(tickRate, maxCatchUp = 5) {
+    if (tickRate !== null && !(tickRate > 0)) {
+      Logger.error(`Tick rate must be positive!\ntick rate: ${tickRate}`);
+    } else {
+      this._timestep.configure(tickRate, maxCatchUp);
+    }
+    return this;
+  }
+
+  /**
+   * Center the canvas.
+   * @returns {Game} this
+   */
+  center() {
+    const fullScreenCSS = 'margin: 0px; padding: 0px; width: 100%; height: 100%; overflow: hidden;';
+    document.body.setAttribute('style', fullScreenCSS);
+    document.getElementsByTagName('html')[0].setAttribute('style', fullScreenCSS);
+    const onResize = () => {
+      const bodyRect = document.body.getBoundingClientRect();
+      this.divExpansionRate = Math.min(bodyRect.width / this.canvas.width, bodyRect.height / this.canvas.height);
+      const w = Math.ceil(this.canvas.width * this.divExpansionRate);
+      const h = Math.ceil(this.canvas.height * this.divExpansionRate);
+      this.divElem.base.setAttribute('style', `width: ${w}px; height: ${h}px; position: fixed; ` +
+        `left: ${(bodyRect.width - w) / 2}px; top: ${(bodyRect.height - h) / 2}px; border: 1px #ccc solid;`
+      );
+    };
+    window.addEventListener('resize', onResize);
+    onResize();
+    this.centering = true;
+    return this;
+  }
+
+  _setNormalUI() {
+    this.divElem.base.appendChild(this.divElem.canvas);
+    if (this.centering) {
+      const onResize = () => {
+        this.canvas.setAttribute('style', `transform: scale(${this.divExpansionRate}, ${this.divExpansionRate}); position: relative; ` +
+          `left: ${(this.divExpansionRate - 1) * this.canvas.width / 2}px; ` +
+          `top: ${(this.divExpansionRate - 1) * this.canvas.height / 2}px;`);
+      };
+      window.addEventListener('resize', onResize);
+      onResize();
+    }
+  }
+
+  _setDebugUI(recorder) {
+    const sideDiv = document.createElement('div');
+    this.divElem.frame = document.createElement('div');
+    this.divElem.ctrl = document.createElement('div');
+    this.divElem.log = document.createElement('div');
+    this.divElem.timeline = document.createElement('div');
+    this.divElem.inspector = document.createElement('div');
+    this._inspector = new StateInspector(this.divElem.inspector, () => !this._animationState.isPlaying());
+
+    const timelineCanvas = document.createElement('canvas');
+    this.timelineCanvasPainter = new Painter2d(timelineCanvas, new ImageManager([]));
+    this.divElem.timeline.appendChild(timelineCanvas);
+    // scrub along the timeline by dragging or the wheel
+    let dragging = false;
+    const travelToRow = y => {
+      const frame = recorder.timelineFrameAt(this.timelineCanvasPainter, recorder.data.length - 1, this._history.cursor, y);
+      if (frame !== null) this._travelTo(frame, recorder);
+    };
+    timelineCanvas.addEventListener('mousedown', e => {
+      dragging = true;
+      travelToRow(e.offsetY);
+    });
+    timelineCanvas.addEventListener('mousemove', e => {
+      if (dragging) travelToRow(e.offsetY);
+    });
+    window.addEventListener('mouseup', () => {
+      dragging = false;
+    });
+    timelineCanvas.addEventListener('wheel', e => {
+      e.preventDefault();
+      const current = this._history.cursor !== null ? this._history.cursor : this._history.newestFrame;
+      if (current !== null) this._travelTo(current + Math.sign(e.deltaY), recorder);
+    });
+
+    if (this.centering) {
+      const onResize = () => {
+        this._setDivStyle(Math.ceil(this.canvas.width * this.divExpansionRate), Math.ceil(this.canvas.height * this.divExpansionRate))
+      };
+      window.addEventListener('resize', onResize);
+      onResize();
+    } else {
+      this._setDivStyle(this.canvas.width, this.canvas.height);
+    }
+
+    this.divElem.ctrl.appendChild(this._createCtrlUI(recorder));
+
+    sideDiv.setAttribute('style', 'float: left;');
+    sideDiv.appendChild(this.divElem.frame);
+    sideDiv.appendChild(this.divElem.ctrl);
+    sideDiv.appendChild(this.divElem.log);
+
+    this.divElem.canvas.appendChild(this.canvas);
+    this.divElem.base.appendChild(this.divElem.canvas);
+    this.divElem.base.appendChild(sideDiv);
+    this.divElem.base.appendChild(this.divElem.timeline);
+    this.divElem.base.appendChild(this.divElem.inspector);
+  }
+
+  _createCtrlUI(recorder) {
+    const div0 = document.createElement('div');
+    const div1 = document.createElement('div');
+    div0.setAttribute('style', 'text-align: center; padding: 8px;');
+    div1.setAttribute('style', 'border: 1px #0f0 solid; display: inline-block; margin: auto; font-size: 20px;');
+    div0.appendChild(div1);
+
+    const stepBackwardI = document.createElement('i');
+    const stepForwardI = document.createElement('i');
+    const playI = document.createElement('i');
+    stepBackwardI.setAttribute('style', 'background-color: #000; color: #0f0; width: 25.7px; height: 20px;');
+    stepBackwardI.setAttribute('class', 'fa fa-fw fa-step-backward');
+    stepBackwardI.setAttribute('title', 'step backward');
+    stepForwardI.setAttribute('style', 'background-color: #000; color: #0f0; width: 25.7px; height: 20px;');
+    stepForwardI.setAttribute('class', 'fa fa-fw fa-step-forward');
+    stepForwardI.setAttribute('title', 'step forward');
+    playI.setAttribute('style', 'background-color: #000; color: #0f0; width: 25.7px; height: 20px;');
+    playI.setAttribute('class', 'fa fa-fw fa-play');
+    playI.setAttribute('title', 'play');
+    stepBackwardI.addEventListener('mousedown', () => {
+      const current = this._history.cursor !== null ? this._history.cursor : this._history.newestFrame;
+      if (current !== null) this._travelTo(current - 1, recorder);
+    });
+    stepForwardI.addEventListener('mousedown', () => {
+      this._animationState.next();
+    });
+    playI.addEventListener('mousedown', () => {
+      if (this._animationState.getFlag()) {
+        this._animationState.stop();
+        playI.setAttribute('class', 'fa fa-fw fa-play');
+        playI.setAttribute('title', 'play');
+      } else {
+        this._animationState.play();
+        playI.setAttribute('class', 'fa fa-fw fa-pause');
+        playI.setAttribute('title', 'pause');
+      }
+    });
+    div1.appendChild(stepBackwardI);
+    div1.appendChild(stepForwardI);
+    div1.appendChild(playI);
+    this.divElem.play = playI;
+
+    return div0;
+  }
+
+  _setDivStyle(baseWidth, baseHeight) {
+    this.divElem.canvas.setAttribute('style', `width: ${Math.round(baseWidth * 2 / 3)}px; height: ${Math.round(baseHeight * 2 / 3)}px; float: left;`);
+    this.divElem.frame.setAttribute('style', `width: ${Math.round(baseWidth / 3) - 6}px; height: ${Math.round(baseHeight / 9) - 6}px; ` +
+      `text-align: center; vertical-align: middle; display: table-cell; background-color: #000; border: 3px #0f0 solid; ` +
+      `color: #0f0; font-size: 150%;`);
+    this.divElem.ctrl.setAttribute('style', `width: ${Math.round(baseWidth / 3) - 6}px; height: ${Math.round(baseHeight * 2 / 9) - 6}px; ` +
+      `background-color: #000; border: 3px #0f0 solid;`);
+    this.divElem.log.setAttribute('style', `width: ${Math.round(baseWidth / 3) - 6}px; height: ${Math.round(baseHeight / 3) - 6}px; ` +
+      `overflow: scroll; background-color: #000; border: 3px #0f0 solid;`);
+    this.divElem.timeline.setAttribute('style', `width: ${baseWidth - 3}px; height: ${Math.round(baseHeight / 3) - 3}px; ` +
+      `overflow: scroll; background-color: #000; border: 3px #0f0 solid;`);
+    this.divElem.inspector.setAttribute('style', `width: ${baseWidth - 3}px; height: ${Math.round(baseHeight / 3) - 3}px; ` +
+      `overflow: scroll; background-color: #000; border: 3px #0f0 solid; color: #0f0; font-family: monospace;`);
+    this.timelineCanvasPainter.canvas.width = baseWidth - 3;
+    this.timelineCanvasPainter.canvas.height = Math.round(baseHeight / 3) - 3;
+
+    this.canvas.setAttribute('style', `transform: scale(${this.divExpansionRate * 2 / 3}, ${this.divExpansionRate * 2 / 3}); position: relative; ` +
+      `left: ${Math.round((this.divExpansionRate * 2 / 3 - 1) * this.canvas.width / 2)}px; ` +
+      `top: ${Math.round((this.divExpansionRate * 2 / 3 - 1) * this.canvas.height / 2)}px;`);
+  }
+
+  _updateDebugInfo(counters, recorder) {
+    this.divElem.frame.innerHTML = counters.toString();
+    recorder.printTimeline(this.timelineCanvasPainter, counters.general);
+  }
+
+  /**
+   * Pause the game, and show the snapshot of the frame.
+   * The game resumes from the frame when it is played or stepped forward.
+   * @param {number} frame general counter
+   * @param {Recorder} recorder recorder
+   * @protected
+   */
+  _travelTo(frame, recorder) {
+    this._animationState.pause();
+    this.divElem.play.setAttribute('class', 'fa fa-fw fa-play');
+    this.divElem.play.setAttribute('title', 'play');
+    const snapshot = this._history.seek(frame);
+    if (snapshot !== null) {
+      snapshot.draw(this.painter);
+      this._inspect(snapshot);
+      this.divElem.frame.innerHTML = snapshot.counters.toString();
+      recorder.printTimeline(this.timelineCanvasPainter, recorder.data.length - 1, snapshot.counters.general);
+    }
+  }
+
+  /**
+   * Show the state of the snapshot on the inspector, compared with the snapshot of the previous frame.
+   * @param {Object} snapshot snapshot taken in the main loop
+   * @protected
+   */
+  _inspect(snapshot) {
+    const previous = this._history.find(snapshot.counters.general - 1);
+    this._inspector.show(snapshot.scene, snapshot.state, previous !== null ? previous.state : null);
+  }
+
+  /**
+   * Resume the game from the snapshot, and discard the record after it.
+   * @param {Object} snapshot snapshot taken in the main loop
+   * @param {Recorder} recorder recorder
+   * @param {function} f function called when the bundles of the scenes are loaded
+   * @protected
+   */
+  _resumeFrom(snapshot, recorder, f) {
+    Logger.debug(`Resumed from ${snapshot.counters.general}f.`);
+    recorder.resetAfter(snapshot.counters.general);
+    recorder.startRecord();
+    this.random.restore(snapshot.random);
+    // acquire the bundles of the snapshot before releasing the current ones, so that shared assets stay loaded
+    const held = [...this._heldScenes];
+    const scenes = [...snapshot.stack.map(frozen => this.scenes.getScene(frozen.name)), this.scenes.getScene(snapshot.scene)];
+    const acquire = i => {
+      if (i < scenes.length) {
+        this._acquireBundles(scenes[i], () => acquire(i + 1));
+      } else {
+        this._releaseBundles(...held);
+        f();
+      }
+    };
+    acquire(0);
+  }
+
+  _displayFPS() {
+    const textOptions = Object.assign({}, this.painter.recentTextOptions);
+    this.painter.setGlobalAlphaAndDraw(0.8, () => {
+      const textMetrics = this.painter.measureText('FPS ' + Math.round(this.fps), { size: 10, font: 'monospace' });
+      this.painter.rect(0, this.height - 10, textMetrics.width + 3, 10).fill('#fff');
+      this.painter.text('FPS ' + Math.round(this.fps), 0, this.height, { align: 'start', baseline: 'bottom' }).fill('#000');
+    });
+    this.painter.recentTextOptions = textOptions;
+  }
+
+  /**
+   * Create the main loop of the scenes.
+   * @param {function} requestNextFrame function to schedule the next tick
+   * @param {boolean} debug if `true`, then update debug information
+   * @param {boolean} displayFPS if `true`, then display current FPS
+   * @param {?Recorder} recorder recorder
+   * @param {function} [observe] callback called with the scene name, the updated state and the counters after every update
+   * @returns {function} main loop, which takes the scene name, the first state and the first counters
+   */
+  _createMainLoop(requestNextFrame, debug, displayFPS, recorder, observe = () => {}) {
+    // draw the scene over the image of the frozen scenes beneath
+    const render = (painter, scene, state, counters, below, alpha) => {
+      if (below !== null) painter.image(below, 0, 0);
+      scene.draw(state, this.action, counters, painter, this, alpha);
+    };
+    const drawScene = (scene, state, counters, below, alpha) => {
+      render(this.painter, scene, state, counters, below, alpha);
+      if (displayFPS) {
+        this._displayFPS();
+      }
+    };
+    const mainLoop = (sceneName, initState, initCounters, stack = [], resumption = null) => {
+      const currentScene = this.scenes.getScene(sceneName);
+      const below = stack.length > 0 ? stack[stack.length - 1].image : null;
+      const loop = (currentState, counters) => {
+        if (debug) {
+          const snapshot = Object.freeze({
+            scene: sceneName,
+            state: currentState,
+            counters,
+            stack,
+            random: this.random.snapshot(),
+            draw: painter => render(painter, currentScene, currentState, counters, below, 0.0),
+            restore: state => mainLoop(sceneName, state, counters, stack, { restored: true })
+          });
+          this._history.push(snapshot);
+          this._inspect(snapshot);
+        }
+        this.action.poll();
+        if (recorder !== null) recorder.readAction(this.action, counters.general);
+        if (!this._timestep.isFixed()) {
+          drawScene(currentScene, currentState, counters, below, 0.0);
+        }
+
+        const nextState = currentScene.update(currentState, this.action, counters, this.soundManager, this);
+        observe(sceneName, nextState, counters);
+
+        const stay = () => {
+          const nextCounters = counters.count();
+          requestNextFrame(() => {
+            loop(nextState, nextCounters);
+          }, alpha => {
+            if (this._timestep.isFixed()) drawScene(currentScene, nextState, nextCounters, below, alpha);
+          });
+        };
+        const next = currentScene.transition(currentState, this.action, counters, this).match({
+          stay: () => stay,
+          trans: (nextSceneName, nextSceneCounter, transFunc) => () => {
+            const nextScene = this.scenes.getScene(nextSceneName);
+            const prevPainter = this.painter.createAnotherPainter();
+            const nextPainter = this.painter.createAnotherPainter();
+            const nextCounter = counters.reset(nextSceneCounter);
+
+            if (nextScene !== null) {
+              this._acquireBundles(nextScene, () => {
+                // draw two scenes on unvisible canvases
+                render(prevPainter, currentScene, currentState, counters, below, 0.0);
+                render(nextPainter, nextScene, nextScene.init(currentState, nextCounter, this), nextCounter, below, 0.0);
+                this._releaseBundles(currentScene);
+
+                requestNextFrame(() => {
+                  transLoop({
+                    name: sceneName,
+                    img: prevPainter.canvas,
+                    state: currentState,
+                    stack
+                  }, {
+                    name: nextSceneName,
+                    img: nextPainter.canvas,
+                    counter: nextSceneCounter
+                  }, counters.count().reset(), transFunc);
+                });
+              });
+            }
+          },
+          end: () => () => {
+            Logger.debug(`Game ended.\ntotal frame: ${counters.general}f`);
+            this._releaseBundles(currentScene, ...stack.map(frozen => this.scenes.getScene(frozen.name)));
+            this.soundManager.finalize();
+          },
+          reset: () => () => {
+            const firstScene = this.scenes.getScene(this.firstScene);
+            this.soundManager.reset();
+            this._acquireBundles(firstScene, () => {
+              this._releaseBundles(currentScene, ...stack.map(frozen => this.scenes.getScene(frozen.name)));
+              requestNextFrame(() => {
+                mainLoop(this.firstScene, this.firstState, counters.hardReset());
+              });
+            });
+          },
+          push: (nextSceneName, nextSceneCounter, drawBelow) => () => {
+            let image = null;
+            if (drawBelow) {
+              const frozenPainter = this.painter.createAnotherPainter();
+              render(frozenPainter, currentScene, currentState, counters, below, 0.0);
+              image = frozenPainter.canvas;
+            }
+            const nextStack = [...stack, {
+              name: sceneName,
+              state: currentState,
+              counters,
+              image
+            }];
+            this._acquireBundles(this.scenes.getScene(nextSceneName), () => {
+              requestNextFrame(() => {
+                mainLoop(nextSceneName, currentState, counters.count().reset(nextSceneCounter), nextStack);
+              });
+            });
+          },
+          pop: (result) => {
+            if (stack.length === 0) {
+              Logger.error(`Cannot pop the scene ${sceneName}, because there is no scene beneath.`);
+              return stay;
+            }
+            return () => {
+              const frozen = stack[stack.length - 1];
+              this._releaseBundles(currentScene);
+              requestNextFrame(() => {
+                mainLoop(frozen.name, frozen.state, counters.count().reset(frozen.counters.scene + 1), stack.slice(0, -1), { result });
+              });
+            };
+          }
+        });
+
+        if (recorder !== null) {
+          recorder.storeAction(this.action, counters.general);
+        }
+        if (debug) {
+          this._updateDebugInfo(counters, recorder);
+        }
 
-  return {
-    getName: (num) => {
-      return codeToName.get(num);
-    },
-    getCodes: (names) => {
-      return names.filter(name => nameToCode.has(name)).map(name => nameToCode.get(name));
+        this.action.resetAction();
+        next();
+      };
+
+      if (currentScene !== null) {
+        if (resumption === null) {
+          loop(currentScene.init(initState, initCounters, this), initCounters);
+        } else if (resumption.restored) {
+          loop(initState, initCounters);
+        } else {
+          loop(currentScene.resume(initState, resumption.result, initCounters, this), initCounters);
+        }
+      }
+    };
+
+    const transLoop = (prev, next, counters, transFunc) => {
+      const finished = transFunc(prev.img, next.img, counters.scene, this.painter);
+
+      if (displayFPS) {
+        this._displayFPS();
+      }
+      this.action.poll();
+      if (recorder !== null) {
+        recorder.readAction(this.action, counters.general);
+        recorder.storeAction(this.action, counters.general);
+      }
+      if (debug) {
+        this._updateDebugInfo(counters, recorder);
+      }
+
+      if (finished) {
+        requestNextFrame(() => {
+          mainLoop(next.name, prev.state, counters.count().reset(next.counter), prev.stack);
+        });
+      } else {
+        requestNextFrame(() => {
+          transLoop(prev, next, counters.count(), transFunc)
+        });
+      }
+    };
+
+    return mainLoop;
+  }
+
+  /**
+   * Acquire the asset bundles of the scene, and call the function when they are loaded.
+   * The loading scene is drawn while waiting, and the waiting time is not counted as ticks.
+   * @param {?Scene} scene scene
+   * @param {function} f function called when the bundles are loaded
+   * @protected
+   */
+  _acquireBundles(scene, f) {
+    if (this.headless || scene === null) {
+      f();
+      return;
     }
-  };
-})();
-Object.freeze(KeycodeBiDiMap);
+    this._heldScenes.push(scene);
+    if (this.bundleManager.isLoaded(...scene.bundles)) {
+      this.bundleManager.acquire(...scene.bundles);
+      f();
+    } else {
+      const stopLoadingScene = this._showLoadingScene();
+      this.loader.reset();
+      this.bundleManager.acquire(...scene.bundles).then(() => {
+        stopLoadingScene();
+        this._timestep.suspend();
+        f();
+      }, err => {
+        stopLoadingScene();
+        Logger.fatal(err.message);
+      });
+    }
+  }
 
-/**
- * Namespace for hashing.
- * @namespace
- */
-const SHA256 = (() => {
-  const H = Uint32Array.from([
-    0x6a09e667,
-    0xbb67ae85,
-    0x3c6ef372,
-    0xa54ff53a,
-    0x510e527f,
-    0x9b05688c,
-    0x1f83d9ab,
-    0x5be0cd19
-  ]);
-  const K = Uint32Array.from([
-    0x428a2f98,
-    0x71374491,
-    0xb5c0fbcf,
-    0xe9b5dba5,
-    0x3956c25b,
-    0x59f111f1,
-    0x923f82a4,
-    0xab1c5ed5,
-    0xd807aa98,
-    0x12835b01,
-    0x243185be,
-    0x550c7dc3,
-    0x72be5d74,
-    0x80deb1fe,
-    0x9bdc06a7,
-    0xc19bf174,
-    0xe49b69c1,
-    0xefbe4786,
-    0x0fc19dc6,
-    0x240ca1cc,
-    0x2de92c6f,
-    0x4a7484aa,
-    0x5cb0a9dc,
-    0x76f988da,
-    0x983e5152,
-    0xa831c66d,
-    0xb00327c8,
-    0xbf597fc7,
-    0xc6e00bf3,
-    0xd5a79147,
-    0x06ca6351,
-    0x14292967,
-    0x27b70a85,
-    0x2e1b2138,
-    0x4d2c6dfc,
-    0x53380d13,
-    0x650a7354,
-    0x766a0abb,
-    0x81c2c92e,
-    0x92722c85,
-    0xa2bfe8a1,
-    0xa81a664b,
-    0xc24b8b70,
-    0xc76c51a3,
-    0xd192e819,
-    0xd6990624,
-    0xf40e3585,
-    0x106aa070,
-    0x19a4c116,
-    0x1e376c08,
-    0x2748774c,
-    0x34b0bcb5,
-    0x391c0cb3,
-    0x4ed8aa4a,
-    0x5b9cca4f,
-    0x682e6ff3,
-    0x748f82ee,
-    0x78a5636f,
-    0x84c87814,
-    0x8cc70208,
-    0x90befffa,
-    0xa4506ceb,
-    0xbef9a3f7,
-    0xc67178f2
-  ]);
-  const PLUS = (...args) => args.length ? (args[0] + PLUS(...args.slice(1))) & 0xffffffff : 0;
-  const CH = (x, y, z) => (x & y) ^ (~x & z);
-  const MAJ = (x, y, z) => (x & y) ^ (x & z) ^ (y & z);
-  const SHR = (x, n) => x >>> n;
-  const ROTR = (x, n) => (x >>> n) | (x << (32 - n));
-  const SIGMA0 = x => ROTR(x, 2) ^ ROTR(x, 13) ^ ROTR(x, 22);
-  const SIGMA1 = x => ROTR(x, 6) ^ ROTR(x, 11) ^ ROTR(x, 25);
-  const _SIGMA0 = x => ROTR(x, 7) ^ ROTR(x, 18) ^ SHR(x, 3);
-  const _SIGMA1 = x => ROTR(x, 17) ^ ROTR(x, 19) ^ SHR(x, 10);
-  return {
-    parse: (uint32Array) => {
-      let blocks = [];
-      uint32Array.forEach((int, i) => {
-        if (i % 16 === 0) blocks[(i / 16) | 0] = new Uint32Array(16);
-        blocks[Math.floor(i / 16)][i % 16] = int;
+  /**
+   * Release the asset bundles of the scenes.
+   * @param {...?Scene} scenes scenes
+   * @protected
+   */
+  _releaseBundles(...scenes) {
+    if (!this.headless) {
+      scenes.filter(scene => scene !== null).forEach(scene => {
+        const index = this._heldScenes.lastIndexOf(scene);
+        if (index >= 0) this._heldScenes.splice(index, 1);
+        this.bundleManager.release(...scene.bundles);
       });
-      return blocks;
-    },
-    digest: (uint32Array) => {
-      // TODO: impl.
-      let hashes = Uint32Array.from(H);
-      // parse buffer to some blocks
-      const BLOCKS = SHA256.parse(uint32Array);
-      BLOCKS.forEach(M => {
-        let W = new Uint32Array(64);
-        for (let t = 0; t < 64; ++t)
-          W[t] = t < 16 ? M[t] : PLUS(_SIGMA1(W[t - 2]), W[t - 7], _SIGMA0(W[t - 15]), W[t - 16]);
-        let [a, b, c, d, e, f, g, h] = hashes;
-        for (let t = 0; t < 64; t++) {
-          const T1 = PLUS(h, SIGMA1(e), CH(e, f, g), K[t], W[t]);
-          const T2 = PLUS(SIGMA0(a), MAJ(a, b, c));
-          h = g;
-          g = f;
-          f = e;
-          e = PLUS(d, T1);
-          d = c;
-          c = b;
-          b = a;
-          a = PLUS(T1, T2);
+    }
+  }
+
+  /**
+   * Draw the loading scene every animation frame until it is stopped.
+   * @returns {function} function to stop drawing
+   * @protected
+   */
+  _showLoadingScene() {
+    const scene = this.loadingScene;
+    let counters = new Counters();
+    let state = scene.init(State.init({}), counters, this);
+    let running = true;
+    const loop = () => {
+      if (running) {
+        this.action.poll();
+        state = scene.update(state, this.action, counters, this.soundManager, this);
+        scene.draw(state, this.action, counters, this.painter, this);
+        this.action.resetAction();
+        counters = counters.count();
+        window.requestAnimationFrame(loop);
+      }
+    };
+    loop();
+    return () => {
+      running = false;
+    };
+  }
+
+  /**
+   * Start the game.
+   * @param {boolean} debug if `true`, then start as debug mode
+   * @param {boolean} displayFPS if `true`, then display current FPS
+   * @param {Recorder} [recorder]
+   */
+  start(debug, displayFPS, recorder) {
+    const waitNextFrame = (f, render) => {
+      window.requestAnimationFrame(stamp => {
+        if (debug && !this._animationState.getFlag()) {
+          this._timestep.suspend();
+          waitNextFrame(f, render);
+        } else {
+          const stepping = debug && !this._animationState.isPlaying();
+          this._animationState.reset();
+          this._fps.update(stamp);
+          if (stepping) {
+            this._timestep.step();
+          } else {
+            this._timestep.advance(stamp);
+          }
+          // the edited state is applied by running the inspected frame again
+          if (debug && (this._history.isRewound() || this._inspector.isEdited())) {
+            const rewound = this._history.leave();
+            const snapshot = rewound !== null ? rewound : this._history.find(this._history.newestFrame);
+            this._resumeFrom(snapshot, recorder, () => requestNextFrame(() => snapshot.restore(this._inspector.edited(snapshot.state))));
+          } else {
+            if (debug) this._history.leave();
+            requestNextFrame(f, render);
+          }
         }
-        hashes[0] = PLUS(hashes[0], a);
-        hashes[1] = PLUS(hashes[1], b);
-        hashes[2] = PLUS(hashes[2], c);
-        hashes[3] = PLUS(hashes[3], d);
-        hashes[4] = PLUS(hashes[4], e);
-        hashes[5] = PLUS(hashes[5], f);
-        hashes[6] = PLUS(hashes[6], g);
-        hashes[7] = PLUS(hashes[7], h);
       });
-      return hashes;
+    };
+    // run the next tick at once if it is due, otherwise draw and wait for the next animation frame
+    const requestNextFrame = (f, render = () => {}) => {
+      if (this._timestep.consume()) {
+        f();
+      } else {
+        render(this._timestep.getAlpha());
+        waitNextFrame(f, render);
+      }
+    };
+    const mainLoop = this._createMainLoop(requestNextFrame, debug, displayFPS, recorder);
+
+    // set UI
+    if (debug) {
+      this._setDebugUI(recorder);
+    } else {
+      this._setNormalUI();
     }
-  };
-})();
+    // blackout
+    this.painter.background("#000000");
 
-/**
- * Class for recording and auto-playing tool.
- */
-class Recorder {
-  constructor() {
-    this.data = [];
-    this.mode = 'r';
+    // loading resources
+    const stopLoadingScene = this._showLoadingScene();
+    const firstScene = this.scenes.getScene(this.firstScene);
+    const bundledImages = this.bundleManager.images;
+    const bundledSounds = this.bundleManager.sounds;
+    Promise.all([
+      this.imageManager.load(this.loader.reset(), Array.from(this.imageManager.images.keys()).filter(name => !bundledImages.has(name))),
+      this.soundManager.load(this.loader, Array.from(this.soundManager.sounds.keys()).filter(name => !bundledSounds.has(name))),
+      firstScene !== null ? this.bundleManager.acquire(...firstScene.bundles) : null
+    ]).then(() => {
+      if (firstScene !== null) this._heldScenes.push(firstScene);
+      stopLoadingScene();
+      this.random.reseed(this.random.seed);
+      if (recorder !== null) recorder.startRecord(this.name, this.random.seed);
+      mainLoop(this.firstScene, this.firstState, new Counters());
+    }, err => {
+      stopLoadingScene();
+      Logger.fatal(err.message);
+    });
+  }
 
-    this._detail = {
-      startTime: 0,
-      endTime: 0,
-      revision: 0,
-      title: `NoTitle:${document.lastModified}`
-    };
+  /**
+   * Run as normal mode.
+   * @param {Object} [opt] options
+   * @param {boolean} [opt.displayFPS=false]
+   * @param {Recorder} [opt.recorder] recorder
+   * @param {number} [opt.tickRate] logical ticks per second. If it is set, then the game runs with fixed timestep
+   * @param {number} [opt.maxCatchUp=5] maximum number of ticks processed in one animation frame
+   */
+  run(opt = {}) {
+    if (this.headless) {
+      Logger.error('Headless game cannot run. Please use Game#simulate instead.');
+      return;
+    }
+    const recorder = 'recorder' in opt ? opt.recorder : null;
+    if (recorder !== null) recorder.setMode('w');
+    if ('tickRate' in opt) this.setTimestep(opt.tickRate, 'maxCatchUp' in opt ? opt.maxCatchUp : 5);
+    this.action.listen();
+    this.start(false, 'displayFPS' in opt ? opt.displayFPS : false, recorder);
   }
 
   /**
-   * Magic number of Recorder.js.
+   * Run as debug mode.
+   * The latest ticks can be rewound with the step backward button or the timeline, and the game resumes from there.
+   * The current state is shown on the inspector, and it can be edited while paused.
+   * @param {Object} [opt] options
+   * @param {boolean} [opt.displayFPS]
+   * @param {Recorder} [opt.recorder] recorder
+   * @param {number} [opt.historySize=600] number of ticks which can be rewound
+   * @param {number} [opt.tickRate] logical ticks per second. If it is set, then the game runs with fixed timestep
+   * @param {number} [opt.maxCatchUp=5] maximum number of ticks processed in one animation frame
    */
-  static get MAGIC() {
-    return 0x4b72;
+  debug(opt = {}) {
+    if (this.headless) {
+      Logger.error('Headless game cannot run. Please use Game#simulate instead.');
+      return;
+    }
+    const recorder = 'recorder' in opt ? opt.recorder : new Recorder();
+    recorder.setMode('w');
+    this._history = new SnapshotHistory('historySize' in opt ? opt.historySize : 600);
+    if ('tickRate' in opt) this.setTimestep(opt.tickRate, 'maxCatchUp' in opt ? opt.maxCatchUp : 5);
+    this.action.listen();
+    Logger.setGame(this);
+    this.soundManager.setDebugMode(true);
+    this.start(true, 'displayFPS' in opt ? opt.displayFPS : false, recorder);
   }
 
   /**
-   * Version number of Recorder.js.
+   * Run automatically.
+   * @param {Recorder} recorder recorder
+   * @param {Object} [opt] options
+   * @param {boolean} [opt.displayFPS]
+   * @param {number} [opt.tickRate] logical ticks per second. If it is set, then the game runs with fixed timestep
+   * @param {number} [opt.maxCatchUp=5] maximum number of ticks processed in one animation frame
    */
-  static get VERSION() {
-    return 0x2001;
+  autorun(recorder, opt = {}) {
+    if (this.headless) {
+      Logger.error('Headless game cannot run. Please use Game#simulate instead.');
+      return;
+    }
+    recorder.setMode('r');
+    if ('tickRate' in opt) this.setTimestep(opt.tickRate, 'maxCatchUp' in opt ? opt.maxCatchUp : 5);
+    recorder.load(this.divElem.base).then(() => {
+      this.random.reseed(recorder.seed);
+      this.start(false, 'displayFPS' in opt ? opt.displayFPS : false, recorder);
+    }, reason => {
+      Logger.fatal(reason);
+    });
   }
 
   /**
-   * Number of showing log at once.
+   * Run the scenes synchronously without waiting for animation frames.
+   * It is mainly for headless games.
+   * @param {number} frames number of ticks to simulate
+   * @param {(Recorder|function)} [inputSource] recorder in reading mode, or function which takes the tick number and returns the input of the tick in the same form as {@link Recorder#data}
+   * @returns {Object} the last scene name `scene`, state `state` and counters `counters`, and `ended` which is `true` if the game has ended
    */
-  static get SHOWING_LOG() {
-    return 8;
+  simulate(frames, inputSource = null) {
+    let recorder = null;
+    if (inputSource instanceof Recorder) {
+      recorder = inputSource;
+      this.random.reseed(recorder.seed);
+    } else {
+      this.random.reseed(this.random.seed);
+      if (inputSource !== null) {
+        recorder = new Recorder();
+        recorder.setMode('r');
+      }
+    }
+    let frame = 0;
+    if (recorder !== null && recorder !== inputSource) {
+      // the input of the tick is stored where the main loop reads it, since the general counter goes back to 0 on reset
+      recorder.readAction = (action, general) => {
+        recorder.data[general] = Object.assign(Recorder.createFrameData(), inputSource(frame));
+        Recorder.prototype.readAction.call(recorder, action, general);
+      };
+    }
+    const result = {
+      scene: this.firstScene,
+      state: this.firstState,
+      counters: new Counters(),
+      ended: false
+    };
+    let pending = null;
+    const mainLoop = this._createMainLoop(f => {
+      pending = f;
+    }, false, false, recorder, (sceneName, state, counters) => {
+      result.scene = sceneName;
+      result.state = state;
+      result.counters = counters;
+    });
+
+    if (recorder !== null) recorder.startRecord(this.name, this.random.seed);
+    pending = () => {
+      mainLoop(this.firstScene, this.firstState, new Counters());
+    };
+    for (; frame < frames && pending !== null; frame++) {
+      const tick = pending;
+      pending = null;
+      tick();
+    }
+    result.ended = pending === null;
+    return result;
   }
 
   /**
-   * Set recorder mode.
-   * @param {string} mode `'r'` if reading, `'w'` if writing
+   * @param {string[]} msg messages
+   * @param {string} style style of log
    */
-  setMode(mode) {
-    this.mode = mode;
+  sendLog(msg, style) {
+    if (this.divElem.log !== null) {
+      const log = document.createElement('div');
+      log.setAttribute('style', `width: auto; border: 1px #999 solid; overflow-wrap: break-word; ` + style);
+      log.innerHTML = msg.join('<br>').replace(/\n/g, '<br>');
+      this.divElem.log.appendChild(log);
+      this.divElem.log.scrollTop = this.divElem.log.scrollHeight;
+    }
   }
 
   /**
-   * Start recording.
-   * @param {string} [title] game title
+   * Convert to string.
+   * @returns {string} a string
    */
-  startRecord(title = null) {
-    if (this.mode === 'r') return;
-    if (title !== null) this._detail.title = title;
-    if (this._detail.startTime === 0) this._detail.startTime = Date.now();
-    else this._detail.revision++;
+  toString() {
+    return `[Game]`;
   }
+}
 
-  /**
-   * Store action as data.
-   * @param {ActionManager} action
-   * @param {number} frame
-   */
-  storeAction(action, frame) {
-    if (this.mode === 'r') return;
-    while (!(frame in this.data)) this.data.push({
-      keyboard: [],
-      mouseButton: [],
-      mousePosition: { x: Number.NaN, y: Number.NaN }
-    });
-    this.data[frame].keyboard = [...action.keyboard.down];
-    this.data[frame].mouseButton = [...action.mouse.down];
-    this.data[frame].mousePosition.x = action.mouse.position.x;
-    this.data[frame].mousePosition.y = action.mouse.position.y;
+/**
+ * Class for material.
+ * @param {number} density average density
+ * @param {number} friction coefficient of friction
+ * @param {number} restitution coefficient of restitution
+ */
+class Material {
+  constructor(density, friction, restitution) {
+    this.density = density;
+    this.friction = friction;
+    this.restitution = restitution;
   }
 
   /**
-   * Reset data after the frame.
-   * @param {number} frame
+   * Calculate mass.
+   * @param {number} volume volume
+   * @returns {number} mass
    */
-  resetAfter(frame) {
-    if (this.mode === 'r') return;
-    if (this.data.length - 1 > frame) {
-      this.data = this.data.slice(0, frame);
-    }
+  calcMass(volume) {
+    return this.density * volume;
   }
 
   /**
-   * Save as a file.
-   * @param {string} [fileName='savedata'] name of save file
+   * Convert to string.
+   * @returns {string} a string
    */
-  save(fileName = 'savedata') {
-    if (this.mode === 'r') return;
-    if (!window.Blob) {
-      Logger.error('The File APIs are not fully supported in this browser.');
-      return;
-    }
-    this._detail.endTime = Date.now();
-
-    // parse action data
-    const binaryData0 = [0x18];
-    let waitFrames = -1;
-    let prevData = {
-      keyboard: [],
-      mouseButton: [],
-      mousePosition: { x: Number.NaN, y: Number.NaN }
-    };
-    this.data.forEach(frameData => {
-      const keyboardPlus = frameData.keyboard.filter(frameKey => !prevData.keyboard.includes(frameKey));
-      const keyboardMinus = prevData.keyboard.filter(prevKey => !frameData.keyboard.includes(prevKey));
-      const mouseButtonPlus = frameData.mouseButton.filter(frameButton => !prevData.mouseButton.includes(frameButton));
-      const mouseButtonMinus = prevData.mouseButton.filter(prevButton => !frameData.mouseButton.includes(prevButton));
-      const mouseMove = (prevData.mousePosition.x !== frameData.mousePosition.x && (!Number.isNaN(prevData.mousePosition.x) || !Number.isNaN(frameData.mousePosition.x))) ||
-        (prevData.mousePosition.y !== frameData.mousePosition.y && (!Number.isNaN(prevData.mousePosition.y) || !Number.isNaN(frameData.mousePosition.y)));
-      if (keyboardPlus.length + keyboardMinus.length + mouseButtonPlus.length + mouseButtonMinus.length === 0 && !mouseMove) {
-        waitFrames++;
-      } else {
-        switch (waitFrames) {
-        case -1:
-          break;
-        case 0:
-          binaryData0.push(0x10);
-          break;
-        case 1:
-          binaryData0.push(0x10, 0x10);
-          break;
-        default:
-          waitFrames++;
-          binaryData0.push(0x1a, waitFrames & 0xff, waitFrames >>> 8);
-        }
-        KeycodeBiDiMap.getCodes(keyboardPlus).forEach(code => binaryData0.push(0x20, code));
-        KeycodeBiDiMap.getCodes(keyboardMinus).forEach(code => binaryData0.push(0x21, code));
-        mouseButtonPlus.forEach(code => binaryData0.push(0x30, code));
-        mouseButtonMinus.forEach(code => binaryData0.push(0x31, code));
-        if (mouseMove) {
-          const mouseX = frameData.mousePosition.x;
-          const mouseY = frameData.mousePosition.y;
-          binaryData0.push(0x38);
-          if (Number.isNaN(mouseX)) binaryData0.push(0xff, 0xff);
-          else binaryData0.push(mouseX & 0xff, mouseX >>> 8);
-          if (Number.isNaN(mouseY)) binaryData0.push(0xff, 0xff);
-          else binaryData0.push(mouseY & 0xff, mouseY >>> 8);
-        }
+  toString() {
+    return `[Material density=${this.density}, friction=${this.friction}, restitution=${this.restitution}]`;
+  }
+}
 
-        waitFrames = 0;
-        prevData = frameData;
-      }
-    });
-    switch (waitFrames) {
-    case 0:
-      binaryData0.push(0x10);
-      break;
-    case 1:
-      binaryData0.push(0x10, 0x10);
-      break;
-    default:
-      waitFrames++;
-      binaryData0.push(0x1a, waitFrames & 0xff, waitFrames >>> 8);
-    }
-    binaryData0.push(0x19);
+/**
+ * Enum for physical type.
+ * @readonly
+ * @enum {number}
+ */
+const PhysicalType = {
+  /** @member {number} */
+  STATIC: 1,
+  /** @member {number} */
+  DYNAMIC: 2
+};
+Object.freeze(PhysicalType);
 
-    // padding
-    const nopeLength = 1024 - binaryData0.length % 512;
-    for (let i = 0; i < nopeLength; i++) {
-      binaryData0.push(0xff);
-    }
+/**
+ * Abstract class for 2-dimensional shape.
+ * @param {string} name name of shape
+ * @param {number} area area
+ * @param {Vector2d} gravityCenter relative center position of gravity
+ * @param {number} gyradius radius of gyration
+ */
+class Shape2d {
+  constructor(name, area, gravityCenter, gyradius) {
+    this.name = name;
+    this.area = area;
+    this.gravityCenter = gravityCenter;
+    this.gyradius = gyradius;
+  }
 
-    // create checksum
-    const checkSum = SHA256.digest(new Uint32Array(Uint8Array.from(binaryData0).buffer));
+  /**
+   * Calculate moment of inertia.
+   * @param {number} mass mass
+   * @returns {number} moment of inertia
+   */
+  calcInertia(mass) {
+    return mass * this.gyradius ** 2;
+  }
 
-    const binaryData1 = [];
-    const pushUint = (array, number, length) => {
-      for (let i = 0; i < length; i++) {
-        array.push(Math.floor((number / 2 ** (8 * i)) & 0xff));
-      }
-    };
-    // push version
-    binaryData1.push(Recorder.MAGIC & 0xff, Recorder.MAGIC >>> 8, Recorder.VERSION & 0xff, Recorder.VERSION >>> 8, 0, 0, 0, 0);
-    // push last frames
-    pushUint(binaryData1, this.data.length, 4);
-    // push revision time
-    pushUint(binaryData1, this._detail.revision, 4);
-    // push start time
-    pushUint(binaryData1, this._detail.startTime, 8);
-    // push end time
-    pushUint(binaryData1, this._detail.endTime, 8);
-    // push game title
-    for (let i = 0; i < 32; i++) {
-      if (i >= this._detail.title.length) binaryData1.push(0);
-      else binaryData1.push(this._detail.title.charCodeAt(i) & 0xff);
-    }
-    // push reserved
-    for (let i = 0; i < 32; i++) {
-      binaryData1.push(Math.floor(Math.random() * 0xff));
-    }
-    // push checksum
-    new Uint8Array(checkSum.buffer).forEach(num => binaryData1.push(num));
-    // push action data
-    binaryData1.push(...binaryData0);
+  /**
+   * Rotate a point and move it. It is the same transformation as {@link Rigid2d#createPath}.
+   * @param {Vector2d} point point
+   * @param {number} rotation rotation angle
+   * @param {Vector2d} [offset] translation after rotating
+   * @returns {Vector2d} transformed point
+   */
+  static transformPoint(point, rotation, offset = new Vector2d(0, 0)) {
+    const cosVal = Math.cos(rotation);
+    const sinVal = Math.sin(rotation);
+    return new Vector2d(cosVal * point.x + sinVal * point.y + offset.x, -sinVal * point.x + cosVal * point.y + offset.y);
+  }
 
-    // download save data
-    const blob = new Blob([Uint8Array.from(binaryData1).buffer]);
-    const url = window.URL.createObjectURL(blob);
-    const aElem = document.createElement('a');
-    document.body.appendChild(aElem);
-    aElem.setAttribute('style', 'display: none;');
-    aElem.href = url;
-    aElem.download = fileName;
-    aElem.click();
-    window.URL.revokeObjectURL(url);
+  /**
+   * Get the vertices of a polygonal shape relative to the center.
+   * @returns {Vector2d[]} vertices in clockwise order. It is empty if the shape is not polygonal
+   */
+  getVertices() {
+    return [];
   }
 
   /**
-   * Load a record data.
-   * @param {EventTarget} target
-   * @returns {Promise}
+   * Get the convex parts used for collision detection. Each part is a convex polygon, a segment or a point inflated by its radius.
+   * @returns {Object[]} parts which have `vertices` relative to the center in clockwise order and `radius`
    */
-  load(target) {
-    if (this.mode === 'w') return Promise.reject('Please set recorder in reading mode.');
-    if (!window.File || !window.FileReader) {
-      return Promise.reject('The File APIs are not fully supported in this browser.');
-    }
+  getConvexParts() {
+    return [{ vertices: this.getVertices(), radius: 0 }];
+  }
 
-    const inputElem = document.createElement('input');
-    document.body.appendChild(inputElem);
-    inputElem.setAttribute('type', 'file');
-    inputElem.setAttribute('name', 'savedata');
-    inputElem.setAttribute('style', 'display: none;');
-    const clickEvent = () => {
-      inputElem.click();
+  /**
+   * Calculate the axis-aligned bounding box.
+   * @param {number} rotation rotation angle
+   * @returns {Object} rectangle relative to the center, which has `x`, `y`, `width` and `height`
+   */
+  calcBounds(rotation) {
+    const points = this.getConvexParts().reduce((acc, part) => acc.concat(part.vertices.map(vertex => {
+      const point = Shape2d.transformPoint(vertex, rotation);
+      return { x: point.x, y: point.y, radius: part.radius };
+    })), []);
+    const left = Math.min(...points.map(p => p.x - p.radius));
+    const top = Math.min(...points.map(p => p.y - p.radius));
+    return {
+      x: left,
+      y: top,
+      width: Math.max(...points.map(p => p.x + p.radius)) - left,
+      height: Math.max(...points.map(p => p.y + p.radius)) - top
     };
+  }
 
-    target.addEventListener('click', clickEvent, true);
-
-    return new Promise((res, rej) => {
-      inputElem.addEventListener('change', ev0 => {
-        const reader = new FileReader();
-        reader.addEventListener('load', ev1 => {
-          const result = ev1.target.result;
-          if (new Uint16Array(result, 0, 2)[0] !== Recorder.MAGIC) {
-            rej('Save data is wrong!');
-          }
-          if (new Uint16Array(result, 0, 2)[1] !== Recorder.VERSION) {
-            rej('Save data is too old!');
-          }
-          const checkSum = new Uint32Array(result, 0x60, 8);
-          const exackHashes = SHA256.digest(new Uint32Array(result, 0x80));
-          if (!checkSum.every((hash, i) => hash === exackHashes[i])) {
-            rej('Save data is broken!');
-          }
+  /**
+   * Create the path of the shape.
+   * @param {Painter2d} painter painter
+   * @returns {Object} path operations
+   */
+  createPath(painter) {
+    Logger.fatal(`Shape2d#createPath is not implemented!`);
+  }
 
-          this._detail.revision = new Uint32Array(result, 0x0c, 1)[0];
-          this._detail.title = String.fromCharCode(...new Uint8Array(result, 0x20, 32).filter(byte => byte !== 0));
-          const timeBinary = new Uint32Array(result, 0x10, 4);
-          this._detail.startTime = timeBinary[0] + (timeBinary[1] * 2 ** 32);
-          this._detail.endTime = timeBinary[2] + (timeBinary[3] * 2 ** 32);
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Shape2d ${this.name}]`;
+  }
+}
 
-          const dataBinary = new Uint8Array(result, 0x80);
-          this.parseData(dataBinary);
-          res();
-        });
-        reader.readAsArrayBuffer(ev0.target.files[0]);
+/**
+ * Class representing rectangle shape.
+ * @param {number} width width
+ * @param {number} height height
+ * @param {Vector2d} [gravityCenter] relative center position of gravity
+ * @param {number} [gyradius] radius of gyration
+ */
+class Rect2d extends Shape2d {
+  constructor(width, height, gravityCenter = new Vector2d(0, 0), gyradius) {
+    if (gyradius === undefined) {
+      const a = width / 2 - gravityCenter.x;
+      const b = -width / 2 - gravityCenter.x;
+      const c = height / 2 - gravityCenter.y;
+      const d = -height / 2 - gravityCenter.y;
+      gyradius = Math.sqrt((a * a + a * b + b * b + c * c + c * d + d * d) / 3);
+    }
+    super('rect2d', width * height, gravityCenter, gyradius);
+    this.width = width;
+    this.height = height;
+  }
 
-        target.removeEventListener('click', clickEvent, true);
-      }, false);
-    });
+  /**
+   * Get the vertices relative to the center.
+   * @returns {Vector2d[]} vertices in clockwise order
+   */
+  getVertices() {
+    return [
+      new Vector2d(-this.width / 2, -this.height / 2),
+      new Vector2d(this.width / 2, -this.height / 2),
+      new Vector2d(this.width / 2, this.height / 2),
+      new Vector2d(-this.width / 2, this.height / 2)
+    ];
   }
 
   /**
-   * Parse binary to data.
-   * @param {Uint8Array} binary
+   * Create the path of the rectangle.
+   * @param {Painter2d} painter painter
+   * @returns {Object} path operations
    */
-  parseData(binary) {
-    let _tmpData = {
-      keyboard: [],
-      mouseButton: [],
-      mousePosition: { x: Number.NaN, y: Number.NaN }
-    };
-    let readingByte = 0;
-    let _end = false;
-    while (!_end) {
-      switch (binary[readingByte]) {
-      case 0x10:
-        this.data.push({
-          keyboard: [..._tmpData.keyboard],
-          mouseButton: [..._tmpData.mouseButton],
-          mousePosition: { x: _tmpData.mousePosition.x, y: _tmpData.mousePosition.y }
-        });
-        break;
-      case 0x18:
-        this.data = [];
-        _tmpData = {
-          keyboard: [],
-          mouseButton: [],
-          mousePosition: { x: Number.NaN, y: Number.NaN }
-        };
-        break;
-      case 0x19:
-        _end = true;
-        break;
-      case 0x1a:
-        const skipFrames = binary[readingByte + 1] | (binary[readingByte + 2] << 8);
-        for (let i = 0; i < skipFrames; i++)
-          this.data.push({
-            keyboard: [..._tmpData.keyboard],
-            mouseButton: [..._tmpData.mouseButton],
-            mousePosition: { x: _tmpData.mousePosition.x, y: _tmpData.mousePosition.y }
-          });
-        readingByte += 2;
-        break;
-      case 0x20:
-        _tmpData.keyboard.push(KeycodeBiDiMap.getName(binary[readingByte + 1]));
-        readingByte += 1;
-        break;
-      case 0x21:
-        _tmpData.keyboard = _tmpData.keyboard.filter(key => key != KeycodeBiDiMap.getName(binary[readingByte + 1]));
-        readingByte += 1;
-        break;
-      case 0x30:
-        _tmpData.mouseButton.push(binary[readingByte + 1]);
-        readingByte += 1;
-        break;
-      case 0x31:
-        _tmpData.mouseButton = _tmpData.mouseButton.filter(button => button != binary[readingByte + 1]);
-        readingByte += 1;
-        break;
-      case 0x38:
-        _tmpData.mousePosition.x = binary[readingByte + 1] | (binary[readingByte + 2] << 8);
-        _tmpData.mousePosition.y = binary[readingByte + 3] | (binary[readingByte + 4] << 8);
-        if (_tmpData.mousePosition.x === 0xffff)
-          _tmpData.mousePosition = { x: Number.NaN, y: Number.NaN };
-        readingByte += 4;
-        break;
-      default:
-        //
-      }
-      readingByte++;
+  createPath(painter) {
+    return painter.rect(-this.width / 2, -this.height / 2, this.width, this.height);
+  }
+}
+
+/**
+ * Class representing circle shape.
+ * @param {number} radius radius
+ * @param {Vector2d} gravityCenter relative center position of gravity
+ * @param {number} [gyradius] radius of gyration
+ */
+class Circle2d extends Shape2d {
+  constructor(radius, gravityCenter = new Vector2d(0, 0), gyradius = radius) {
+    if (gyradius === undefined) {
+      gyradius = Math.sqrt(gravityCenter.x ** 2 + gravityCenter.y ** 2 + radius ** 2 / 2);
     }
+    super('Circle2d', radius ** 2 * Math.PI, gravityCenter, gyradius);
+    this.radius = radius;
   }
 
   /**
-   * Read action from record data.
-   * @param {ActionManager} action
-   * @param {number} frame
+   * Get the convex parts used for collision detection.
+   * @returns {Object[]} the center inflated by the radius
    */
-  readAction(action, frame) {
-    if (this.mode === 'w') return;
-    if (this.data.length === frame) {
-      Logger.debug(`movie end\nframes: ${frame}f\nrevision: ${this._detail.revision}`);
-      return;
-    } else if (this.data.length < frame) {
-      return;
+  getConvexParts() {
+    return [{ vertices: [new Vector2d(0, 0)], radius: this.radius }];
+  }
+
+  /**
+   * Create the path of the circle.
+   * @param {Painter2d} painter painter
+   * @returns {Object} path operations
+   */
+  createPath(painter) {
+    return painter.circle(0, 0, this.radius);
+  }
+}
+
+/**
+ * Class representing convex polygon shape.
+ * @param {Vector2d[]} vertices vertices relative to the center. They are sorted clockwise
+ * @param {Vector2d} [gravityCenter] relative center position of gravity. The centroid is used by default
+ * @param {number} [gyradius] radius of gyration
+ */
+class Polygon2d extends Shape2d {
+  constructor(vertices, gravityCenter, gyradius) {
+    const crosses = vertices.map((vertex, i) => vertex.crossProd(vertices[(i + 1) % vertices.length]));
+    const signedArea = crosses.reduce((acc, cross) => acc + cross, 0) / 2;
+    const area = Math.abs(signedArea);
+    const centroid = vertices.reduce((acc, vertex, i) => {
+      const next = vertices[(i + 1) % vertices.length];
+      return acc.plus(vertex.plus(next).scalar(crosses[i] / (6 * signedArea)));
+    }, new Vector2d(0, 0));
+    if (gravityCenter === undefined) gravityCenter = centroid;
+    if (gyradius === undefined) {
+      // second moment of area about the origin, moved to the center of gravity
+      const moment = Math.abs(vertices.reduce((acc, vertex, i) => {
+        const next = vertices[(i + 1) % vertices.length];
+        return acc + crosses[i] * (vertex.innerProd(vertex) + vertex.innerProd(next) + next.innerProd(next));
+      }, 0) / 12);
+      const shift = gravityCenter.innerProd(gravityCenter) - 2 * gravityCenter.innerProd(centroid);
+      gyradius = Math.sqrt(Math.max(moment / area + shift, 0));
+    }
+    super('Polygon2d', area, gravityCenter, gyradius);
+    /** @member {Vector2d[]} */
+    this.vertices = Object.freeze(signedArea < 0 ? vertices.slice().reverse() : vertices.slice());
+    if (!this.vertices.every((vertex, i) => {
+      const next = this.vertices[(i + 1) % this.vertices.length];
+      const nextNext = this.vertices[(i + 2) % this.vertices.length];
+      return next.minus(vertex).crossProd(nextNext.minus(next)) >= 0;
+    })) {
+      Logger.error(`Polygon2d must be convex!`);
     }
-    this.data[frame].keyboard.forEach(key => {
-      action.keyboard._down(key);
-    });
-    [...action.keyboard.down].filter(key => !this.data[frame].keyboard.includes(key)).forEach(key => {
-      action.keyboard._up(key);
-    });
-    this.data[frame].mouseButton.forEach(button => {
-      action.mouse._down(button);
-    });
-    [...action.mouse.down].filter(button => !this.data[frame].mouseButton.includes(button)).forEach(button => {
-      action.mouse._up(button);
-    });
-    action.mouse.position.x = this.data[frame].mousePosition.x;
-    action.mouse.position.y = this.data[frame].mousePosition.y;
   }
 
   /**
-   * Print timeline.
+   * Get the vertices relative to the center.
+   * @returns {Vector2d[]} vertices in clockwise order
+   */
+  getVertices() {
+    return this.vertices.slice();
+  }
+
+  /**
+   * Create the path of the polygon.
    * @param {Painter2d} painter painter
-   * @param {number} frame frame number
+   * @returns {Object} path operations
    */
-  printTimeline(painter, frame) {
-    const LOG_HEIGHT = painter.height / Recorder.SHOWING_LOG;
-    const LOG_MARK_WIDTH = painter.width / 20;
-    const LOG_FRAME_WIDTH = painter.width / 5;
-    const LOG_TIME_WIDTH = painter.width / 5;
-    const LOG_KEYBOARD_WIDTH = painter.width * 7 / 20;
-    const LOG_MOUSE_WIDTH = painter.width / 5;
-    const frameToTime = f => {
-      const seconds = (f / 60);
-      if (f < 60 * 60) {
-        return `${seconds.toFixed(2)}s`;
-      } else if (f < 60 * 60 * 60) {
-        return `${Math.floor(seconds / 60).toString(10)}m${(seconds % 60).toFixed(2)}s`;
-      } else if (f < 60 * 60 * 60 * 24) {
-        return `${Math.floor(seconds / 3600).toString(10)}h${(Math.floor(seconds / 60) % 60).toString(10)}m${(seconds % 60).toFixed(2)}s`;
-      } else {
-        return `${Math.floor(seconds / 86400).toString(10)}d${(Math.floor(seconds / 3600) % 24).toString(10)}h${(Math.floor(seconds / 60) % 60).toString(10)}m${(seconds % 60).toFixed(2)}s`;
-      }
-    };
-    painter.background('#000');
-    for (let i = 0; i < Recorder.SHOWING_LOG; i++) {
-      if (i > frame) break;
-      // console.log(this.data);
-      // debugger;
-      const FRAME_DATA = this.data[frame - i];
-      painter.rect(0, painter.height - LOG_HEIGHT * (i + 1), LOG_MARK_WIDTH, LOG_HEIGHT).stroke('#0f0', { width: 1 });
-      painter.rect(LOG_MARK_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_FRAME_WIDTH, LOG_HEIGHT).stroke('#0f0');
-      painter.rect(LOG_MARK_WIDTH + LOG_FRAME_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_TIME_WIDTH, LOG_HEIGHT).stroke('#0f0');
-      painter.rect(LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_KEYBOARD_WIDTH, LOG_HEIGHT).stroke('#0f0');
-      painter.rect(LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH + LOG_KEYBOARD_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_MOUSE_WIDTH, LOG_HEIGHT).stroke('#0f0');
-      painter.text('-', LOG_MARK_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5), { size: LOG_HEIGHT / 2, align: 'center', baseline: 'middle' }).fill('#0f0');
-      painter.text((frame - i).toString(10) + 'f', LOG_MARK_WIDTH + LOG_FRAME_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
-      painter.text(frameToTime(frame - i), LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
-      painter.text(FRAME_DATA.keyboard.toString(), LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH + LOG_KEYBOARD_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
-      painter.text(`(${FRAME_DATA.mousePosition.x}, ${FRAME_DATA.mousePosition.y})`, LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH + LOG_KEYBOARD_WIDTH + LOG_MOUSE_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
+  createPath(painter) {
+    return painter.polygon(this.vertices);
+  }
+}
+
+/**
+ * Class representing capsule shape, which is a horizontal segment inflated by the radius.
+ * @param {number} length length of the segment
+ * @param {number} radius radius
+ * @param {Vector2d} [gravityCenter] relative center position of gravity
+ * @param {number} [gyradius] radius of gyration
+ */
+class Capsule2d extends Shape2d {
+  constructor(length, radius, gravityCenter = new Vector2d(0, 0), gyradius) {
+    const rectArea = length * radius * 2;
+    const circleArea = Math.PI * radius ** 2;
+    if (gyradius === undefined) {
+      // the rectangle and two semicircles apart from the center by half the length
+      const rectMoment = rectArea * (length ** 2 + 4 * radius ** 2) / 12;
+      const circleMoment = circleArea * (radius ** 2 / 2 + length ** 2 / 4 + length * 4 * radius / (3 * Math.PI));
+      gyradius = Math.sqrt((rectMoment + circleMoment) / (rectArea + circleArea) + gravityCenter.innerProd(gravityCenter));
     }
+    super('Capsule2d', rectArea + circleArea, gravityCenter, gyradius);
+    this.length = length;
+    this.radius = radius;
+  }
+
+  /**
+   * Get the convex parts used for collision detection.
+   * @returns {Object[]} the segment inflated by the radius
+   */
+  getConvexParts() {
+    return [{ vertices: [new Vector2d(-this.length / 2, 0), new Vector2d(this.length / 2, 0)], radius: this.radius }];
+  }
+
+  /**
+   * Create the path of the capsule.
+   * @param {Painter2d} painter painter
+   * @returns {Object} path operations
+   */
+  createPath(painter) {
+    return painter.roundRect(-this.length / 2 - this.radius, -this.radius, this.length + this.radius * 2, this.radius * 2, this.radius);
+  }
+}
+
+/**
+ * Class representing shape made of several child shapes.
+ * The area, the center of gravity and the radius of gyration are combined from the children.
+ * @param {Object[]} children child shapes
+ * @param {Shape2d} children[].shape shape
+ * @param {Vector2d} [children[].offset] position of the child relative to the center
+ * @param {number} [children[].rotation=0] rotation angle of the child
+ */
+class CompoundShape2d extends Shape2d {
+  constructor(children) {
+    const _children = Object.freeze(children.map(child => Object.freeze({
+      shape: child.shape,
+      offset: 'offset' in child ? child.offset : new Vector2d(0, 0),
+      rotation: 'rotation' in child ? child.rotation : 0
+    })));
+    const area = _children.reduce((acc, child) => acc + child.shape.area, 0);
+    const centers = _children.map(child => Shape2d.transformPoint(child.shape.gravityCenter, child.rotation, child.offset));
+    const gravityCenter = centers.reduce((acc, center, i) => acc.plus(center.scalar(_children[i].shape.area / area)), new Vector2d(0, 0));
+    // parallel axis theorem
+    const moment = _children.reduce((acc, child, i) => acc + child.shape.area * (child.shape.gyradius ** 2 + centers[i].minus(gravityCenter).norm ** 2), 0);
+    super('CompoundShape2d', area, gravityCenter, Math.sqrt(moment / area));
+    /** @member {Object[]} */
+    this.children = _children;
   }
 
   /**
-   * Convert to string.
-   * @returns {string} a string
+   * Get the convex parts of all children.
+   * @returns {Object[]} parts which have `vertices` and `radius`. See {@link Shape2d#getConvexParts}
    */
-  toString() {
-    return `[Recorder ${this.mode}]`;
+  getConvexParts() {
+    return this.children.reduce((acc, child) => acc.concat(child.shape.getConvexParts().map(part => ({
+      vertices: part.vertices.map(vertex => Shape2d.transformPoint(vertex, child.rotation, child.offset)),
+      radius: part.radius
+    }))), []);
+  }
+
+  /**
+   * Create the path of the children. Each operation is applied to the children one by one.
+   * @param {Painter2d} painter painter
+   * @returns {Object} path operations
+   */
+  createPath(painter) {
+    const forEachChild = cb => {
+      this.children.forEach(child => {
+        const cosVal = Math.cos(child.rotation);
+        const sinVal = Math.sin(child.rotation);
+        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, child.offset.x, child.offset.y, () => cb(child.shape.createPath(painter)));
+      });
+    };
+    return {
+      fill: (...args) => forEachChild(path => path.fill(...args)),
+      stroke: (...args) => forEachChild(path => path.stroke(...args)),
+      outlined: (...args) => forEachChild(path => path.outlined(...args)),
+      // the callback is called once in each child
+      clipAndDraw: (...args) => forEachChild(path => path.clipAndDraw(...args))
+    };
   }
 }
 
 /**
- * Class representing a game.
- * @param {Object} obj various settings
- * @param {Scenes} obj.scenes game scenes
- * @param {string} obj.firstScene the first scene name
- * @param {string} [obj.name] game name
- * @param {string} [obj.divId='koturno-ui'] id name of the {@link https://developer.mozilla.org/en-US/docs/Web/API/HTMLDivElement|HTMLDivElememt} which will be the game content
- * @param {State} [obj.state] the first state
- * @param {Object[]} [obj.images] image properties. See {@link ImageManager}
- * @param {Object[]} [obj.sounds] sound properties. See {@link SoundManager}
- * @param {number} [obj.width=600] canvas width
- * @param {number} [obj.height=600] canvas height
+ * Class for 2-dimensional figures.
+ * @param {PhysicalType} physicalType physical type
+ * @param {Shape2d} shape shape
+ * @param {Material} material material
+ * @param {Vector2d} center center position
+ * @param {number} rotation rotation angle
+ * @param {Vector2d} velocity velocity
+ * @param {number} angularVelocity angular velocity
+ * @param {number} [category=0x0001] collision category bits
+ * @param {number} [mask=0xFFFFFFFF] bits of the categories which the figure collides with
  */
-class Game {
-  constructor(obj) {
-    if (['scenes', 'firstScene'].every(param => param in obj)) {
-      this.scenes = obj.scenes;
-      this.firstScene = obj.firstScene;
-      this.firstState = 'state' in obj ? obj.state : State.init({});
-      this.name = 'name' in obj ? obj.name : null;
+class Rigid2d {
+  constructor(physicalType, shape, material, center, rotation, velocity, angularVelocity, category = 0x0001, mask = 0xFFFFFFFF) {
+    this.physicalType = physicalType;
+    this.shape = shape;
+    this.material = material;
+    this.center = center;
+    this.rotation = rotation;
+    this.velocity = velocity;
+    this.angularVelocity = angularVelocity;
+    this.category = category;
+    this.mask = mask;
+  }
 
-      this._fps = (() => {
-        const millisecondsBetweenTwoFrame = [0.0, 0.0];
-        return {
-          update: (stamp) => {
-            millisecondsBetweenTwoFrame.push(stamp);
-            millisecondsBetweenTwoFrame.shift();
-          },
-          getValue: () => 1000.0 / (millisecondsBetweenTwoFrame[1] - millisecondsBetweenTwoFrame[0])
-        };
-      })();
-      this._animationState = (() => {
-        let flag = false;
-        let persist = false;
-        return {
-          getFlag: () => flag,
-          reset: () => {
-            if (!persist) flag = false;
-          },
-          next: () => {
-            persist = false;
-            flag = true;
-          },
-          play: () => {
-            persist = true;
-            flag = true;
-          },
-          stop: () => {
-            persist = false;
-          }
-        };
-      })();
-      Object.freeze(this._fps);
-      Object.freeze(this._animationState);
+  /** @member {number} */
+  get mass() {
+    return this.material.calcMass(this.shape.area);
+  }
 
-      this.divElem = {
-        base: document.getElementById('divId' in obj ? obj.divId : 'koturno-ui'),
-        canvas: document.createElement('div'),
-        frame: null,
-        ctrl: null,
-        log: null,
-        timeline: null
-      };
-      this.canvas = document.createElement('canvas');
-      this.canvas.width = 'width' in obj ? Math.floor(obj.width) : 600;
-      this.canvas.height = 'height' in obj ? Math.floor(obj.height) : 600;
-      this.divElem.base.setAttribute('style', `width: ${this.canvas.width}px; height: ${this.canvas.height}px; border: 1px #ccc solid;`);
-      this.divElem.canvas.appendChild(this.canvas);
-      this.divExpansionRate = 1;
-      this.centering = false;
+  /** @member {number} */
+  get inertia() {
+    return this.shape.calcInertia(this.mass);
+  }
 
-      /** @member {ImageManager} */
-      this.imageManager = new ImageManager('images' in obj ? obj.images : []);
-      /** @member {SoundManager} */
-      this.soundManager = new SoundManager('sounds' in obj ? obj.sounds : []);
-      this.painter = new Painter2d(this.canvas, this.imageManager);
-      this.action = new ActionManager(this.canvas);
+  /**
+   * Apply force.
+   * @param {Vector2d} force force
+   * @param {Vector2d} [from] start point of force (relative)
+   * @returns {Rigid2d} updated figure
+   */
+  applyForce(force, from = new Vector2d(0, 0)) {
+    if (this.physicalType === PhysicalType.DYNAMIC) {
+      const R = this.shape.gravityCenter.minus(from);
+      const F_g = R.norm === 0 ? force : R.scalar(force.innerProd(R) / R.norm ** 2);
+      const N_h = R.crossProd(force);
 
-      this.timelineCanvasPainter = null;
+      const nextVelocity = this.velocity.plus(F_g.scalar(1 / this.mass));
+      const nextAngular = this.angularVelocity + N_h / this.inertia;
+      return new Rigid2d(this.physicalType, this.shape, this.material, this.center, this.rotation, nextVelocity, nextAngular, this.category, this.mask);
     } else {
-      Logger.fatal("Game must have 'scenes' and 'firstScene'!");
+      return this;
     }
   }
 
   /**
-   * Canvas width.
-   * @member {number}
+   * Step next frame.
+   * @param {number} [dt=1] time step. `1` means a tick
+   * @returns {Rigid2d} updated figure
    */
-  get width() {
-    return this.canvas.width;
+  step(dt = 1) {
+    return new Rigid2d(this.physicalType, this.shape, this.material, this.center.plus(this.velocity.scalar(dt)), this.rotation + this.angularVelocity * dt, this.velocity, this.angularVelocity, this.category, this.mask);
   }
 
   /**
-   * Canvas height.
-   * @member {number}
+   * Set the collision filter.
+   * @param {number} category collision category bits
+   * @param {number} mask bits of the categories which the figure collides with
+   * @returns {Rigid2d} updated figure
    */
-  get height() {
-    return this.canvas.height;
+  withFilter(category, mask) {
+    return new Rigid2d(this.physicalType, this.shape, this.material, this.center, this.rotation, this.velocity, this.angularVelocity, category, mask);
   }
 
   /**
-   * Current FPS(frames per second).
-   * @member {number}
+   * Check if the collision filters of two figures accept each other.
+   * @param {Rigid2d} another another figure
+   * @returns {boolean} `true` if they can collide
    */
-  get fps() {
-    return this._fps.getValue();
+  canCollide(another) {
+    return (this.category & another.mask) !== 0 && (another.category & this.mask) !== 0;
   }
 
   /**
-   * Center the canvas.
-   * @returns {Game} this
+   * Convert a point relative to the center into world coordinates.
+   * @param {Vector2d} point relative point
+   * @returns {Vector2d} point in world coordinates
    */
-  center() {
-    const fullScreenCSS = 'margin: 0px; padding: 0px; width: 100%; height: 100%; overflow: hidden;';
-    document.body.setAttribute('style', fullScreenCSS);
-    document.getElementsByTagName('html')[0].setAttribute('style', fullScreenCSS);
-    const onResize = () => {
-      const bodyRect = document.body.getBoundingClientRect();
-      this.divExpansionRate = Math.min(bodyRect.width / this.canvas.width, bodyRect.height / this.canvas.height);
-      const w = Math.ceil(this.canvas.width * this.divExpansionRate);
-      const h = Math.ceil(this.canvas.height * this.divExpansionRate);
-      this.divElem.base.setAttribute('style', `width: ${w}px; height: ${h}px; position: fixed; ` +
-        `left: ${(bodyRect.width - w) / 2}px; top: ${(bodyRect.height - h) / 2}px; border: 1px #ccc solid;`
-      );
-    };
-    window.addEventListener('resize', onResize);
-    onResize();
-    this.centering = true;
-    return this;
+  localToWorld(point) {
+    return Shape2d.transformPoint(point, this.rotation, this.center);
   }
 
-  _setNormalUI() {
-    this.divElem.base.appendChild(this.divElem.canvas);
-    if (this.centering) {
-      const onResize = () => {
-        this.canvas.setAttribute('style', `transform: scale(${this.divExpansionRate}, ${this.divExpansionRate}); position: relative; ` +
-          `left: ${(this.divExpansionRate - 1) * this.canvas.width / 2}px; ` +
-          `top: ${(this.divExpansionRate - 1) * this.canvas.height / 2}px;`);
-      };
-      window.addEventListener('resize', onResize);
-      onResize();
-    }
+  /**
+   * Get the vertices of a polygonal shape in world coordinates.
+   * @returns {Vector2d[]} vertices in clockwise order. It is empty if the shape is not polygonal
+   */
+  getVertices() {
+    return this.shape.getVertices().map(vertex => this.localToWorld(vertex));
   }
 
-  _setDebugUI() {
-    const sideDiv = document.createElement('div');
-    this.divElem.frame = document.createElement('div');
-    this.divElem.ctrl = document.createElement('div');
-    this.divElem.log = document.createElement('div');
-    this.divElem.timeline = document.createElement('div');
-
-    const timelineCanvas = document.createElement('canvas');
-    this.timelineCanvasPainter = new Painter2d(timelineCanvas, new ImageManager([]));
-    this.divElem.timeline.appendChild(timelineCanvas);
-
-    if (this.centering) {
-      const onResize = () => {
-        this._setDivStyle(Math.ceil(this.canvas.width * this.divExpansionRate), Math.ceil(this.canvas.height * this.divExpansionRate))
-      };
-      window.addEventListener('resize', onResize);
-      onResize();
-    } else {
-      this._setDivStyle(this.canvas.width, this.canvas.height);
-    }
-
-    this.divElem.ctrl.appendChild(this._createCtrlUI());
-
-    sideDiv.setAttribute('style', 'float: left;');
-    sideDiv.appendChild(this.divElem.frame);
-    sideDiv.appendChild(this.divElem.ctrl);
-    sideDiv.appendChild(this.divElem.log);
-
-    this.divElem.canvas.appendChild(this.canvas);
-    this.divElem.base.appendChild(this.divElem.canvas);
-    this.divElem.base.appendChild(sideDiv);
-    this.divElem.base.appendChild(this.divElem.timeline);
+  /**
+   * Get the axis-aligned bounding box.
+   * @returns {Object} rectangle which has `x`, `y`, `width` and `height`
+   */
+  getBounds() {
+    const bounds = this.shape.calcBounds(this.rotation);
+    return { x: this.center.x + bounds.x, y: this.center.y + bounds.y, width: bounds.width, height: bounds.height };
   }
 
-  _createCtrlUI() {
-    const div0 = document.createElement('div');
-    const div1 = document.createElement('div');
-    div0.setAttribute('style', 'text-align: center; padding: 8px;');
-    div1.setAttribute('style', 'border: 1px #0f0 solid; display: inline-block; margin: auto; font-size: 20px;');
-    div0.appendChild(div1);
+  /**
+   * Get the convex parts in world coordinates.
+   * @returns {Object[]} parts which have `vertices` and `radius`. See {@link Shape2d#getConvexParts}
+   */
+  getConvexParts() {
+    return this.shape.getConvexParts().map(part => ({ vertices: part.vertices.map(vertex => this.localToWorld(vertex)), radius: part.radius }));
+  }
 
-    const stepForwardI = document.createElement('i');
-    const playI = document.createElement('i');
-    stepForwardI.setAttribute('style', 'background-color: #000; color: #0f0; width: 25.7px; height: 20px;');
-    stepForwardI.setAttribute('class', 'fa fa-fw fa-step-forward');
-    stepForwardI.setAttribute('title', 'step forward');
-    playI.setAttribute('style', 'background-color: #000; color: #0f0; width: 25.7px; height: 20px;');
-    playI.setAttribute('class', 'fa fa-fw fa-play');
-    playI.setAttribute('title', 'play');
-    stepForwardI.addEventListener('mousedown', () => {
-      this._animationState.next();
-    });
-    playI.addEventListener('mousedown', () => {
-      if (this._animationState.getFlag()) {
-        this._animationState.stop();
-        playI.setAttribute('class', 'fa fa-fw fa-play');
-        playI.setAttribute('title', 'play');
-      } else {
-        this._animationState.play();
-        playI.setAttribute('class', 'fa fa-fw fa-pause');
-        playI.setAttribute('title', 'pause');
+  /**
+   * Create the path of the figure.
+   * @param {Painter2d} painter painter
+   * @returns {Object} path operations
+   */
+  createPath(painter) {
+    const cosVal = Math.cos(this.rotation);
+    const sinVal = Math.sin(this.rotation);
+    return {
+      fill: (...args) => {
+        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, this.center.x, this.center.y, () => this.shape.createPath(painter).fill(...args));
+      },
+      stroke: (...args) => {
+        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, this.center.x, this.center.y, () => this.shape.createPath(painter).stroke(...args));
+      },
+      outlined: (...args) => {
+        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, this.center.x, this.center.y, () => this.shape.createPath(painter).outlined(...args));
+      },
+      clip: (...args) => {
+        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, this.center.x, this.center.y, () => this.shape.createPath(painter).clip(...args));
       }
-    });
-    div1.appendChild(stepForwardI);
-    div1.appendChild(playI);
+    };
+  }
 
-    return div0;
+  /**
+   * Convert to string.
+   * @returns {string} a stirng
+   */
+  toString() {
+    return `[Rigid2d ${this.shape.name} ${this.center.toString()}]`;
   }
+}
 
-  _setDivStyle(baseWidth, baseHeight) {
-    this.divElem.canvas.setAttribute('style', `width: ${Math.round(baseWidth * 2 / 3)}px; height: ${Math.round(baseHeight * 2 / 3)}px; float: left;`);
-    this.divElem.frame.setAttribute('style', `width: ${Math.round(baseWidth / 3) - 6}px; height: ${Math.round(baseHeight / 9) - 6}px; ` +
-      `text-align: center; vertical-align: middle; display: table-cell; background-color: #000; border: 3px #0f0 solid; ` +
-      `color: #0f0; font-size: 150%;`);
-    this.divElem.ctrl.setAttribute('style', `width: ${Math.round(baseWidth / 3) - 6}px; height: ${Math.round(baseHeight * 2 / 9) - 6}px; ` +
-      `background-color: #000; border: 3px #0f0 solid;`);
-    this.divElem.log.setAttribute('style', `width: ${Math.round(baseWidth / 3) - 6}px; height: ${Math.round(baseHeight / 3) - 6}px; ` +
-      `overflow: scroll; background-color: #000; border: 3px #0f0 solid;`);
-    this.divElem.timeline.setAttribute('style', `width: ${baseWidth - 3}px; height: ${Math.round(baseHeight / 3) - 3}px; ` +
-      `overflow: scroll; background-color: #000; border: 3px #0f0 solid;`);
-    this.timelineCanvasPainter.canvas.width = baseWidth - 3;
-    this.timelineCanvasPainter.canvas.height = Math.round(baseHeight / 3) - 3;
-
-    this.canvas.setAttribute('style', `transform: scale(${this.divExpansionRate * 2 / 3}, ${this.divExpansionRate * 2 / 3}); position: relative; ` +
-      `left: ${Math.round((this.divExpansionRate * 2 / 3 - 1) * this.canvas.width / 2)}px; ` +
-      `top: ${Math.round((this.divExpansionRate * 2 / 3 - 1) * this.canvas.height / 2)}px;`);
+/**
+ * Class representing the contact of two colliding figures. It is immutable.
+ * @param {Vector2d} normal unit vector from the first figure to the second one
+ * @param {number} depth penetration depth along the normal
+ * @param {Vector2d[]} points contact points in world coordinates
+ * @param {?number} [a=null] index of the first figure
+ * @param {?number} [b=null] index of the second figure
+ */
+class Manifold2d {
+  constructor(normal, depth, points, a = null, b = null) {
+    /** @member {Vector2d} */
+    this.normal = normal;
+    /** @member {number} */
+    this.depth = depth;
+    /** @member {Vector2d[]} */
+    this.points = Object.freeze(points.slice());
+    /** @member {?number} */
+    this.a = a;
+    /** @member {?number} */
+    this.b = b;
+    Object.freeze(this);
   }
 
-  _updateDebugInfo(counters, recorder) {
-    this.divElem.frame.innerHTML = counters.toString();
-    recorder.printTimeline(this.timelineCanvasPainter, counters.general);
+  /**
+   * Swap the figures.
+   * @returns {Manifold2d} manifold whose normal is reversed
+   */
+  flip() {
+    return new Manifold2d(this.normal.scalar(-1), this.depth, this.points, this.b, this.a);
   }
 
-  _displayFPS() {
-    const textOptions = Object.assign({}, this.painter.recentTextOptions);
-    this.painter.setGlobalAlphaAndDraw(0.8, () => {
-      const textMetrics = this.painter.measureText('FPS ' + Math.round(this.fps), { size: 10, font: 'monospace' });
-      this.painter.rect(0, this.height - 10, textMetrics.width + 3, 10).fill('#fff');
-      this.painter.text('FPS ' + Math.round(this.fps), 0, this.height, { align: 'start', baseline: 'bottom' }).fill('#000');
-    });
-    this.painter.recentTextOptions = textOptions;
+  /**
+   * Set the indices of the figures.
+   * @param {number} a index of the first figure
+   * @param {number} b index of the second figure
+   * @returns {Manifold2d} new manifold
+   */
+  withIndices(a, b) {
+    return new Manifold2d(this.normal, this.depth, this.points, a, b);
   }
 
   /**
-   * Start the game.
-   * @param {boolean} debug if `true`, then start as debug mode
-   * @param {boolean} displayFPS if `true`, then display current FPS
-   * @param {Recorder} [recorder]
+   * Convert to string.
+   * @returns {string} a string
    */
-  start(debug, displayFPS, recorder) {
-    const requestNextFrame = f => {
-      window.requestAnimationFrame(stamp => {
-        if (debug && !this._animationState.getFlag()) {
-          requestNextFrame(f);
-        } else {
-          this._animationState.reset();
-          this._fps.update(stamp);
-          f();
-        }
-      });
+  toString() {
+    return `[Manifold2d ${this.normal.toString()} depth=${this.depth}, ${this.points.length} points]`;
+  }
+}
+
+/**
+ * Namespace for collision detection between {@link Rigid2d} figures.
+ * The broad phase finds pairs of figures whose bounding boxes overlap by sweep and prune,
+ * and the narrow phase tests the pairs by the separating axis theorem with the convex parts of their shapes.
+ * It also provides ray casts and region queries over figures, which are filtered by the collision category bits of the figures.
+ * @namespace
+ */
+const Collision2d = (() => {
+  const EPSILON = 1e-9;
+
+  // outward unit normals of the edges, in the same order as the vertices
+  const calcNormals = vertices => vertices.map((vertex, i) => {
+    const edge = vertices[(i + 1) % vertices.length].minus(vertex);
+    return new Vector2d(edge.y, -edge.x).scalar(1 / edge.norm);
+  });
+
+  const collideCircles = (centerA, radiusA, centerB, radiusB) => {
+    const diff = centerB.minus(centerA);
+    const distance = diff.norm;
+    if (distance >= radiusA + radiusB) return null;
+    const normal = distance > EPSILON ? diff.scalar(1 / distance) : new Vector2d(1, 0);
+    const depth = radiusA + radiusB - distance;
+    return new Manifold2d(normal, depth, [centerA.plus(normal.scalar(radiusA - depth / 2))]);
+  };
+
+  // contact points are in the middle of the two surfaces
+  const collidePolygonCircle = (vertices, polygonRadius, center, radius) => {
+    const totalRadius = polygonRadius + radius;
+    const normals = calcNormals(vertices);
+    let edge = 0;
+    let separation = -Infinity;
+    normals.forEach((normal, i) => {
+      const s = normal.innerProd(center.minus(vertices[i]));
+      if (s > separation) [edge, separation] = [i, s];
+    });
+    if (separation > totalRadius) return null;
+
+    const v1 = vertices[edge];
+    const v2 = vertices[(edge + 1) % vertices.length];
+    const faceContact = normal => {
+      const depth = totalRadius - separation;
+      return new Manifold2d(normal, depth, [center.minus(normal.scalar(radius - depth / 2))]);
     };
-    const mainLoop = (sceneName, initState, initCounters) => {
-      const currentScene = this.scenes.getScene(sceneName);
-      const loop = (currentState, counters) => {
-        if (recorder !== null) recorder.readAction(this.action, counters.general);
-        currentScene.draw(currentState, this.action, counters, this.painter, this);
+    const vertexContact = vertex => {
+      const diff = center.minus(vertex);
+      const distance = diff.norm;
+      if (distance >= totalRadius) return null;
+      const normal = diff.scalar(1 / distance);
+      const depth = totalRadius - distance;
+      return new Manifold2d(normal, depth, [vertex.plus(normal.scalar(polygonRadius - depth / 2))]);
+    };
+    // the center is inside the polygon
+    if (separation < EPSILON) return faceContact(normals[edge]);
+    if (center.minus(v1).innerProd(v2.minus(v1)) <= 0) return vertexContact(v1);
+    if (center.minus(v2).innerProd(v1.minus(v2)) <= 0) return vertexContact(v2);
+    return faceContact(normals[edge]);
+  };
 
-        const nextState = currentScene.update(currentState, this.action, counters, this.soundManager, this);
+  const findMaxSeparation = (vertices, normals, others) => normals.reduce((acc, normal, i) => {
+    const s = Math.min(...others.map(other => normal.innerProd(other.minus(vertices[i]))));
+    return s > acc.separation ? { edge: i, separation: s } : acc;
+  }, { edge: 0, separation: -Infinity });
 
-        currentScene.transition(currentState, this.action, counters, this).match({
-          stay: () => {
-            requestNextFrame(() => {
-              loop(nextState, counters.count());
-            });
-          },
-          trans: (nextSceneName, nextSceneCounter, transFunc) => {
-            const nextScene = this.scenes.getScene(nextSceneName);
-            const prevPainter = this.painter.createAnotherPainter();
-            const nextPainter = this.painter.createAnotherPainter();
-            const nextCounter = counters.reset(nextSceneCounter);
+  const clipSegment = (points, normal, offset) => {
+    const [d1, d2] = points.map(point => normal.innerProd(point) - offset);
+    const clipped = points.filter((point, i) => [d1, d2][i] <= 0);
+    if (d1 * d2 < 0) clipped.push(points[0].plus(points[1].minus(points[0]).scalar(d1 / (d1 - d2))));
+    return clipped;
+  };
 
-            if (nextScene !== null) {
-              // draw two scenes on unvisible canvases
-              currentScene.draw(currentState, this.action, counters, prevPainter, this);
-              nextScene.draw(nextScene.init(currentState, nextCounter, this), this.action, nextCounter, nextPainter, this);
+  const closestPointOnSegment = (point, p, q) => {
+    const d = q.minus(p);
+    const lengthSq = d.innerProd(d);
+    if (lengthSq < EPSILON) return p;
+    return p.plus(d.scalar(Math.min(1, Math.max(0, point.minus(p).innerProd(d) / lengthSq))));
+  };
 
-              requestNextFrame(() => {
-                transLoop({
-                  name: sceneName,
-                  img: prevPainter.canvas,
-                  state: currentState
-                }, {
-                  name: nextSceneName,
-                  img: nextPainter.canvas,
-                  counter: nextSceneCounter
-                }, counters.count().reset(), transFunc);
-              });
-            }
-          },
-          end: () => {
-            Logger.debug(`Game ended.\ntotal frame: ${counters.general}f`);
-            this.soundManager.finalize();
-          },
-          reset: () => {
-            this.soundManager.reset();
-            requestNextFrame(() => {
-              mainLoop(this.firstScene, this.firstState, counters.hardReset());
-            });
-          }
+  const calcEdges = vertices => vertices.length === 1 ? [[vertices[0], vertices[0]]] :
+    vertices.slice(0, vertices.length === 2 ? 1 : vertices.length).map((vertex, i) => [vertex, vertices[(i + 1) % vertices.length]]);
+
+  // closest points of two separated convex parts
+  const findClosestPoints = (verticesA, verticesB) => {
+    let closest = { distance: Infinity, pointA: null, pointB: null };
+    calcEdges(verticesA).forEach(([p1, q1]) => {
+      calcEdges(verticesB).forEach(([p2, q2]) => {
+        [
+          [p1, closestPointOnSegment(p1, p2, q2)],
+          [q1, closestPointOnSegment(q1, p2, q2)],
+          [closestPointOnSegment(p2, p1, q1), p2],
+          [closestPointOnSegment(q2, p1, q1), q2]
+        ].forEach(([pointA, pointB]) => {
+          const distance = pointB.minus(pointA).norm;
+          if (distance < closest.distance) closest = { distance, pointA, pointB };
         });
+      });
+    });
+    return closest;
+  };
 
-        if (displayFPS) {
-          this._displayFPS();
-        }
-        if (recorder !== null) {
-          recorder.storeAction(this.action, counters.general);
-        }
-        if (debug) {
-          this._updateDebugInfo(counters, recorder);
-        }
+  const collidePolygons = (partA, partB) => {
+    const [verticesA, verticesB] = [partA.vertices, partB.vertices];
+    const totalRadius = partA.radius + partB.radius;
+    const normalsA = calcNormals(verticesA);
+    const normalsB = calcNormals(verticesB);
+    const sepA = findMaxSeparation(verticesA, normalsA, verticesB);
+    if (sepA.separation > totalRadius) return null;
+    const sepB = findMaxSeparation(verticesB, normalsB, verticesA);
+    if (sepB.separation > totalRadius) return null;
+
+    const pointContact = () => {
+      const closest = findClosestPoints(verticesA, verticesB);
+      if (closest.distance >= totalRadius || closest.distance < EPSILON) return null;
+      const normal = closest.pointB.minus(closest.pointA).scalar(1 / closest.distance);
+      const depth = totalRadius - closest.distance;
+      return new Manifold2d(normal, depth, [closest.pointA.plus(normal.scalar(partA.radius - depth / 2))]);
+    };
+    // separated parts touch at their corners if no edge faces the other part
+    if (Math.max(sepA.separation, sepB.separation) > 0) {
+      const closest = findClosestPoints(verticesA, verticesB);
+      if (closest.distance >= totalRadius) return null;
+      if (closest.distance > Math.max(sepA.separation, sepB.separation) + 1e-6) return pointContact();
+    }
 
-        this.action.resetAction();
-      };
+    // prefer A as the reference polygon to keep the result stable
+    const flipped = sepB.separation > sepA.separation + 1e-6;
+    const [ref, refNormals, refRadius, inc, incNormals, incRadius, edge] = flipped ?
+      [verticesB, normalsB, partB.radius, verticesA, normalsA, partA.radius, sepB.edge] :
+      [verticesA, normalsA, partA.radius, verticesB, normalsB, partB.radius, sepA.edge];
+    const normal = refNormals[edge];
+    const r1 = ref[edge];
+    const r2 = ref[(edge + 1) % ref.length];
+
+    const incEdge = incNormals.reduce((acc, n, i) => n.innerProd(normal) < incNormals[acc].innerProd(normal) ? i : acc, 0);
+    let points = [inc[incEdge], inc[(incEdge + 1) % inc.length]];
+    const tangent = r2.minus(r1).scalar(1 / r2.minus(r1).norm);
+    points = clipSegment(points, tangent.scalar(-1), -tangent.innerProd(r1));
+    if (points.length < 2) return pointContact();
+    points = clipSegment(points, tangent, tangent.innerProd(r2));
+    if (points.length < 2) return pointContact();
+
+    const contacts = points.map(point => ({ point, separation: normal.innerProd(point.minus(r1)) }))
+      .filter(contact => contact.separation < totalRadius);
+    if (contacts.length === 0) return null;
+    const depth = Math.max(...contacts.map(contact => totalRadius - contact.separation));
+    const manifold = new Manifold2d(normal, depth, contacts.map(contact => contact.point.minus(normal.scalar((contact.separation - refRadius + incRadius) / 2))));
+    return flipped ? manifold.flip() : manifold;
+  };
 
-      if (currentScene !== null) {
-        loop(currentScene.init(initState, initCounters, this), initCounters);
+  const collideParts = (partA, partB) => {
+    if (partA.vertices.length === 1 && partB.vertices.length === 1) {
+      return collideCircles(partA.vertices[0], partA.radius, partB.vertices[0], partB.radius);
+    }
+    if (partB.vertices.length === 1) return collidePolygonCircle(partA.vertices, partA.radius, partB.vertices[0], partB.radius);
+    if (partA.vertices.length === 1) {
+      const manifold = collidePolygonCircle(partB.vertices, partB.radius, partA.vertices[0], partA.radius);
+      return manifold === null ? null : manifold.flip();
+    }
+    return collidePolygons(partA, partB);
+  };
+
+  const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+  const containsPoint = (part, point) => {
+    if (part.vertices.length === 1) return point.isInCircle(part.vertices[0], part.radius);
+    if (part.vertices.length > 2 && calcNormals(part.vertices).every((normal, i) => normal.innerProd(point.minus(part.vertices[i])) < 0)) return true;
+    return calcEdges(part.vertices).some(([p, q]) => point.isInCircle(closestPointOnSegment(point, p, q), part.radius));
+  };
+
+  // distance along the unit direction where the ray enters a circle
+  const raycastCircle = (origin, direction, center, radius) => {
+    const diff = origin.minus(center);
+    const b = diff.innerProd(direction);
+    const discriminant = b * b - diff.innerProd(diff) + radius * radius;
+    if (discriminant < 0) return null;
+    const distance = -b - Math.sqrt(discriminant);
+    return distance < 0 ? null : { distance, normal: origin.plus(direction.scalar(distance)).minus(center).scalar(1 / radius) };
+  };
+
+  // distance along the unit direction where the ray passes through the front side of a segment
+  const raycastSegment = (origin, direction, p, q, normal) => {
+    const denominator = normal.innerProd(direction);
+    if (denominator > -EPSILON) return null;
+    const distance = normal.innerProd(p.minus(origin)) / denominator;
+    if (distance < 0) return null;
+    const edge = q.minus(p);
+    const t = origin.plus(direction.scalar(distance)).minus(p).innerProd(edge) / edge.innerProd(edge);
+    return t < 0 || t > 1 ? null : { distance, normal };
+  };
+
+  // a rounded part is the union of the edges pushed out by the radius and the circles around the vertices
+  const raycastPart = (part, origin, direction) => {
+    if (containsPoint(part, origin)) return null;
+    if (part.vertices.length === 1) return raycastCircle(origin, direction, part.vertices[0], part.radius);
+    const normals = calcNormals(part.vertices);
+    const edges = part.vertices.length === 2 ? [0, 1] : part.vertices.map((vertex, i) => i);
+    const hits = edges.map(i => {
+      const offset = normals[i].scalar(part.radius);
+      return raycastSegment(origin, direction, part.vertices[i].plus(offset), part.vertices[(i + 1) % part.vertices.length].plus(offset), normals[i]);
+    });
+    if (part.radius > 0) hits.push(...part.vertices.map(vertex => raycastCircle(origin, direction, vertex, part.radius)));
+    return hits.reduce((acc, hit) => hit !== null && (acc === null || hit.distance < acc.distance) ? hit : acc, null);
+  };
+
+  const createQueryFilter = opt => {
+    const mask = 'mask' in opt ? opt.mask : 0xFFFFFFFF;
+    const filter = 'filter' in opt ? opt.filter : () => true;
+    return (figure, index) => (figure.category & mask) !== 0 && filter(figure, index);
+  };
+
+  const raycastFigures = (figures, origin, direction, opt) => {
+    const maxDistance = 'maxDistance' in opt ? opt.maxDistance : Infinity;
+    const accepts = createQueryFilter(opt);
+    const unit = direction.scalar(1 / direction.norm);
+    return figures.reduce((acc, figure, index) => {
+      if (!accepts(figure, index)) return acc;
+      const hit = figure.getConvexParts().map(part => raycastPart(part, origin, unit))
+        .reduce((nearest, h) => h !== null && (nearest === null || h.distance < nearest.distance) ? h : nearest, null);
+      if (hit !== null && hit.distance <= maxDistance) {
+        acc.push(Object.freeze({ index, point: origin.plus(unit.scalar(hit.distance)), normal: hit.normal, distance: hit.distance }));
       }
-    };
+      return acc;
+    }, []).sort((a, b) => a.distance - b.distance || a.index - b.index);
+  };
 
-    const transLoop = (prev, next, counters, transFunc) => {
-      if (transFunc(prev.img, next.img, counters.scene, this.painter)) {
-        requestNextFrame(() => {
-          mainLoop(next.name, prev.state, counters.count().reset(next.counter));
-        });
-      } else {
-        requestNextFrame(() => {
-          transLoop(prev, next, counters.count(), transFunc)
+  const queryParts = (figures, bounds, opt, test) => {
+    const accepts = createQueryFilter(opt);
+    return figures.reduce((acc, figure, index) => {
+      if (accepts(figure, index) && overlaps(figure.getBounds(), bounds) && figure.getConvexParts().some(test)) acc.push(index);
+      return acc;
+    }, []);
+  };
+
+  return Object.freeze({
+    /**
+     * Check if the bounding boxes of two figures overlap.
+     * @param {Rigid2d} a figure
+     * @param {Rigid2d} b another figure
+     * @returns {boolean} `true` if they overlap
+     * @memberof Collision2d
+     */
+    overlapBounds: (a, b) => overlaps(a.getBounds(), b.getBounds()),
+
+    /**
+     * Find the pairs of figures whose bounding boxes overlap by sweep and prune.
+     * Pairs of static figures and pairs rejected by the collision filters are excluded.
+     * @param {Rigid2d[]} figures figures
+     * @returns {number[][]} pairs of indices, each of which is sorted in ascending order
+     * @memberof Collision2d
+     */
+    broadPhase: figures => {
+      const boxes = figures.map((figure, index) => ({ index, bounds: figure.getBounds(), isStatic: figure.physicalType === PhysicalType.STATIC }))
+        .sort((a, b) => a.bounds.x - b.bounds.x || a.index - b.index);
+      const pairs = [];
+      const active = [];
+      boxes.forEach(box => {
+        // boxes ending before this one starts can never overlap the rest
+        const alive = active.filter(other => other.bounds.x + other.bounds.width > box.bounds.x);
+        active.length = 0;
+        active.push(...alive);
+        active.filter(other => !(other.isStatic && box.isStatic) && overlaps(other.bounds, box.bounds) &&
+          figures[other.index].canCollide(figures[box.index])).forEach(other => {
+          pairs.push(other.index < box.index ? [other.index, box.index] : [box.index, other.index]);
         });
-      }
+        active.push(box);
+      });
+      return pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    },
 
-      if (displayFPS) {
-        this._displayFPS();
-      }
-      if (recorder !== null) {
-        recorder.readAction(this.action, counters.general);
-        recorder.storeAction(this.action, counters.general);
-      }
-      if (debug) {
-        this._updateDebugInfo(counters, recorder);
-      }
-    };
+    /**
+     * Test two figures precisely. Figures of compound shapes may touch at several parts.
+     * @param {Rigid2d} a figure
+     * @param {Rigid2d} b another figure
+     * @returns {Manifold2d[]} contacts of the convex parts, whose normals point from `a` to `b`
+     * @memberof Collision2d
+     */
+    collideAll: (a, b) => {
+      const partsB = b.getConvexParts();
+      return a.getConvexParts().reduce((acc, partA) => acc.concat(partsB.map(partB => collideParts(partA, partB))), [])
+        .filter(manifold => manifold !== null);
+    },
 
-    // set UI
-    if (debug) {
-      this._setDebugUI();
-    } else {
-      this._setNormalUI();
+    /**
+     * Test two figures precisely.
+     * @param {Rigid2d} a figure
+     * @param {Rigid2d} b another figure
+     * @returns {?Manifold2d} the deepest contact whose normal points from `a` to `b`, or `null` if they do not collide
+     * @memberof Collision2d
+     */
+    collide: (a, b) => Collision2d.collideAll(a, b).reduce((acc, manifold) => acc === null || manifold.depth > acc.depth ? manifold : acc, null),
+
+    /**
+     * Detect all collisions among figures.
+     * @param {Rigid2d[]} figures figures
+     * @returns {Manifold2d[]} contacts which have the indices of the figures
+     * @memberof Collision2d
+     */
+    detect: figures => Collision2d.broadPhase(figures)
+      .reduce((acc, [a, b]) => acc.concat(Collision2d.collideAll(figures[a], figures[b]).map(manifold => manifold.withIndices(a, b))), []),
+
+    /**
+     * Cast a ray and find the first figure hit by it. Figures containing the origin are ignored.
+     * @param {Rigid2d[]} figures figures
+     * @param {Vector2d} origin start point of the ray
+     * @param {Vector2d} direction direction of the ray, which does not have to be normalized
+     * @param {Object} [opt={}] options
+     * @param {number} [opt.maxDistance=Infinity] length of the ray
+     * @param {number} [opt.mask=0xFFFFFFFF] bits of the categories to hit
+     * @param {function(Rigid2d, number): boolean} [opt.filter] additional filter which accepts a figure and its index
+     * @returns {?Object} hit which has `index`, `point`, unit `normal` of the surface and `distance`, or `null` if nothing is hit
+     * @memberof Collision2d
+     */
+    raycast: (figures, origin, direction, opt = {}) => {
+      const hits = raycastFigures(figures, origin, direction, opt);
+      return hits.length === 0 ? null : hits[0];
+    },
+
+    /**
+     * Cast a ray and find all figures hit by it. Figures containing the origin are ignored.
+     * @param {Rigid2d[]} figures figures
+     * @param {Vector2d} origin start point of the ray
+     * @param {Vector2d} direction direction of the ray, which does not have to be normalized
+     * @param {Object} [opt={}] options. See {@link Collision2d.raycast}
+     * @returns {Object[]} the nearest hit of each figure, sorted by distance
+     * @memberof Collision2d
+     */
+    raycastAll: (figures, origin, direction, opt = {}) => raycastFigures(figures, origin, direction, opt),
+
+    /**
+     * Find figures containing a point.
+     * @param {Rigid2d[]} figures figures
+     * @param {Vector2d} point point
+     * @param {Object} [opt={}] options
+     * @param {number} [opt.mask=0xFFFFFFFF] bits of the categories to find
+     * @param {function(Rigid2d, number): boolean} [opt.filter] additional filter which accepts a figure and its index
+     * @returns {number[]} indices of the figures in ascending order
+     * @memberof Collision2d
+     */
+    queryPoint: (figures, point, opt = {}) => queryParts(figures, { x: point.x, y: point.y, width: 0, height: 0 }, opt, part => containsPoint(part, point)),
+
+    /**
+     * Find figures overlapping a rectangle.
+     * @param {Rigid2d[]} figures figures
+     * @param {number} x x-coordinate of the leftmost point of a rectangle
+     * @param {number} y y-coordinate of the uppermost point of a rectangle
+     * @param {number} width width of a rectangle
+     * @param {number} height height of a rectangle
+     * @param {Object} [opt={}] options. See {@link Collision2d.queryPoint}
+     * @returns {number[]} indices of the figures in ascending order
+     * @memberof Collision2d
+     */
+    queryRect: (figures, x, y, width, height, opt = {}) => {
+      const rect = { vertices: [new Vector2d(x, y), new Vector2d(x + width, y), new Vector2d(x + width, y + height), new Vector2d(x, y + height)], radius: 0 };
+      return queryParts(figures, { x, y, width, height }, opt, part => part.vertices.some(vertex => vertex.isInRectangle(x, y, width, height)) || collideParts(part, rect) !== null);
+    },
+
+    /**
+     * Find figures overlapping a circle.
+     * @param {Rigid2d[]} figures figures
+     * @param {Vector2d} center center of a circle
+     * @param {number} radius radius of a circle
+     * @param {Object} [opt={}] options. See {@link Collision2d.queryPoint}
+     * @returns {number[]} indices of the figures in ascending order
+     * @memberof Collision2d
+     */
+    queryCircle: (figures, center, radius, opt = {}) => {
+      const circle = { vertices: [center], radius };
+      const bounds = { x: center.x - radius, y: center.y - radius, width: 2 * radius, height: 2 * radius };
+      return queryParts(figures, bounds, opt, part => part.vertices.some(vertex => vertex.isInCircle(center, radius + part.radius)) || collideParts(part, circle) !== null);
     }
-    // blackout
-    this.painter.background("#000000");
+  });
+})();
 
-    // loading resources
-    this.imageManager.load()
-      .then(() => this.soundManager.load(), () => {
-        Logger.fatal('Image load error!');
-      }).then(() => {
-        if (recorder !== null) recorder.startRecord(this.name);
-        mainLoop(this.firstScene, this.firstState, new Counters());
-      }, () => {
-        Logger.fatal('Sound load error!');
-      });
+/**
+ * Class representing a physical world of {@link Rigid2d} figures. It is immutable, so it can be a state value.
+ * Each step applies gravity, integrates the figures and resolves their collisions with impulses.
+ * Static figures never move, and dynamic figures which keep still for a while fall asleep until something hits them.
+ * Velocities are expressed per tick, and gravity per tick squared.
+ * @param {Object} [obj] world properties
+ * @param {Rigid2d[]} [obj.bodies=[]] figures
+ * @param {Vector2d} [obj.gravity=new Vector2d(0, 0)] gravitational acceleration
+ * @param {number} [obj.substeps=1] number of substeps in a tick
+ * @param {number} [obj.iterations=8] number of iterations to solve impulses
+ * @param {number} [obj.restitutionThreshold=1] relative speed below which figures do not bounce
+ * @param {number} [obj.slop=0.5] penetration depth allowed to keep contacts stable
+ * @param {number} [obj.correction=0.2] ratio of the penetration corrected in a substep
+ * @param {number} [obj.sleepLinearVelocity=0.05] speed below which figures can sleep
+ * @param {number} [obj.sleepAngularVelocity=0.005] angular speed below which figures can sleep
+ * @param {number} [obj.timeToSleep=30] ticks for which still figures wait before sleeping
+ * @param {Joint2d[]} [obj.joints=[]] joints between figures
+ * @param {number[]} [obj.stillTimes] ticks for which each figure has kept still
+ * @param {Manifold2d[]} [obj.contacts=[]] contacts found in the last step
+ */
+class World2d {
+  constructor(obj = {}) {
+    /** @member {Rigid2d[]} */
+    this.bodies = Object.freeze(('bodies' in obj ? obj.bodies : []).slice());
+    /** @member {Vector2d} */
+    this.gravity = 'gravity' in obj ? obj.gravity : new Vector2d(0, 0);
+    /** @member {number} */
+    this.substeps = 'substeps' in obj ? obj.substeps : 1;
+    /** @member {number} */
+    this.iterations = 'iterations' in obj ? obj.iterations : 8;
+    /** @member {number} */
+    this.restitutionThreshold = 'restitutionThreshold' in obj ? obj.restitutionThreshold : 1;
+    /** @member {number} */
+    this.slop = 'slop' in obj ? obj.slop : 0.5;
+    /** @member {number} */
+    this.correction = 'correction' in obj ? obj.correction : 0.2;
+    /** @member {number} */
+    this.sleepLinearVelocity = 'sleepLinearVelocity' in obj ? obj.sleepLinearVelocity : 0.05;
+    /** @member {number} */
+    this.sleepAngularVelocity = 'sleepAngularVelocity' in obj ? obj.sleepAngularVelocity : 0.005;
+    /** @member {number} */
+    this.timeToSleep = 'timeToSleep' in obj ? obj.timeToSleep : 30;
+    /** @member {Joint2d[]} */
+    this.joints = Object.freeze(('joints' in obj ? obj.joints : []).slice());
+    this.stillTimes = Object.freeze('stillTimes' in obj ? obj.stillTimes.slice() : this.bodies.map(() => 0));
+    /** @member {Manifold2d[]} */
+    this.contacts = Object.freeze('contacts' in obj ? obj.contacts.slice() : []);
+    Object.freeze(this);
+  }
+
+  _with(obj) {
+    return new World2d(Object.assign({
+      bodies: this.bodies,
+      gravity: this.gravity,
+      substeps: this.substeps,
+      iterations: this.iterations,
+      restitutionThreshold: this.restitutionThreshold,
+      slop: this.slop,
+      correction: this.correction,
+      sleepLinearVelocity: this.sleepLinearVelocity,
+      sleepAngularVelocity: this.sleepAngularVelocity,
+      timeToSleep: this.timeToSleep,
+      joints: this.joints,
+      stillTimes: this.stillTimes,
+      contacts: this.contacts
+    }, obj));
   }
 
   /**
-   * Run as normal mode.
-   * @param {Object} [opt] options
-   * @param {boolean} [opt.displayFPS=false]
-   * @param {Recorder} [opt.recorder] recorder
+   * Add a figure.
+   * @param {Rigid2d} body figure
+   * @returns {World2d} new world, where the index of the figure is the last one
    */
-  run(opt = {}) {
-    const recorder = 'recorder' in opt ? opt.recorder : null;
-    if (recorder !== null) recorder.setMode('w');
-    this.action.listen();
-    this.start(false, 'displayFPS' in opt ? opt.displayFPS : false, recorder);
+  addBody(body) {
+    return this._with({ bodies: this.bodies.concat([body]), stillTimes: this.stillTimes.concat([0]), contacts: [] });
   }
 
   /**
-   * Run as debug mode.
-   * @param {Object} [opt] options
-   * @param {boolean} [opt.displayFPS]
-   * @param {Recorder} [opt.recorder] recorder
+   * Remove a figure and its joints. Indices of the following figures are shifted.
+   * @param {number} index index of the figure
+   * @returns {World2d} new world
    */
-  debug(opt = {}) {
-    const recorder = 'recorder' in opt ? opt.recorder : new Recorder();
-    recorder.setMode('w');
-    this.action.listen();
-    Logger.setGame(this);
-    this.soundManager.setDebugMode(true);
-    this.start(true, 'displayFPS' in opt ? opt.displayFPS : false, recorder);
+  removeBody(index) {
+    const shift = i => i > index ? i - 1 : i;
+    return this._with({
+      bodies: this.bodies.filter((body, i) => i !== index),
+      stillTimes: this.stillTimes.filter((time, i) => i !== index),
+      joints: this.joints.filter(joint => joint.a !== index && joint.b !== index).map(joint => joint.withBodies(shift(joint.a), shift(joint.b))),
+      contacts: []
+    });
+  }
+
+  /**
+   * Add a joint and wake its figures up.
+   * @param {Joint2d} joint joint
+   * @returns {World2d} new world, where the index of the joint is the last one
+   */
+  addJoint(joint) {
+    return this._with({
+      joints: this.joints.concat([joint]),
+      stillTimes: this.stillTimes.map((time, i) => i === joint.a || i === joint.b ? 0 : time)
+    });
+  }
+
+  /**
+   * Remove a joint.
+   * @param {number} index index of the joint
+   * @returns {World2d} new world
+   */
+  removeJoint(index) {
+    return this._with({ joints: this.joints.filter((joint, i) => i !== index) });
+  }
+
+  /**
+   * Replace a figure and wake it up.
+   * @param {number} index index of the figure
+   * @param {Rigid2d} body new figure
+   * @returns {World2d} new world
+   */
+  setBody(index, body) {
+    return this._with({
+      bodies: this.bodies.map((b, i) => i === index ? body : b),
+      stillTimes: this.stillTimes.map((time, i) => i === index ? 0 : time)
+    });
+  }
+
+  /**
+   * Apply force to a figure and wake it up.
+   * @param {number} index index of the figure
+   * @param {Vector2d} force force
+   * @param {Vector2d} [from] start point of force (relative). See {@link Rigid2d#applyForce}
+   * @returns {World2d} new world
+   */
+  applyForce(index, force, from = new Vector2d(0, 0)) {
+    return this.setBody(index, this.bodies[index].applyForce(force, from));
+  }
+
+  /**
+   * Wake a figure up.
+   * @param {number} index index of the figure
+   * @returns {World2d} new world
+   */
+  wake(index) {
+    return this.setBody(index, this.bodies[index]);
+  }
+
+  /**
+   * Check if a figure is sleeping.
+   * @param {number} index index of the figure
+   * @returns {boolean} `true` if sleeping
+   */
+  isSleeping(index) {
+    return this.bodies[index].physicalType === PhysicalType.DYNAMIC && this.stillTimes[index] >= this.timeToSleep;
+  }
+
+  /**
+   * Calculate the angular term of the velocity at the point, that is the dot product of the perpendicular of `r` and `v`.
+   * @param {Vector2d} r point relative to the center
+   * @param {Vector2d} v vector
+   * @returns {number} dot product
+   * @protected
+   */
+  static _perpDot(r, v) {
+    return r.y * v.x - r.x * v.y;
   }
 
   /**
-   * Run automatically.
-   * @param {Recorder} recorder recorder
-   * @param {Object} [opt] options
-   * @param {boolean} [opt.displayFPS]
+   * Calculate the velocity of a point of a figure being solved.
+   * @param {Object} state figure being solved, which has `vx`, `vy` and `w`
+   * @param {Vector2d} r point relative to the center
+   * @returns {Vector2d} velocity
+   * @protected
    */
-  autorun(recorder, opt = {}) {
-    recorder.setMode('r');
-    recorder.load(this.divElem.base).then(() => {
-      this.start(false, 'displayFPS' in opt ? opt.displayFPS : false, recorder);
-    }, reason => {
-      Logger.fatal(reason);
+  static _pointVelocity(state, r) {
+    return new Vector2d(state.vx + state.w * r.y, state.vy - state.w * r.x);
+  }
+
+  /**
+   * Apply an impulse to a figure being solved.
+   * @param {Object} state figure being solved, which has `vx`, `vy`, `w`, `invMass` and `invInertia`
+   * @param {Vector2d} r point relative to the center
+   * @param {Vector2d} impulse impulse
+   * @protected
+   */
+  static _applyImpulse(state, r, impulse) {
+    state.vx += impulse.x * state.invMass;
+    state.vy += impulse.y * state.invMass;
+    state.w += World2d._perpDot(r, impulse) * state.invInertia;
+  }
+
+  _solve(states, contacts, joints) {
+    const perpDot = World2d._perpDot;
+    const pointVelocity = World2d._pointVelocity;
+    const applyImpulse = World2d._applyImpulse;
+
+    const points = contacts.reduce((acc, contact) => {
+      const [a, b] = [states[contact.a], states[contact.b]];
+      const friction = Math.sqrt(a.body.material.friction * b.body.material.friction);
+      const restitution = Math.max(a.body.material.restitution, b.body.material.restitution);
+      const tangent = new Vector2d(-contact.normal.y, contact.normal.x);
+      return acc.concat(contact.points.map(point => {
+        const rA = point.minus(a.center);
+        const rB = point.minus(b.center);
+        const calcMass = n => a.invMass + b.invMass + perpDot(rA, n) ** 2 * a.invInertia + perpDot(rB, n) ** 2 * b.invInertia;
+        const normalSpeed = pointVelocity(b, rB).minus(pointVelocity(a, rA)).innerProd(contact.normal);
+        return {
+          a, b, rA, rB, normal: contact.normal, tangent, friction,
+          normalMass: calcMass(contact.normal),
+          tangentMass: calcMass(tangent),
+          // the target speed of bouncing is fixed before impulses change velocities
+          bounce: normalSpeed < -this.restitutionThreshold ? -restitution * normalSpeed : 0,
+          normalImpulse: 0,
+          tangentImpulse: 0
+        };
+      }));
+    }, []).filter(point => point.normalMass > 0);
+
+    for (let i = 0; i < this.iterations; i++) {
+      joints.forEach(joint => joint.solve());
+      points.forEach(point => {
+        const relative = () => pointVelocity(point.b, point.rB).minus(pointVelocity(point.a, point.rA));
+        const prevNormal = point.normalImpulse;
+        point.normalImpulse = Math.max(0, prevNormal + (point.bounce - relative().innerProd(point.normal)) / point.normalMass);
+        const normalImpulse = point.normal.scalar(point.normalImpulse - prevNormal);
+        applyImpulse(point.a, point.rA, normalImpulse.scalar(-1));
+        applyImpulse(point.b, point.rB, normalImpulse);
+
+        const prevTangent = point.tangentImpulse;
+        const maxFriction = point.friction * point.normalImpulse;
+        point.tangentImpulse = Math.min(maxFriction, Math.max(-maxFriction, prevTangent - relative().innerProd(point.tangent) / point.tangentMass));
+        const tangentImpulse = point.tangent.scalar(point.tangentImpulse - prevTangent);
+        applyImpulse(point.a, point.rA, tangentImpulse.scalar(-1));
+        applyImpulse(point.b, point.rB, tangentImpulse);
+      });
+    }
+  }
+
+  _substep(bodies, stillTimes, dt) {
+    const isAwake = i => bodies[i].physicalType === PhysicalType.DYNAMIC && stillTimes[i] < this.timeToSleep;
+    const isConnected = (a, b) => this.joints.some(joint => !joint.collideConnected && ((joint.a === a && joint.b === b) || (joint.a === b && joint.b === a)));
+    const contacts = Collision2d.detect(bodies).filter(contact => (isAwake(contact.a) || isAwake(contact.b)) && !isConnected(contact.a, contact.b));
+    // moving figures wake up sleeping ones
+    contacts.concat(this.joints).forEach(pair => {
+      [[pair.a, pair.b], [pair.b, pair.a]].forEach(([i, j]) => {
+        if (isAwake(i) && stillTimes[i] === 0 && bodies[j].physicalType === PhysicalType.DYNAMIC) stillTimes[j] = 0;
+      });
     });
+
+    const states = bodies.map((body, i) => {
+      const awake = isAwake(i);
+      const velocity = awake ? body.velocity.plus(this.gravity.scalar(dt)) : body.velocity;
+      return {
+        body,
+        center: body.center,
+        rotation: body.rotation,
+        vx: velocity.x,
+        vy: velocity.y,
+        w: body.angularVelocity,
+        invMass: awake ? 1 / body.mass : 0,
+        invInertia: awake ? 1 / body.inertia : 0
+      };
+    });
+    const joints = this.joints.filter(joint => isAwake(joint.a) || isAwake(joint.b))
+      .map(joint => joint.createSolver(states[joint.a], states[joint.b], dt, this.correction));
+    this._solve(states, contacts, joints);
+
+    const moved = states.map((state, i) => {
+      if (!isAwake(i)) return state.body;
+      const body = state.body;
+      return new Rigid2d(body.physicalType, body.shape, body.material, body.center, body.rotation, new Vector2d(state.vx, state.vy), state.w, body.category, body.mask).step(dt);
+    });
+
+    // push figures apart to remove the remaining penetration
+    const corrected = moved.map(body => body.center);
+    contacts.forEach(contact => {
+      const [a, b] = [states[contact.a], states[contact.b]];
+      if (a.invMass + b.invMass === 0) return;
+      const amount = Math.max(contact.depth - this.slop, 0) * this.correction / (a.invMass + b.invMass);
+      corrected[contact.a] = corrected[contact.a].minus(contact.normal.scalar(amount * a.invMass));
+      corrected[contact.b] = corrected[contact.b].plus(contact.normal.scalar(amount * b.invMass));
+    });
+
+    return {
+      contacts,
+      bodies: moved.map((body, i) => !isAwake(i) ? body :
+        new Rigid2d(body.physicalType, body.shape, body.material, corrected[i], body.rotation, body.velocity, body.angularVelocity, body.category, body.mask))
+    };
   }
 
   /**
-   * @param {string[]} msg messages
-   * @param {string} style style of log
+   * Step next tick.
+   * @returns {World2d} new world
    */
-  sendLog(msg, style) {
-    if (this.divElem.log !== null) {
-      const log = document.createElement('div');
-      log.setAttribute('style', `width: auto; border: 1px #999 solid; overflow-wrap: break-word; ` + style);
-      log.innerHTML = msg.join('<br>').replace(/\n/g, '<br>');
-      this.divElem.log.appendChild(log);
-      this.divElem.log.scrollTop = this.divElem.log.scrollHeight;
+  step() {
+    const dt = 1 / this.substeps;
+    let bodies = this.bodies;
+    const stillTimes = this.stillTimes.slice();
+    let contacts = [];
+    for (let i = 0; i < this.substeps; i++) {
+      const result = this._substep(bodies, stillTimes, dt);
+      bodies = result.bodies;
+      contacts = result.contacts;
     }
+
+    bodies = bodies.map((body, i) => {
+      if (body.physicalType !== PhysicalType.DYNAMIC) return body;
+      const still = body.velocity.norm < this.sleepLinearVelocity && Math.abs(body.angularVelocity) < this.sleepAngularVelocity;
+      stillTimes[i] = still ? stillTimes[i] + 1 : 0;
+      // sleeping figures stop completely
+      if (stillTimes[i] === this.timeToSleep) {
+        return new Rigid2d(body.physicalType, body.shape, body.material, body.center, body.rotation, new Vector2d(0, 0), 0, body.category, body.mask);
+      }
+      return body;
+    });
+    return this._with({ bodies, stillTimes, contacts });
+  }
+
+  /**
+   * Draw the figures, the contacts and the joints for debugging.
+   * @param {Painter2d} painter painter
+   * @param {Object} [opt] options
+   * @param {string} [opt.bodyStyle='#00ff00'] stroke style of awake figures
+   * @param {string} [opt.sleepingStyle='#808080'] stroke style of sleeping and static figures
+   * @param {string} [opt.contactStyle='#ff0000'] style of contact points and normals
+   * @param {string} [opt.jointStyle='#00ffff'] stroke style of joints
+   */
+  drawDebug(painter, opt = {}) {
+    const bodyStyle = 'bodyStyle' in opt ? opt.bodyStyle : '#00ff00';
+    const sleepingStyle = 'sleepingStyle' in opt ? opt.sleepingStyle : '#808080';
+    const contactStyle = 'contactStyle' in opt ? opt.contactStyle : '#ff0000';
+    const jointStyle = 'jointStyle' in opt ? opt.jointStyle : '#00ffff';
+    this.bodies.forEach((body, i) => {
+      const style = body.physicalType === PhysicalType.STATIC || this.isSleeping(i) ? sleepingStyle : bodyStyle;
+      body.createPath(painter).stroke(style, { width: 1 });
+      // a line to the right edge shows the rotation
+      const bounds = body.shape.calcBounds(0);
+      const edge = body.localToWorld(new Vector2d(bounds.x + bounds.width, 0));
+      painter.line(body.center.x, body.center.y, edge.x, edge.y).stroke(style, { width: 1 });
+    });
+    this.contacts.forEach(contact => {
+      contact.points.forEach(point => {
+        painter.circle(point.x, point.y, 2).fill(contactStyle);
+        painter.line(point.x, point.y, point.x + contact.normal.x * 8, point.y + contact.normal.y * 8).stroke(contactStyle, { width: 1 });
+      });
+    });
+    this.joints.forEach(joint => joint.drawDebug(painter, this.bodies, jointStyle));
   }
 
   /**
@@ -3095,85 +9576,156 @@ class Game {
    * @returns {string} a string
    */
   toString() {
-    return `[Game]`;
+    return `[World2d ${this.bodies.length} bodies]`;
   }
 }
 
 /**
- * Class for material.
- * @param {number} density average density
- * @param {number} friction coefficient of friction
- * @param {number} restitution coefficient of restitution
+ * Abstract class for joints between two figures of {@link World2d}. Joints are immutable.
+ * Anchors are relative to the centers of the figures, and they are not rotated yet.
+ * @param {string} name name of joint
+ * @param {Object} obj joint properties
+ * @param {number} obj.a index of the first figure
+ * @param {number} obj.b index of the second figure
+ * @param {Vector2d} [obj.anchorA] anchor on the first figure
+ * @param {Vector2d} [obj.anchorB] anchor on the second figure
+ * @param {boolean} [obj.collideConnected=false] if `true`, then the two figures collide with each other
  */
-class Material {
-  constructor(density, friction, restitution) {
-    this.density = density;
-    this.friction = friction;
-    this.restitution = restitution;
+class Joint2d {
+  constructor(name, obj) {
+    /** @member {string} */
+    this.name = name;
+    /** @member {number} */
+    this.a = obj.a;
+    /** @member {number} */
+    this.b = obj.b;
+    /** @member {Vector2d} */
+    this.anchorA = 'anchorA' in obj ? obj.anchorA : new Vector2d(0, 0);
+    /** @member {Vector2d} */
+    this.anchorB = 'anchorB' in obj ? obj.anchorB : new Vector2d(0, 0);
+    /** @member {boolean} */
+    this.collideConnected = 'collideConnected' in obj ? obj.collideConnected : false;
   }
 
   /**
-   * Calculate mass.
-   * @param {number} volume volume
-   * @returns {number} mass
+   * Create a term of constraints on the relative velocity of two points along an axis.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {Vector2d} rA point on the first figure relative to its center
+   * @param {Vector2d} rB point on the second figure relative to its center
+   * @param {Vector2d} axis unit vector
+   * @returns {Object} term which has `mass`, `speed` and `apply`
+   * @protected
    */
-  calcMass(volume) {
-    return this.density * volume;
+  static _linearTerm(stateA, stateB, rA, rB, axis) {
+    return {
+      mass: stateA.invMass + stateB.invMass +
+        World2d._perpDot(rA, axis) ** 2 * stateA.invInertia + World2d._perpDot(rB, axis) ** 2 * stateB.invInertia,
+      speed: () => World2d._pointVelocity(stateB, rB).minus(World2d._pointVelocity(stateA, rA)).innerProd(axis),
+      apply: impulse => {
+        World2d._applyImpulse(stateA, rA, axis.scalar(-impulse));
+        World2d._applyImpulse(stateB, rB, axis.scalar(impulse));
+      }
+    };
   }
 
   /**
-   * Convert to string.
-   * @returns {string} a string
+   * Create a term of constraints on the relative angular velocity.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @returns {Object} term which has `mass`, `speed` and `apply`
+   * @protected
    */
-  toString() {
-    return `[Material density=${this.density}, friction=${this.friction}, restitution=${this.restitution}]`;
+  static _angularTerm(stateA, stateB) {
+    return {
+      mass: stateA.invInertia + stateB.invInertia,
+      speed: () => stateB.w - stateA.w,
+      apply: impulse => {
+        stateA.w -= impulse * stateA.invInertia;
+        stateB.w += impulse * stateB.invInertia;
+      }
+    };
   }
-}
 
-/**
- * Enum for physical type.
- * @readonly
- * @enum {number}
- */
-const PhysicalType = {
-  /** @member {number} */
-  STATIC: 1,
-  /** @member {number} */
-  DYNAMIC: 2
-};
-Object.freeze(PhysicalType);
+  /**
+   * Create a constraint which makes the speed of the term `-bias`. The accumulated impulse is clamped.
+   * @param {Object} term term of the constraint
+   * @param {number} bias velocity bias
+   * @param {number} [lower=-Infinity] lower limit of the accumulated impulse
+   * @param {number} [upper=Infinity] upper limit of the accumulated impulse
+   * @returns {Object} constraint which has `solve`
+   * @protected
+   */
+  static _createConstraint(term, bias, lower = -Infinity, upper = Infinity) {
+    let accumulated = 0;
+    return {
+      solve: () => {
+        if (term.mass <= 0) return;
+        const prev = accumulated;
+        accumulated = Math.min(upper, Math.max(lower, prev - (term.speed() + bias) / term.mass));
+        term.apply(accumulated - prev);
+      }
+    };
+  }
 
-/**
- * Abstract class for 2-dimensional shape.
- * @param {string} name name of shape
- * @param {number} area area
- * @param {Vector2d} gravityCenter relative center position of gravity
- * @param {number} gyradius radius of gyration
- */
-class Shape2d {
-  constructor(name, area, gravityCenter, gyradius) {
-    this.name = name;
-    this.area = area;
-    this.gravityCenter = gravityCenter;
-    this.gyradius = gyradius;
+  /**
+   * Create a one-sided constraint which keeps the position error `C` non-negative.
+   * Figures approaching the limit are slowed down so that they just reach it.
+   * @param {Object} term term of the constraint
+   * @param {number} error position error
+   * @param {number} dt time step
+   * @param {number} beta ratio of the error corrected in a step
+   * @returns {Object} constraint which has `solve`
+   * @protected
+   */
+  static _createLimit(term, error, dt, beta) {
+    return Joint2d._createConstraint(term, error < 0 ? beta * error / dt : error / dt, 0);
   }
 
   /**
-   * Calculate moment of inertia.
-   * @param {number} mass mass
-   * @returns {number} moment of inertia
+   * Replace the indices of the figures.
+   * @param {number} a index of the first figure
+   * @param {number} b index of the second figure
+   * @returns {Joint2d} new joint
    */
-  calcInertia(mass) {
-    return mass * this.gyradius ** 2;
+  withBodies(a, b) {
+    return new this.constructor(Object.assign({}, this, { a, b }));
   }
 
   /**
-   * Create the path of the shape.
+   * Get the anchors in world coordinates.
+   * @param {Rigid2d[]} bodies figures of the world
+   * @returns {Vector2d[]} anchors on the first figure and the second one
+   */
+  getAnchors(bodies) {
+    return [bodies[this.a].localToWorld(this.anchorA), bodies[this.b].localToWorld(this.anchorB)];
+  }
+
+  /**
+   * Create the solver of the joint for a substep. It is called by {@link World2d}.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
+   */
+  createSolver(stateA, stateB, dt, beta) {
+    Logger.fatal(`Joint2d#createSolver is not implemented!`);
+  }
+
+  /**
+   * Draw the joint for debugging.
    * @param {Painter2d} painter painter
-   * @returns {Object} path operations
+   * @param {Rigid2d[]} bodies figures of the world
+   * @param {string} style stroke style
    */
-  createPath(painter) {
-    Logger.fatal(`Shape2d#createPath is not implemented!`);
+  drawDebug(painter, bodies, style) {
+    const [anchorA, anchorB] = this.getAnchors(bodies);
+    [[bodies[this.a].center, anchorA], [anchorA, anchorB], [anchorB, bodies[this.b].center]].forEach(([p, q]) => {
+      painter.line(p.x, p.y, q.x, q.y).stroke(style, { width: 1 });
+    });
+    painter.circle(anchorA.x, anchorA.y, 3).stroke(style, { width: 1 });
+    painter.circle(anchorB.x, anchorB.y, 3).stroke(style, { width: 1 });
   }
 
   /**
@@ -3181,155 +9733,253 @@ class Shape2d {
    * @returns {string} a string
    */
   toString() {
-    return `[Shape2d ${this.name}]`;
+    return `[${this.name} ${this.a}-${this.b}]`;
   }
 }
 
 /**
- * Class representing rectangle shape.
- * @param {number} width width
- * @param {number} height height
- * @param {Vector2d} [gravityCenter] relative center position of gravity
- * @param {number} [gyradius] radius of gyration
+ * Class representing joint which keeps the distance between two anchors, like a rod.
+ * @param {Object} obj joint properties. See {@link Joint2d}
+ * @param {number} obj.length distance between the anchors
  */
-class Rect2d extends Shape2d {
-  constructor(width, height, gravityCenter = new Vector2d(0, 0), gyradius) {
-    if (gyradius === undefined) {
-      const a = width / 2 - gravityCenter.x;
-      const b = -width / 2 - gravityCenter.x;
-      const c = height / 2 - gravityCenter.y;
-      const d = -height / 2 - gravityCenter.y;
-      gyradius = Math.sqrt((a * a + a * b + b * b + c * c + c * d + d * d) / 3);
-    }
-    super('rect2d', width * height, gravityCenter, gyradius);
-    this.width = width;
-    this.height = height;
+class DistanceJoint2d extends Joint2d {
+  constructor(obj) {
+    super('DistanceJoint2d', obj);
+    /** @member {number} */
+    this.length = obj.length;
+    Object.freeze(this);
   }
 
   /**
-   * Create the path of the rectangle.
-   * @param {Painter2d} painter painter
-   * @returns {Object} path operations
+   * Create the solver of the joint for a substep.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
    */
-  createPath(painter) {
-    return painter.rect(-this.width / 2, -this.height / 2, this.width, this.height);
+  createSolver(stateA, stateB, dt, beta) {
+    const rA = Shape2d.transformPoint(this.anchorA, stateA.rotation);
+    const rB = Shape2d.transformPoint(this.anchorB, stateB.rotation);
+    const diff = stateB.center.plus(rB).minus(stateA.center.plus(rA));
+    const distance = diff.norm;
+    const axis = distance > 1e-9 ? diff.scalar(1 / distance) : new Vector2d(1, 0);
+    return Joint2d._createConstraint(Joint2d._linearTerm(stateA, stateB, rA, rB, axis), beta * (distance - this.length) / dt);
   }
 }
 
 /**
- * Class representing circle shape.
- * @param {number} radius radius
- * @param {Vector2d} gravityCenter relative center position of gravity
- * @param {number} [gyradius] radius of gyration
+ * Class representing joint which pins two anchors together. The figures rotate freely around the pin,
+ * unless the relative angle is limited or a motor drives it.
+ * The relative angle is the rotation of the second figure minus that of the first one and the reference angle.
+ * @param {Object} obj joint properties. See {@link Joint2d}
+ * @param {number} [obj.referenceAngle=0] relative rotation regarded as zero
+ * @param {?number} [obj.lowerAngle=null] lower limit of the relative angle. If it is `null`, then there is no limit
+ * @param {?number} [obj.upperAngle=null] upper limit of the relative angle. If it is `null`, then there is no limit
+ * @param {number} [obj.motorSpeed=0] target relative angular velocity of the motor
+ * @param {number} [obj.maxMotorTorque=0] maximum torque of the motor. If it is `0`, then there is no motor
  */
-class Circle2d extends Shape2d {
-  constructor(radius, gravityCenter = new Vector2d(0, 0), gyradius = radius) {
-    if (gyradius === undefined) {
-      gyradius = Math.sqrt(gravityCenter.x ** 2 + gravityCenter.y ** 2 + radius ** 2 / 2);
-    }
-    super('Circle2d', radius ** 2 * Math.PI, gravityCenter, gyradius);
-    this.radius = radius;
+class RevoluteJoint2d extends Joint2d {
+  constructor(obj) {
+    super('RevoluteJoint2d', obj);
+    /** @member {number} */
+    this.referenceAngle = 'referenceAngle' in obj ? obj.referenceAngle : 0;
+    /** @member {?number} */
+    this.lowerAngle = 'lowerAngle' in obj ? obj.lowerAngle : null;
+    /** @member {?number} */
+    this.upperAngle = 'upperAngle' in obj ? obj.upperAngle : null;
+    /** @member {number} */
+    this.motorSpeed = 'motorSpeed' in obj ? obj.motorSpeed : 0;
+    /** @member {number} */
+    this.maxMotorTorque = 'maxMotorTorque' in obj ? obj.maxMotorTorque : 0;
+    Object.freeze(this);
   }
 
   /**
-   * Create the path of the circle.
-   * @param {Painter2d} painter painter
-   * @returns {Object} path operations
+   * Get the relative angle.
+   * @param {Rigid2d[]} bodies figures of the world
+   * @returns {number} relative angle
    */
-  createPath(painter) {
-    return painter.circle(0, 0, this.radius);
+  getAngle(bodies) {
+    return bodies[this.b].rotation - bodies[this.a].rotation - this.referenceAngle;
+  }
+
+  /**
+   * Create the solver of the joint for a substep.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
+   */
+  createSolver(stateA, stateB, dt, beta) {
+    const rA = Shape2d.transformPoint(this.anchorA, stateA.rotation);
+    const rB = Shape2d.transformPoint(this.anchorB, stateB.rotation);
+    const error = stateB.center.plus(rB).minus(stateA.center.plus(rA));
+    const angle = stateB.rotation - stateA.rotation - this.referenceAngle;
+
+    const constraints = [];
+    if (this.maxMotorTorque > 0) {
+      constraints.push(Joint2d._createConstraint(Joint2d._angularTerm(stateA, stateB), -this.motorSpeed, -this.maxMotorTorque * dt, this.maxMotorTorque * dt));
+    }
+    if (this.lowerAngle !== null) {
+      constraints.push(Joint2d._createLimit(Joint2d._angularTerm(stateA, stateB), angle - this.lowerAngle, dt, beta));
+    }
+    if (this.upperAngle !== null) {
+      constraints.push(Joint2d._createLimit(Joint2d._angularTerm(stateB, stateA), this.upperAngle - angle, dt, beta));
+    }
+
+    // the point constraint is solved as a 2x2 block
+    const [pA, pB] = [new Vector2d(rA.y, -rA.x), new Vector2d(rB.y, -rB.x)];
+    const invMass = stateA.invMass + stateB.invMass;
+    const k11 = invMass + stateA.invInertia * pA.x * pA.x + stateB.invInertia * pB.x * pB.x;
+    const k12 = stateA.invInertia * pA.x * pA.y + stateB.invInertia * pB.x * pB.y;
+    const k22 = invMass + stateA.invInertia * pA.y * pA.y + stateB.invInertia * pB.y * pB.y;
+    const det = k11 * k22 - k12 * k12;
+    const bias = error.scalar(beta / dt);
+    return {
+      solve: () => {
+        constraints.forEach(constraint => constraint.solve());
+        if (Math.abs(det) < 1e-12) return;
+        const speed = World2d._pointVelocity(stateB, rB).minus(World2d._pointVelocity(stateA, rA)).plus(bias);
+        const impulse = new Vector2d(-(k22 * speed.x - k12 * speed.y) / det, -(k11 * speed.y - k12 * speed.x) / det);
+        World2d._applyImpulse(stateA, rA, impulse.scalar(-1));
+        World2d._applyImpulse(stateB, rB, impulse);
+      }
+    };
   }
 }
 
 /**
- * Class for 2-dimensional figures.
- * @param {PhysicalType} physicalType physical type
- * @param {Shape2d} shape shape
- * @param {Material} material material
- * @param {Vector2d} center center position
- * @param {number} rotation rotation angle
- * @param {Vector2d} velocity velocity
- * @param {number} angularVelocity angular velocity
+ * Class representing joint which lets the second figure slide along an axis fixed on the first one without rotating.
+ * The translation is the distance from the first anchor to the second one along the axis.
+ * @param {Object} obj joint properties. See {@link Joint2d}
+ * @param {Vector2d} [obj.axis] direction of sliding relative to the first figure. It is the x-axis by default
+ * @param {number} [obj.referenceAngle=0] relative rotation kept by the joint
+ * @param {?number} [obj.lowerTranslation=null] lower limit of the translation. If it is `null`, then there is no limit
+ * @param {?number} [obj.upperTranslation=null] upper limit of the translation. If it is `null`, then there is no limit
+ * @param {number} [obj.motorSpeed=0] target relative speed of the motor along the axis
+ * @param {number} [obj.maxMotorForce=0] maximum force of the motor. If it is `0`, then there is no motor
  */
-class Rigid2d {
-  constructor(physicalType, shape, material, center, rotation, velocity, angularVelocity) {
-    this.physicalType = physicalType;
-    this.shape = shape;
-    this.material = material;
-    this.center = center;
-    this.rotation = rotation;
-    this.velocity = velocity;
-    this.angularVelocity = angularVelocity;
-  }
-
-  /** @member {number} */
-  get mass() {
-    return this.material.calcMass(this.shape.area);
+class PrismaticJoint2d extends Joint2d {
+  constructor(obj) {
+    super('PrismaticJoint2d', obj);
+    const axis = 'axis' in obj ? obj.axis : new Vector2d(1, 0);
+    /** @member {Vector2d} */
+    this.axis = axis.scalar(1 / axis.norm);
+    /** @member {number} */
+    this.referenceAngle = 'referenceAngle' in obj ? obj.referenceAngle : 0;
+    /** @member {?number} */
+    this.lowerTranslation = 'lowerTranslation' in obj ? obj.lowerTranslation : null;
+    /** @member {?number} */
+    this.upperTranslation = 'upperTranslation' in obj ? obj.upperTranslation : null;
+    /** @member {number} */
+    this.motorSpeed = 'motorSpeed' in obj ? obj.motorSpeed : 0;
+    /** @member {number} */
+    this.maxMotorForce = 'maxMotorForce' in obj ? obj.maxMotorForce : 0;
+    Object.freeze(this);
   }
 
-  /** @member {number} */
-  get inertia() {
-    return this.shape.calcInertia(this.mass);
+  /**
+   * Get the translation.
+   * @param {Rigid2d[]} bodies figures of the world
+   * @returns {number} translation
+   */
+  getTranslation(bodies) {
+    const [anchorA, anchorB] = this.getAnchors(bodies);
+    return anchorB.minus(anchorA).innerProd(Shape2d.transformPoint(this.axis, bodies[this.a].rotation));
   }
 
   /**
-   * Apply force.
-   * @param {Vector2d} force force
-   * @param {Vector2d} [from] start point of force (relative)
-   * @returns {Rigid2d} updated figure
+   * Create the solver of the joint for a substep.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
    */
-  applyForce(force, from = new Vector2d(0, 0)) {
-    if (this.physicalType === PhysicalType.DYNAMIC) {
-      const R = this.shape.gravityCenter.minus(from);
-      const F_g = R.norm === 0 ? force : R.scalar(force.innerProd(R) / R.norm ** 2);
-      const N_h = R.crossProd(force);
+  createSolver(stateA, stateB, dt, beta) {
+    const rA = Shape2d.transformPoint(this.anchorA, stateA.rotation);
+    const rB = Shape2d.transformPoint(this.anchorB, stateB.rotation);
+    const diff = stateB.center.plus(rB).minus(stateA.center.plus(rA));
+    const axis = Shape2d.transformPoint(this.axis, stateA.rotation);
+    const normal = new Vector2d(-axis.y, axis.x);
+    // the point of the first figure which is at the second anchor now
+    const rAB = rA.plus(diff);
+    const translation = diff.innerProd(axis);
 
-      const nextVelocity = this.velocity.plus(F_g.scalar(1 / this.mass));
-      const nextAngular = this.angularVelocity + N_h / this.inertia;
-      return new Rigid2d(this.physicalType, this.shape, this.material, this.center, this.rotation, nextVelocity, nextAngular);
-    } else {
-      return this;
+    const constraints = [
+      Joint2d._createConstraint(Joint2d._linearTerm(stateA, stateB, rAB, rB, normal), beta * diff.innerProd(normal) / dt),
+      Joint2d._createConstraint(Joint2d._angularTerm(stateA, stateB), beta * (stateB.rotation - stateA.rotation - this.referenceAngle) / dt)
+    ];
+    if (this.maxMotorForce > 0) {
+      constraints.push(Joint2d._createConstraint(Joint2d._linearTerm(stateA, stateB, rAB, rB, axis), -this.motorSpeed, -this.maxMotorForce * dt, this.maxMotorForce * dt));
+    }
+    if (this.lowerTranslation !== null) {
+      constraints.push(Joint2d._createLimit(Joint2d._linearTerm(stateA, stateB, rAB, rB, axis), translation - this.lowerTranslation, dt, beta));
     }
+    if (this.upperTranslation !== null) {
+      constraints.push(Joint2d._createLimit(Joint2d._linearTerm(stateA, stateB, rAB, rB, axis.scalar(-1)), this.upperTranslation - translation, dt, beta));
+    }
+    return {
+      solve: () => constraints.forEach(constraint => constraint.solve())
+    };
+  }
+}
+
+/**
+ * Class representing spring and damper between two anchors. Unlike other joints, it pulls the figures softly.
+ * @param {Object} obj joint properties. See {@link Joint2d}
+ * @param {number} obj.restLength natural length of the spring
+ * @param {number} obj.stiffness spring constant
+ * @param {number} [obj.damping=0] damping coefficient
+ */
+class SpringJoint2d extends Joint2d {
+  constructor(obj) {
+    super('SpringJoint2d', obj);
+    /** @member {number} */
+    this.restLength = obj.restLength;
+    /** @member {number} */
+    this.stiffness = obj.stiffness;
+    /** @member {number} */
+    this.damping = 'damping' in obj ? obj.damping : 0;
+    Object.freeze(this);
   }
 
   /**
-   * Step next frame.
-   * @returns {Rigid2d} updated figure
+   * Create the solver of the joint for a substep. The spring force is applied here at once.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
    */
-  step() {
-    return new Rigid2d(this.physicalType, this.shape, this.material, this.center.plus(this.velocity), this.rotation + this.angularVelocity, this.velocity, this.angularVelocity);
+  createSolver(stateA, stateB, dt, beta) {
+    const rA = Shape2d.transformPoint(this.anchorA, stateA.rotation);
+    const rB = Shape2d.transformPoint(this.anchorB, stateB.rotation);
+    const diff = stateB.center.plus(rB).minus(stateA.center.plus(rA));
+    const distance = diff.norm;
+    if (distance > 1e-9) {
+      const term = Joint2d._linearTerm(stateA, stateB, rA, rB, diff.scalar(1 / distance));
+      term.apply(-(this.stiffness * (distance - this.restLength) + this.damping * term.speed()) * dt);
+    }
+    return { solve: () => {} };
   }
 
   /**
-   * Create the path of the figure.
+   * Draw the spring as a zigzag line for debugging.
    * @param {Painter2d} painter painter
-   * @returns {Object} path operations
-   */
-  createPath(painter) {
-    const cosVal = Math.cos(this.rotation);
-    const sinVal = Math.sin(this.rotation);
-    return {
-      fill: (...args) => {
-        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, this.center.x, this.center.y, () => this.shape.createPath(painter).fill(...args));
-      },
-      stroke: (...args) => {
-        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, this.center.x, this.center.y, () => this.shape.createPath(painter).stroke(...args));
-      },
-      outlined: (...args) => {
-        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, this.center.x, this.center.y, () => this.shape.createPath(painter).outlined(...args));
-      },
-      clip: (...args) => {
-        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, this.center.x, this.center.y, () => this.shape.createPath(painter).clip(...args));
-      }
-    };
-  }
-
-  /**
-   * Convert to string.
-   * @returns {string} a stirng
-   */
-  toString() {
-    return `[Rigid2d ${this.shape.name} ${this.center.toString()}]`;
+   * @param {Rigid2d[]} bodies figures of the world
+   * @param {string} style stroke style
+   */
+  drawDebug(painter, bodies, style) {
+    const [anchorA, anchorB] = this.getAnchors(bodies);
+    const diff = anchorB.minus(anchorA);
+    const normal = diff.norm > 1e-9 ? new Vector2d(-diff.y, diff.x).scalar(4 / diff.norm) : new Vector2d(0, 0);
+    const zigzag = Array.from({ length: 11 }, (_, i) => anchorA.plus(diff.scalar(i / 10)).plus(normal.scalar(i === 0 || i === 10 ? 0 : i % 2 * 2 - 1)));
+    zigzag.slice(1).forEach((point, i) => {
+      painter.line(zigzag[i].x, zigzag[i].y, point.x, point.y).stroke(style, { width: 1 });
+    });
   }
 }
 
@@ -3699,3 +10349,687 @@ const Tween = (() => {
 })();
 Object.freeze(Tween);
 
+/**
+ * Class representing a tileset of a Tiled map. Its image is an image of {@link ImageManager}.
+ * @param {Object} json tileset JSON exported by Tiled, which has `firstgid`
+ * @param {?string} imageName name of the image in {@link ImageManager}. If it is `null`, then the tiles are not drawn
+ */
+class Tileset {
+  constructor(json, imageName) {
+    /** @member {number} */
+    this.firstgid = json.firstgid;
+    /** @member {string} */
+    this.name = 'name' in json ? json.name : '';
+    /** @member {?string} */
+    this.imageName = imageName;
+    /** @member {number} */
+    this.tileWidth = json.tilewidth;
+    /** @member {number} */
+    this.tileHeight = json.tileheight;
+    /** @member {number} */
+    this.margin = 'margin' in json ? json.margin : 0;
+    /** @member {number} */
+    this.spacing = 'spacing' in json ? json.spacing : 0;
+    /** @member {number} */
+    this.columns = 'columns' in json && json.columns > 0 ? json.columns :
+      Math.max(1, Math.floor((('imagewidth' in json ? json.imagewidth : 0) - this.margin * 2 + this.spacing) / (this.tileWidth + this.spacing)));
+    /** @member {number} */
+    this.tileCount = 'tilecount' in json ? json.tilecount : 0;
+    /** @member {number} */
+    this.offsetX = 'tileoffset' in json ? json.tileoffset.x : 0;
+    /** @member {number} */
+    this.offsetY = 'tileoffset' in json ? json.tileoffset.y : 0;
+    /** @member {Object} */
+    this.properties = Tileset.parseProperties(json.properties);
+    this.tiles = new Map(('tiles' in json ? json.tiles : []).map(tile => {
+      const animation = 'animation' in tile && tile.animation.length > 0 ? tile.animation : null;
+      return [tile.id, Object.freeze({
+        type: 'class' in tile ? tile.class : 'type' in tile ? tile.type : '',
+        properties: Tileset.parseProperties(tile.properties),
+        animation,
+        animationDuration: animation === null ? 0 : animation.reduce((acc, frame) => acc + frame.duration, 0)
+      })];
+    }));
+    Object.freeze(this);
+  }
+
+  /**
+   * Convert custom properties of Tiled into an object. Both the array format and the old object format are accepted.
+   * @param {(Object[]|Object)} [properties] custom properties
+   * @returns {Object} values keyed by their property names
+   */
+  static parseProperties(properties) {
+    if (properties === undefined) return Object.freeze({});
+    if (!Array.isArray(properties)) return Object.freeze(Object.assign({}, properties));
+    return Object.freeze(properties.reduce((acc, prop) => Object.assign(acc, { [prop.name]: prop.value }), {}));
+  }
+
+  /**
+   * Check if the tileset has the tile.
+   * @param {number} gid global tile ID without flip flags
+   * @returns {boolean} `true` if it has
+   */
+  has(gid) {
+    return gid >= this.firstgid && gid < this.firstgid + this.tileCount;
+  }
+
+  /**
+   * Get the type and the custom properties of a tile.
+   * @param {number} id local tile ID
+   * @returns {Object} object which has `type`, `properties`, `animation` and `animationDuration`
+   */
+  getTileProperties(id) {
+    return this.tiles.has(id) ? this.tiles.get(id) : { type: '', properties: Object.freeze({}), animation: null, animationDuration: 0 };
+  }
+
+  /**
+   * Check if a tile is animated.
+   * @param {number} id local tile ID
+   * @returns {boolean} `true` if animated
+   */
+  isAnimated(id) {
+    return this.getTileProperties(id).animation !== null;
+  }
+
+  /**
+   * Get the tile shown at the time by the tile animation.
+   * @param {number} id local tile ID
+   * @param {number} time elapsed time in milliseconds
+   * @returns {number} local tile ID of the current frame
+   */
+  getAnimatedID(id, time) {
+    const tile = this.getTileProperties(id);
+    if (tile.animation === null || tile.animationDuration <= 0) return id;
+    let rest = time % tile.animationDuration;
+    const frame = tile.animation.find(f => {
+      rest -= f.duration;
+      return rest < 0;
+    });
+    return frame === undefined ? tile.animation[tile.animation.length - 1].tileid : frame.tileid;
+  }
+
+  /**
+   * Get the rectangle of a tile in the image.
+   * @param {number} id local tile ID
+   * @returns {Object} rectangle which has `x`, `y`, `width` and `height`
+   */
+  getSourceRect(id) {
+    return {
+      x: this.margin + (id % this.columns) * (this.tileWidth + this.spacing),
+      y: this.margin + Math.floor(id / this.columns) * (this.tileHeight + this.spacing),
+      width: this.tileWidth,
+      height: this.tileHeight
+    };
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Tileset ${this.name}]`;
+  }
+}
+
+/**
+ * Class representing a map made with Tiled. Orthogonal maps in the JSON format are supported, including infinite maps.
+ * Its tilesets reuse images of {@link ImageManager}, so register the tileset images as images beforehand.
+ * The map itself does not change, so keep positions of characters in the state and the map outside of it.
+ * @param {Object} json map JSON exported by Tiled. External tilesets must be embedded. See {@link Tilemap.load}
+ * @param {ImageManager} imageManager image manager which has the tileset images
+ * @param {Object} [opt] options
+ * @param {Object.<string, string>} [opt.tilesets] image names keyed by tileset names. Tilesets not given here use the image of the same name,
+ * or the image whose source path is the same as the tileset image
+ * @param {string} [opt.basePath=''] path of the directory of the map, which is used to resolve tileset images
+ * @param {number} [opt.tickRate=60] ticks per second used to play animated tiles
+ * @param {string} [opt.collisionProperty='collides'] name of the tile property which makes tiles solid
+ */
+class Tilemap {
+  constructor(json, imageManager, opt = {}) {
+    if (('orientation' in json ? json.orientation : 'orthogonal') !== 'orthogonal') {
+      Logger.error(`Tilemap supports only orthogonal maps, not ${json.orientation} ones!`);
+    }
+    this.imageManager = imageManager;
+    /** @member {number} */
+    this.width = json.width;
+    /** @member {number} */
+    this.height = json.height;
+    /** @member {number} */
+    this.tileWidth = json.tilewidth;
+    /** @member {number} */
+    this.tileHeight = json.tileheight;
+    /** @member {boolean} */
+    this.infinite = 'infinite' in json ? json.infinite : false;
+    /** @member {Object} */
+    this.properties = Tileset.parseProperties(json.properties);
+    this.tickRate = 'tickRate' in opt ? opt.tickRate : 60;
+    this.collisionProperty = 'collisionProperty' in opt ? opt.collisionProperty : 'collides';
+
+    const basePath = 'basePath' in opt ? opt.basePath : '';
+    const imageNames = 'tilesets' in opt ? opt.tilesets : {};
+    /** @member {Tileset[]} */
+    this.tilesets = json.tilesets.map(tileset => {
+      if ('source' in tileset && !('tilewidth' in tileset)) {
+        Logger.error(`External tileset ${tileset.source} is not loaded! Please embed it or use Tilemap.load.`);
+        return new Tileset({ firstgid: tileset.firstgid, name: tileset.source, tilewidth: this.tileWidth, tileheight: this.tileHeight }, null);
+      }
+      if (!('image' in tileset)) {
+        Logger.error(`Tileset ${tileset.name} is a collection of images, which is not supported!`);
+        return new Tileset(tileset, null);
+      }
+      return new Tileset(tileset, this._findImage(tileset.name in imageNames ? imageNames[tileset.name] : tileset.name, basePath + tileset.image, tileset.image));
+    });
+
+    /** @member {Object[]} */
+    this.layers = [];
+    this._addLayers(json.layers, basePath, { visible: true, opacity: 1, offsetX: 0, offsetY: 0 });
+    this.chunks = new Map();
+  }
+
+  /**
+   * Flag of a global tile ID which flips the tile horizontally.
+   * @type {number}
+   */
+  static get FLIPPED_HORIZONTALLY() {
+    return 0x80000000;
+  }
+
+  /**
+   * Flag of a global tile ID which flips the tile vertically.
+   * @type {number}
+   */
+  static get FLIPPED_VERTICALLY() {
+    return 0x40000000;
+  }
+
+  /**
+   * Flag of a global tile ID which swaps the x and y axes of the tile.
+   * @type {number}
+   */
+  static get FLIPPED_DIAGONALLY() {
+    return 0x20000000;
+  }
+
+  /**
+   * Number of tiles in a row or a column of a cached chunk.
+   * @type {number}
+   */
+  static get CHUNK_SIZE() {
+    return 16;
+  }
+
+  /**
+   * Load a map JSON and its external tilesets.
+   * @param {string} src source path of the map JSON
+   * @param {ImageManager} imageManager image manager which has the tileset images
+   * @param {Object} [opt] options. See {@link Tilemap}
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @returns {Promise} promise of the map
+   */
+  static load(src, imageManager, opt = {}, loader = new AssetLoader()) {
+    const basePath = src.replace(/[^/]*$/, '');
+    const fetchJSON = path => loader.loadAsset({ src: path }, onBytes => AssetLoader.fetch(path, 'json', onBytes));
+    return fetchJSON(src).then(json => Promise.all(json.tilesets.map(tileset => {
+      if (!('source' in tileset)) return tileset;
+      // images of external tilesets are relative to the tilesets
+      const tilesetPath = basePath + tileset.source;
+      return fetchJSON(tilesetPath).then(external => Object.assign({}, external, {
+        firstgid: tileset.firstgid,
+        image: tilesetPath.replace(/[^/]*$/, '').slice(basePath.length) + external.image
+      }));
+    })).then(tilesets => new Tilemap(Object.assign({}, json, { tilesets }), imageManager, Object.assign({ basePath }, opt))));
+  }
+
+  _findImage(name, src, rawSrc) {
+    if (this.imageManager.images.has(name)) return name;
+    const found = Array.from(this.imageManager.images.values()).find(image => image.src === src || image.src === rawSrc);
+    if (found === undefined) {
+      Logger.error(`There is no image for tileset ${name}!`);
+      return null;
+    }
+    return found.name;
+  }
+
+  _decodeData(layer, data) {
+    if (!('encoding' in layer) || layer.encoding === 'csv') return data;
+    if ('compression' in layer && layer.compression !== '') {
+      Logger.error(`Layer ${layer.name} is compressed with ${layer.compression}, which is not supported!`);
+      return [];
+    }
+    const bytes = atob(data);
+    const gids = [];
+    for (let i = 0; i < bytes.length; i += 4) {
+      gids.push((bytes.charCodeAt(i) | bytes.charCodeAt(i + 1) << 8 | bytes.charCodeAt(i + 2) << 16 | bytes.charCodeAt(i + 3) << 24) >>> 0);
+    }
+    return gids;
+  }
+
+  _addLayers(layers, basePath, parent) {
+    layers.forEach(layer => {
+      const common = {
+        type: layer.type,
+        name: layer.name,
+        visible: parent.visible && ('visible' in layer ? layer.visible : true),
+        opacity: parent.opacity * ('opacity' in layer ? layer.opacity : 1),
+        offsetX: parent.offsetX + ('offsetx' in layer ? layer.offsetx : 0),
+        offsetY: parent.offsetY + ('offsety' in layer ? layer.offsety : 0),
+        properties: Tileset.parseProperties(layer.properties)
+      };
+      if (layer.type === 'group') {
+        this._addLayers(layer.layers, basePath, common);
+      } else if (layer.type === 'tilelayer') {
+        this.layers.push(Object.freeze(Object.assign(common, this._createTileLayer(layer), { index: this.layers.length })));
+      } else if (layer.type === 'objectgroup') {
+        this.layers.push(Object.freeze(Object.assign(common, {
+          objects: Object.freeze(layer.objects.map(obj => this._createObject(obj, common))),
+          index: this.layers.length
+        })));
+      } else if (layer.type === 'imagelayer') {
+        const image = 'image' in layer && layer.image !== '' ? this._findImage(layer.name, basePath + layer.image, layer.image) : null;
+        this.layers.push(Object.freeze(Object.assign(common, { image, index: this.layers.length })));
+      } else {
+        Logger.warn(`Layer ${layer.name} of type ${layer.type} is ignored.`);
+      }
+    });
+  }
+
+  _createTileLayer(layer) {
+    if ('chunks' in layer) {
+      const chunks = new Map(layer.chunks.map(chunk => [`${chunk.x},${chunk.y}`, this._decodeData(layer, chunk.data)]));
+      const chunkWidth = layer.chunks.length > 0 ? layer.chunks[0].width : 16;
+      const chunkHeight = layer.chunks.length > 0 ? layer.chunks[0].height : 16;
+      const xs = layer.chunks.map(chunk => chunk.x);
+      const ys = layer.chunks.map(chunk => chunk.y);
+      const [left, top] = layer.chunks.length > 0 ? [Math.min(...xs), Math.min(...ys)] : [0, 0];
+      return {
+        bounds: Object.freeze({
+          x: left,
+          y: top,
+          width: layer.chunks.length > 0 ? Math.max(...xs) + chunkWidth - left : 0,
+          height: layer.chunks.length > 0 ? Math.max(...ys) + chunkHeight - top : 0
+        }),
+        getGID: (tx, ty) => {
+          const [cx, cy] = [Math.floor(tx / chunkWidth) * chunkWidth, Math.floor(ty / chunkHeight) * chunkHeight];
+          const data = chunks.get(`${cx},${cy}`);
+          return data === undefined ? 0 : data[(ty - cy) * chunkWidth + (tx - cx)] || 0;
+        }
+      };
+    }
+    const data = this._decodeData(layer, layer.data);
+    const bounds = Object.freeze({ x: 'x' in layer ? layer.x : 0, y: 'y' in layer ? layer.y : 0, width: layer.width, height: layer.height });
+    return {
+      bounds,
+      getGID: (tx, ty) => {
+        const [x, y] = [tx - bounds.x, ty - bounds.y];
+        return x < 0 || y < 0 || x >= bounds.width || y >= bounds.height ? 0 : data[y * bounds.width + x] || 0;
+      }
+    };
+  }
+
+  _createObject(obj, layer) {
+    const gid = 'gid' in obj ? obj.gid : 0;
+    return Object.freeze({
+      id: obj.id,
+      name: 'name' in obj ? obj.name : '',
+      type: 'class' in obj ? obj.class : 'type' in obj ? obj.type : '',
+      x: obj.x + layer.offsetX,
+      y: obj.y + layer.offsetY,
+      width: 'width' in obj ? obj.width : 0,
+      height: 'height' in obj ? obj.height : 0,
+      rotation: ('rotation' in obj ? obj.rotation : 0) * Math.PI / 180,
+      visible: 'visible' in obj ? obj.visible : true,
+      point: 'point' in obj ? obj.point : false,
+      ellipse: 'ellipse' in obj ? obj.ellipse : false,
+      polygon: 'polygon' in obj ? Object.freeze(obj.polygon.map(p => new Vector2d(p.x, p.y))) : null,
+      polyline: 'polyline' in obj ? Object.freeze(obj.polyline.map(p => new Vector2d(p.x, p.y))) : null,
+      tile: gid === 0 ? null : this.resolveGID(gid),
+      properties: Tileset.parseProperties(obj.properties)
+    });
+  }
+
+  /**
+   * Size of the map in pixels. It can be given to {@link Camera2d} as bounds.
+   * Infinite maps have no fixed size, so the size of their first tile layer is used.
+   * @type {Object}
+   */
+  get bounds() {
+    if (this.infinite) {
+      const layer = this.layers.find(l => l.type === 'tilelayer');
+      if (layer === undefined) return { x: 0, y: 0, width: 0, height: 0 };
+      return {
+        x: layer.bounds.x * this.tileWidth,
+        y: layer.bounds.y * this.tileHeight,
+        width: layer.bounds.width * this.tileWidth,
+        height: layer.bounds.height * this.tileHeight
+      };
+    }
+    return { x: 0, y: 0, width: this.width * this.tileWidth, height: this.height * this.tileHeight };
+  }
+
+  /**
+   * Get a layer.
+   * @param {string} name layer name. Layers in groups are also found by their own names
+   * @returns {?Object} the layer
+   */
+  getLayer(name) {
+    const layer = this.layers.find(l => l.name === name);
+    if (layer === undefined) {
+      Logger.error(`Tilemap has no layer of name ${name}!`);
+      return null;
+    }
+    return layer;
+  }
+
+  /**
+   * Resolve a global tile ID.
+   * @param {number} gid global tile ID which may have flip flags
+   * @returns {?Object} tile which has `gid`, `id`, `tileset`, `type`, `properties`, `flippedHorizontally`, `flippedVertically` and `flippedDiagonally`,
+   * or `null` if it is empty
+   */
+  resolveGID(gid) {
+    // bits 28-31 are flags
+    const rawGID = gid & 0x0FFFFFFF;
+    if (rawGID === 0) return null;
+    const tileset = this.tilesets.reduce((acc, t) => t.firstgid <= rawGID && (acc === null || t.firstgid > acc.firstgid) ? t : acc, null);
+    if (tileset === null) return null;
+    const id = rawGID - tileset.firstgid;
+    const tileProps = tileset.getTileProperties(id);
+    return {
+      gid: rawGID,
+      id,
+      tileset,
+      type: tileProps.type,
+      properties: tileProps.properties,
+      flippedHorizontally: (gid & Tilemap.FLIPPED_HORIZONTALLY) !== 0,
+      flippedVertically: (gid & Tilemap.FLIPPED_VERTICALLY) !== 0,
+      flippedDiagonally: (gid & Tilemap.FLIPPED_DIAGONALLY) !== 0
+    };
+  }
+
+  _getTileLayer(name) {
+    const layer = this.getLayer(name);
+    if (layer !== null && layer.type !== 'tilelayer') {
+      Logger.error(`Layer ${name} is not a tile layer!`);
+      return null;
+    }
+    return layer;
+  }
+
+  /**
+   * Get a tile.
+   * @param {string} layerName tile layer name
+   * @param {number} tx column of the tile
+   * @param {number} ty row of the tile
+   * @returns {?Object} the tile, or `null` if it is empty. See {@link Tilemap#resolveGID}
+   */
+  getTile(layerName, tx, ty) {
+    const layer = this._getTileLayer(layerName);
+    return layer === null ? null : this.resolveGID(layer.getGID(tx, ty));
+  }
+
+  /**
+   * Get the tile at the point.
+   * @param {string} layerName tile layer name
+   * @param {number} x x-coordinate in the world
+   * @param {number} y y-coordinate in the world
+   * @returns {?Object} the tile, or `null` if it is empty. See {@link Tilemap#resolveGID}
+   */
+  getTileAt(layerName, x, y) {
+    const layer = this._getTileLayer(layerName);
+    if (layer === null) return null;
+    const pos = this.worldToTile(x - layer.offsetX, y - layer.offsetY);
+    return this.resolveGID(layer.getGID(pos.x, pos.y));
+  }
+
+  /**
+   * Convert world coordinates into the column and the row of a tile. Layer offsets are ignored.
+   * @param {number} x x-coordinate in the world
+   * @param {number} y y-coordinate in the world
+   * @returns {Vector2d} column and row
+   */
+  worldToTile(x, y) {
+    return new Vector2d(Math.floor(x / this.tileWidth), Math.floor(y / this.tileHeight));
+  }
+
+  /**
+   * Convert the column and the row of a tile into world coordinates of its upper-left corner. Layer offsets are ignored.
+   * @param {number} tx column
+   * @param {number} ty row
+   * @returns {Vector2d} world coordinates
+   */
+  tileToWorld(tx, ty) {
+    return new Vector2d(tx * this.tileWidth, ty * this.tileHeight);
+  }
+
+  /**
+   * Get the tiles overlapping the rectangle.
+   * @param {string} layerName tile layer name
+   * @param {number} x x-coordinate of the leftmost point in the world
+   * @param {number} y y-coordinate of the uppermost point in the world
+   * @param {number} width width
+   * @param {number} height height
+   * @param {function(Object): boolean} [filter] function which selects tiles
+   * @returns {Object[]} non-empty tiles which have `tx`, `ty`, `x`, `y`, `width`, `height` and `tile`
+   */
+  getTilesInRect(layerName, x, y, width, height, filter = tile => true) {
+    const layer = this._getTileLayer(layerName);
+    if (layer === null) return [];
+    const start = this.worldToTile(x - layer.offsetX, y - layer.offsetY);
+    // tiles merely touching the rectangle are excluded
+    const end = this.worldToTile(x - layer.offsetX + width - 1e-9, y - layer.offsetY + height - 1e-9);
+    const tiles = [];
+    for (let ty = start.y; ty <= end.y; ty++) {
+      for (let tx = start.x; tx <= end.x; tx++) {
+        const tile = this.resolveGID(layer.getGID(tx, ty));
+        if (tile !== null && filter(tile)) {
+          const pos = this.tileToWorld(tx, ty);
+          tiles.push({ tx, ty, x: pos.x + layer.offsetX, y: pos.y + layer.offsetY, width: this.tileWidth, height: this.tileHeight, tile });
+        }
+      }
+    }
+    return tiles;
+  }
+
+  _isSolidTile(tile) {
+    return this.collisionProperty in tile.properties && Boolean(tile.properties[this.collisionProperty]);
+  }
+
+  _getTileLayerNames(layerNames) {
+    return layerNames === null ? this.layers.filter(layer => layer.type === 'tilelayer').map(layer => layer.name) : layerNames;
+  }
+
+  /**
+   * Check if the tile is solid, which means it has the collision property.
+   * @param {number} tx column
+   * @param {number} ty row
+   * @param {?string[]} [layerNames=null] names of tile layers to check. If it is `null`, then all tile layers
+   * @returns {boolean} `true` if solid in any layer
+   */
+  isSolid(tx, ty, layerNames = null) {
+    return this._getTileLayerNames(layerNames).some(name => {
+      const tile = this.getTile(name, tx, ty);
+      return tile !== null && this._isSolidTile(tile);
+    });
+  }
+
+  /**
+   * Get the solid tiles overlapping the rectangle. It is useful for the collision of characters.
+   * @param {number} x x-coordinate of the leftmost point in the world
+   * @param {number} y y-coordinate of the uppermost point in the world
+   * @param {number} width width
+   * @param {number} height height
+   * @param {?string[]} [layerNames=null] names of tile layers to check. If it is `null`, then all tile layers
+   * @returns {Object[]} solid tiles. See {@link Tilemap#getTilesInRect}
+   */
+  getSolidTilesInRect(x, y, width, height, layerNames = null) {
+    return this._getTileLayerNames(layerNames)
+      .reduce((acc, name) => acc.concat(this.getTilesInRect(name, x, y, width, height, tile => this._isSolidTile(tile))), []);
+  }
+
+  /**
+   * Check if the rectangle overlaps solid tiles.
+   * @param {number} x x-coordinate of the leftmost point in the world
+   * @param {number} y y-coordinate of the uppermost point in the world
+   * @param {number} width width
+   * @param {number} height height
+   * @param {?string[]} [layerNames=null] names of tile layers to check. If it is `null`, then all tile layers
+   * @returns {boolean} `true` if it overlaps
+   */
+  collides(x, y, width, height, layerNames = null) {
+    return this.getSolidTilesInRect(x, y, width, height, layerNames).length > 0;
+  }
+
+  /**
+   * Get the objects of an object layer.
+   * @param {string} layerName object layer name
+   * @returns {Object[]} objects, whose rotation is expressed in radians
+   */
+  getObjects(layerName) {
+    const layer = this.getLayer(layerName);
+    if (layer !== null && layer.type !== 'objectgroup') {
+      Logger.error(`Layer ${layerName} is not an object layer!`);
+      return [];
+    }
+    return layer === null ? [] : layer.objects;
+  }
+
+  /**
+   * Find an object by its name in all object layers.
+   * @param {string} name object name
+   * @returns {?Object} the object
+   */
+  findObject(name) {
+    const found = this.layers.filter(layer => layer.type === 'objectgroup')
+      .reduce((acc, layer) => acc.concat(layer.objects), [])
+      .find(obj => obj.name === name);
+    return found === undefined ? null : found;
+  }
+
+  _drawTile(context, tile, id, x, y) {
+    const image = tile.tileset.imageName === null ? null : this.imageManager.getImage(tile.tileset.imageName);
+    if (image === null) return false;
+    const src = tile.tileset.getSourceRect(id);
+    // tiles larger than the grid are aligned to the bottom
+    const dx = x + tile.tileset.offsetX;
+    const dy = y + this.tileHeight - src.height + tile.tileset.offsetY;
+    if (!tile.flippedHorizontally && !tile.flippedVertically && !tile.flippedDiagonally) {
+      context.drawImage(image, src.x, src.y, src.width, src.height, dx, dy, src.width, src.height);
+      return true;
+    }
+    // the same order as Tiled: the diagonal flip is a rotation followed by a horizontal flip
+    let [flipX, flipY] = [tile.flippedHorizontally, tile.flippedVertically];
+    context.save();
+    context.translate(dx + src.width / 2, dy + src.height / 2);
+    if (tile.flippedDiagonally) {
+      context.rotate(Math.PI / 2);
+      [flipX, flipY] = [flipY, !flipX];
+    }
+    context.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+    context.drawImage(image, src.x, src.y, src.width, src.height, -src.width / 2, -src.height / 2, src.width, src.height);
+    context.restore();
+    return true;
+  }
+
+  _getPadding() {
+    return {
+      right: Math.max(0, ...this.tilesets.map(tileset => tileset.tileWidth + Math.max(0, tileset.offsetX) - this.tileWidth)),
+      top: Math.max(0, ...this.tilesets.map(tileset => tileset.tileHeight - Math.min(0, tileset.offsetY) - this.tileHeight))
+    };
+  }
+
+  _getChunk(layer, cx, cy) {
+    const key = `${layer.index}:${cx},${cy}`;
+    if (this.chunks.has(key)) return this.chunks.get(key);
+    const size = Tilemap.CHUNK_SIZE;
+    const padding = this._getPadding();
+    const animated = [];
+    let canvas = null;
+    let complete = true;
+    for (let ty = cy * size; ty < (cy + 1) * size; ty++) {
+      for (let tx = cx * size; tx < (cx + 1) * size; tx++) {
+        const tile = this.resolveGID(layer.getGID(tx, ty));
+        if (tile === null) continue;
+        if (tile.tileset.isAnimated(tile.id)) {
+          animated.push({ tx, ty, tile });
+          continue;
+        }
+        if (canvas === null) {
+          canvas = document.createElement('canvas');
+          canvas.width = size * this.tileWidth + padding.right;
+          canvas.height = size * this.tileHeight + padding.top;
+        }
+        const drawn = this._drawTile(canvas.getContext('2d'), tile, tile.id, (tx - cx * size) * this.tileWidth, (ty - cy * size) * this.tileHeight + padding.top);
+        complete = complete && drawn;
+      }
+    }
+    const chunk = { canvas, animated, top: padding.top };
+    // chunks drawn before their images are loaded are drawn again
+    if (complete) this.chunks.set(key, chunk);
+    return chunk;
+  }
+
+  /**
+   * Discard the cached chunks. Call it after tileset images are reloaded.
+   */
+  clearCache() {
+    this.chunks.clear();
+  }
+
+  /**
+   * Draw the layers in the viewport. Static tiles are drawn through cached chunks, and animated tiles are drawn every time.
+   * Draw it in world coordinates, for example inside {@link Camera2d#apply}.
+   * @param {Painter2d} painter painter
+   * @param {Counters} counters counters
+   * @param {Object} viewRect world rectangle to draw, such as {@link Camera2d#getViewRect}
+   * @param {number} viewRect.x x-coordinate of the leftmost point
+   * @param {number} viewRect.y y-coordinate of the uppermost point
+   * @param {number} viewRect.width width
+   * @param {number} viewRect.height height
+   * @param {Object} [opt] options
+   * @param {string[]} [opt.layers] names of the layers to draw. If it is omitted, then all visible tile and image layers
+   */
+  draw(painter, counters, viewRect, opt = {}) {
+    // images are not loaded in headless games
+    if (painter instanceof NullPainter2d) return;
+    const layers = 'layers' in opt ? opt.layers.map(name => this.getLayer(name)).filter(layer => layer !== null) : this.layers.filter(layer => layer.visible);
+    const time = counters.general * 1000 / this.tickRate;
+    const size = Tilemap.CHUNK_SIZE;
+    const padding = this._getPadding();
+    layers.forEach(layer => {
+      painter.setGlobalAlphaAndDraw(layer.opacity, () => {
+        if (layer.type === 'imagelayer' && layer.image !== null) {
+          painter.image(layer.image, layer.offsetX, layer.offsetY);
+        }
+        if (layer.type !== 'tilelayer') return;
+        const bounds = layer.bounds;
+        // oversized tiles in the next chunks may reach the viewport
+        const start = this.worldToTile(viewRect.x - layer.offsetX - padding.right, viewRect.y - layer.offsetY);
+        const end = this.worldToTile(viewRect.x - layer.offsetX + viewRect.width, viewRect.y - layer.offsetY + viewRect.height + padding.top);
+        const [left, top] = [Math.max(start.x, bounds.x), Math.max(start.y, bounds.y)];
+        const [right, bottom] = [Math.min(end.x, bounds.x + bounds.width - 1), Math.min(end.y, bounds.y + bounds.height - 1)];
+        if (left > right || top > bottom) return;
+        for (let cy = Math.floor(top / size); cy <= Math.floor(bottom / size); cy++) {
+          for (let cx = Math.floor(left / size); cx <= Math.floor(right / size); cx++) {
+            const chunk = this._getChunk(layer, cx, cy);
+            if (chunk.canvas !== null) {
+              painter.image(chunk.canvas, layer.offsetX + cx * size * this.tileWidth, layer.offsetY + cy * size * this.tileHeight - chunk.top);
+            }
+            chunk.animated.filter(a => a.tx >= left && a.tx <= right && a.ty >= top && a.ty <= bottom).forEach(a => {
+              const pos = this.tileToWorld(a.tx, a.ty);
+              this._drawTile(painter.context, a.tile, a.tile.tileset.getAnimatedID(a.tile.id, time), pos.x + layer.offsetX, pos.y + layer.offsetY);
+            });
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Tilemap ${this.width}x${this.height}]`;
+  }
+}
+
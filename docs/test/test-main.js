@@ -55,7 +55,7 @@
       if (action.keyboard.isPressed('ArrowDown'))
         row = (row + 1) % TitleScene.ROWS[column].length;
 
-      if (column === 3 && action.keyboard.isPressed('Space', 'Enter')) {
+      if (column === 3 && action.isPressed('confirm')) {
         switch (row) {
         case 0:
           Logger.debug('debug message');
@@ -96,7 +96,7 @@
       const column = state.getState('column');
       const row = state.getState('row');
 
-      if (action.keyboard.isPressed('Space', 'Enter')) {
+      if (action.isPressed('confirm')) {
         switch (column) {
         case 0:
           return Transition.Trans(`Painter2d-${row}`);
@@ -169,7 +169,7 @@
     }
 
     update(state, action, counters, sound, game) {
-      if (action.keyboard.isPressed('Space', 'Enter'))
+      if (action.isPressed('confirm'))
         return state.modifyState('progress', x => x + 1);
       return state;
     }
@@ -230,7 +230,7 @@
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -275,7 +275,7 @@
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -314,7 +314,7 @@
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -368,7 +368,7 @@
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -413,7 +413,7 @@
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -463,7 +463,7 @@
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -479,7 +479,7 @@
     }
 
     update(state, action, counters, sound, game) {
-      if (action.keyboard.isPressed('Space', 'Enter')) return state.modifyState('progress', x => x + 1);
+      if (action.isPressed('confirm')) return state.modifyState('progress', x => x + 1);
       return state;
     }
 
@@ -593,7 +593,7 @@ mollit anim id est laborum.`;
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -609,7 +609,7 @@ mollit anim id est laborum.`;
     }
 
     update(state, action, counters, sound, game) {
-      if (action.keyboard.isPressed('Space', 'Enter')) return state.modifyState('progress', x => x + 1);
+      if (action.isPressed('confirm')) return state.modifyState('progress', x => x + 1);
       return state;
     }
 
@@ -737,7 +737,7 @@ mollit anim id est laborum.`;
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -792,7 +792,7 @@ mollit anim id est laborum.`;
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -803,25 +803,14 @@ mollit anim id est laborum.`;
 
     init(state, counters, game) {
       return State.init({
-        speed: 1.0,
-        fade: { start: -1, mode: 'none' }
+        speed: 1.0
       });
     }
 
     update(state, action, counters, sound, game) {
       const speed = state.getState('speed');
-      const fade = state.getState('fade');
 
-      if (fade.mode === 'in') {
-        sound.fadeBGM(180, counters.scene - fade.start, false);
-        if (counters.scene - fade.start >= 180) fade.mode = 'none';
-      }
-      if (fade.mode === 'out') {
-        sound.fadeBGM(180, counters.scene - fade.start, true);
-        if (counters.scene - fade.start >= 180) fade.mode = 'none';
-      }
-
-      if (action.keyboard.isPressed('Space', 'Enter')) {
+      if (action.isPressed('confirm')) {
         sound.stopBGM();
       }
 
@@ -848,12 +837,10 @@ mollit anim id est laborum.`;
           return state.setState('speed', 1.2);
         }
         if (action.mouse.position.isInRectangle(50, 400, 150, 40)) {
-          sound.playBGM('theme', { speed });
-          sound.changeBGMParams({ volume: 0.0 });
-          return state.setState('fade', { start: counters.scene, mode: 'in' });
+          sound.playBGM('theme', { speed, fade: 3.0 });
         }
         if (action.mouse.position.isInRectangle(50, 500, 150, 40)) {
-          return state.setState('fade', { start: counters.scene, mode: 'out' });
+          sound.fadeOutBGM(3.0);
         }
       }
       return state;
@@ -887,7 +874,7 @@ mollit anim id est laborum.`;
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -918,7 +905,7 @@ mollit anim id est laborum.`;
       const optionNum = SoundTestScene2.OPTIONS.length;
       const cursor = state.getState('cursor');
 
-      if (action.keyboard.isPressed('Space', 'Enter')) {
+      if (action.isPressed('confirm')) {
         if (cursor === 0) sound.playBGM(sound.getNameFromID(state.getState('bgmId'), SoundType.BGM));
         if (cursor === 1) sound.playSE(sound.getNameFromID(state.getState('seId'), SoundType.SE));
         if (cursor === 4) sound.stopBGM();
@@ -970,7 +957,7 @@ mollit anim id est laborum.`;
     }
 
     transition(state, action, counters, game) {
-      return action.keyboard.isPressed('Space', 'Enter') && state.getState('cursor') === 4 ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') && state.getState('cursor') === 4 ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -1017,7 +1004,7 @@ mollit anim id est laborum.`;
     }
 
     transition(state, action, counter, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -1064,7 +1051,7 @@ mollit anim id est laborum.`;
     }
 
     transition(state, action, counter, game) {
-      return action.keyboard.isPressed('Space', 'Enter') ? Transition.Trans('title') : Transition.Stay();
+      return action.isPressed('confirm') ? Transition.Trans('title') : Transition.Stay();
     }
   };
 
@@ -1103,7 +1090,12 @@ mollit anim id est laborum.`;
       { name: 'se1', src: 'sound/se01a.wav', type: SoundType.SE },
       { name: 'se2', src: 'sound/se02a.mp3', type: SoundType.SE },
       { name: 'theme', src: 'sound/reversible_world.ogg', type: SoundType.BGM, loop: true }
-    ]
+    ],
+    inputMap: {
+      buttons: {
+        confirm: [{ keyboard: 'Space' }, { keyboard: 'Enter' }, { gamepad: GamepadButton.A }]
+      }
+    }
   }).center().autorun(recorder);
   // }).center().run({ displayFPS: true, recorder });
   // }).center().debug({ displayFPS: true });
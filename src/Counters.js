@@ -6,7 +6,7 @@
 class Counters {
   constructor(general = 0, scene = 0) {
     /**
-     * General counter.
+     * General counter. It counts logical ticks, not rendered frames.
      * @member {number}
      */
     this.general = general;
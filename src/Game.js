@@ -8,8 +8,15 @@
  * @param {State} [obj.state] the first state
  * @param {Object[]} [obj.images] image properties. See {@link ImageManager}
  * @param {Object[]} [obj.sounds] sound properties. See {@link SoundManager}
+ * @param {Object.<string, Object>} [obj.bundles] asset bundles loaded only when scenes need them. See {@link BundleManager}
+ * @param {Scene} [obj.loadingScene] scene drawn while assets are loading. See {@link LoadingScene}
+ * @param {function(Object)} [obj.onLoadProgress] function called with the loading progress. See {@link AssetLoader#progress}
+ * @param {boolean} [obj.webAudio=true] if `true`, then sounds are played with Web Audio API if available. See {@link WebAudioSoundManager}
  * @param {number} [obj.width=600] canvas width
  * @param {number} [obj.height=600] canvas height
+ * @param {number} [obj.seed] seed of the random number generator. See {@link Random}
+ * @param {(InputMap|Object)} [obj.inputMap] bindings of named actions. See {@link InputMap}
+ * @param {boolean} [obj.headless=false] if `true`, then the game uses neither DOM nor canvas. See {@link Game#simulate}
  */
 class Game {
   constructor(obj) {
@@ -18,6 +25,8 @@ class Game {
       this.firstScene = obj.firstScene;
       this.firstState = 'state' in obj ? obj.state : State.init({});
       this.name = 'name' in obj ? obj.name : null;
+      /** @member {Random} */
+      this.random = new Random('seed' in obj ? obj.seed : Random.createSeed());
 
       this._fps = (() => {
         const millisecondsBetweenTwoFrame = [0.0, 0.0];
@@ -47,36 +56,126 @@ class Game {
           },
           stop: () => {
             persist = false;
-          }
+          },
+          pause: () => {
+            persist = false;
+            flag = false;
+          },
+          isPlaying: () => persist
+        };
+      })();
+      this._timestep = (() => {
+        let tickRate = null;
+        let maxCatchUp = 5;
+        let accumulator = 0.0;
+        let lastStamp = null;
+        let pendingTicks = 0;
+        const tickLength = () => 1000.0 / tickRate;
+        // tolerance against rounding errors of the accumulator
+        const epsilon = 1e-6;
+        return {
+          isFixed: () => tickRate !== null,
+          configure: (rate, maxTicks) => {
+            tickRate = rate;
+            maxCatchUp = Math.max(1, maxTicks);
+            accumulator = 0.0;
+            lastStamp = null;
+            pendingTicks = 0;
+          },
+          advance: (stamp) => {
+            if (tickRate === null) {
+              pendingTicks = 1;
+            } else {
+              if (lastStamp !== null) accumulator = Math.min(accumulator + stamp - lastStamp, tickLength() * maxCatchUp);
+              lastStamp = stamp;
+            }
+          },
+          step: () => {
+            if (tickRate === null) pendingTicks = 1;
+            else accumulator = tickLength();
+            lastStamp = null;
+          },
+          suspend: () => {
+            lastStamp = null;
+          },
+          consume: () => {
+            if (tickRate === null) {
+              if (pendingTicks <= 0) return false;
+              pendingTicks--;
+              return true;
+            } else {
+              if (accumulator + epsilon < tickLength()) return false;
+              accumulator -= tickLength();
+              return true;
+            }
+          },
+          getAlpha: () => tickRate === null ? 0.0 : Math.max(0.0, accumulator / tickLength())
         };
       })();
       Object.freeze(this._fps);
       Object.freeze(this._animationState);
+      Object.freeze(this._timestep);
 
-      this.divElem = {
-        base: document.getElementById('divId' in obj ? obj.divId : 'koturno-ui'),
-        canvas: document.createElement('div'),
-        frame: null,
-        ctrl: null,
-        log: null,
-        timeline: null
-      };
-      this.canvas = document.createElement('canvas');
-      this.canvas.width = 'width' in obj ? Math.floor(obj.width) : 600;
-      this.canvas.height = 'height' in obj ? Math.floor(obj.height) : 600;
-      this.divElem.base.setAttribute('style', `width: ${this.canvas.width}px; height: ${this.canvas.height}px; border: 1px #ccc solid;`);
-      this.divElem.canvas.appendChild(this.canvas);
+      /** @member {boolean} */
+      this.headless = 'headless' in obj ? obj.headless : false;
+      const width = 'width' in obj ? Math.floor(obj.width) : 600;
+      const height = 'height' in obj ? Math.floor(obj.height) : 600;
       this.divExpansionRate = 1;
       this.centering = false;
 
       /** @member {ImageManager} */
       this.imageManager = new ImageManager('images' in obj ? obj.images : []);
-      /** @member {SoundManager} */
-      this.soundManager = new SoundManager('sounds' in obj ? obj.sounds : []);
-      this.painter = new Painter2d(this.canvas, this.imageManager);
-      this.action = new ActionManager(this.canvas);
+      if (this.headless) {
+        this.divElem = {
+          base: null,
+          canvas: null,
+          frame: null,
+          ctrl: null,
+          log: null,
+          timeline: null,
+          inspector: null,
+          play: null
+        };
+        /** @member {SoundManager} */
+        this.soundManager = new NullSoundManager('sounds' in obj ? obj.sounds : []);
+        this.painter = new NullPainter2d(width, height, this.imageManager);
+        this.canvas = this.painter.canvas;
+      } else {
+        this.divElem = {
+          base: document.getElementById('divId' in obj ? obj.divId : 'koturno-ui'),
+          canvas: document.createElement('div'),
+          frame: null,
+          ctrl: null,
+          log: null,
+          timeline: null,
+          inspector: null,
+          play: null
+        };
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.divElem.base.setAttribute('style', `width: ${this.canvas.width}px; height: ${this.canvas.height}px; border: 1px #ccc solid;`);
+        this.divElem.canvas.appendChild(this.canvas);
+
+        /** @member {SoundManager} */
+        this.soundManager = ('webAudio' in obj ? obj.webAudio : true) && WebAudioSoundManager.isSupported() ?
+          new WebAudioSoundManager('sounds' in obj ? obj.sounds : []) :
+          new SoundManager('sounds' in obj ? obj.sounds : []);
+        this.painter = new Painter2d(this.canvas, this.imageManager);
+      }
+      this.action = new ActionManager(this.canvas, 'inputMap' in obj ? obj.inputMap : new InputMap());
+      /** @member {AssetLoader} */
+      this.loader = new AssetLoader({ onProgress: 'onLoadProgress' in obj ? obj.onLoadProgress : () => {} });
+      /** @member {BundleManager} */
+      this.bundleManager = new BundleManager('bundles' in obj ? obj.bundles : {}, this.imageManager, this.soundManager, this.loader);
+      /** @member {Scene} */
+      this.loadingScene = 'loadingScene' in obj ? obj.loadingScene : new LoadingScene();
 
       this.timelineCanvasPainter = null;
+      this._history = null;
+      this._inspector = null;
+      // scenes whose bundles are acquired, which are released when the game resumes from a snapshot
+      this._heldScenes = [];
     } else {
       Logger.fatal("Game must have 'scenes' and 'firstScene'!");
     }
@@ -106,6 +205,30 @@ class Game {
     return this._fps.getValue();
   }
 
+  /**
+   * Whether the game runs with fixed timestep or not.
+   * @member {boolean}
+   */
+  get fixedTimestep() {
+    return this._timestep.isFixed();
+  }
+
+  /**
+   * Set timestep of the game loop.
+   * If `tickRate` is `null`, then the scenes are updated once per animation frame.
+   * @param {?number} tickRate logical ticks per second
+   * @param {number} [maxCatchUp=5] maximum number of ticks processed in one animation frame
+   * @returns {Game} this
+   */
+  setTimestep(tickRate, maxCatchUp = 5) {
+    if (tickRate !== null && !(tickRate > 0)) {
+      Logger.error(`Tick rate must be positive!\ntick rate: ${tickRate}`);
+    } else {
+      this._timestep.configure(tickRate, maxCatchUp);
+    }
+    return this;
+  }
+
   /**
    * Center the canvas.
    * @returns {Game} this
@@ -142,16 +265,39 @@ class Game {
     }
   }
 
-  _setDebugUI() {
+  _setDebugUI(recorder) {
     const sideDiv = document.createElement('div');
     this.divElem.frame = document.createElement('div');
     this.divElem.ctrl = document.createElement('div');
     this.divElem.log = document.createElement('div');
     this.divElem.timeline = document.createElement('div');
+    this.divElem.inspector = document.createElement('div');
+    this._inspector = new StateInspector(this.divElem.inspector, () => !this._animationState.isPlaying());
 
     const timelineCanvas = document.createElement('canvas');
     this.timelineCanvasPainter = new Painter2d(timelineCanvas, new ImageManager([]));
     this.divElem.timeline.appendChild(timelineCanvas);
+    // scrub along the timeline by dragging or the wheel
+    let dragging = false;
+    const travelToRow = y => {
+      const frame = recorder.timelineFrameAt(this.timelineCanvasPainter, recorder.data.length - 1, this._history.cursor, y);
+      if (frame !== null) this._travelTo(frame, recorder);
+    };
+    timelineCanvas.addEventListener('mousedown', e => {
+      dragging = true;
+      travelToRow(e.offsetY);
+    });
+    timelineCanvas.addEventListener('mousemove', e => {
+      if (dragging) travelToRow(e.offsetY);
+    });
+    window.addEventListener('mouseup', () => {
+      dragging = false;
+    });
+    timelineCanvas.addEventListener('wheel', e => {
+      e.preventDefault();
+      const current = this._history.cursor !== null ? this._history.cursor : this._history.newestFrame;
+      if (current !== null) this._travelTo(current + Math.sign(e.deltaY), recorder);
+    });
 
     if (this.centering) {
       const onResize = () => {
@@ -163,7 +309,7 @@ class Game {
       this._setDivStyle(this.canvas.width, this.canvas.height);
     }
 
-    this.divElem.ctrl.appendChild(this._createCtrlUI());
+    this.divElem.ctrl.appendChild(this._createCtrlUI(recorder));
 
     sideDiv.setAttribute('style', 'float: left;');
     sideDiv.appendChild(this.divElem.frame);
@@ -174,23 +320,32 @@ class Game {
     this.divElem.base.appendChild(this.divElem.canvas);
     this.divElem.base.appendChild(sideDiv);
     this.divElem.base.appendChild(this.divElem.timeline);
+    this.divElem.base.appendChild(this.divElem.inspector);
   }
 
-  _createCtrlUI() {
+  _createCtrlUI(recorder) {
     const div0 = document.createElement('div');
     const div1 = document.createElement('div');
     div0.setAttribute('style', 'text-align: center; padding: 8px;');
     div1.setAttribute('style', 'border: 1px #0f0 solid; display: inline-block; margin: auto; font-size: 20px;');
     div0.appendChild(div1);
 
+    const stepBackwardI = document.createElement('i');
     const stepForwardI = document.createElement('i');
     const playI = document.createElement('i');
+    stepBackwardI.setAttribute('style', 'background-color: #000; color: #0f0; width: 25.7px; height: 20px;');
+    stepBackwardI.setAttribute('class', 'fa fa-fw fa-step-backward');
+    stepBackwardI.setAttribute('title', 'step backward');
     stepForwardI.setAttribute('style', 'background-color: #000; color: #0f0; width: 25.7px; height: 20px;');
     stepForwardI.setAttribute('class', 'fa fa-fw fa-step-forward');
     stepForwardI.setAttribute('title', 'step forward');
     playI.setAttribute('style', 'background-color: #000; color: #0f0; width: 25.7px; height: 20px;');
     playI.setAttribute('class', 'fa fa-fw fa-play');
     playI.setAttribute('title', 'play');
+    stepBackwardI.addEventListener('mousedown', () => {
+      const current = this._history.cursor !== null ? this._history.cursor : this._history.newestFrame;
+      if (current !== null) this._travelTo(current - 1, recorder);
+    });
     stepForwardI.addEventListener('mousedown', () => {
       this._animationState.next();
     });
@@ -205,8 +360,10 @@ class Game {
         playI.setAttribute('title', 'pause');
       }
     });
+    div1.appendChild(stepBackwardI);
     div1.appendChild(stepForwardI);
     div1.appendChild(playI);
+    this.divElem.play = playI;
 
     return div0;
   }
@@ -222,6 +379,8 @@ class Game {
       `overflow: scroll; background-color: #000; border: 3px #0f0 solid;`);
     this.divElem.timeline.setAttribute('style', `width: ${baseWidth - 3}px; height: ${Math.round(baseHeight / 3) - 3}px; ` +
       `overflow: scroll; background-color: #000; border: 3px #0f0 solid;`);
+    this.divElem.inspector.setAttribute('style', `width: ${baseWidth - 3}px; height: ${Math.round(baseHeight / 3) - 3}px; ` +
+      `overflow: scroll; background-color: #000; border: 3px #0f0 solid; color: #0f0; font-family: monospace;`);
     this.timelineCanvasPainter.canvas.width = baseWidth - 3;
     this.timelineCanvasPainter.canvas.height = Math.round(baseHeight / 3) - 3;
 
@@ -235,6 +394,62 @@ class Game {
     recorder.printTimeline(this.timelineCanvasPainter, counters.general);
   }
 
+  /**
+   * Pause the game, and show the snapshot of the frame.
+   * The game resumes from the frame when it is played or stepped forward.
+   * @param {number} frame general counter
+   * @param {Recorder} recorder recorder
+   * @protected
+   */
+  _travelTo(frame, recorder) {
+    this._animationState.pause();
+    this.divElem.play.setAttribute('class', 'fa fa-fw fa-play');
+    this.divElem.play.setAttribute('title', 'play');
+    const snapshot = this._history.seek(frame);
+    if (snapshot !== null) {
+      snapshot.draw(this.painter);
+      this._inspect(snapshot);
+      this.divElem.frame.innerHTML = snapshot.counters.toString();
+      recorder.printTimeline(this.timelineCanvasPainter, recorder.data.length - 1, snapshot.counters.general);
+    }
+  }
+
+  /**
+   * Show the state of the snapshot on the inspector, compared with the snapshot of the previous frame.
+   * @param {Object} snapshot snapshot taken in the main loop
+   * @protected
+   */
+  _inspect(snapshot) {
+    const previous = this._history.find(snapshot.counters.general - 1);
+    this._inspector.show(snapshot.scene, snapshot.state, previous !== null ? previous.state : null);
+  }
+
+  /**
+   * Resume the game from the snapshot, and discard the record after it.
+   * @param {Object} snapshot snapshot taken in the main loop
+   * @param {Recorder} recorder recorder
+   * @param {function} f function called when the bundles of the scenes are loaded
+   * @protected
+   */
+  _resumeFrom(snapshot, recorder, f) {
+    Logger.debug(`Resumed from ${snapshot.counters.general}f.`);
+    recorder.resetAfter(snapshot.counters.general);
+    recorder.startRecord();
+    this.random.restore(snapshot.random);
+    // acquire the bundles of the snapshot before releasing the current ones, so that shared assets stay loaded
+    const held = [...this._heldScenes];
+    const scenes = [...snapshot.stack.map(frozen => this.scenes.getScene(frozen.name)), this.scenes.getScene(snapshot.scene)];
+    const acquire = i => {
+      if (i < scenes.length) {
+        this._acquireBundles(scenes[i], () => acquire(i + 1));
+      } else {
+        this._releaseBundles(...held);
+        f();
+      }
+    };
+    acquire(0);
+  }
+
   _displayFPS() {
     const textOptions = Object.assign({}, this.painter.recentTextOptions);
     this.painter.setGlobalAlphaAndDraw(0.8, () => {
@@ -246,76 +461,139 @@ class Game {
   }
 
   /**
-   * Start the game.
-   * @param {boolean} debug if `true`, then start as debug mode
+   * Create the main loop of the scenes.
+   * @param {function} requestNextFrame function to schedule the next tick
+   * @param {boolean} debug if `true`, then update debug information
    * @param {boolean} displayFPS if `true`, then display current FPS
-   * @param {Recorder} [recorder]
+   * @param {?Recorder} recorder recorder
+   * @param {function} [observe] callback called with the scene name, the updated state and the counters after every update
+   * @returns {function} main loop, which takes the scene name, the first state and the first counters
    */
-  start(debug, displayFPS, recorder) {
-    const requestNextFrame = f => {
-      window.requestAnimationFrame(stamp => {
-        if (debug && !this._animationState.getFlag()) {
-          requestNextFrame(f);
-        } else {
-          this._animationState.reset();
-          this._fps.update(stamp);
-          f();
-        }
-      });
+  _createMainLoop(requestNextFrame, debug, displayFPS, recorder, observe = () => {}) {
+    // draw the scene over the image of the frozen scenes beneath
+    const render = (painter, scene, state, counters, below, alpha) => {
+      if (below !== null) painter.image(below, 0, 0);
+      scene.draw(state, this.action, counters, painter, this, alpha);
     };
-    const mainLoop = (sceneName, initState, initCounters) => {
+    const drawScene = (scene, state, counters, below, alpha) => {
+      render(this.painter, scene, state, counters, below, alpha);
+      if (displayFPS) {
+        this._displayFPS();
+      }
+    };
+    const mainLoop = (sceneName, initState, initCounters, stack = [], resumption = null) => {
       const currentScene = this.scenes.getScene(sceneName);
+      const below = stack.length > 0 ? stack[stack.length - 1].image : null;
       const loop = (currentState, counters) => {
+        if (debug) {
+          const snapshot = Object.freeze({
+            scene: sceneName,
+            state: currentState,
+            counters,
+            stack,
+            random: this.random.snapshot(),
+            draw: painter => render(painter, currentScene, currentState, counters, below, 0.0),
+            restore: state => mainLoop(sceneName, state, counters, stack, { restored: true })
+          });
+          this._history.push(snapshot);
+          this._inspect(snapshot);
+        }
+        this.action.poll();
         if (recorder !== null) recorder.readAction(this.action, counters.general);
-        currentScene.draw(currentState, this.action, counters, this.painter, this);
+        if (!this._timestep.isFixed()) {
+          drawScene(currentScene, currentState, counters, below, 0.0);
+        }
 
         const nextState = currentScene.update(currentState, this.action, counters, this.soundManager, this);
-
-        currentScene.transition(currentState, this.action, counters, this).match({
-          stay: () => {
-            requestNextFrame(() => {
-              loop(nextState, counters.count());
-            });
-          },
-          trans: (nextSceneName, nextSceneCounter, transFunc) => {
+        observe(sceneName, nextState, counters);
+
+        const stay = () => {
+          const nextCounters = counters.count();
+          requestNextFrame(() => {
+            loop(nextState, nextCounters);
+          }, alpha => {
+            if (this._timestep.isFixed()) drawScene(currentScene, nextState, nextCounters, below, alpha);
+          });
+        };
+        const next = currentScene.transition(currentState, this.action, counters, this).match({
+          stay: () => stay,
+          trans: (nextSceneName, nextSceneCounter, transFunc) => () => {
             const nextScene = this.scenes.getScene(nextSceneName);
             const prevPainter = this.painter.createAnotherPainter();
             const nextPainter = this.painter.createAnotherPainter();
             const nextCounter = counters.reset(nextSceneCounter);
 
             if (nextScene !== null) {
-              // draw two scenes on unvisible canvases
-              currentScene.draw(currentState, this.action, counters, prevPainter, this);
-              nextScene.draw(nextScene.init(currentState, nextCounter, this), this.action, nextCounter, nextPainter, this);
-
-              requestNextFrame(() => {
-                transLoop({
-                  name: sceneName,
-                  img: prevPainter.canvas,
-                  state: currentState
-                }, {
-                  name: nextSceneName,
-                  img: nextPainter.canvas,
-                  counter: nextSceneCounter
-                }, counters.count().reset(), transFunc);
+              this._acquireBundles(nextScene, () => {
+                // draw two scenes on unvisible canvases
+                render(prevPainter, currentScene, currentState, counters, below, 0.0);
+                render(nextPainter, nextScene, nextScene.init(currentState, nextCounter, this), nextCounter, below, 0.0);
+                this._releaseBundles(currentScene);
+
+                requestNextFrame(() => {
+                  transLoop({
+                    name: sceneName,
+                    img: prevPainter.canvas,
+                    state: currentState,
+                    stack
+                  }, {
+                    name: nextSceneName,
+                    img: nextPainter.canvas,
+                    counter: nextSceneCounter
+                  }, counters.count().reset(), transFunc);
+                });
               });
             }
           },
-          end: () => {
+          end: () => () => {
             Logger.debug(`Game ended.\ntotal frame: ${counters.general}f`);
+            this._releaseBundles(currentScene, ...stack.map(frozen => this.scenes.getScene(frozen.name)));
             this.soundManager.finalize();
           },
-          reset: () => {
+          reset: () => () => {
+            const firstScene = this.scenes.getScene(this.firstScene);
             this.soundManager.reset();
-            requestNextFrame(() => {
-              mainLoop(this.firstScene, this.firstState, counters.hardReset());
+            this._acquireBundles(firstScene, () => {
+              this._releaseBundles(currentScene, ...stack.map(frozen => this.scenes.getScene(frozen.name)));
+              requestNextFrame(() => {
+                mainLoop(this.firstScene, this.firstState, counters.hardReset());
+              });
+            });
+          },
+          push: (nextSceneName, nextSceneCounter, drawBelow) => () => {
+            let image = null;
+            if (drawBelow) {
+              const frozenPainter = this.painter.createAnotherPainter();
+              render(frozenPainter, currentScene, currentState, counters, below, 0.0);
+              image = frozenPainter.canvas;
+            }
+            const nextStack = [...stack, {
+              name: sceneName,
+              state: currentState,
+              counters,
+              image
+            }];
+            this._acquireBundles(this.scenes.getScene(nextSceneName), () => {
+              requestNextFrame(() => {
+                mainLoop(nextSceneName, currentState, counters.count().reset(nextSceneCounter), nextStack);
+              });
             });
+          },
+          pop: (result) => {
+            if (stack.length === 0) {
+              Logger.error(`Cannot pop the scene ${sceneName}, because there is no scene beneath.`);
+              return stay;
+            }
+            return () => {
+              const frozen = stack[stack.length - 1];
+              this._releaseBundles(currentScene);
+              requestNextFrame(() => {
+                mainLoop(frozen.name, frozen.state, counters.count().reset(frozen.counters.scene + 1), stack.slice(0, -1), { result });
+              });
+            };
           }
         });
 
-        if (displayFPS) {
-          this._displayFPS();
-        }
         if (recorder !== null) {
           recorder.storeAction(this.action, counters.general);
         }
@@ -324,27 +602,27 @@ class Game {
         }
 
         this.action.resetAction();
+        next();
       };
 
       if (currentScene !== null) {
-        loop(currentScene.init(initState, initCounters, this), initCounters);
+        if (resumption === null) {
+          loop(currentScene.init(initState, initCounters, this), initCounters);
+        } else if (resumption.restored) {
+          loop(initState, initCounters);
+        } else {
+          loop(currentScene.resume(initState, resumption.result, initCounters, this), initCounters);
+        }
       }
     };
 
     const transLoop = (prev, next, counters, transFunc) => {
-      if (transFunc(prev.img, next.img, counters.scene, this.painter)) {
-        requestNextFrame(() => {
-          mainLoop(next.name, prev.state, counters.count().reset(next.counter));
-        });
-      } else {
-        requestNextFrame(() => {
-          transLoop(prev, next, counters.count(), transFunc)
-        });
-      }
+      const finished = transFunc(prev.img, next.img, counters.scene, this.painter);
 
       if (displayFPS) {
         this._displayFPS();
       }
+      this.action.poll();
       if (recorder !== null) {
         recorder.readAction(this.action, counters.general);
         recorder.storeAction(this.action, counters.general);
@@ -352,11 +630,139 @@ class Game {
       if (debug) {
         this._updateDebugInfo(counters, recorder);
       }
+
+      if (finished) {
+        requestNextFrame(() => {
+          mainLoop(next.name, prev.state, counters.count().reset(next.counter), prev.stack);
+        });
+      } else {
+        requestNextFrame(() => {
+          transLoop(prev, next, counters.count(), transFunc)
+        });
+      }
+    };
+
+    return mainLoop;
+  }
+
+  /**
+   * Acquire the asset bundles of the scene, and call the function when they are loaded.
+   * The loading scene is drawn while waiting, and the waiting time is not counted as ticks.
+   * @param {?Scene} scene scene
+   * @param {function} f function called when the bundles are loaded
+   * @protected
+   */
+  _acquireBundles(scene, f) {
+    if (this.headless || scene === null) {
+      f();
+      return;
+    }
+    this._heldScenes.push(scene);
+    if (this.bundleManager.isLoaded(...scene.bundles)) {
+      this.bundleManager.acquire(...scene.bundles);
+      f();
+    } else {
+      const stopLoadingScene = this._showLoadingScene();
+      this.loader.reset();
+      this.bundleManager.acquire(...scene.bundles).then(() => {
+        stopLoadingScene();
+        this._timestep.suspend();
+        f();
+      }, err => {
+        stopLoadingScene();
+        Logger.fatal(err.message);
+      });
+    }
+  }
+
+  /**
+   * Release the asset bundles of the scenes.
+   * @param {...?Scene} scenes scenes
+   * @protected
+   */
+  _releaseBundles(...scenes) {
+    if (!this.headless) {
+      scenes.filter(scene => scene !== null).forEach(scene => {
+        const index = this._heldScenes.lastIndexOf(scene);
+        if (index >= 0) this._heldScenes.splice(index, 1);
+        this.bundleManager.release(...scene.bundles);
+      });
+    }
+  }
+
+  /**
+   * Draw the loading scene every animation frame until it is stopped.
+   * @returns {function} function to stop drawing
+   * @protected
+   */
+  _showLoadingScene() {
+    const scene = this.loadingScene;
+    let counters = new Counters();
+    let state = scene.init(State.init({}), counters, this);
+    let running = true;
+    const loop = () => {
+      if (running) {
+        this.action.poll();
+        state = scene.update(state, this.action, counters, this.soundManager, this);
+        scene.draw(state, this.action, counters, this.painter, this);
+        this.action.resetAction();
+        counters = counters.count();
+        window.requestAnimationFrame(loop);
+      }
+    };
+    loop();
+    return () => {
+      running = false;
     };
+  }
+
+  /**
+   * Start the game.
+   * @param {boolean} debug if `true`, then start as debug mode
+   * @param {boolean} displayFPS if `true`, then display current FPS
+   * @param {Recorder} [recorder]
+   */
+  start(debug, displayFPS, recorder) {
+    const waitNextFrame = (f, render) => {
+      window.requestAnimationFrame(stamp => {
+        if (debug && !this._animationState.getFlag()) {
+          this._timestep.suspend();
+          waitNextFrame(f, render);
+        } else {
+          const stepping = debug && !this._animationState.isPlaying();
+          this._animationState.reset();
+          this._fps.update(stamp);
+          if (stepping) {
+            this._timestep.step();
+          } else {
+            this._timestep.advance(stamp);
+          }
+          // the edited state is applied by running the inspected frame again
+          if (debug && (this._history.isRewound() || this._inspector.isEdited())) {
+            const rewound = this._history.leave();
+            const snapshot = rewound !== null ? rewound : this._history.find(this._history.newestFrame);
+            this._resumeFrom(snapshot, recorder, () => requestNextFrame(() => snapshot.restore(this._inspector.edited(snapshot.state))));
+          } else {
+            if (debug) this._history.leave();
+            requestNextFrame(f, render);
+          }
+        }
+      });
+    };
+    // run the next tick at once if it is due, otherwise draw and wait for the next animation frame
+    const requestNextFrame = (f, render = () => {}) => {
+      if (this._timestep.consume()) {
+        f();
+      } else {
+        render(this._timestep.getAlpha());
+        waitNextFrame(f, render);
+      }
+    };
+    const mainLoop = this._createMainLoop(requestNextFrame, debug, displayFPS, recorder);
 
     // set UI
     if (debug) {
-      this._setDebugUI();
+      this._setDebugUI(recorder);
     } else {
       this._setNormalUI();
     }
@@ -364,15 +770,24 @@ class Game {
     this.painter.background("#000000");
 
     // loading resources
-    this.imageManager.load()
-      .then(() => this.soundManager.load(), () => {
-        Logger.fatal('Image load error!');
-      }).then(() => {
-        if (recorder !== null) recorder.startRecord(this.name);
-        mainLoop(this.firstScene, this.firstState, new Counters());
-      }, () => {
-        Logger.fatal('Sound load error!');
-      });
+    const stopLoadingScene = this._showLoadingScene();
+    const firstScene = this.scenes.getScene(this.firstScene);
+    const bundledImages = this.bundleManager.images;
+    const bundledSounds = this.bundleManager.sounds;
+    Promise.all([
+      this.imageManager.load(this.loader.reset(), Array.from(this.imageManager.images.keys()).filter(name => !bundledImages.has(name))),
+      this.soundManager.load(this.loader, Array.from(this.soundManager.sounds.keys()).filter(name => !bundledSounds.has(name))),
+      firstScene !== null ? this.bundleManager.acquire(...firstScene.bundles) : null
+    ]).then(() => {
+      if (firstScene !== null) this._heldScenes.push(firstScene);
+      stopLoadingScene();
+      this.random.reseed(this.random.seed);
+      if (recorder !== null) recorder.startRecord(this.name, this.random.seed);
+      mainLoop(this.firstScene, this.firstState, new Counters());
+    }, err => {
+      stopLoadingScene();
+      Logger.fatal(err.message);
+    });
   }
 
   /**
@@ -380,23 +795,41 @@ class Game {
    * @param {Object} [opt] options
    * @param {boolean} [opt.displayFPS=false]
    * @param {Recorder} [opt.recorder] recorder
+   * @param {number} [opt.tickRate] logical ticks per second. If it is set, then the game runs with fixed timestep
+   * @param {number} [opt.maxCatchUp=5] maximum number of ticks processed in one animation frame
    */
   run(opt = {}) {
+    if (this.headless) {
+      Logger.error('Headless game cannot run. Please use Game#simulate instead.');
+      return;
+    }
     const recorder = 'recorder' in opt ? opt.recorder : null;
     if (recorder !== null) recorder.setMode('w');
+    if ('tickRate' in opt) this.setTimestep(opt.tickRate, 'maxCatchUp' in opt ? opt.maxCatchUp : 5);
     this.action.listen();
     this.start(false, 'displayFPS' in opt ? opt.displayFPS : false, recorder);
   }
 
   /**
    * Run as debug mode.
+   * The latest ticks can be rewound with the step backward button or the timeline, and the game resumes from there.
+   * The current state is shown on the inspector, and it can be edited while paused.
    * @param {Object} [opt] options
    * @param {boolean} [opt.displayFPS]
    * @param {Recorder} [opt.recorder] recorder
+   * @param {number} [opt.historySize=600] number of ticks which can be rewound
+   * @param {number} [opt.tickRate] logical ticks per second. If it is set, then the game runs with fixed timestep
+   * @param {number} [opt.maxCatchUp=5] maximum number of ticks processed in one animation frame
    */
   debug(opt = {}) {
+    if (this.headless) {
+      Logger.error('Headless game cannot run. Please use Game#simulate instead.');
+      return;
+    }
     const recorder = 'recorder' in opt ? opt.recorder : new Recorder();
     recorder.setMode('w');
+    this._history = new SnapshotHistory('historySize' in opt ? opt.historySize : 600);
+    if ('tickRate' in opt) this.setTimestep(opt.tickRate, 'maxCatchUp' in opt ? opt.maxCatchUp : 5);
     this.action.listen();
     Logger.setGame(this);
     this.soundManager.setDebugMode(true);
@@ -408,16 +841,79 @@ class Game {
    * @param {Recorder} recorder recorder
    * @param {Object} [opt] options
    * @param {boolean} [opt.displayFPS]
+   * @param {number} [opt.tickRate] logical ticks per second. If it is set, then the game runs with fixed timestep
+   * @param {number} [opt.maxCatchUp=5] maximum number of ticks processed in one animation frame
    */
   autorun(recorder, opt = {}) {
+    if (this.headless) {
+      Logger.error('Headless game cannot run. Please use Game#simulate instead.');
+      return;
+    }
     recorder.setMode('r');
+    if ('tickRate' in opt) this.setTimestep(opt.tickRate, 'maxCatchUp' in opt ? opt.maxCatchUp : 5);
     recorder.load(this.divElem.base).then(() => {
+      this.random.reseed(recorder.seed);
       this.start(false, 'displayFPS' in opt ? opt.displayFPS : false, recorder);
     }, reason => {
       Logger.fatal(reason);
     });
   }
 
+  /**
+   * Run the scenes synchronously without waiting for animation frames.
+   * It is mainly for headless games.
+   * @param {number} frames number of ticks to simulate
+   * @param {(Recorder|function)} [inputSource] recorder in reading mode, or function which takes the tick number and returns the input of the tick in the same form as {@link Recorder#data}
+   * @returns {Object} the last scene name `scene`, state `state` and counters `counters`, and `ended` which is `true` if the game has ended
+   */
+  simulate(frames, inputSource = null) {
+    let recorder = null;
+    if (inputSource instanceof Recorder) {
+      recorder = inputSource;
+      this.random.reseed(recorder.seed);
+    } else {
+      this.random.reseed(this.random.seed);
+      if (inputSource !== null) {
+        recorder = new Recorder();
+        recorder.setMode('r');
+      }
+    }
+    let frame = 0;
+    if (recorder !== null && recorder !== inputSource) {
+      // the input of the tick is stored where the main loop reads it, since the general counter goes back to 0 on reset
+      recorder.readAction = (action, general) => {
+        recorder.data[general] = Object.assign(Recorder.createFrameData(), inputSource(frame));
+        Recorder.prototype.readAction.call(recorder, action, general);
+      };
+    }
+    const result = {
+      scene: this.firstScene,
+      state: this.firstState,
+      counters: new Counters(),
+      ended: false
+    };
+    let pending = null;
+    const mainLoop = this._createMainLoop(f => {
+      pending = f;
+    }, false, false, recorder, (sceneName, state, counters) => {
+      result.scene = sceneName;
+      result.state = state;
+      result.counters = counters;
+    });
+
+    if (recorder !== null) recorder.startRecord(this.name, this.random.seed);
+    pending = () => {
+      mainLoop(this.firstScene, this.firstState, new Counters());
+    };
+    for (; frame < frames && pending !== null; frame++) {
+      const tick = pending;
+      pending = null;
+      tick();
+    }
+    result.ended = pending === null;
+    return result;
+  }
+
   /**
    * @param {string[]} msg messages
    * @param {string} style style of log
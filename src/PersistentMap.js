@@ -0,0 +1,389 @@
+/**
+ * Class representing an immutable map backed by a hash array mapped trie.
+ * Updates share the unchanged nodes with the original map, so they take O(log n) time and memory.
+ * It has the same reading methods as `Map`, and iterates in insertion order like `Map`.
+ * @param {Iterable} [entries=[]] pairs of key and value
+ */
+const PersistentMap = (() => {
+  const BITS = 5;
+  const MASK = (1 << BITS) - 1;
+
+  // objects are hashed by identity, because their string representations are mostly the same
+  const identities = new WeakMap();
+  let nextIdentity = 0;
+
+  // FNV-1a hash of the string representation, or the identity hash of an object
+  const hashOf = key => {
+    if ((typeof key === 'object' && key !== null) || typeof key === 'function') {
+      if (!identities.has(key)) identities.set(key, Math.imul(nextIdentity++, 0x9e3779b1) >>> 0);
+      return identities.get(key);
+    }
+    const str = String(key);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash = Math.imul(hash ^ str.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  };
+
+  const bitCount = x => {
+    x = x - ((x >>> 1) & 0x55555555);
+    x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+    return (((x + (x >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  };
+
+  const fragment = (hash, shift) => (hash >>> shift) & MASK;
+
+  // nodes owned by the edit token of a transient map can be mutated in place
+  const createBranch = (edit, bitmap, children) => ({ edit, bitmap, children });
+  const createCollision = (edit, hash, leaves) => ({ edit, hash, leaves, collision: true });
+  const isLeaf = child => 'key' in child;
+
+  const mergeLeaves = (edit, shift, a, b) => {
+    if (a.hash === b.hash) return createCollision(edit, a.hash, [a, b]);
+    const fa = fragment(a.hash, shift);
+    const fb = fragment(b.hash, shift);
+    if (fa === fb) return createBranch(edit, 1 << fa, [mergeLeaves(edit, shift + BITS, a, b)]);
+    return createBranch(edit, (1 << fa) | (1 << fb), fa < fb ? [a, b] : [b, a]);
+  };
+
+  const editable = (node, edit) => {
+    if (edit !== null && node.edit === edit) return node;
+    return node.collision ? createCollision(edit, node.hash, node.leaves.slice()) : createBranch(edit, node.bitmap, node.children.slice());
+  };
+
+  const find = (node, shift, hash, key) => {
+    if (node.collision) return node.leaves.find(leaf => leaf.key === key);
+    const bit = 1 << fragment(hash, shift);
+    if ((node.bitmap & bit) === 0) return undefined;
+    const child = node.children[bitCount(node.bitmap & (bit - 1))];
+    if (isLeaf(child)) return child.key === key ? child : undefined;
+    return find(child, shift + BITS, hash, key);
+  };
+
+  // `leaf.order` is replaced by the order of the existing leaf of the same key, and `change.added` is set if the key is new
+  const insert = (node, edit, shift, leaf, change) => {
+    if (node.collision) {
+      if (node.hash !== leaf.hash) return insert(createBranch(edit, 1 << fragment(node.hash, shift), [node]), edit, shift, leaf, change);
+      const i = node.leaves.findIndex(other => other.key === leaf.key);
+      if (i >= 0 && Object.is(node.leaves[i].value, leaf.value)) return node;
+      const next = editable(node, edit);
+      if (i >= 0) {
+        next.leaves[i] = Object.assign({}, leaf, { order: node.leaves[i].order });
+      } else {
+        next.leaves.push(leaf);
+        change.added = true;
+      }
+      return next;
+    }
+    const bit = 1 << fragment(leaf.hash, shift);
+    const index = bitCount(node.bitmap & (bit - 1));
+    if ((node.bitmap & bit) === 0) {
+      const next = editable(node, edit);
+      next.bitmap |= bit;
+      next.children.splice(index, 0, leaf);
+      change.added = true;
+      return next;
+    }
+    const child = node.children[index];
+    let nextChild;
+    if (isLeaf(child)) {
+      if (child.key === leaf.key) {
+        if (Object.is(child.value, leaf.value)) return node;
+        nextChild = Object.assign({}, leaf, { order: child.order });
+      } else {
+        nextChild = mergeLeaves(edit, shift + BITS, child, leaf);
+        change.added = true;
+      }
+    } else {
+      nextChild = insert(child, edit, shift + BITS, leaf, change);
+      if (nextChild === child) return node;
+    }
+    const next = editable(node, edit);
+    next.children[index] = nextChild;
+    return next;
+  };
+
+  // a node left with a single leaf is replaced with the leaf, so the shape of the trie depends only on its keys
+  const remove = (node, edit, shift, hash, key) => {
+    if (node.collision) {
+      const i = node.leaves.findIndex(leaf => leaf.key === key);
+      if (i < 0) return node;
+      if (node.leaves.length === 2) return node.leaves[1 - i];
+      const next = editable(node, edit);
+      next.leaves.splice(i, 1);
+      return next;
+    }
+    const bit = 1 << fragment(hash, shift);
+    if ((node.bitmap & bit) === 0) return node;
+    const index = bitCount(node.bitmap & (bit - 1));
+    const child = node.children[index];
+    let nextChild;
+    if (isLeaf(child)) {
+      if (child.key !== key) return node;
+      nextChild = null;
+    } else {
+      nextChild = remove(child, edit, shift + BITS, hash, key);
+      if (nextChild === child) return node;
+    }
+    if (nextChild === null) {
+      if (node.children.length === 1) return null;
+      if (node.children.length === 2 && shift > 0 && isLeaf(node.children[1 - index])) return node.children[1 - index];
+      const next = editable(node, edit);
+      next.bitmap &= ~bit;
+      next.children.splice(index, 1);
+      return next;
+    }
+    if (isLeaf(nextChild) && node.children.length === 1 && shift > 0) return nextChild;
+    const next = editable(node, edit);
+    next.children[index] = nextChild;
+    return next;
+  };
+
+  const collectLeaves = (node, acc) => {
+    if (node === null) return acc;
+    if (node.collision) {
+      acc.push(...node.leaves);
+    } else {
+      node.children.forEach(child => isLeaf(child) ? acc.push(child) : collectLeaves(child, acc));
+    }
+    return acc;
+  };
+
+  // leaves in insertion order. Each leaf has a distinct order, so they are placed by the orders unless there are many holes
+  const orderLeaves = (root, nextOrder) => {
+    const leaves = collectLeaves(root, []);
+    if (nextOrder > leaves.length * 2) return leaves.sort((a, b) => a.order - b.order);
+    const slots = new Array(nextOrder);
+    leaves.forEach(leaf => {
+      slots[leaf.order] = leaf;
+    });
+    return slots.filter(leaf => leaf !== undefined);
+  };
+  // ordered leaves of the frozen maps
+  const orderedCache = new WeakMap();
+
+  // identical subtrees are skipped, so comparing a map with its updated version takes time proportional to the changes
+  const equalNodes = (a, b) => {
+    if (a === b) return true;
+    if (a === null || b === null || isLeaf(a) !== isLeaf(b)) return false;
+    if (isLeaf(a)) return a.key === b.key && Object.is(a.value, b.value);
+    if (a.collision || b.collision) {
+      return a.collision === b.collision && a.leaves.length === b.leaves.length &&
+        a.leaves.every(leaf => b.leaves.some(other => other.key === leaf.key && Object.is(other.value, leaf.value)));
+    }
+    return a.bitmap === b.bitmap && a.children.every((child, i) => equalNodes(child, b.children[i]));
+  };
+
+  /**
+   * Class representing a map which can be modified in place, created by {@link PersistentMap#withMutations}.
+   * It must not be used after the mutations finish.
+   * @param {PersistentMap} map original map
+   */
+  class TransientMap {
+    constructor(map) {
+      this.edit = {};
+      this.root = map.root;
+      /** @member {number} */
+      this.size = map.size;
+      this.nextOrder = map.nextOrder;
+    }
+
+    /**
+     * Get the value of the key.
+     * @param {} key key
+     * @returns {} value, or `undefined` if it does not exist
+     */
+    get(key) {
+      const leaf = this.root === null ? undefined : find(this.root, 0, hashOf(key), key);
+      return leaf === undefined ? undefined : leaf.value;
+    }
+
+    /**
+     * Check if the key exists.
+     * @param {} key key
+     * @returns {boolean} `true` if exists
+     */
+    has(key) {
+      return this.root !== null && find(this.root, 0, hashOf(key), key) !== undefined;
+    }
+
+    /**
+     * Set the value of the key.
+     * @param {} key key
+     * @param {} value value
+     * @returns {TransientMap} this
+     */
+    set(key, value) {
+      const leaf = { hash: hashOf(key), key, value, order: this.nextOrder };
+      const change = { added: false };
+      this.root = insert(this.root === null ? createBranch(this.edit, 0, []) : this.root, this.edit, 0, leaf, change);
+      if (change.added) {
+        this.size++;
+        this.nextOrder++;
+      }
+      return this;
+    }
+
+    /**
+     * Delete the key.
+     * @param {} key key
+     * @returns {TransientMap} this
+     */
+    delete(key) {
+      if (this.has(key)) {
+        this.root = remove(this.root, this.edit, 0, hashOf(key), key);
+        this.size--;
+      }
+      return this;
+    }
+
+    /**
+     * Return keys in insertion order.
+     * @returns {Iterator} keys
+     */
+    keys() {
+      return orderLeaves(this.root, this.nextOrder).map(leaf => leaf.key)[Symbol.iterator]();
+    }
+
+    /**
+     * Finish the mutations.
+     * @param {PersistentMap} original original map, which is returned if nothing has changed
+     * @returns {PersistentMap} new map
+     * @protected
+     */
+    _persist(original) {
+      this.edit = null;
+      if (this.root === original.root) return original;
+      return new PersistentMap([], { root: this.root, size: this.size, nextOrder: this.nextOrder });
+    }
+  }
+
+  /*
+   * @param {Iterable} [entries=[]] pairs of key and value
+   * @param {Object} [trie] internal trie which has `root`, `size` and `nextOrder`. It is only for internal use
+   */
+  class PersistentMap {
+    constructor(entries = [], trie = null) {
+      if (trie === null) {
+        const transient = new TransientMap({ root: null, size: 0, nextOrder: 0 });
+        for (const [key, value] of entries) transient.set(key, value);
+        trie = transient;
+      }
+      this.root = trie.root;
+      /** @member {number} */
+      this.size = trie.size;
+      this.nextOrder = trie.nextOrder;
+      Object.freeze(this);
+    }
+
+    /**
+     * Get the value of the key.
+     * @param {} key key
+     * @returns {} value, or `undefined` if it does not exist
+     */
+    get(key) {
+      const leaf = this.root === null ? undefined : find(this.root, 0, hashOf(key), key);
+      return leaf === undefined ? undefined : leaf.value;
+    }
+
+    /**
+     * Check if the key exists.
+     * @param {} key key
+     * @returns {boolean} `true` if exists
+     */
+    has(key) {
+      return this.root !== null && find(this.root, 0, hashOf(key), key) !== undefined;
+    }
+
+    /**
+     * Set the value of the key.
+     * @param {} key key
+     * @param {} value value
+     * @returns {PersistentMap} new map. If the value is the same, this is returned
+     */
+    set(key, value) {
+      return this.withMutations(transient => transient.set(key, value));
+    }
+
+    /**
+     * Delete the key.
+     * @param {} key key
+     * @returns {PersistentMap} new map. If the key does not exist, this is returned
+     */
+    delete(key) {
+      return this.has(key) ? this.withMutations(transient => transient.delete(key)) : this;
+    }
+
+    /**
+     * Apply several changes at once. The nodes created during the changes are modified in place.
+     * @param {function(TransientMap)} f function which modifies the given map
+     * @returns {PersistentMap} new map. If nothing has changed, this is returned
+     */
+    withMutations(f) {
+      const transient = new TransientMap(this);
+      f(transient);
+      return transient._persist(this);
+    }
+
+    /**
+     * Check if two maps have the same keys and values. Values are compared by `Object.is`.
+     * @param {PersistentMap} another another map
+     * @returns {boolean} `true` if they are equal
+     */
+    equals(another) {
+      return this.size === another.size && equalNodes(this.root, another.root);
+    }
+
+    _sortedLeaves() {
+      if (!orderedCache.has(this)) orderedCache.set(this, orderLeaves(this.root, this.nextOrder));
+      return orderedCache.get(this);
+    }
+
+    /**
+     * Return pairs of key and value in insertion order.
+     * @returns {Iterator} entries
+     */
+    entries() {
+      return this._sortedLeaves().map(leaf => [leaf.key, leaf.value])[Symbol.iterator]();
+    }
+
+    /**
+     * Return keys in insertion order.
+     * @returns {Iterator} keys
+     */
+    keys() {
+      return this._sortedLeaves().map(leaf => leaf.key)[Symbol.iterator]();
+    }
+
+    /**
+     * Return values in insertion order.
+     * @returns {Iterator} values
+     */
+    values() {
+      return this._sortedLeaves().map(leaf => leaf.value)[Symbol.iterator]();
+    }
+
+    /**
+     * Execute the function for each entry in insertion order.
+     * @param {function(any, any, PersistentMap)} f function which takes the value, the key and this map
+     */
+    forEach(f) {
+      this._sortedLeaves().forEach(leaf => f(leaf.value, leaf.key, this));
+    }
+
+    [Symbol.iterator]() {
+      return this.entries();
+    }
+
+    /**
+     * Convert to string.
+     * @returns {string} a string
+     */
+    toString() {
+      return `[PersistentMap ${this.size}]`;
+    }
+  }
+
+  return PersistentMap;
+})();
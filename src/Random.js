@@ -0,0 +1,141 @@
+/**
+ * Class representing a seeded pseudo random number generator (xoshiro128**).
+ * Use it instead of `Math.random()` so that recorded games can be played back exactly.
+ * @param {number} [seed] 32-bit unsigned integer seed
+ */
+class Random {
+  constructor(seed = Random.createSeed()) {
+    this._state = new Uint32Array(4);
+    this.reseed(seed);
+  }
+
+  /**
+   * Create a seed from `Math.random()`.
+   * @returns {number} 32-bit unsigned integer seed
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 2 ** 32) >>> 0;
+  }
+
+  /**
+   * Seed of the generator.
+   * @member {number}
+   */
+  get seed() {
+    return this._seed;
+  }
+
+  /**
+   * Reset the generator with the seed.
+   * @param {number} seed 32-bit unsigned integer seed
+   * @returns {Random} this
+   */
+  reseed(seed) {
+    this._seed = seed >>> 0;
+    // expand the seed by SplitMix32
+    let s = this._seed;
+    for (let i = 0; i < 4; i++) {
+      s = (s + 0x9e3779b9) >>> 0;
+      let z = s;
+      z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+      z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+      this._state[i] = (z ^ (z >>> 16)) >>> 0;
+    }
+    return this;
+  }
+
+  /**
+   * Take a snapshot of the internal state.
+   * @returns {number[]} frozen snapshot, which can be restored by {@link Random#restore}
+   */
+  snapshot() {
+    return Object.freeze(Array.from(this._state));
+  }
+
+  /**
+   * Restore the internal state from a snapshot. The seed is kept.
+   * @param {number[]} snapshot snapshot taken by {@link Random#snapshot}
+   * @returns {Random} this
+   */
+  restore(snapshot) {
+    this._state.set(snapshot);
+    return this;
+  }
+
+  /**
+   * Generate next 32-bit unsigned integer.
+   * @returns {number} integer in [0, 2^32)
+   */
+  nextUint32() {
+    const st = this._state;
+    const x = Math.imul(st[1], 5) >>> 0;
+    const result = Math.imul((x << 7) | (x >>> 25), 9) >>> 0;
+    const t = st[1] << 9;
+    st[2] ^= st[0];
+    st[3] ^= st[1];
+    st[1] ^= st[2];
+    st[0] ^= st[3];
+    st[2] ^= t;
+    st[3] = (st[3] << 11) | (st[3] >>> 21);
+    return result;
+  }
+
+  /**
+   * Generate next number.
+   * @returns {number} number in [0, 1)
+   */
+  next() {
+    return this.nextUint32() / 2 ** 32;
+  }
+
+  /**
+   * Generate next number in the range.
+   * @param {number} min minimum number (inclusive)
+   * @param {number} max maximum number (exclusive)
+   * @returns {number} number in [min, max)
+   */
+  nextRange(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Generate next integer in the range.
+   * @param {number} min minimum integer (inclusive)
+   * @param {number} max maximum integer (exclusive)
+   * @returns {number} integer in [min, max)
+   */
+  nextInt(min, max) {
+    return Math.floor(this.nextRange(Math.ceil(min), Math.ceil(max)));
+  }
+
+  /**
+   * Choose an element randomly.
+   * @param {any[]} array array
+   * @returns {} an element or null if the array is empty
+   */
+  choose(array) {
+    return array.length > 0 ? array[this.nextInt(0, array.length)] : null;
+  }
+
+  /**
+   * Shuffle the array.
+   * @param {any[]} array array
+   * @returns {any[]} shuffled new array
+   */
+  shuffle(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = this.nextInt(0, i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Random ${this.seed}]`;
+  }
+}
@@ -1,18 +1,24 @@
 /**
- * Class representing a state.
- * @param {any[]} [data=[]] pairs of state name and value
+ * Class representing a state. It is immutable and backed by {@link PersistentMap},
+ * so a change shares the unchanged values with the previous state and does not copy all of them.
+ * @param {Iterable} [data=[]] pairs of state name and value
  */
 class State {
   constructor(data) {
-    this.data = new Map(data);
+    /** @member {PersistentMap} */
+    this.data = data instanceof PersistentMap ? data : new PersistentMap(data);
   }
 
   /**
-   * Clone itself.
+   * Clone itself. The clone shares the data with this state.
    * @returns {State} clone
    */
   clone() {
-    return new State(this.data.entries());
+    return new State(this.data);
+  }
+
+  _withData(data) {
+    return data === this.data ? this : new State(data);
   }
 
   /**
@@ -28,12 +34,10 @@ class State {
    * Set state of the name.
    * @param {string} name state name
    * @param {} state state value
-   * @returns {State} new state
+   * @returns {State} new state. If the value is the same, this is returned
    */
   setState(name, state) {
-    const clone = this.clone();
-    clone.data.set(name, state);
-    return clone;
+    return this._withData(this.data.set(name, state));
   }
 
   /**
@@ -42,9 +46,7 @@ class State {
    * @returns {State} new state
    */
   setStates(obj) {
-    const clone = this.clone();
-    Object.keys(obj).forEach(key => clone.data.set(key, obj[key]));
-    return clone;
+    return this._withData(this.data.withMutations(data => Object.keys(obj).forEach(key => data.set(key, obj[key]))));
   }
 
   /**
@@ -81,9 +83,9 @@ class State {
    * @returns {State} new state
    */
   modifyStates(obj) {
-    const clone = this.clone();
-    Object.keys(obj).forEach(key => this.hasState(key) && clone.data.set(key, obj[key](this.getState(key))));
-    return clone;
+    return this._withData(this.data.withMutations(data => {
+      Object.keys(obj).forEach(key => this.hasState(key) && data.set(key, obj[key](this.getState(key))));
+    }));
   }
 
   /**
@@ -92,9 +94,134 @@ class State {
    * @returns {State}
    */
   removeState(name) {
-    const clone = this.clone();
-    clone.data.delete(name);
-    return clone;
+    return this._withData(this.data.delete(name));
+  }
+
+  /**
+   * Apply several changes at once on a draft, which has the same methods as a state except that they change the draft itself.
+   * For example, `state.update(draft => draft.setState('hp', 3).modifyState('score', s => s + 1))`.
+   * @param {function(Object)} f function which changes the draft
+   * @returns {State} new state. If nothing has changed, this is returned
+   */
+  update(f) {
+    return this._withData(this.data.withMutations(data => f(State._createDraft(data))));
+  }
+
+  static _createDraft(data) {
+    const has = name => data.has(name);
+    const get = name => has(name) ? data.get(name) : null;
+    const draft = {
+      hasState: has,
+      getState: get,
+      names: () => Array.from(data.keys()),
+      setState: (name, state) => {
+        data.set(name, state);
+        return draft;
+      },
+      setStates: obj => {
+        Object.keys(obj).forEach(key => data.set(key, obj[key]));
+        return draft;
+      },
+      modifyState: (name, f) => has(name) ? draft.setState(name, f(get(name))) : draft,
+      modifyStates: obj => {
+        Object.keys(obj).filter(has).forEach(key => data.set(key, obj[key](get(key))));
+        return draft;
+      },
+      removeState: name => {
+        data.delete(name);
+        return draft;
+      },
+      hasIn: path => State._lookup(get(path[0]), has(path[0]), path.slice(1)).found,
+      getIn: path => State._lookup(get(path[0]), has(path[0]), path.slice(1)).value,
+      setIn: (path, value) => draft.setState(path[0], State._updateIn(get(path[0]), path.slice(1), () => value)),
+      modifyIn: (path, f) => draft.hasIn(path) ? draft.setState(path[0], State._updateIn(get(path[0]), path.slice(1), f)) : draft
+    };
+    return draft;
+  }
+
+  static _getChild(target, key) {
+    if (target instanceof State) return target.getState(key);
+    if (target instanceof Map || target instanceof PersistentMap) return target.get(key);
+    return target === null || target === undefined ? undefined : target[key];
+  }
+
+  static _hasChild(target, key) {
+    if (target instanceof State) return target.hasState(key);
+    if (target instanceof Map || target instanceof PersistentMap) return target.has(key);
+    return target !== null && typeof target === 'object' && key in target;
+  }
+
+  // copy the container with the new child. Instances of classes keep their prototypes, and frozen objects stay frozen
+  static _setChild(target, key, value) {
+    if (target instanceof State) return target.setState(key, value);
+    if (target instanceof PersistentMap) return target.set(key, value);
+    if (target instanceof Map) return new Map(target).set(key, value);
+    if (target === null || typeof target !== 'object') return { [key]: value };
+    const copy = Array.isArray(target) ? target.slice() : Object.assign(Object.create(Object.getPrototypeOf(target)), target);
+    copy[key] = value;
+    return Object.isFrozen(target) ? Object.freeze(copy) : copy;
+  }
+
+  static _lookup(target, found, keys) {
+    if (!found) return { found: false, value: null };
+    if (keys.length === 0) return { found: true, value: target };
+    return State._lookup(State._getChild(target, keys[0]), State._hasChild(target, keys[0]), keys.slice(1));
+  }
+
+  static _updateIn(target, keys, f) {
+    if (keys.length === 0) return f(target);
+    const child = State._getChild(target, keys[0]);
+    const next = State._updateIn(child, keys.slice(1), f);
+    return Object.is(next, child) && State._hasChild(target, keys[0]) ? target : State._setChild(target, keys[0], next);
+  }
+
+  /**
+   * Check whether the value at the path exists or not.
+   * @param {Array} path state name followed by keys of nested objects, arrays, maps or states
+   * @returns {boolean} `true` if exists
+   */
+  hasIn(path) {
+    return State._lookup(this.getState(path[0]), this.hasState(path[0]), path.slice(1)).found;
+  }
+
+  /**
+   * Get the value at the path.
+   * @param {Array} path state name followed by keys of nested objects, arrays, maps or states
+   * @returns {} value or null
+   */
+  getIn(path) {
+    return State._lookup(this.getState(path[0]), this.hasState(path[0]), path.slice(1)).value;
+  }
+
+  /**
+   * Set the value at the path, e.g. `state.setIn(['player', 'hp'], 3)`.
+   * The objects on the path are copied, and missing ones are created as plain objects.
+   * @param {Array} path state name followed by keys of nested objects, arrays, maps or states
+   * @param {} value value
+   * @returns {State} new state
+   */
+  setIn(path, value) {
+    return this.setState(path[0], State._updateIn(this.getState(path[0]), path.slice(1), () => value));
+  }
+
+  /**
+   * Modify the value at the path.
+   * @param {Array} path state name followed by keys of nested objects, arrays, maps or states
+   * @param {function} f value modifier
+   * @returns {State} new state. If the value does not exist, this is returned
+   */
+  modifyIn(path, f) {
+    return this.hasIn(path) ? this.setState(path[0], State._updateIn(this.getState(path[0]), path.slice(1), f)) : this;
+  }
+
+  /**
+   * Check if two states have the same names and values. Values are compared by `Object.is`.
+   * It is fast because the shared values are not compared.
+   * @param {State} another another state
+   * @returns {boolean} `true` if they are equal
+   */
+  equals(another) {
+    return this.data.equals(another.data);
   }
 
   /**
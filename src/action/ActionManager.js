@@ -1,12 +1,25 @@
 /**
  * Class for manageing several inputs.
  * @param {EventTarget} target mouse event target
+ * @param {(InputMap|Object)} [inputMap] bindings of named actions. See {@link InputMap}
  */
 class ActionManager {
-  constructor(target) {
+  constructor(target, inputMap = new InputMap()) {
     this.target = target;
     this.keyboard = new Keyboard();
     this.mouse = new Mouse(target);
+    this.pointer = new Pointer(target);
+    /** @member {Gamepad[]} */
+    this.gamepads = Array.from({ length: ActionManager.GAMEPADS }, (_, i) => new Gamepad(i));
+    /** @member {InputMap} */
+    this.inputMap = inputMap instanceof InputMap ? inputMap : new InputMap(inputMap);
+  }
+
+  /**
+   * Maximum number of gamepads.
+   */
+  static get GAMEPADS() {
+    return 4;
   }
 
   /**
@@ -16,15 +29,100 @@ class ActionManager {
   listen() {
     this.keyboard.listen();
     this.mouse.listen();
+    this.pointer.listen();
+    this.gamepads.forEach(gamepad => gamepad.listen());
     return this;
   }
 
+  /**
+   * Read the current states of the devices which must be polled.
+   */
+  poll() {
+    this.pointer.poll();
+    this.gamepads.forEach(gamepad => gamepad.poll());
+  }
+
   /**
    * Reset pressed keys and buttons.
    */
   resetAction() {
     this.keyboard.resetAction();
     this.mouse.resetAction();
+    this.pointer.resetAction();
+    this.gamepads.forEach(gamepad => gamepad.resetAction());
+  }
+
+  /**
+   * Get the gamepads which the binding refers to.
+   * @param {Object} binding binding
+   * @returns {Gamepad[]} gamepads
+   * @protected
+   */
+  _boundGamepads(binding) {
+    return 'pad' in binding ? this.gamepads.filter(gamepad => gamepad.index === binding.pad) : this.gamepads;
+  }
+
+  /**
+   * Check the binding.
+   * @param {Object} binding binding
+   * @param {string} method `'isDown'` or `'isPressed'`
+   * @returns {boolean} `true` if the binding is active
+   * @protected
+   */
+  _checkBinding(binding, method) {
+    if ('keyboard' in binding) return this.keyboard[method](binding.keyboard);
+    if ('mouse' in binding) return this.mouse[method](binding.mouse);
+    if ('gamepad' in binding) return this._boundGamepads(binding).some(gamepad => gamepad[method](binding.gamepad));
+    return false;
+  }
+
+  /**
+   * Check if the named buttons are being pressed.
+   * @param {...string} names button names. See {@link InputMap}
+   * @returns {boolean} `true` if some buttons are being pressed
+   */
+  isDown(...names) {
+    return names.some(name => this.inputMap.getButton(name).some(binding => this._checkBinding(binding, 'isDown')));
+  }
+
+  /**
+   * Check if the named buttons begin to be pressed now.
+   * @param {...string} names button names. See {@link InputMap}
+   * @returns {boolean} `true` if some buttons begin to be pressed now
+   */
+  isPressed(...names) {
+    return names.some(name => this.inputMap.getButton(name).some(binding => this._checkBinding(binding, 'isPressed')));
+  }
+
+  /**
+   * Get the value of the named axis.
+   * Digital bindings give `-1` or `1`, and the analog binding with the largest magnitude is added to them.
+   * @param {string} name axis name. See {@link InputMap}
+   * @returns {number} value in [-1, 1]
+   */
+  getAxis(name) {
+    const axis = this.inputMap.getAxis(name);
+    if (axis === null) return 0;
+    const isDown = bindings => bindings.some(binding => this._checkBinding(binding, 'isDown'));
+    const digital = (isDown(axis.positive) ? 1 : 0) - (isDown(axis.negative) ? 1 : 0);
+    const analog = axis.analog
+      .map(binding => this._boundGamepads(binding).map(gamepad => gamepad.getAxis(binding.gamepadAxis)))
+      .reduce((acc, values) => acc.concat(values), [])
+      .reduce((acc, value) => Math.abs(value) > Math.abs(acc) ? value : acc, 0);
+    return Math.max(-1, Math.min(1, digital + analog));
+  }
+
+  /**
+   * Get a binding of the key or the button which begins to be pressed now.
+   * It is useful to rebind the button on an options screen.
+   * @returns {?Object} binding. See {@link InputMap}
+   */
+  getPressedBinding() {
+    if (this.keyboard.pressed.size > 0) return { keyboard: this.keyboard.pressed.values().next().value };
+    if (this.mouse.pressed.size > 0) return { mouse: this.mouse.pressed.values().next().value };
+    const gamepad = this.gamepads.find(gamepad => gamepad.pressed.size > 0);
+    if (gamepad !== undefined) return { gamepad: gamepad.pressed.values().next().value, pad: gamepad.index };
+    return null;
   }
 
   /**
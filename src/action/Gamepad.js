@@ -0,0 +1,173 @@
+/**
+ * Class representing a gamepad.
+ * Buttons are identified by the index of the standard mapping. See {@link GamepadButton}.
+ * @param {number} index gamepad index
+ * @param {number} [deadZone=0.2] dead zone of analog axes
+ */
+class Gamepad extends Action {
+  constructor(index, deadZone = 0.2) {
+    super();
+    /** @member {number} */
+    this.index = index;
+    /** @member {number} */
+    this.deadZone = deadZone;
+    /** @member {?string} */
+    this.id = null;
+    this.connected = false;
+    this.connectionChanged = false;
+    /**
+     * Raw values of the analog axes.
+     * @member {number[]}
+     */
+    this.axes = [];
+    this.listening = false;
+  }
+
+  /**
+   * Quantize an axis value, so that recorded values are the same as the original ones.
+   * @param {number} value axis value
+   * @returns {number} quantized value
+   */
+  static quantize(value) {
+    return Math.round(Math.min(1.0, Math.max(-1.0, value)) * 0x7fff) / 0x7fff;
+  }
+
+  /**
+   * Listen to the gamepad events.
+   * @returns {Gamepad} this
+   */
+  listen() {
+    [
+      ['gamepadconnected', e => {
+        if (e.gamepad.index === this.index) this._connect(e.gamepad.id);
+      }],
+      ['gamepaddisconnected', e => {
+        if (e.gamepad.index === this.index) this._disconnect();
+      }],
+      ['blur', e => {
+        this._clear();
+      }]
+    ].forEach(pair => {
+      window.addEventListener(pair[0], pair[1], false);
+    });
+    this.listening = true;
+    return this;
+  }
+
+  /**
+   * Read the current state of the gamepad.
+   * The Gamepad API has no event for buttons and axes, so it must be called every frame.
+   * @returns {Gamepad} this
+   */
+  poll() {
+    if (!this.listening || !navigator.getGamepads) return this;
+    const pad = navigator.getGamepads()[this.index];
+    if (!pad) {
+      if (this.connected) this._disconnect();
+      return this;
+    }
+    if (!this.connected) this._connect(pad.id);
+    pad.buttons.forEach((button, i) => {
+      if (button.pressed) this._down(i);
+      else this._up(i);
+    });
+    this._setAxes(Array.from(pad.axes, Gamepad.quantize));
+    return this;
+  }
+
+  /**
+   * Connect the gamepad.
+   * @param {string} id gamepad id
+   * @protected
+   */
+  _connect(id) {
+    this.id = id;
+    this.connected = true;
+    this.connectionChanged = true;
+  }
+
+  /**
+   * Disconnect the gamepad.
+   * @protected
+   */
+  _disconnect() {
+    this._clear();
+    this.axes = [];
+    this.connected = false;
+    this.connectionChanged = true;
+  }
+
+  /**
+   * Set raw values of the analog axes.
+   * @param {number[]} axes axis values
+   * @protected
+   */
+  _setAxes(axes) {
+    this.axes = axes;
+  }
+
+  /**
+   * Check if the gamepad is connected.
+   * @returns {boolean} `true` if connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Check if the gamepad is connected now.
+   * @returns {boolean} `true` if connected now
+   */
+  isJustConnected() {
+    return this.connected && this.connectionChanged;
+  }
+
+  /**
+   * Check if the gamepad is disconnected now.
+   * @returns {boolean} `true` if disconnected now
+   */
+  isJustDisconnected() {
+    return !this.connected && this.connectionChanged;
+  }
+
+  /**
+   * Get the value of an axis. Values in the dead zone are treated as `0`.
+   * @param {number} axis axis index
+   * @returns {number} axis value in [-1, 1]
+   */
+  getAxis(axis) {
+    const value = axis < this.axes.length ? this.axes[axis] : 0.0;
+    if (Math.abs(value) <= this.deadZone) return 0.0;
+    return Math.sign(value) * (Math.abs(value) - this.deadZone) / (1.0 - this.deadZone);
+  }
+
+  /**
+   * Get the direction of a stick. The dead zone is applied radially.
+   * @param {number} [stick=0] stick index (`0` for the left stick, `1` for the right stick)
+   * @returns {Vector2d} stick direction whose norm is at most 1
+   */
+  getStick(stick = 0) {
+    const x = 2 * stick < this.axes.length ? this.axes[2 * stick] : 0.0;
+    const y = 2 * stick + 1 < this.axes.length ? this.axes[2 * stick + 1] : 0.0;
+    const norm = Math.hypot(x, y);
+    if (norm <= this.deadZone) return new Vector2d(0, 0);
+    const rate = Math.min(1.0, (norm - this.deadZone) / (1.0 - this.deadZone)) / norm;
+    return new Vector2d(x * rate, y * rate);
+  }
+
+  /**
+   * Reset pressed buttons and connection changes.
+   */
+  resetAction() {
+    super.resetAction();
+    this.connectionChanged = false;
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Gamepad ${this.index} ${this.connected ? 'connected' : 'disconnected'} ${this.down.size}|${this.pressed.size}]`;
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Enum for gamepad buttons in the standard mapping.
+ * @readonly
+ * @enum {number}
+ */
+const GamepadButton = {
+  /** @member {number} */
+  A: 0,
+  /** @member {number} */
+  B: 1,
+  /** @member {number} */
+  X: 2,
+  /** @member {number} */
+  Y: 3,
+  /** @member {number} */
+  LB: 4,
+  /** @member {number} */
+  RB: 5,
+  /** @member {number} */
+  LT: 6,
+  /** @member {number} */
+  RT: 7,
+  /** @member {number} */
+  BACK: 8,
+  /** @member {number} */
+  START: 9,
+  /** @member {number} */
+  LEFT_STICK: 10,
+  /** @member {number} */
+  RIGHT_STICK: 11,
+  /** @member {number} */
+  UP: 12,
+  /** @member {number} */
+  DOWN: 13,
+  /** @member {number} */
+  LEFT: 14,
+  /** @member {number} */
+  RIGHT: 15,
+  /** @member {number} */
+  HOME: 16
+};
+
+Object.freeze(GamepadButton);
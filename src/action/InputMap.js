@@ -0,0 +1,176 @@
+/**
+ * Class for mapping named actions to physical inputs.
+ * A binding is one of the following objects.
+ * - `{ keyboard: code }` key code of {@link Keyboard}
+ * - `{ mouse: button }` mouse button. See {@link MouseButton}
+ * - `{ gamepad: button, pad: index }` gamepad button. See {@link GamepadButton}. If `pad` is omitted, then any gamepad
+ * - `{ gamepadAxis: axis, pad: index }` analog axis of a gamepad (only for axes). If `pad` is omitted, then any gamepad
+ * @param {Object} [obj] bindings
+ * @param {Object.<string, Object[]>} [obj.buttons] bindings of named buttons
+ * @param {Object.<string, Object>} [obj.axes] bindings of named axes
+ * @param {Object[]} [obj.axes[].negative] bindings which make the axis `-1`
+ * @param {Object[]} [obj.axes[].positive] bindings which make the axis `1`
+ * @param {Object[]} [obj.axes[].analog] analog bindings
+ */
+class InputMap {
+  constructor(obj = {}) {
+    this.buttons = new Map();
+    this.axes = new Map();
+    if ('buttons' in obj) {
+      Object.keys(obj.buttons).forEach(name => this.setButton(name, obj.buttons[name]));
+    }
+    if ('axes' in obj) {
+      Object.keys(obj.axes).forEach(name => this.setAxis(name, obj.axes[name]));
+    }
+  }
+
+  /**
+   * Parse bindings from JSON.
+   * @param {(string|Object)} json JSON string created by `JSON.stringify(inputMap)`, or the object created by {@link InputMap#toJSON}
+   * @returns {InputMap} new input map
+   */
+  static fromJSON(json) {
+    return new InputMap(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+
+  /**
+   * Check if the binding is valid.
+   * @param {Object} binding binding
+   * @param {boolean} [analog=false] if `true`, then the binding must be analog
+   * @returns {boolean} `true` if valid
+   */
+  static isValidBinding(binding, analog = false) {
+    if (analog) return 'gamepadAxis' in binding;
+    return ['keyboard', 'mouse', 'gamepad'].some(device => device in binding);
+  }
+
+  /**
+   * Check if two bindings are the same.
+   * @param {Object} binding1 binding
+   * @param {Object} binding2 binding
+   * @returns {boolean} `true` if the same
+   */
+  static isSameBinding(binding1, binding2) {
+    return ['keyboard', 'mouse', 'gamepad', 'gamepadAxis', 'pad'].every(key => binding1[key] === binding2[key]);
+  }
+
+  _validate(name, bindings, analog = false) {
+    const invalid = bindings.filter(binding => !InputMap.isValidBinding(binding, analog));
+    if (invalid.length > 0) {
+      Logger.error(`Invalid bindings of ${name}!\n${JSON.stringify(invalid)}`);
+    }
+    return bindings.filter(binding => InputMap.isValidBinding(binding, analog)).map(binding => Object.assign({}, binding));
+  }
+
+  /**
+   * Set bindings of the button.
+   * @param {string} name button name
+   * @param {Object[]} bindings bindings
+   * @returns {InputMap} this
+   */
+  setButton(name, bindings) {
+    this.buttons.set(name, this._validate(name, bindings));
+    return this;
+  }
+
+  /**
+   * Set bindings of the axis.
+   * @param {string} name axis name
+   * @param {Object} bindings bindings
+   * @param {Object[]} [bindings.negative] bindings which make the axis `-1`
+   * @param {Object[]} [bindings.positive] bindings which make the axis `1`
+   * @param {Object[]} [bindings.analog] analog bindings
+   * @returns {InputMap} this
+   */
+  setAxis(name, bindings) {
+    this.axes.set(name, {
+      negative: this._validate(name, 'negative' in bindings ? bindings.negative : []),
+      positive: this._validate(name, 'positive' in bindings ? bindings.positive : []),
+      analog: this._validate(name, 'analog' in bindings ? bindings.analog : [], true)
+    });
+    return this;
+  }
+
+  /**
+   * Add a binding to the button.
+   * @param {string} name button name
+   * @param {Object} binding binding
+   * @returns {InputMap} this
+   */
+  bind(name, binding) {
+    const bindings = this.getButton(name);
+    if (!bindings.some(b => InputMap.isSameBinding(b, binding))) this.setButton(name, [...bindings, binding]);
+    return this;
+  }
+
+  /**
+   * Remove a binding from the button.
+   * @param {string} name button name
+   * @param {Object} binding binding
+   * @returns {InputMap} this
+   */
+  unbind(name, binding) {
+    this.setButton(name, this.getButton(name).filter(b => !InputMap.isSameBinding(b, binding)));
+    return this;
+  }
+
+  /**
+   * Replace all bindings of the button with one binding, and remove the binding from other buttons and the axes.
+   * It is useful for an options screen.
+   * @param {string} name button name
+   * @param {Object} binding binding
+   * @returns {InputMap} this
+   */
+  rebind(name, binding) {
+    this.buttons.forEach((bindings, buttonName) => this.unbind(buttonName, binding));
+    this.axes.forEach((bindings, axisName) => this.setAxis(axisName, {
+      negative: bindings.negative.filter(b => !InputMap.isSameBinding(b, binding)),
+      positive: bindings.positive.filter(b => !InputMap.isSameBinding(b, binding)),
+      analog: bindings.analog
+    }));
+    this.setButton(name, [binding]);
+    return this;
+  }
+
+  /**
+   * Get bindings of the button.
+   * @param {string} name button name
+   * @returns {Object[]} bindings
+   */
+  getButton(name) {
+    return this.buttons.has(name) ? this.buttons.get(name) : [];
+  }
+
+  /**
+   * Get bindings of the axis.
+   * @param {string} name axis name
+   * @returns {?Object} bindings
+   */
+  getAxis(name) {
+    return this.axes.has(name) ? this.axes.get(name) : null;
+  }
+
+  /**
+   * Convert to an object for JSON.
+   * @returns {Object} bindings
+   */
+  toJSON() {
+    const buttons = {};
+    const axes = {};
+    this.buttons.forEach((bindings, name) => {
+      buttons[name] = bindings;
+    });
+    this.axes.forEach((bindings, name) => {
+      axes[name] = bindings;
+    });
+    return { buttons, axes };
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[InputMap ${this.buttons.size}|${this.axes.size}]`;
+  }
+}
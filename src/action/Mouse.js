@@ -11,6 +11,20 @@ class Mouse extends Action {
     this.position = new Vector2d(Number.NaN, Number.NaN);
   }
 
+  /**
+   * Convert client coordinates to the coordinates on the scaled canvas.
+   * @param {HTMLCanvasElement} target canvas
+   * @param {number} clientX x-coordinate in the client area
+   * @param {number} clientY y-coordinate in the client area
+   * @returns {Vector2d} truncated position on the canvas
+   */
+  static toCanvasPosition(target, clientX, clientY) {
+    const rect = target.getBoundingClientRect();
+    const transform_str = target.style.transform;
+    const scale = transform_str === '' ? 1 : +transform_str.split('(')[1].split(',')[0];
+    return new Vector2d(Math.trunc((clientX - rect.left) / scale), Math.trunc((clientY - rect.top) / scale));
+  }
+
   /**
    * Listen to the mouse events.
    * @returns {Mouse} this
@@ -26,11 +40,9 @@ class Mouse extends Action {
         this.position.y = Number.NaN;
       }],
       ['mousemove', e => {
-        const rect = this.target.getBoundingClientRect();
-        const transform_str = this.target.style.transform;
-        const scale = transform_str === '' ? 1 : +transform_str.split('(')[1].split(',')[0];
-        this.position.x = Math.trunc((e.clientX - rect.left) / scale);
-        this.position.y = Math.trunc((e.clientY - rect.top) / scale);
+        const position = Mouse.toCanvasPosition(this.target, e.clientX, e.clientY);
+        this.position.x = position.x;
+        this.position.y = position.y;
       }],
       ['mousedown', e => {
         this._down(e.button);
@@ -0,0 +1,242 @@
+/**
+ * Class representing touch and pen contacts.
+ * Contacts are identified by small ids, which are assigned to the pointer ids of the events and reused after the contacts are released,
+ * so that they fit in records. Mouse pointers are handled by {@link Mouse}.
+ * @param {EventTarget} target
+ */
+class Pointer extends Action {
+  constructor(target) {
+    super();
+    this.target = target;
+    this.released = new Set();
+    /**
+     * Contacts in the current frame.
+     * @member {Map.<number, Object>}
+     */
+    this.contacts = new Map();
+    /**
+     * Taps finished in the current frame.
+     * @member {Vector2d[]}
+     */
+    this.taps = [];
+    /**
+     * Swipes finished in the current frame.
+     * @member {Object[]}
+     */
+    this.swipes = [];
+    this.pinchBase = null;
+    this._raw = new Map();
+    this._slots = new Map();
+  }
+
+  /**
+   * Maximum frames of a tap.
+   */
+  static get TAP_FRAMES() {
+    return 15;
+  }
+
+  /**
+   * Maximum moving distance of a tap.
+   */
+  static get TAP_DISTANCE() {
+    return 10;
+  }
+
+  /**
+   * Maximum frames of a swipe.
+   */
+  static get SWIPE_FRAMES() {
+    return 30;
+  }
+
+  /**
+   * Minimum moving distance of a swipe.
+   */
+  static get SWIPE_DISTANCE() {
+    return 50;
+  }
+
+  // the smallest id used by neither the received contacts nor the contacts of the current frame
+  _freeSlot() {
+    let slot = 0;
+    while (this._raw.has(slot) || this.contacts.has(slot)) slot++;
+    return slot;
+  }
+
+  /**
+   * Listen to the pointer events.
+   * @returns {Pointer} this
+   */
+  listen() {
+    this.target.style.touchAction = 'none';
+    [
+      ['pointerdown', e => {
+        if (e.pointerType === 'mouse') return;
+        if (!this._slots.has(e.pointerId)) this._slots.set(e.pointerId, this._freeSlot());
+        this._raw.set(this._slots.get(e.pointerId), Mouse.toCanvasPosition(this.target, e.clientX, e.clientY));
+      }],
+      ['pointermove', e => {
+        if (this._slots.has(e.pointerId)) this._raw.set(this._slots.get(e.pointerId), Mouse.toCanvasPosition(this.target, e.clientX, e.clientY));
+      }]
+    ].forEach(pair => {
+      this.target.addEventListener(pair[0], pair[1], false);
+    });
+    [
+      // the last position is not updated, so that records are the same as the original
+      ['pointerup', e => {
+        this._raw.delete(this._slots.get(e.pointerId));
+        this._slots.delete(e.pointerId);
+      }],
+      ['pointercancel', e => {
+        this._raw.delete(this._slots.get(e.pointerId));
+        this._slots.delete(e.pointerId);
+      }],
+      ['blur', e => {
+        this._raw.clear();
+        this._slots.clear();
+      }]
+    ].forEach(pair => {
+      window.addEventListener(pair[0], pair[1], false);
+    });
+    return this;
+  }
+
+  /**
+   * Reflect the contacts received from the events.
+   * @returns {Pointer} this
+   */
+  poll() {
+    this._sync();
+    return this;
+  }
+
+  /**
+   * Set the contacts.
+   * @param {Object[]} contacts
+   * @param {number} contacts[].id contact id
+   * @param {number} contacts[].x x-coordinate
+   * @param {number} contacts[].y y-coordinate
+   * @protected
+   */
+  _setContacts(contacts) {
+    this._raw = new Map(contacts.map(contact => [contact.id, new Vector2d(contact.x, contact.y)]));
+    this._sync();
+  }
+
+  /**
+   * Update the contacts and detect gestures.
+   * @protected
+   */
+  _sync() {
+    this._raw.forEach((position, id) => {
+      if (this.contacts.has(id)) {
+        this.contacts.get(id).position = position;
+      } else {
+        this.contacts.set(id, { id, position, start: position, frames: 0, pinched: false });
+        this._down(id);
+      }
+    });
+    [...this.contacts.values()].filter(contact => !this._raw.has(contact.id)).forEach(contact => {
+      const move = contact.position.minus(contact.start);
+      // contacts of a pinch are neither taps nor swipes
+      if (!contact.pinched && contact.frames <= Pointer.TAP_FRAMES && move.norm <= Pointer.TAP_DISTANCE) {
+        this.taps.push(contact.position);
+      } else if (!contact.pinched && contact.frames <= Pointer.SWIPE_FRAMES && move.norm >= Pointer.SWIPE_DISTANCE) {
+        const direction = Math.abs(move.x) >= Math.abs(move.y) ? (move.x > 0 ? Directions.E : Directions.W) : (move.y > 0 ? Directions.S : Directions.N);
+        this.swipes.push({ direction, start: contact.start, end: contact.position });
+      }
+      this.contacts.delete(contact.id);
+      this._up(contact.id);
+      this.released.add(contact.id);
+    });
+    if (this.contacts.size < 2) {
+      this.pinchBase = null;
+    } else if (this.pinchBase === null) {
+      this.pinchBase = this._pinchDistance();
+      this.contacts.forEach(contact => {
+        contact.pinched = true;
+      });
+    }
+  }
+
+  _pinchDistance() {
+    const [first, second] = this.contacts.values();
+    return first.position.distanceTo(second.position);
+  }
+
+  /**
+   * Clear contacts.
+   * @protected
+   */
+  _clear() {
+    super._clear();
+    this._raw.clear();
+    this._slots.clear();
+    this.contacts.clear();
+    this.pinchBase = null;
+  }
+
+  /**
+   * Check if the contacts are released now.
+   * @param {...number} ids contact ids
+   * @returns {boolean} `true` if some contacts are released now
+   */
+  isReleased(...ids) {
+    return ids.some(id => this.released.has(id));
+  }
+
+  /**
+   * Get a contact.
+   * @param {number} id contact id
+   * @returns {?Object} contact whose properties are `id`, `position`, `start`, `frames` and `pinched`
+   */
+  getContact(id) {
+    return this.contacts.has(id) ? this.contacts.get(id) : null;
+  }
+
+  /**
+   * Get all contacts in order of touching.
+   * @returns {Object[]} contacts
+   */
+  getContacts() {
+    return [...this.contacts.values()];
+  }
+
+  /**
+   * Check if two or more contacts are pinching.
+   * @returns {boolean} `true` if pinching
+   */
+  isPinching() {
+    return this.pinchBase !== null;
+  }
+
+  /**
+   * Get the pinch scale, which is the ratio of the current distance between the first two contacts to the distance when pinching started.
+   * @returns {number} pinch scale (`1` if not pinching)
+   */
+  getPinchScale() {
+    return this.isPinching() && this.pinchBase > 0 ? this._pinchDistance() / this.pinchBase : 1.0;
+  }
+
+  /**
+   * Reset pressed contacts and gestures.
+   */
+  resetAction() {
+    super.resetAction();
+    this.released.clear();
+    this.taps = [];
+    this.swipes = [];
+    this.contacts.forEach(contact => {
+      contact.frames++;
+    });
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Pointer ${this.contacts.size}]`;
+  }
+}
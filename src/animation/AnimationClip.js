@@ -0,0 +1,118 @@
+/**
+ * Class representing an animation clip, which is a timeline of frames of an image.
+ * Time is measured in ticks.
+ * @param {string} name clip name
+ * @param {string} image image name. See {@link ImageManager}
+ * @param {(Array.<(number|string)>|Object)} frames sprite IDs or atlas frame names, or a range of sprite IDs
+ * @param {number} [frames.from] the first sprite ID of the range
+ * @param {number} [frames.to] the last sprite ID of the range
+ * @param {Object} [opt] options
+ * @param {(number|number[])} [opt.duration=1] ticks of each frame
+ * @param {AnimationMode} [opt.mode=AnimationMode.LOOP] playing mode
+ * @param {Object.<number, (string|string[])>} [opt.events] events keyed by frame indices. They fire when the frames begin
+ */
+class AnimationClip {
+  constructor(name, image, frames, opt = {}) {
+    /** @member {string} */
+    this.name = name;
+    /** @member {string} */
+    this.image = image;
+    /** @member {Array.<(number|string)>} */
+    this.frames = Object.freeze(Array.isArray(frames) ?
+      frames.slice() :
+      Array.from({ length: Math.max(0, frames.to - frames.from + 1) }, (_, i) => frames.from + i));
+    if (this.frames.length === 0) {
+      Logger.fatal(`Animation clip ${name} has no frame!`);
+    }
+
+    const duration = 'duration' in opt ? opt.duration : 1;
+    /** @member {number[]} */
+    this.durations = Object.freeze(this.frames.map((_, i) => {
+      const d = Array.isArray(duration) ? duration[Math.min(i, duration.length - 1)] : duration;
+      if (d > 0) return d;
+      Logger.error(`Invalid duration of the frame ${i} in animation clip ${name}!`);
+      return 1;
+    }));
+    /** @member {AnimationMode} */
+    this.mode = 'mode' in opt ? opt.mode : AnimationMode.LOOP;
+
+    const events = 'events' in opt ? opt.events : {};
+    this.events = new Map(Object.keys(events).map(index => [Number(index), [].concat(events[index])]));
+
+    // frame indices of one cycle
+    const indices = this.frames.map((_, i) => i);
+    this.sequence = Object.freeze(this.mode === AnimationMode.PING_PONG ? indices.concat(indices.slice(1, -1).reverse()) : indices);
+    /** @member {number} */
+    this.duration = this.sequence.reduce((acc, index) => acc + this.durations[index], 0);
+    Object.freeze(this);
+  }
+
+  /**
+   * Get the number of frames passed since the clip began.
+   * Each frame in every cycle is counted, so it changes whenever a frame begins.
+   * @param {number} elapsed elapsed ticks
+   * @returns {number} step, or `-1` before the clip begins
+   */
+  getStep(elapsed) {
+    if (elapsed < 0) return -1;
+    if (this.isFinished(elapsed)) return this.sequence.length - 1;
+    const cycle = Math.floor(elapsed / this.duration);
+    let rest = elapsed - cycle * this.duration;
+    let position = 0;
+    while (position < this.sequence.length - 1 && rest >= this.durations[this.sequence[position]]) {
+      rest -= this.durations[this.sequence[position]];
+      position++;
+    }
+    return cycle * this.sequence.length + position;
+  }
+
+  /**
+   * Get the frame index.
+   * @param {number} elapsed elapsed ticks
+   * @returns {number} frame index
+   */
+  getFrameIndex(elapsed) {
+    return this.sequence[Math.max(0, this.getStep(elapsed)) % this.sequence.length];
+  }
+
+  /**
+   * Get the frame.
+   * @param {number} elapsed elapsed ticks
+   * @returns {(number|string)} sprite ID or atlas frame name
+   */
+  getFrame(elapsed) {
+    return this.frames[this.getFrameIndex(elapsed)];
+  }
+
+  /**
+   * Get the events of the frames which begin in the period.
+   * @param {number} from elapsed ticks at the beginning of the period (exclusive)
+   * @param {number} to elapsed ticks at the end of the period (inclusive)
+   * @returns {string[]} event names
+   */
+  getEvents(from, to) {
+    const events = [];
+    for (let step = this.getStep(from) + 1; step <= this.getStep(to); step++) {
+      const index = this.sequence[step % this.sequence.length];
+      if (this.events.has(index)) events.push(...this.events.get(index));
+    }
+    return events;
+  }
+
+  /**
+   * Check if the clip has finished. Only clips played once can finish.
+   * @param {number} elapsed elapsed ticks
+   * @returns {boolean} `true` if finished
+   */
+  isFinished(elapsed) {
+    return this.mode === AnimationMode.ONCE && elapsed >= this.duration;
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[AnimationClip ${this.image}:${this.name}]`;
+  }
+}
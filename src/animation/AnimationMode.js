@@ -0,0 +1,15 @@
+/**
+ * Enum for playing modes of animation clips.
+ * @readonly
+ * @enum {number}
+ */
+const AnimationMode = {
+  /** @member {number} */
+  LOOP: 0,
+  /** @member {number} */
+  PING_PONG: 1,
+  /** @member {number} */
+  ONCE: 2
+};
+
+Object.freeze(AnimationMode);
@@ -0,0 +1,127 @@
+/**
+ * Class representing a playing animation clip. It is immutable, so it can be a state value.
+ * It advances with the general counter of {@link Counters}.
+ * @param {AnimationClip} clip playing clip
+ * @param {number} [origin=0] general counter when the clip began or the speed changed
+ * @param {number} [offset=0] elapsed ticks at the origin
+ * @param {number} [speed=1] playing speed
+ * @param {boolean} [paused=false] if `true`, then the clip is paused
+ */
+class Animator {
+  constructor(clip, origin = 0, offset = 0, speed = 1, paused = false) {
+    /** @member {AnimationClip} */
+    this.clip = clip;
+    this.origin = origin;
+    this.offset = offset;
+    /** @member {number} */
+    this.speed = speed;
+    /** @member {boolean} */
+    this.paused = paused;
+    Object.freeze(this);
+  }
+
+  /**
+   * Start playing the clip.
+   * @param {AnimationClip} clip clip
+   * @param {Counters} counters counters
+   * @param {number} [speed=1] playing speed
+   * @returns {Animator} new animator
+   */
+  static play(clip, counters, speed = 1) {
+    return new Animator(clip, counters.general, 0, speed);
+  }
+
+  /**
+   * Switch to the clip. If the clip is already playing, it continues unless restarted.
+   * @param {AnimationClip} clip clip
+   * @param {Counters} counters counters
+   * @param {boolean} [restart=false] if `true`, then the clip is played from the beginning
+   * @returns {Animator} new animator
+   */
+  play(clip, counters, restart = false) {
+    if (!restart && clip.name === this.clip.name && clip.image === this.clip.image) return this;
+    return new Animator(clip, counters.general, 0, this.speed);
+  }
+
+  /**
+   * Get the elapsed ticks of the clip.
+   * @param {Counters} counters counters
+   * @returns {number} elapsed ticks
+   */
+  getElapsed(counters) {
+    return this.paused ? this.offset : this.offset + (counters.general - this.origin) * this.speed;
+  }
+
+  /**
+   * Change the playing speed.
+   * @param {number} speed playing speed
+   * @param {Counters} counters counters
+   * @returns {Animator} new animator
+   */
+  setSpeed(speed, counters) {
+    return new Animator(this.clip, counters.general, this.getElapsed(counters), speed, this.paused);
+  }
+
+  /**
+   * Pause the clip.
+   * @param {Counters} counters counters
+   * @returns {Animator} new animator
+   */
+  pause(counters) {
+    return this.paused ? this : new Animator(this.clip, counters.general, this.getElapsed(counters), this.speed, true);
+  }
+
+  /**
+   * Resume the paused clip.
+   * @param {Counters} counters counters
+   * @returns {Animator} new animator
+   */
+  resume(counters) {
+    return this.paused ? new Animator(this.clip, counters.general, this.offset, this.speed, false) : this;
+  }
+
+  /**
+   * Get the current frame index.
+   * @param {Counters} counters counters
+   * @returns {number} frame index
+   */
+  getFrameIndex(counters) {
+    return this.clip.getFrameIndex(this.getElapsed(counters));
+  }
+
+  /**
+   * Get the current frame.
+   * @param {Counters} counters counters
+   * @returns {(number|string)} sprite ID or atlas frame name
+   */
+  getFrame(counters) {
+    return this.clip.getFrame(this.getElapsed(counters));
+  }
+
+  /**
+   * Get the events which fire at the current tick.
+   * @param {Counters} counters counters
+   * @returns {string[]} event names
+   */
+  getEvents(counters) {
+    if (this.paused) return [];
+    return this.clip.getEvents(this.getElapsed(counters) - this.speed, this.getElapsed(counters));
+  }
+
+  /**
+   * Check if the clip has finished.
+   * @param {Counters} counters counters
+   * @returns {boolean} `true` if finished
+   */
+  isFinished(counters) {
+    return this.clip.isFinished(this.getElapsed(counters));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Animator ${this.clip.name}]`;
+  }
+}
@@ -16,25 +16,51 @@ int main(int argc, char const *argv[]) {
     "./geo/Vector.js",
     "./geo/Vector2d.js",
     "./Counters.js",
+    "./PersistentMap.js",
     "./State.js",
+    "./ecs/ComponentType.js",
+    "./ecs/Entities.js",
+    "./ecs/System.js",
+    "./Random.js",
+    "./animation/AnimationMode.js",
+    "./animation/AnimationClip.js",
+    "./animation/Animator.js",
     "./action/Action.js",
     "./action/Keyboard.js",
     "./action/MouseButton.js",
     "./action/Mouse.js",
+    "./action/GamepadButton.js",
+    "./action/Gamepad.js",
+    "./action/Pointer.js",
+    "./action/InputMap.js",
     "./action/ActionManager.js",
+    "./resource/AssetLoader.js",
     "./resource/SoundType.js",
     "./resource/SoundManager.js",
+    "./resource/NullSoundManager.js",
+    "./resource/WebAudioSoundManager.js",
     "./resource/ImageManager.js",
+    "./resource/BundleManager.js",
     "./painter/Painter.js",
     "./painter/Painter2D.js",
+    "./painter/NullPainter2d.js",
+    "./painter/Camera2d.js",
     "./scene/Transition.js",
     "./scene/Scene.js",
+    "./scene/LoadingScene.js",
     "./scene/Scenes.js",
     "./logger/LogLevel.js",
     "./logger/Logger.js",
     "./recorder/KeycodeBiDiMap.js",
     "./recorder/SHA256.js",
     "./recorder/Recorder.js",
+    "./recorder/SnapshotHistory.js",
+    "./recorder/StateInspector.js",
+    "./save/Serializer.js",
+    "./save/SaveStorage.js",
+    "./save/LocalSaveStorage.js",
+    "./save/IndexedDBSaveStorage.js",
+    "./save/SaveSlots.js",
     "./Game.js",
   };
   std::vector<std::string> opt_files{
@@ -43,10 +69,23 @@ int main(int argc, char const *argv[]) {
     "./figure/Shape2d.js",
     "./figure/Rect2d.js",
     "./figure/Circle2d.js",
+    "./figure/Polygon2d.js",
+    "./figure/Capsule2d.js",
+    "./figure/CompoundShape2d.js",
     "./figure/Rigid2d.js",
+    "./figure/Manifold2d.js",
+    "./figure/Collision2d.js",
+    "./figure/World2d.js",
+    "./figure/Joint2d.js",
+    "./figure/DistanceJoint2d.js",
+    "./figure/RevoluteJoint2d.js",
+    "./figure/PrismaticJoint2d.js",
+    "./figure/SpringJoint2d.js",
     "./util/KoturnoUtil.js",
     "./util/StdTransFunc.js",
     "./util/Tween.js",
+    "./tilemap/Tileset.js",
+    "./tilemap/Tilemap.js",
   };
   std::string koturno_min_file_path = "../koturno-min.js";
   std::string koturno_all_file_path = "../koturno-all.js";
@@ -0,0 +1,32 @@
+/**
+ * Class representing a type of components which entities have. It is immutable.
+ * A component is a frozen plain object whose properties are filled with the defaults of its type.
+ * @param {string} name type name, which is the key of the components in {@link Entities}
+ * @param {Object} [defaults={}] default property values of the components
+ */
+class ComponentType {
+  constructor(name, defaults = {}) {
+    /** @member {string} */
+    this.name = name;
+    /** @member {Object} */
+    this.defaults = Object.freeze(Object.assign({}, defaults));
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a component.
+   * @param {Object} [values={}] property values overriding the defaults
+   * @returns {Object} frozen component
+   */
+  create(values = {}) {
+    return Object.freeze(Object.assign({}, this.defaults, values));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[ComponentType ${this.name}]`;
+  }
+}
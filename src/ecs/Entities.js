@@ -0,0 +1,260 @@
+/**
+ * Class representing the entities and their components. It is immutable, so it can be a state value.
+ * Entities are identified by serial numbers, and have at most one component of each registered {@link ComponentType}.
+ * Components are specified by objects whose keys are type names, e.g. `{ Position: { x: 0, y: 0 } }`.
+ * @param {Object} [obj] entities properties
+ * @param {ComponentType[]} [obj.types=[]] registered component types
+ * @param {number} [obj.nextID=0] ID of the next spawned entity
+ * @param {number[]} [obj.ids=[]] IDs of the living entities in ascending order
+ * @param {PersistentMap} [obj.living] living entities keyed by IDs in ascending order. It is used instead of `ids` if it is given
+ * @param {Map.<string, PersistentMap>} [obj.stores] components of each type keyed by entity IDs
+ */
+class Entities {
+  constructor(obj = {}) {
+    const types = 'types' in obj ? obj.types : [];
+    /** @member {ComponentType[]} */
+    this.types = Object.freeze(types.slice());
+    /** @member {number} */
+    this.nextID = 'nextID' in obj ? obj.nextID : 0;
+    /** @member {PersistentMap} */
+    this.living = 'living' in obj ? obj.living : new PersistentMap(('ids' in obj ? obj.ids : []).map(id => [id, true]));
+    this.stores = 'stores' in obj ? obj.stores : new Map(types.map(type => [type.name, new PersistentMap()]));
+    Object.freeze(this);
+  }
+
+  /**
+   * Create empty entities.
+   * @param {ComponentType[]} types component types
+   * @returns {Entities} entities
+   */
+  static init(types) {
+    return new Entities({ types });
+  }
+
+  static _nameOf(type) {
+    return typeof type === 'string' ? type : type.name;
+  }
+
+  _with(obj) {
+    return new Entities(Object.assign({
+      types: this.types,
+      nextID: this.nextID,
+      living: this.living,
+      stores: this.stores
+    }, obj));
+  }
+
+  /**
+   * Get the registered component type.
+   * @param {(ComponentType|string)} type component type or its name
+   * @returns {?ComponentType} component type, or `null` if it is not registered
+   * @protected
+   */
+  _getType(type) {
+    const name = Entities._nameOf(type);
+    const found = this.types.find(t => t.name === name);
+    if (found === undefined) {
+      Logger.error(`Component type ${name} is not registered!`);
+      return null;
+    }
+    return found;
+  }
+
+  // set the components of the entities at once, and return the new stores. Only the stores of the given types are copied
+  _setComponents(componentsList) {
+    const updates = new Map();
+    componentsList.forEach(([id, components]) => {
+      Object.keys(components).forEach(name => {
+        const type = this._getType(name);
+        if (type === null) return;
+        if (!updates.has(name)) updates.set(name, []);
+        updates.get(name).push([id, type.create(components[name])]);
+      });
+    });
+    const stores = new Map(this.stores);
+    updates.forEach((entries, name) => {
+      stores.set(name, stores.get(name).withMutations(store => entries.forEach(([id, component]) => store.set(id, component))));
+    });
+    return stores;
+  }
+
+  _collect(id, names) {
+    return names.reduce((acc, name) => Object.assign(acc, { [name]: this.stores.get(name).get(id) }), {});
+  }
+
+  /**
+   * IDs of the living entities in ascending order.
+   * @member {number[]}
+   */
+  get ids() {
+    return Array.from(this.living.keys());
+  }
+
+  /** @member {number} */
+  get count() {
+    return this.living.size;
+  }
+
+  /**
+   * Spawn an entity. Its ID is `nextID` before spawning.
+   * @param {Object} [components={}] object whose keys are type names and whose values are property values of the components
+   * @returns {Entities} new entities
+   */
+  spawn(components = {}) {
+    const stores = this._setComponents([[this.nextID, components]]);
+    return this._with({ nextID: this.nextID + 1, living: this.living.set(this.nextID, true), stores });
+  }
+
+  /**
+   * Despawn the entity with all its components.
+   * @param {number} id entity ID
+   * @returns {Entities} new entities
+   */
+  despawn(id) {
+    if (!this.exists(id)) return this;
+    const stores = new Map(this.stores);
+    stores.forEach((store, name) => stores.set(name, store.delete(id)));
+    return this._with({ living: this.living.delete(id), stores });
+  }
+
+  /**
+   * Check if the entity is living.
+   * @param {number} id entity ID
+   * @returns {boolean} `true` if it exists
+   */
+  exists(id) {
+    return this.living.has(id);
+  }
+
+  /**
+   * Check if the entity has the component.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @returns {boolean} `true` if it has
+   */
+  has(id, type) {
+    const store = this.stores.get(Entities._nameOf(type));
+    return store !== undefined && store.has(id);
+  }
+
+  /**
+   * Get the component of the entity.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @returns {?Object} component or null
+   */
+  get(id, type) {
+    return this.has(id, type) ? this.stores.get(Entities._nameOf(type)).get(id) : null;
+  }
+
+  /**
+   * Set the component of the entity. The component is replaced, so the omitted properties become the defaults.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @param {Object} [values={}] property values of the component
+   * @returns {Entities} new entities
+   */
+  set(id, type, values = {}) {
+    if (!this.exists(id)) {
+      Logger.error(`Entity ${id} does not exist!`);
+      return this;
+    }
+    const _type = this._getType(type);
+    if (_type === null) return this;
+    return this._with({ stores: this._setComponents([[id, { [_type.name]: values }]]) });
+  }
+
+  /**
+   * Modify the component of the entity.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @param {function(Object): Object} f component modifier which returns new property values
+   * @returns {Entities} new entities
+   */
+  modify(id, type, f) {
+    return this.has(id, type) ? this.set(id, type, f(this.get(id, type))) : this;
+  }
+
+  /**
+   * Remove the component from the entity.
+   * @param {number} id entity ID
+   * @param {(ComponentType|string)} type component type or its name
+   * @returns {Entities} new entities
+   */
+  remove(id, type) {
+    if (!this.has(id, type)) return this;
+    const name = Entities._nameOf(type);
+    const stores = new Map(this.stores);
+    stores.set(name, stores.get(name).delete(id));
+    return this._with({ stores });
+  }
+
+  /**
+   * Find the entities which have all the components.
+   * @param {(ComponentType|string)[]} types component types or their names
+   * @returns {number[]} entity IDs in ascending order
+   */
+  query(types) {
+    const names = types.map(type => Entities._nameOf(type));
+    if (names.some(name => !this.stores.has(name))) return [];
+    return this.ids.filter(id => names.every(name => this.stores.get(name).has(id)));
+  }
+
+  /**
+   * Execute the function for each entity which has all the components, in ascending order of IDs.
+   * @param {(ComponentType|string)[]} types component types or their names
+   * @param {function(Object, number)} f function which takes the components keyed by type names and the entity ID
+   */
+  forEach(types, f) {
+    const names = types.map(type => Entities._nameOf(type));
+    this.query(names).forEach(id => f(this._collect(id, names), id));
+  }
+
+  /**
+   * Modify the components of each entity which has all the components, in ascending order of IDs.
+   * @param {(ComponentType|string)[]} types component types or their names
+   * @param {function(Object, number): Object} f modifier which takes the components keyed by type names and the entity ID,
+   * and returns an object whose keys are type names and whose values are new property values. Omitted components are kept
+   * @returns {Entities} new entities
+   */
+  modifyEach(types, f) {
+    const names = types.map(type => Entities._nameOf(type));
+    return this._with({ stores: this._setComponents(this.query(names).map(id => [id, f(this._collect(id, names), id)])) });
+  }
+
+  /**
+   * Convert to a plain object. It can be restored by {@link Entities.fromObject}.
+   * @returns {Object} object which has `nextID` and `entities`, an array of objects which have `id` and `components` keyed by type names
+   */
+  toObject() {
+    return {
+      nextID: this.nextID,
+      entities: this.ids.map(id => ({
+        id,
+        components: Array.from(this.stores.keys()).filter(name => this.stores.get(name).has(id))
+          .reduce((acc, name) => Object.assign(acc, { [name]: Object.assign({}, this.stores.get(name).get(id)) }), {})
+      }))
+    };
+  }
+
+  /**
+   * Restore entities from a plain object.
+   * @param {Object} obj object created by {@link Entities#toObject}
+   * @param {ComponentType[]} types component types
+   * @returns {Entities} entities
+   */
+  static fromObject(obj, types) {
+    const entities = Entities.init(types);
+    const stores = entities._setComponents(obj.entities.map(entity => [entity.id, entity.components]));
+    const ids = obj.entities.map(entity => entity.id).sort((a, b) => a - b);
+    return entities._with({ nextID: obj.nextID, living: new PersistentMap(ids.map(id => [id, true])), stores });
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Entities ${this.count}]`;
+  }
+}
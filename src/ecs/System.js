@@ -0,0 +1,51 @@
+/**
+ * Class representing a system which processes entities in a scene. See {@link Entities}.
+ * If you want to create new system, please extend it and register it to a {@link Scene}.
+ * @param {string} name system name
+ * @param {Object} [opt] options
+ * @param {number} [opt.updateOrder=0] systems of smaller orders are updated earlier. Systems of the same order are updated in the registered order
+ * @param {number} [opt.drawOrder=0] systems of smaller orders are drawn earlier, so they are drawn below
+ */
+class System {
+  constructor(name, opt = {}) {
+    /** @member {string} */
+    this.name = name;
+    /** @member {number} */
+    this.updateOrder = 'updateOrder' in opt ? opt.updateOrder : 0;
+    /** @member {number} */
+    this.drawOrder = 'drawOrder' in opt ? opt.drawOrder : 0;
+  }
+
+  /**
+   * Update the state.
+   * @param {State} state previous state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {SoundManager} sound sound manager
+   * @param {Game} game game itself
+   * @returns {State} updated state
+   */
+  update(state, action, counters, sound, game) {
+    return state;
+  }
+
+  /**
+   * Draw on the canvas.
+   * @param {State} state current state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {Painter} painter graphics controller
+   * @param {Game} game game itself
+   * @param {number} [alpha=0] elapsed fraction of a tick since the state was updated
+   */
+  draw(state, action, counters, painter, game, alpha = 0) {
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[System ${this.name}]`;
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Class representing capsule shape, which is a horizontal segment inflated by the radius.
+ * @param {number} length length of the segment
+ * @param {number} radius radius
+ * @param {Vector2d} [gravityCenter] relative center position of gravity
+ * @param {number} [gyradius] radius of gyration
+ */
+class Capsule2d extends Shape2d {
+  constructor(length, radius, gravityCenter = new Vector2d(0, 0), gyradius) {
+    const rectArea = length * radius * 2;
+    const circleArea = Math.PI * radius ** 2;
+    if (gyradius === undefined) {
+      // the rectangle and two semicircles apart from the center by half the length
+      const rectMoment = rectArea * (length ** 2 + 4 * radius ** 2) / 12;
+      const circleMoment = circleArea * (radius ** 2 / 2 + length ** 2 / 4 + length * 4 * radius / (3 * Math.PI));
+      gyradius = Math.sqrt((rectMoment + circleMoment) / (rectArea + circleArea) + gravityCenter.innerProd(gravityCenter));
+    }
+    super('Capsule2d', rectArea + circleArea, gravityCenter, gyradius);
+    this.length = length;
+    this.radius = radius;
+  }
+
+  /**
+   * Get the convex parts used for collision detection.
+   * @returns {Object[]} the segment inflated by the radius
+   */
+  getConvexParts() {
+    return [{ vertices: [new Vector2d(-this.length / 2, 0), new Vector2d(this.length / 2, 0)], radius: this.radius }];
+  }
+
+  /**
+   * Create the path of the capsule.
+   * @param {Painter2d} painter painter
+   * @returns {Object} path operations
+   */
+  createPath(painter) {
+    return painter.roundRect(-this.length / 2 - this.radius, -this.radius, this.length + this.radius * 2, this.radius * 2, this.radius);
+  }
+}
@@ -13,6 +13,14 @@ class Circle2d extends Shape2d {
     this.radius = radius;
   }
 
+  /**
+   * Get the convex parts used for collision detection.
+   * @returns {Object[]} the center inflated by the radius
+   */
+  getConvexParts() {
+    return [{ vertices: [new Vector2d(0, 0)], radius: this.radius }];
+  }
+
   /**
    * Create the path of the circle.
    * @param {Painter2d} painter painter
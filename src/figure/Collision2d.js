@@ -0,0 +1,371 @@
+/**
+ * Namespace for collision detection between {@link Rigid2d} figures.
+ * The broad phase finds pairs of figures whose bounding boxes overlap by sweep and prune,
+ * and the narrow phase tests the pairs by the separating axis theorem with the convex parts of their shapes.
+ * It also provides ray casts and region queries over figures, which are filtered by the collision category bits of the figures.
+ * @namespace
+ */
+const Collision2d = (() => {
+  const EPSILON = 1e-9;
+
+  // outward unit normals of the edges, in the same order as the vertices
+  const calcNormals = vertices => vertices.map((vertex, i) => {
+    const edge = vertices[(i + 1) % vertices.length].minus(vertex);
+    return new Vector2d(edge.y, -edge.x).scalar(1 / edge.norm);
+  });
+
+  const collideCircles = (centerA, radiusA, centerB, radiusB) => {
+    const diff = centerB.minus(centerA);
+    const distance = diff.norm;
+    if (distance >= radiusA + radiusB) return null;
+    const normal = distance > EPSILON ? diff.scalar(1 / distance) : new Vector2d(1, 0);
+    const depth = radiusA + radiusB - distance;
+    return new Manifold2d(normal, depth, [centerA.plus(normal.scalar(radiusA - depth / 2))]);
+  };
+
+  // contact points are in the middle of the two surfaces
+  const collidePolygonCircle = (vertices, polygonRadius, center, radius) => {
+    const totalRadius = polygonRadius + radius;
+    const normals = calcNormals(vertices);
+    let edge = 0;
+    let separation = -Infinity;
+    normals.forEach((normal, i) => {
+      const s = normal.innerProd(center.minus(vertices[i]));
+      if (s > separation) [edge, separation] = [i, s];
+    });
+    if (separation > totalRadius) return null;
+
+    const v1 = vertices[edge];
+    const v2 = vertices[(edge + 1) % vertices.length];
+    const faceContact = normal => {
+      const depth = totalRadius - separation;
+      return new Manifold2d(normal, depth, [center.minus(normal.scalar(radius - depth / 2))]);
+    };
+    const vertexContact = vertex => {
+      const diff = center.minus(vertex);
+      const distance = diff.norm;
+      if (distance >= totalRadius) return null;
+      const normal = diff.scalar(1 / distance);
+      const depth = totalRadius - distance;
+      return new Manifold2d(normal, depth, [vertex.plus(normal.scalar(polygonRadius - depth / 2))]);
+    };
+    // the center is inside the polygon
+    if (separation < EPSILON) return faceContact(normals[edge]);
+    if (center.minus(v1).innerProd(v2.minus(v1)) <= 0) return vertexContact(v1);
+    if (center.minus(v2).innerProd(v1.minus(v2)) <= 0) return vertexContact(v2);
+    return faceContact(normals[edge]);
+  };
+
+  const findMaxSeparation = (vertices, normals, others) => normals.reduce((acc, normal, i) => {
+    const s = Math.min(...others.map(other => normal.innerProd(other.minus(vertices[i]))));
+    return s > acc.separation ? { edge: i, separation: s } : acc;
+  }, { edge: 0, separation: -Infinity });
+
+  const clipSegment = (points, normal, offset) => {
+    const [d1, d2] = points.map(point => normal.innerProd(point) - offset);
+    const clipped = points.filter((point, i) => [d1, d2][i] <= 0);
+    if (d1 * d2 < 0) clipped.push(points[0].plus(points[1].minus(points[0]).scalar(d1 / (d1 - d2))));
+    return clipped;
+  };
+
+  const closestPointOnSegment = (point, p, q) => {
+    const d = q.minus(p);
+    const lengthSq = d.innerProd(d);
+    if (lengthSq < EPSILON) return p;
+    return p.plus(d.scalar(Math.min(1, Math.max(0, point.minus(p).innerProd(d) / lengthSq))));
+  };
+
+  const calcEdges = vertices => vertices.length === 1 ? [[vertices[0], vertices[0]]] :
+    vertices.slice(0, vertices.length === 2 ? 1 : vertices.length).map((vertex, i) => [vertex, vertices[(i + 1) % vertices.length]]);
+
+  // closest points of two separated convex parts
+  const findClosestPoints = (verticesA, verticesB) => {
+    let closest = { distance: Infinity, pointA: null, pointB: null };
+    calcEdges(verticesA).forEach(([p1, q1]) => {
+      calcEdges(verticesB).forEach(([p2, q2]) => {
+        [
+          [p1, closestPointOnSegment(p1, p2, q2)],
+          [q1, closestPointOnSegment(q1, p2, q2)],
+          [closestPointOnSegment(p2, p1, q1), p2],
+          [closestPointOnSegment(q2, p1, q1), q2]
+        ].forEach(([pointA, pointB]) => {
+          const distance = pointB.minus(pointA).norm;
+          if (distance < closest.distance) closest = { distance, pointA, pointB };
+        });
+      });
+    });
+    return closest;
+  };
+
+  const collidePolygons = (partA, partB) => {
+    const [verticesA, verticesB] = [partA.vertices, partB.vertices];
+    const totalRadius = partA.radius + partB.radius;
+    const normalsA = calcNormals(verticesA);
+    const normalsB = calcNormals(verticesB);
+    const sepA = findMaxSeparation(verticesA, normalsA, verticesB);
+    if (sepA.separation > totalRadius) return null;
+    const sepB = findMaxSeparation(verticesB, normalsB, verticesA);
+    if (sepB.separation > totalRadius) return null;
+
+    const pointContact = () => {
+      const closest = findClosestPoints(verticesA, verticesB);
+      if (closest.distance >= totalRadius || closest.distance < EPSILON) return null;
+      const normal = closest.pointB.minus(closest.pointA).scalar(1 / closest.distance);
+      const depth = totalRadius - closest.distance;
+      return new Manifold2d(normal, depth, [closest.pointA.plus(normal.scalar(partA.radius - depth / 2))]);
+    };
+    // separated parts touch at their corners if no edge faces the other part
+    if (Math.max(sepA.separation, sepB.separation) > 0) {
+      const closest = findClosestPoints(verticesA, verticesB);
+      if (closest.distance >= totalRadius) return null;
+      if (closest.distance > Math.max(sepA.separation, sepB.separation) + 1e-6) return pointContact();
+    }
+
+    // prefer A as the reference polygon to keep the result stable
+    const flipped = sepB.separation > sepA.separation + 1e-6;
+    const [ref, refNormals, refRadius, inc, incNormals, incRadius, edge] = flipped ?
+      [verticesB, normalsB, partB.radius, verticesA, normalsA, partA.radius, sepB.edge] :
+      [verticesA, normalsA, partA.radius, verticesB, normalsB, partB.radius, sepA.edge];
+    const normal = refNormals[edge];
+    const r1 = ref[edge];
+    const r2 = ref[(edge + 1) % ref.length];
+
+    const incEdge = incNormals.reduce((acc, n, i) => n.innerProd(normal) < incNormals[acc].innerProd(normal) ? i : acc, 0);
+    let points = [inc[incEdge], inc[(incEdge + 1) % inc.length]];
+    const tangent = r2.minus(r1).scalar(1 / r2.minus(r1).norm);
+    points = clipSegment(points, tangent.scalar(-1), -tangent.innerProd(r1));
+    if (points.length < 2) return pointContact();
+    points = clipSegment(points, tangent, tangent.innerProd(r2));
+    if (points.length < 2) return pointContact();
+
+    const contacts = points.map(point => ({ point, separation: normal.innerProd(point.minus(r1)) }))
+      .filter(contact => contact.separation < totalRadius);
+    if (contacts.length === 0) return null;
+    const depth = Math.max(...contacts.map(contact => totalRadius - contact.separation));
+    const manifold = new Manifold2d(normal, depth, contacts.map(contact => contact.point.minus(normal.scalar((contact.separation - refRadius + incRadius) / 2))));
+    return flipped ? manifold.flip() : manifold;
+  };
+
+  const collideParts = (partA, partB) => {
+    if (partA.vertices.length === 1 && partB.vertices.length === 1) {
+      return collideCircles(partA.vertices[0], partA.radius, partB.vertices[0], partB.radius);
+    }
+    if (partB.vertices.length === 1) return collidePolygonCircle(partA.vertices, partA.radius, partB.vertices[0], partB.radius);
+    if (partA.vertices.length === 1) {
+      const manifold = collidePolygonCircle(partB.vertices, partB.radius, partA.vertices[0], partA.radius);
+      return manifold === null ? null : manifold.flip();
+    }
+    return collidePolygons(partA, partB);
+  };
+
+  const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+  const containsPoint = (part, point) => {
+    if (part.vertices.length === 1) return point.isInCircle(part.vertices[0], part.radius);
+    if (part.vertices.length > 2 && calcNormals(part.vertices).every((normal, i) => normal.innerProd(point.minus(part.vertices[i])) < 0)) return true;
+    return calcEdges(part.vertices).some(([p, q]) => point.isInCircle(closestPointOnSegment(point, p, q), part.radius));
+  };
+
+  // distance along the unit direction where the ray enters a circle
+  const raycastCircle = (origin, direction, center, radius) => {
+    const diff = origin.minus(center);
+    const b = diff.innerProd(direction);
+    const discriminant = b * b - diff.innerProd(diff) + radius * radius;
+    if (discriminant < 0) return null;
+    const distance = -b - Math.sqrt(discriminant);
+    return distance < 0 ? null : { distance, normal: origin.plus(direction.scalar(distance)).minus(center).scalar(1 / radius) };
+  };
+
+  // distance along the unit direction where the ray passes through the front side of a segment
+  const raycastSegment = (origin, direction, p, q, normal) => {
+    const denominator = normal.innerProd(direction);
+    if (denominator > -EPSILON) return null;
+    const distance = normal.innerProd(p.minus(origin)) / denominator;
+    if (distance < 0) return null;
+    const edge = q.minus(p);
+    const t = origin.plus(direction.scalar(distance)).minus(p).innerProd(edge) / edge.innerProd(edge);
+    return t < 0 || t > 1 ? null : { distance, normal };
+  };
+
+  // a rounded part is the union of the edges pushed out by the radius and the circles around the vertices
+  const raycastPart = (part, origin, direction) => {
+    if (containsPoint(part, origin)) return null;
+    if (part.vertices.length === 1) return raycastCircle(origin, direction, part.vertices[0], part.radius);
+    const normals = calcNormals(part.vertices);
+    const edges = part.vertices.length === 2 ? [0, 1] : part.vertices.map((vertex, i) => i);
+    const hits = edges.map(i => {
+      const offset = normals[i].scalar(part.radius);
+      return raycastSegment(origin, direction, part.vertices[i].plus(offset), part.vertices[(i + 1) % part.vertices.length].plus(offset), normals[i]);
+    });
+    if (part.radius > 0) hits.push(...part.vertices.map(vertex => raycastCircle(origin, direction, vertex, part.radius)));
+    return hits.reduce((acc, hit) => hit !== null && (acc === null || hit.distance < acc.distance) ? hit : acc, null);
+  };
+
+  const createQueryFilter = opt => {
+    const mask = 'mask' in opt ? opt.mask : 0xFFFFFFFF;
+    const filter = 'filter' in opt ? opt.filter : () => true;
+    return (figure, index) => (figure.category & mask) !== 0 && filter(figure, index);
+  };
+
+  const raycastFigures = (figures, origin, direction, opt) => {
+    const maxDistance = 'maxDistance' in opt ? opt.maxDistance : Infinity;
+    const accepts = createQueryFilter(opt);
+    const unit = direction.scalar(1 / direction.norm);
+    return figures.reduce((acc, figure, index) => {
+      if (!accepts(figure, index)) return acc;
+      const hit = figure.getConvexParts().map(part => raycastPart(part, origin, unit))
+        .reduce((nearest, h) => h !== null && (nearest === null || h.distance < nearest.distance) ? h : nearest, null);
+      if (hit !== null && hit.distance <= maxDistance) {
+        acc.push(Object.freeze({ index, point: origin.plus(unit.scalar(hit.distance)), normal: hit.normal, distance: hit.distance }));
+      }
+      return acc;
+    }, []).sort((a, b) => a.distance - b.distance || a.index - b.index);
+  };
+
+  const queryParts = (figures, bounds, opt, test) => {
+    const accepts = createQueryFilter(opt);
+    return figures.reduce((acc, figure, index) => {
+      if (accepts(figure, index) && overlaps(figure.getBounds(), bounds) && figure.getConvexParts().some(test)) acc.push(index);
+      return acc;
+    }, []);
+  };
+
+  return Object.freeze({
+    /**
+     * Check if the bounding boxes of two figures overlap.
+     * @param {Rigid2d} a figure
+     * @param {Rigid2d} b another figure
+     * @returns {boolean} `true` if they overlap
+     * @memberof Collision2d
+     */
+    overlapBounds: (a, b) => overlaps(a.getBounds(), b.getBounds()),
+
+    /**
+     * Find the pairs of figures whose bounding boxes overlap by sweep and prune.
+     * Pairs of static figures and pairs rejected by the collision filters are excluded.
+     * @param {Rigid2d[]} figures figures
+     * @returns {number[][]} pairs of indices, each of which is sorted in ascending order
+     * @memberof Collision2d
+     */
+    broadPhase: figures => {
+      const boxes = figures.map((figure, index) => ({ index, bounds: figure.getBounds(), isStatic: figure.physicalType === PhysicalType.STATIC }))
+        .sort((a, b) => a.bounds.x - b.bounds.x || a.index - b.index);
+      const pairs = [];
+      const active = [];
+      boxes.forEach(box => {
+        // boxes ending before this one starts can never overlap the rest
+        const alive = active.filter(other => other.bounds.x + other.bounds.width > box.bounds.x);
+        active.length = 0;
+        active.push(...alive);
+        active.filter(other => !(other.isStatic && box.isStatic) && overlaps(other.bounds, box.bounds) &&
+          figures[other.index].canCollide(figures[box.index])).forEach(other => {
+          pairs.push(other.index < box.index ? [other.index, box.index] : [box.index, other.index]);
+        });
+        active.push(box);
+      });
+      return pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    },
+
+    /**
+     * Test two figures precisely. Figures of compound shapes may touch at several parts.
+     * @param {Rigid2d} a figure
+     * @param {Rigid2d} b another figure
+     * @returns {Manifold2d[]} contacts of the convex parts, whose normals point from `a` to `b`
+     * @memberof Collision2d
+     */
+    collideAll: (a, b) => {
+      const partsB = b.getConvexParts();
+      return a.getConvexParts().reduce((acc, partA) => acc.concat(partsB.map(partB => collideParts(partA, partB))), [])
+        .filter(manifold => manifold !== null);
+    },
+
+    /**
+     * Test two figures precisely.
+     * @param {Rigid2d} a figure
+     * @param {Rigid2d} b another figure
+     * @returns {?Manifold2d} the deepest contact whose normal points from `a` to `b`, or `null` if they do not collide
+     * @memberof Collision2d
+     */
+    collide: (a, b) => Collision2d.collideAll(a, b).reduce((acc, manifold) => acc === null || manifold.depth > acc.depth ? manifold : acc, null),
+
+    /**
+     * Detect all collisions among figures.
+     * @param {Rigid2d[]} figures figures
+     * @returns {Manifold2d[]} contacts which have the indices of the figures
+     * @memberof Collision2d
+     */
+    detect: figures => Collision2d.broadPhase(figures)
+      .reduce((acc, [a, b]) => acc.concat(Collision2d.collideAll(figures[a], figures[b]).map(manifold => manifold.withIndices(a, b))), []),
+
+    /**
+     * Cast a ray and find the first figure hit by it. Figures containing the origin are ignored.
+     * @param {Rigid2d[]} figures figures
+     * @param {Vector2d} origin start point of the ray
+     * @param {Vector2d} direction direction of the ray, which does not have to be normalized
+     * @param {Object} [opt={}] options
+     * @param {number} [opt.maxDistance=Infinity] length of the ray
+     * @param {number} [opt.mask=0xFFFFFFFF] bits of the categories to hit
+     * @param {function(Rigid2d, number): boolean} [opt.filter] additional filter which accepts a figure and its index
+     * @returns {?Object} hit which has `index`, `point`, unit `normal` of the surface and `distance`, or `null` if nothing is hit
+     * @memberof Collision2d
+     */
+    raycast: (figures, origin, direction, opt = {}) => {
+      const hits = raycastFigures(figures, origin, direction, opt);
+      return hits.length === 0 ? null : hits[0];
+    },
+
+    /**
+     * Cast a ray and find all figures hit by it. Figures containing the origin are ignored.
+     * @param {Rigid2d[]} figures figures
+     * @param {Vector2d} origin start point of the ray
+     * @param {Vector2d} direction direction of the ray, which does not have to be normalized
+     * @param {Object} [opt={}] options. See {@link Collision2d.raycast}
+     * @returns {Object[]} the nearest hit of each figure, sorted by distance
+     * @memberof Collision2d
+     */
+    raycastAll: (figures, origin, direction, opt = {}) => raycastFigures(figures, origin, direction, opt),
+
+    /**
+     * Find figures containing a point.
+     * @param {Rigid2d[]} figures figures
+     * @param {Vector2d} point point
+     * @param {Object} [opt={}] options
+     * @param {number} [opt.mask=0xFFFFFFFF] bits of the categories to find
+     * @param {function(Rigid2d, number): boolean} [opt.filter] additional filter which accepts a figure and its index
+     * @returns {number[]} indices of the figures in ascending order
+     * @memberof Collision2d
+     */
+    queryPoint: (figures, point, opt = {}) => queryParts(figures, { x: point.x, y: point.y, width: 0, height: 0 }, opt, part => containsPoint(part, point)),
+
+    /**
+     * Find figures overlapping a rectangle.
+     * @param {Rigid2d[]} figures figures
+     * @param {number} x x-coordinate of the leftmost point of a rectangle
+     * @param {number} y y-coordinate of the uppermost point of a rectangle
+     * @param {number} width width of a rectangle
+     * @param {number} height height of a rectangle
+     * @param {Object} [opt={}] options. See {@link Collision2d.queryPoint}
+     * @returns {number[]} indices of the figures in ascending order
+     * @memberof Collision2d
+     */
+    queryRect: (figures, x, y, width, height, opt = {}) => {
+      const rect = { vertices: [new Vector2d(x, y), new Vector2d(x + width, y), new Vector2d(x + width, y + height), new Vector2d(x, y + height)], radius: 0 };
+      return queryParts(figures, { x, y, width, height }, opt, part => part.vertices.some(vertex => vertex.isInRectangle(x, y, width, height)) || collideParts(part, rect) !== null);
+    },
+
+    /**
+     * Find figures overlapping a circle.
+     * @param {Rigid2d[]} figures figures
+     * @param {Vector2d} center center of a circle
+     * @param {number} radius radius of a circle
+     * @param {Object} [opt={}] options. See {@link Collision2d.queryPoint}
+     * @returns {number[]} indices of the figures in ascending order
+     * @memberof Collision2d
+     */
+    queryCircle: (figures, center, radius, opt = {}) => {
+      const circle = { vertices: [center], radius };
+      const bounds = { x: center.x - radius, y: center.y - radius, width: 2 * radius, height: 2 * radius };
+      return queryParts(figures, bounds, opt, part => part.vertices.some(vertex => vertex.isInCircle(center, radius + part.radius)) || collideParts(part, circle) !== null);
+    }
+  });
+})();
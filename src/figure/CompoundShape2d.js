@@ -0,0 +1,58 @@
+/**
+ * Class representing shape made of several child shapes.
+ * The area, the center of gravity and the radius of gyration are combined from the children.
+ * @param {Object[]} children child shapes
+ * @param {Shape2d} children[].shape shape
+ * @param {Vector2d} [children[].offset] position of the child relative to the center
+ * @param {number} [children[].rotation=0] rotation angle of the child
+ */
+class CompoundShape2d extends Shape2d {
+  constructor(children) {
+    const _children = Object.freeze(children.map(child => Object.freeze({
+      shape: child.shape,
+      offset: 'offset' in child ? child.offset : new Vector2d(0, 0),
+      rotation: 'rotation' in child ? child.rotation : 0
+    })));
+    const area = _children.reduce((acc, child) => acc + child.shape.area, 0);
+    const centers = _children.map(child => Shape2d.transformPoint(child.shape.gravityCenter, child.rotation, child.offset));
+    const gravityCenter = centers.reduce((acc, center, i) => acc.plus(center.scalar(_children[i].shape.area / area)), new Vector2d(0, 0));
+    // parallel axis theorem
+    const moment = _children.reduce((acc, child, i) => acc + child.shape.area * (child.shape.gyradius ** 2 + centers[i].minus(gravityCenter).norm ** 2), 0);
+    super('CompoundShape2d', area, gravityCenter, Math.sqrt(moment / area));
+    /** @member {Object[]} */
+    this.children = _children;
+  }
+
+  /**
+   * Get the convex parts of all children.
+   * @returns {Object[]} parts which have `vertices` and `radius`. See {@link Shape2d#getConvexParts}
+   */
+  getConvexParts() {
+    return this.children.reduce((acc, child) => acc.concat(child.shape.getConvexParts().map(part => ({
+      vertices: part.vertices.map(vertex => Shape2d.transformPoint(vertex, child.rotation, child.offset)),
+      radius: part.radius
+    }))), []);
+  }
+
+  /**
+   * Create the path of the children. Each operation is applied to the children one by one.
+   * @param {Painter2d} painter painter
+   * @returns {Object} path operations
+   */
+  createPath(painter) {
+    const forEachChild = cb => {
+      this.children.forEach(child => {
+        const cosVal = Math.cos(child.rotation);
+        const sinVal = Math.sin(child.rotation);
+        painter.transformAndDraw(cosVal, -sinVal, sinVal, cosVal, child.offset.x, child.offset.y, () => cb(child.shape.createPath(painter)));
+      });
+    };
+    return {
+      fill: (...args) => forEachChild(path => path.fill(...args)),
+      stroke: (...args) => forEachChild(path => path.stroke(...args)),
+      outlined: (...args) => forEachChild(path => path.outlined(...args)),
+      // the callback is called once in each child
+      clipAndDraw: (...args) => forEachChild(path => path.clipAndDraw(...args))
+    };
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Class representing joint which keeps the distance between two anchors, like a rod.
+ * @param {Object} obj joint properties. See {@link Joint2d}
+ * @param {number} obj.length distance between the anchors
+ */
+class DistanceJoint2d extends Joint2d {
+  constructor(obj) {
+    super('DistanceJoint2d', obj);
+    /** @member {number} */
+    this.length = obj.length;
+    Object.freeze(this);
+  }
+
+  /**
+   * Create the solver of the joint for a substep.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
+   */
+  createSolver(stateA, stateB, dt, beta) {
+    const rA = Shape2d.transformPoint(this.anchorA, stateA.rotation);
+    const rB = Shape2d.transformPoint(this.anchorB, stateB.rotation);
+    const diff = stateB.center.plus(rB).minus(stateA.center.plus(rA));
+    const distance = diff.norm;
+    const axis = distance > 1e-9 ? diff.scalar(1 / distance) : new Vector2d(1, 0);
+    return Joint2d._createConstraint(Joint2d._linearTerm(stateA, stateB, rA, rB, axis), beta * (distance - this.length) / dt);
+  }
+}
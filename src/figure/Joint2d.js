@@ -0,0 +1,156 @@
+/**
+ * Abstract class for joints between two figures of {@link World2d}. Joints are immutable.
+ * Anchors are relative to the centers of the figures, and they are not rotated yet.
+ * @param {string} name name of joint
+ * @param {Object} obj joint properties
+ * @param {number} obj.a index of the first figure
+ * @param {number} obj.b index of the second figure
+ * @param {Vector2d} [obj.anchorA] anchor on the first figure
+ * @param {Vector2d} [obj.anchorB] anchor on the second figure
+ * @param {boolean} [obj.collideConnected=false] if `true`, then the two figures collide with each other
+ */
+class Joint2d {
+  constructor(name, obj) {
+    /** @member {string} */
+    this.name = name;
+    /** @member {number} */
+    this.a = obj.a;
+    /** @member {number} */
+    this.b = obj.b;
+    /** @member {Vector2d} */
+    this.anchorA = 'anchorA' in obj ? obj.anchorA : new Vector2d(0, 0);
+    /** @member {Vector2d} */
+    this.anchorB = 'anchorB' in obj ? obj.anchorB : new Vector2d(0, 0);
+    /** @member {boolean} */
+    this.collideConnected = 'collideConnected' in obj ? obj.collideConnected : false;
+  }
+
+  /**
+   * Create a term of constraints on the relative velocity of two points along an axis.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {Vector2d} rA point on the first figure relative to its center
+   * @param {Vector2d} rB point on the second figure relative to its center
+   * @param {Vector2d} axis unit vector
+   * @returns {Object} term which has `mass`, `speed` and `apply`
+   * @protected
+   */
+  static _linearTerm(stateA, stateB, rA, rB, axis) {
+    return {
+      mass: stateA.invMass + stateB.invMass +
+        World2d._perpDot(rA, axis) ** 2 * stateA.invInertia + World2d._perpDot(rB, axis) ** 2 * stateB.invInertia,
+      speed: () => World2d._pointVelocity(stateB, rB).minus(World2d._pointVelocity(stateA, rA)).innerProd(axis),
+      apply: impulse => {
+        World2d._applyImpulse(stateA, rA, axis.scalar(-impulse));
+        World2d._applyImpulse(stateB, rB, axis.scalar(impulse));
+      }
+    };
+  }
+
+  /**
+   * Create a term of constraints on the relative angular velocity.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @returns {Object} term which has `mass`, `speed` and `apply`
+   * @protected
+   */
+  static _angularTerm(stateA, stateB) {
+    return {
+      mass: stateA.invInertia + stateB.invInertia,
+      speed: () => stateB.w - stateA.w,
+      apply: impulse => {
+        stateA.w -= impulse * stateA.invInertia;
+        stateB.w += impulse * stateB.invInertia;
+      }
+    };
+  }
+
+  /**
+   * Create a constraint which makes the speed of the term `-bias`. The accumulated impulse is clamped.
+   * @param {Object} term term of the constraint
+   * @param {number} bias velocity bias
+   * @param {number} [lower=-Infinity] lower limit of the accumulated impulse
+   * @param {number} [upper=Infinity] upper limit of the accumulated impulse
+   * @returns {Object} constraint which has `solve`
+   * @protected
+   */
+  static _createConstraint(term, bias, lower = -Infinity, upper = Infinity) {
+    let accumulated = 0;
+    return {
+      solve: () => {
+        if (term.mass <= 0) return;
+        const prev = accumulated;
+        accumulated = Math.min(upper, Math.max(lower, prev - (term.speed() + bias) / term.mass));
+        term.apply(accumulated - prev);
+      }
+    };
+  }
+
+  /**
+   * Create a one-sided constraint which keeps the position error `C` non-negative.
+   * Figures approaching the limit are slowed down so that they just reach it.
+   * @param {Object} term term of the constraint
+   * @param {number} error position error
+   * @param {number} dt time step
+   * @param {number} beta ratio of the error corrected in a step
+   * @returns {Object} constraint which has `solve`
+   * @protected
+   */
+  static _createLimit(term, error, dt, beta) {
+    return Joint2d._createConstraint(term, error < 0 ? beta * error / dt : error / dt, 0);
+  }
+
+  /**
+   * Replace the indices of the figures.
+   * @param {number} a index of the first figure
+   * @param {number} b index of the second figure
+   * @returns {Joint2d} new joint
+   */
+  withBodies(a, b) {
+    return new this.constructor(Object.assign({}, this, { a, b }));
+  }
+
+  /**
+   * Get the anchors in world coordinates.
+   * @param {Rigid2d[]} bodies figures of the world
+   * @returns {Vector2d[]} anchors on the first figure and the second one
+   */
+  getAnchors(bodies) {
+    return [bodies[this.a].localToWorld(this.anchorA), bodies[this.b].localToWorld(this.anchorB)];
+  }
+
+  /**
+   * Create the solver of the joint for a substep. It is called by {@link World2d}.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
+   */
+  createSolver(stateA, stateB, dt, beta) {
+    Logger.fatal(`Joint2d#createSolver is not implemented!`);
+  }
+
+  /**
+   * Draw the joint for debugging.
+   * @param {Painter2d} painter painter
+   * @param {Rigid2d[]} bodies figures of the world
+   * @param {string} style stroke style
+   */
+  drawDebug(painter, bodies, style) {
+    const [anchorA, anchorB] = this.getAnchors(bodies);
+    [[bodies[this.a].center, anchorA], [anchorA, anchorB], [anchorB, bodies[this.b].center]].forEach(([p, q]) => {
+      painter.line(p.x, p.y, q.x, q.y).stroke(style, { width: 1 });
+    });
+    painter.circle(anchorA.x, anchorA.y, 3).stroke(style, { width: 1 });
+    painter.circle(anchorB.x, anchorB.y, 3).stroke(style, { width: 1 });
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[${this.name} ${this.a}-${this.b}]`;
+  }
+}
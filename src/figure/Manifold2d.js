@@ -0,0 +1,49 @@
+/**
+ * Class representing the contact of two colliding figures. It is immutable.
+ * @param {Vector2d} normal unit vector from the first figure to the second one
+ * @param {number} depth penetration depth along the normal
+ * @param {Vector2d[]} points contact points in world coordinates
+ * @param {?number} [a=null] index of the first figure
+ * @param {?number} [b=null] index of the second figure
+ */
+class Manifold2d {
+  constructor(normal, depth, points, a = null, b = null) {
+    /** @member {Vector2d} */
+    this.normal = normal;
+    /** @member {number} */
+    this.depth = depth;
+    /** @member {Vector2d[]} */
+    this.points = Object.freeze(points.slice());
+    /** @member {?number} */
+    this.a = a;
+    /** @member {?number} */
+    this.b = b;
+    Object.freeze(this);
+  }
+
+  /**
+   * Swap the figures.
+   * @returns {Manifold2d} manifold whose normal is reversed
+   */
+  flip() {
+    return new Manifold2d(this.normal.scalar(-1), this.depth, this.points, this.b, this.a);
+  }
+
+  /**
+   * Set the indices of the figures.
+   * @param {number} a index of the first figure
+   * @param {number} b index of the second figure
+   * @returns {Manifold2d} new manifold
+   */
+  withIndices(a, b) {
+    return new Manifold2d(this.normal, this.depth, this.points, a, b);
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Manifold2d ${this.normal.toString()} depth=${this.depth}, ${this.points.length} points]`;
+  }
+}
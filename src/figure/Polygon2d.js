@@ -0,0 +1,54 @@
+/**
+ * Class representing convex polygon shape.
+ * @param {Vector2d[]} vertices vertices relative to the center. They are sorted clockwise
+ * @param {Vector2d} [gravityCenter] relative center position of gravity. The centroid is used by default
+ * @param {number} [gyradius] radius of gyration
+ */
+class Polygon2d extends Shape2d {
+  constructor(vertices, gravityCenter, gyradius) {
+    const crosses = vertices.map((vertex, i) => vertex.crossProd(vertices[(i + 1) % vertices.length]));
+    const signedArea = crosses.reduce((acc, cross) => acc + cross, 0) / 2;
+    const area = Math.abs(signedArea);
+    const centroid = vertices.reduce((acc, vertex, i) => {
+      const next = vertices[(i + 1) % vertices.length];
+      return acc.plus(vertex.plus(next).scalar(crosses[i] / (6 * signedArea)));
+    }, new Vector2d(0, 0));
+    if (gravityCenter === undefined) gravityCenter = centroid;
+    if (gyradius === undefined) {
+      // second moment of area about the origin, moved to the center of gravity
+      const moment = Math.abs(vertices.reduce((acc, vertex, i) => {
+        const next = vertices[(i + 1) % vertices.length];
+        return acc + crosses[i] * (vertex.innerProd(vertex) + vertex.innerProd(next) + next.innerProd(next));
+      }, 0) / 12);
+      const shift = gravityCenter.innerProd(gravityCenter) - 2 * gravityCenter.innerProd(centroid);
+      gyradius = Math.sqrt(Math.max(moment / area + shift, 0));
+    }
+    super('Polygon2d', area, gravityCenter, gyradius);
+    /** @member {Vector2d[]} */
+    this.vertices = Object.freeze(signedArea < 0 ? vertices.slice().reverse() : vertices.slice());
+    if (!this.vertices.every((vertex, i) => {
+      const next = this.vertices[(i + 1) % this.vertices.length];
+      const nextNext = this.vertices[(i + 2) % this.vertices.length];
+      return next.minus(vertex).crossProd(nextNext.minus(next)) >= 0;
+    })) {
+      Logger.error(`Polygon2d must be convex!`);
+    }
+  }
+
+  /**
+   * Get the vertices relative to the center.
+   * @returns {Vector2d[]} vertices in clockwise order
+   */
+  getVertices() {
+    return this.vertices.slice();
+  }
+
+  /**
+   * Create the path of the polygon.
+   * @param {Painter2d} painter painter
+   * @returns {Object} path operations
+   */
+  createPath(painter) {
+    return painter.polygon(this.vertices);
+  }
+}
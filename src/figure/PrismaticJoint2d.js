@@ -0,0 +1,76 @@
+/**
+ * Class representing joint which lets the second figure slide along an axis fixed on the first one without rotating.
+ * The translation is the distance from the first anchor to the second one along the axis.
+ * @param {Object} obj joint properties. See {@link Joint2d}
+ * @param {Vector2d} [obj.axis] direction of sliding relative to the first figure. It is the x-axis by default
+ * @param {number} [obj.referenceAngle=0] relative rotation kept by the joint
+ * @param {?number} [obj.lowerTranslation=null] lower limit of the translation. If it is `null`, then there is no limit
+ * @param {?number} [obj.upperTranslation=null] upper limit of the translation. If it is `null`, then there is no limit
+ * @param {number} [obj.motorSpeed=0] target relative speed of the motor along the axis
+ * @param {number} [obj.maxMotorForce=0] maximum force of the motor. If it is `0`, then there is no motor
+ */
+class PrismaticJoint2d extends Joint2d {
+  constructor(obj) {
+    super('PrismaticJoint2d', obj);
+    const axis = 'axis' in obj ? obj.axis : new Vector2d(1, 0);
+    /** @member {Vector2d} */
+    this.axis = axis.scalar(1 / axis.norm);
+    /** @member {number} */
+    this.referenceAngle = 'referenceAngle' in obj ? obj.referenceAngle : 0;
+    /** @member {?number} */
+    this.lowerTranslation = 'lowerTranslation' in obj ? obj.lowerTranslation : null;
+    /** @member {?number} */
+    this.upperTranslation = 'upperTranslation' in obj ? obj.upperTranslation : null;
+    /** @member {number} */
+    this.motorSpeed = 'motorSpeed' in obj ? obj.motorSpeed : 0;
+    /** @member {number} */
+    this.maxMotorForce = 'maxMotorForce' in obj ? obj.maxMotorForce : 0;
+    Object.freeze(this);
+  }
+
+  /**
+   * Get the translation.
+   * @param {Rigid2d[]} bodies figures of the world
+   * @returns {number} translation
+   */
+  getTranslation(bodies) {
+    const [anchorA, anchorB] = this.getAnchors(bodies);
+    return anchorB.minus(anchorA).innerProd(Shape2d.transformPoint(this.axis, bodies[this.a].rotation));
+  }
+
+  /**
+   * Create the solver of the joint for a substep.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
+   */
+  createSolver(stateA, stateB, dt, beta) {
+    const rA = Shape2d.transformPoint(this.anchorA, stateA.rotation);
+    const rB = Shape2d.transformPoint(this.anchorB, stateB.rotation);
+    const diff = stateB.center.plus(rB).minus(stateA.center.plus(rA));
+    const axis = Shape2d.transformPoint(this.axis, stateA.rotation);
+    const normal = new Vector2d(-axis.y, axis.x);
+    // the point of the first figure which is at the second anchor now
+    const rAB = rA.plus(diff);
+    const translation = diff.innerProd(axis);
+
+    const constraints = [
+      Joint2d._createConstraint(Joint2d._linearTerm(stateA, stateB, rAB, rB, normal), beta * diff.innerProd(normal) / dt),
+      Joint2d._createConstraint(Joint2d._angularTerm(stateA, stateB), beta * (stateB.rotation - stateA.rotation - this.referenceAngle) / dt)
+    ];
+    if (this.maxMotorForce > 0) {
+      constraints.push(Joint2d._createConstraint(Joint2d._linearTerm(stateA, stateB, rAB, rB, axis), -this.motorSpeed, -this.maxMotorForce * dt, this.maxMotorForce * dt));
+    }
+    if (this.lowerTranslation !== null) {
+      constraints.push(Joint2d._createLimit(Joint2d._linearTerm(stateA, stateB, rAB, rB, axis), translation - this.lowerTranslation, dt, beta));
+    }
+    if (this.upperTranslation !== null) {
+      constraints.push(Joint2d._createLimit(Joint2d._linearTerm(stateA, stateB, rAB, rB, axis.scalar(-1)), this.upperTranslation - translation, dt, beta));
+    }
+    return {
+      solve: () => constraints.forEach(constraint => constraint.solve())
+    };
+  }
+}
@@ -19,6 +19,19 @@ class Rect2d extends Shape2d {
     this.height = height;
   }
 
+  /**
+   * Get the vertices relative to the center.
+   * @returns {Vector2d[]} vertices in clockwise order
+   */
+  getVertices() {
+    return [
+      new Vector2d(-this.width / 2, -this.height / 2),
+      new Vector2d(this.width / 2, -this.height / 2),
+      new Vector2d(this.width / 2, this.height / 2),
+      new Vector2d(-this.width / 2, this.height / 2)
+    ];
+  }
+
   /**
    * Create the path of the rectangle.
    * @param {Painter2d} painter painter
@@ -0,0 +1,81 @@
+/**
+ * Class representing joint which pins two anchors together. The figures rotate freely around the pin,
+ * unless the relative angle is limited or a motor drives it.
+ * The relative angle is the rotation of the second figure minus that of the first one and the reference angle.
+ * @param {Object} obj joint properties. See {@link Joint2d}
+ * @param {number} [obj.referenceAngle=0] relative rotation regarded as zero
+ * @param {?number} [obj.lowerAngle=null] lower limit of the relative angle. If it is `null`, then there is no limit
+ * @param {?number} [obj.upperAngle=null] upper limit of the relative angle. If it is `null`, then there is no limit
+ * @param {number} [obj.motorSpeed=0] target relative angular velocity of the motor
+ * @param {number} [obj.maxMotorTorque=0] maximum torque of the motor. If it is `0`, then there is no motor
+ */
+class RevoluteJoint2d extends Joint2d {
+  constructor(obj) {
+    super('RevoluteJoint2d', obj);
+    /** @member {number} */
+    this.referenceAngle = 'referenceAngle' in obj ? obj.referenceAngle : 0;
+    /** @member {?number} */
+    this.lowerAngle = 'lowerAngle' in obj ? obj.lowerAngle : null;
+    /** @member {?number} */
+    this.upperAngle = 'upperAngle' in obj ? obj.upperAngle : null;
+    /** @member {number} */
+    this.motorSpeed = 'motorSpeed' in obj ? obj.motorSpeed : 0;
+    /** @member {number} */
+    this.maxMotorTorque = 'maxMotorTorque' in obj ? obj.maxMotorTorque : 0;
+    Object.freeze(this);
+  }
+
+  /**
+   * Get the relative angle.
+   * @param {Rigid2d[]} bodies figures of the world
+   * @returns {number} relative angle
+   */
+  getAngle(bodies) {
+    return bodies[this.b].rotation - bodies[this.a].rotation - this.referenceAngle;
+  }
+
+  /**
+   * Create the solver of the joint for a substep.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
+   */
+  createSolver(stateA, stateB, dt, beta) {
+    const rA = Shape2d.transformPoint(this.anchorA, stateA.rotation);
+    const rB = Shape2d.transformPoint(this.anchorB, stateB.rotation);
+    const error = stateB.center.plus(rB).minus(stateA.center.plus(rA));
+    const angle = stateB.rotation - stateA.rotation - this.referenceAngle;
+
+    const constraints = [];
+    if (this.maxMotorTorque > 0) {
+      constraints.push(Joint2d._createConstraint(Joint2d._angularTerm(stateA, stateB), -this.motorSpeed, -this.maxMotorTorque * dt, this.maxMotorTorque * dt));
+    }
+    if (this.lowerAngle !== null) {
+      constraints.push(Joint2d._createLimit(Joint2d._angularTerm(stateA, stateB), angle - this.lowerAngle, dt, beta));
+    }
+    if (this.upperAngle !== null) {
+      constraints.push(Joint2d._createLimit(Joint2d._angularTerm(stateB, stateA), this.upperAngle - angle, dt, beta));
+    }
+
+    // the point constraint is solved as a 2x2 block
+    const [pA, pB] = [new Vector2d(rA.y, -rA.x), new Vector2d(rB.y, -rB.x)];
+    const invMass = stateA.invMass + stateB.invMass;
+    const k11 = invMass + stateA.invInertia * pA.x * pA.x + stateB.invInertia * pB.x * pB.x;
+    const k12 = stateA.invInertia * pA.x * pA.y + stateB.invInertia * pB.x * pB.y;
+    const k22 = invMass + stateA.invInertia * pA.y * pA.y + stateB.invInertia * pB.y * pB.y;
+    const det = k11 * k22 - k12 * k12;
+    const bias = error.scalar(beta / dt);
+    return {
+      solve: () => {
+        constraints.forEach(constraint => constraint.solve());
+        if (Math.abs(det) < 1e-12) return;
+        const speed = World2d._pointVelocity(stateB, rB).minus(World2d._pointVelocity(stateA, rA)).plus(bias);
+        const impulse = new Vector2d(-(k22 * speed.x - k12 * speed.y) / det, -(k11 * speed.y - k12 * speed.x) / det);
+        World2d._applyImpulse(stateA, rA, impulse.scalar(-1));
+        World2d._applyImpulse(stateB, rB, impulse);
+      }
+    };
+  }
+}
@@ -7,9 +7,11 @@
  * @param {number} rotation rotation angle
  * @param {Vector2d} velocity velocity
  * @param {number} angularVelocity angular velocity
+ * @param {number} [category=0x0001] collision category bits
+ * @param {number} [mask=0xFFFFFFFF] bits of the categories which the figure collides with
  */
 class Rigid2d {
-  constructor(physicalType, shape, material, center, rotation, velocity, angularVelocity) {
+  constructor(physicalType, shape, material, center, rotation, velocity, angularVelocity, category = 0x0001, mask = 0xFFFFFFFF) {
     this.physicalType = physicalType;
     this.shape = shape;
     this.material = material;
@@ -17,6 +19,8 @@ class Rigid2d {
     this.rotation = rotation;
     this.velocity = velocity;
     this.angularVelocity = angularVelocity;
+    this.category = category;
+    this.mask = mask;
   }
 
   /** @member {number} */
@@ -43,7 +47,7 @@ class Rigid2d {
 
       const nextVelocity = this.velocity.plus(F_g.scalar(1 / this.mass));
       const nextAngular = this.angularVelocity + N_h / this.inertia;
-      return new Rigid2d(this.physicalType, this.shape, this.material, this.center, this.rotation, nextVelocity, nextAngular);
+      return new Rigid2d(this.physicalType, this.shape, this.material, this.center, this.rotation, nextVelocity, nextAngular, this.category, this.mask);
     } else {
       return this;
     }
@@ -51,10 +55,64 @@ class Rigid2d {
 
   /**
    * Step next frame.
+   * @param {number} [dt=1] time step. `1` means a tick
    * @returns {Rigid2d} updated figure
    */
-  step() {
-    return new Rigid2d(this.physicalType, this.shape, this.material, this.center.plus(this.velocity), this.rotation + this.angularVelocity, this.velocity, this.angularVelocity);
+  step(dt = 1) {
+    return new Rigid2d(this.physicalType, this.shape, this.material, this.center.plus(this.velocity.scalar(dt)), this.rotation + this.angularVelocity * dt, this.velocity, this.angularVelocity, this.category, this.mask);
+  }
+
+  /**
+   * Set the collision filter.
+   * @param {number} category collision category bits
+   * @param {number} mask bits of the categories which the figure collides with
+   * @returns {Rigid2d} updated figure
+   */
+  withFilter(category, mask) {
+    return new Rigid2d(this.physicalType, this.shape, this.material, this.center, this.rotation, this.velocity, this.angularVelocity, category, mask);
+  }
+
+  /**
+   * Check if the collision filters of two figures accept each other.
+   * @param {Rigid2d} another another figure
+   * @returns {boolean} `true` if they can collide
+   */
+  canCollide(another) {
+    return (this.category & another.mask) !== 0 && (another.category & this.mask) !== 0;
+  }
+
+  /**
+   * Convert a point relative to the center into world coordinates.
+   * @param {Vector2d} point relative point
+   * @returns {Vector2d} point in world coordinates
+   */
+  localToWorld(point) {
+    return Shape2d.transformPoint(point, this.rotation, this.center);
+  }
+
+  /**
+   * Get the vertices of a polygonal shape in world coordinates.
+   * @returns {Vector2d[]} vertices in clockwise order. It is empty if the shape is not polygonal
+   */
+  getVertices() {
+    return this.shape.getVertices().map(vertex => this.localToWorld(vertex));
+  }
+
+  /**
+   * Get the axis-aligned bounding box.
+   * @returns {Object} rectangle which has `x`, `y`, `width` and `height`
+   */
+  getBounds() {
+    const bounds = this.shape.calcBounds(this.rotation);
+    return { x: this.center.x + bounds.x, y: this.center.y + bounds.y, width: bounds.width, height: bounds.height };
+  }
+
+  /**
+   * Get the convex parts in world coordinates.
+   * @returns {Object[]} parts which have `vertices` and `radius`. See {@link Shape2d#getConvexParts}
+   */
+  getConvexParts() {
+    return this.shape.getConvexParts().map(part => ({ vertices: part.vertices.map(vertex => this.localToWorld(vertex)), radius: part.radius }));
   }
 
   /**
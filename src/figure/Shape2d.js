@@ -22,6 +22,55 @@ class Shape2d {
     return mass * this.gyradius ** 2;
   }
 
+  /**
+   * Rotate a point and move it. It is the same transformation as {@link Rigid2d#createPath}.
+   * @param {Vector2d} point point
+   * @param {number} rotation rotation angle
+   * @param {Vector2d} [offset] translation after rotating
+   * @returns {Vector2d} transformed point
+   */
+  static transformPoint(point, rotation, offset = new Vector2d(0, 0)) {
+    const cosVal = Math.cos(rotation);
+    const sinVal = Math.sin(rotation);
+    return new Vector2d(cosVal * point.x + sinVal * point.y + offset.x, -sinVal * point.x + cosVal * point.y + offset.y);
+  }
+
+  /**
+   * Get the vertices of a polygonal shape relative to the center.
+   * @returns {Vector2d[]} vertices in clockwise order. It is empty if the shape is not polygonal
+   */
+  getVertices() {
+    return [];
+  }
+
+  /**
+   * Get the convex parts used for collision detection. Each part is a convex polygon, a segment or a point inflated by its radius.
+   * @returns {Object[]} parts which have `vertices` relative to the center in clockwise order and `radius`
+   */
+  getConvexParts() {
+    return [{ vertices: this.getVertices(), radius: 0 }];
+  }
+
+  /**
+   * Calculate the axis-aligned bounding box.
+   * @param {number} rotation rotation angle
+   * @returns {Object} rectangle relative to the center, which has `x`, `y`, `width` and `height`
+   */
+  calcBounds(rotation) {
+    const points = this.getConvexParts().reduce((acc, part) => acc.concat(part.vertices.map(vertex => {
+      const point = Shape2d.transformPoint(vertex, rotation);
+      return { x: point.x, y: point.y, radius: part.radius };
+    })), []);
+    const left = Math.min(...points.map(p => p.x - p.radius));
+    const top = Math.min(...points.map(p => p.y - p.radius));
+    return {
+      x: left,
+      y: top,
+      width: Math.max(...points.map(p => p.x + p.radius)) - left,
+      height: Math.max(...points.map(p => p.y + p.radius)) - top
+    };
+  }
+
   /**
    * Create the path of the shape.
    * @param {Painter2d} painter painter
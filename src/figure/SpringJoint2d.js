@@ -0,0 +1,55 @@
+/**
+ * Class representing spring and damper between two anchors. Unlike other joints, it pulls the figures softly.
+ * @param {Object} obj joint properties. See {@link Joint2d}
+ * @param {number} obj.restLength natural length of the spring
+ * @param {number} obj.stiffness spring constant
+ * @param {number} [obj.damping=0] damping coefficient
+ */
+class SpringJoint2d extends Joint2d {
+  constructor(obj) {
+    super('SpringJoint2d', obj);
+    /** @member {number} */
+    this.restLength = obj.restLength;
+    /** @member {number} */
+    this.stiffness = obj.stiffness;
+    /** @member {number} */
+    this.damping = 'damping' in obj ? obj.damping : 0;
+    Object.freeze(this);
+  }
+
+  /**
+   * Create the solver of the joint for a substep. The spring force is applied here at once.
+   * @param {Object} stateA first figure being solved
+   * @param {Object} stateB second figure being solved
+   * @param {number} dt time step
+   * @param {number} beta ratio of the position error corrected in a step
+   * @returns {Object} solver which has `solve`
+   */
+  createSolver(stateA, stateB, dt, beta) {
+    const rA = Shape2d.transformPoint(this.anchorA, stateA.rotation);
+    const rB = Shape2d.transformPoint(this.anchorB, stateB.rotation);
+    const diff = stateB.center.plus(rB).minus(stateA.center.plus(rA));
+    const distance = diff.norm;
+    if (distance > 1e-9) {
+      const term = Joint2d._linearTerm(stateA, stateB, rA, rB, diff.scalar(1 / distance));
+      term.apply(-(this.stiffness * (distance - this.restLength) + this.damping * term.speed()) * dt);
+    }
+    return { solve: () => {} };
+  }
+
+  /**
+   * Draw the spring as a zigzag line for debugging.
+   * @param {Painter2d} painter painter
+   * @param {Rigid2d[]} bodies figures of the world
+   * @param {string} style stroke style
+   */
+  drawDebug(painter, bodies, style) {
+    const [anchorA, anchorB] = this.getAnchors(bodies);
+    const diff = anchorB.minus(anchorA);
+    const normal = diff.norm > 1e-9 ? new Vector2d(-diff.y, diff.x).scalar(4 / diff.norm) : new Vector2d(0, 0);
+    const zigzag = Array.from({ length: 11 }, (_, i) => anchorA.plus(diff.scalar(i / 10)).plus(normal.scalar(i === 0 || i === 10 ? 0 : i % 2 * 2 - 1)));
+    zigzag.slice(1).forEach((point, i) => {
+      painter.line(zigzag[i].x, zigzag[i].y, point.x, point.y).stroke(style, { width: 1 });
+    });
+  }
+}
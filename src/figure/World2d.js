@@ -0,0 +1,356 @@
+/**
+ * Class representing a physical world of {@link Rigid2d} figures. It is immutable, so it can be a state value.
+ * Each step applies gravity, integrates the figures and resolves their collisions with impulses.
+ * Static figures never move, and dynamic figures which keep still for a while fall asleep until something hits them.
+ * Velocities are expressed per tick, and gravity per tick squared.
+ * @param {Object} [obj] world properties
+ * @param {Rigid2d[]} [obj.bodies=[]] figures
+ * @param {Vector2d} [obj.gravity=new Vector2d(0, 0)] gravitational acceleration
+ * @param {number} [obj.substeps=1] number of substeps in a tick
+ * @param {number} [obj.iterations=8] number of iterations to solve impulses
+ * @param {number} [obj.restitutionThreshold=1] relative speed below which figures do not bounce
+ * @param {number} [obj.slop=0.5] penetration depth allowed to keep contacts stable
+ * @param {number} [obj.correction=0.2] ratio of the penetration corrected in a substep
+ * @param {number} [obj.sleepLinearVelocity=0.05] speed below which figures can sleep
+ * @param {number} [obj.sleepAngularVelocity=0.005] angular speed below which figures can sleep
+ * @param {number} [obj.timeToSleep=30] ticks for which still figures wait before sleeping
+ * @param {Joint2d[]} [obj.joints=[]] joints between figures
+ * @param {number[]} [obj.stillTimes] ticks for which each figure has kept still
+ * @param {Manifold2d[]} [obj.contacts=[]] contacts found in the last step
+ */
+class World2d {
+  constructor(obj = {}) {
+    /** @member {Rigid2d[]} */
+    this.bodies = Object.freeze(('bodies' in obj ? obj.bodies : []).slice());
+    /** @member {Vector2d} */
+    this.gravity = 'gravity' in obj ? obj.gravity : new Vector2d(0, 0);
+    /** @member {number} */
+    this.substeps = 'substeps' in obj ? obj.substeps : 1;
+    /** @member {number} */
+    this.iterations = 'iterations' in obj ? obj.iterations : 8;
+    /** @member {number} */
+    this.restitutionThreshold = 'restitutionThreshold' in obj ? obj.restitutionThreshold : 1;
+    /** @member {number} */
+    this.slop = 'slop' in obj ? obj.slop : 0.5;
+    /** @member {number} */
+    this.correction = 'correction' in obj ? obj.correction : 0.2;
+    /** @member {number} */
+    this.sleepLinearVelocity = 'sleepLinearVelocity' in obj ? obj.sleepLinearVelocity : 0.05;
+    /** @member {number} */
+    this.sleepAngularVelocity = 'sleepAngularVelocity' in obj ? obj.sleepAngularVelocity : 0.005;
+    /** @member {number} */
+    this.timeToSleep = 'timeToSleep' in obj ? obj.timeToSleep : 30;
+    /** @member {Joint2d[]} */
+    this.joints = Object.freeze(('joints' in obj ? obj.joints : []).slice());
+    this.stillTimes = Object.freeze('stillTimes' in obj ? obj.stillTimes.slice() : this.bodies.map(() => 0));
+    /** @member {Manifold2d[]} */
+    this.contacts = Object.freeze('contacts' in obj ? obj.contacts.slice() : []);
+    Object.freeze(this);
+  }
+
+  _with(obj) {
+    return new World2d(Object.assign({
+      bodies: this.bodies,
+      gravity: this.gravity,
+      substeps: this.substeps,
+      iterations: this.iterations,
+      restitutionThreshold: this.restitutionThreshold,
+      slop: this.slop,
+      correction: this.correction,
+      sleepLinearVelocity: this.sleepLinearVelocity,
+      sleepAngularVelocity: this.sleepAngularVelocity,
+      timeToSleep: this.timeToSleep,
+      joints: this.joints,
+      stillTimes: this.stillTimes,
+      contacts: this.contacts
+    }, obj));
+  }
+
+  /**
+   * Add a figure.
+   * @param {Rigid2d} body figure
+   * @returns {World2d} new world, where the index of the figure is the last one
+   */
+  addBody(body) {
+    return this._with({ bodies: this.bodies.concat([body]), stillTimes: this.stillTimes.concat([0]), contacts: [] });
+  }
+
+  /**
+   * Remove a figure and its joints. Indices of the following figures are shifted.
+   * @param {number} index index of the figure
+   * @returns {World2d} new world
+   */
+  removeBody(index) {
+    const shift = i => i > index ? i - 1 : i;
+    return this._with({
+      bodies: this.bodies.filter((body, i) => i !== index),
+      stillTimes: this.stillTimes.filter((time, i) => i !== index),
+      joints: this.joints.filter(joint => joint.a !== index && joint.b !== index).map(joint => joint.withBodies(shift(joint.a), shift(joint.b))),
+      contacts: []
+    });
+  }
+
+  /**
+   * Add a joint and wake its figures up.
+   * @param {Joint2d} joint joint
+   * @returns {World2d} new world, where the index of the joint is the last one
+   */
+  addJoint(joint) {
+    return this._with({
+      joints: this.joints.concat([joint]),
+      stillTimes: this.stillTimes.map((time, i) => i === joint.a || i === joint.b ? 0 : time)
+    });
+  }
+
+  /**
+   * Remove a joint.
+   * @param {number} index index of the joint
+   * @returns {World2d} new world
+   */
+  removeJoint(index) {
+    return this._with({ joints: this.joints.filter((joint, i) => i !== index) });
+  }
+
+  /**
+   * Replace a figure and wake it up.
+   * @param {number} index index of the figure
+   * @param {Rigid2d} body new figure
+   * @returns {World2d} new world
+   */
+  setBody(index, body) {
+    return this._with({
+      bodies: this.bodies.map((b, i) => i === index ? body : b),
+      stillTimes: this.stillTimes.map((time, i) => i === index ? 0 : time)
+    });
+  }
+
+  /**
+   * Apply force to a figure and wake it up.
+   * @param {number} index index of the figure
+   * @param {Vector2d} force force
+   * @param {Vector2d} [from] start point of force (relative). See {@link Rigid2d#applyForce}
+   * @returns {World2d} new world
+   */
+  applyForce(index, force, from = new Vector2d(0, 0)) {
+    return this.setBody(index, this.bodies[index].applyForce(force, from));
+  }
+
+  /**
+   * Wake a figure up.
+   * @param {number} index index of the figure
+   * @returns {World2d} new world
+   */
+  wake(index) {
+    return this.setBody(index, this.bodies[index]);
+  }
+
+  /**
+   * Check if a figure is sleeping.
+   * @param {number} index index of the figure
+   * @returns {boolean} `true` if sleeping
+   */
+  isSleeping(index) {
+    return this.bodies[index].physicalType === PhysicalType.DYNAMIC && this.stillTimes[index] >= this.timeToSleep;
+  }
+
+  /**
+   * Calculate the angular term of the velocity at the point, that is the dot product of the perpendicular of `r` and `v`.
+   * @param {Vector2d} r point relative to the center
+   * @param {Vector2d} v vector
+   * @returns {number} dot product
+   * @protected
+   */
+  static _perpDot(r, v) {
+    return r.y * v.x - r.x * v.y;
+  }
+
+  /**
+   * Calculate the velocity of a point of a figure being solved.
+   * @param {Object} state figure being solved, which has `vx`, `vy` and `w`
+   * @param {Vector2d} r point relative to the center
+   * @returns {Vector2d} velocity
+   * @protected
+   */
+  static _pointVelocity(state, r) {
+    return new Vector2d(state.vx + state.w * r.y, state.vy - state.w * r.x);
+  }
+
+  /**
+   * Apply an impulse to a figure being solved.
+   * @param {Object} state figure being solved, which has `vx`, `vy`, `w`, `invMass` and `invInertia`
+   * @param {Vector2d} r point relative to the center
+   * @param {Vector2d} impulse impulse
+   * @protected
+   */
+  static _applyImpulse(state, r, impulse) {
+    state.vx += impulse.x * state.invMass;
+    state.vy += impulse.y * state.invMass;
+    state.w += World2d._perpDot(r, impulse) * state.invInertia;
+  }
+
+  _solve(states, contacts, joints) {
+    const perpDot = World2d._perpDot;
+    const pointVelocity = World2d._pointVelocity;
+    const applyImpulse = World2d._applyImpulse;
+
+    const points = contacts.reduce((acc, contact) => {
+      const [a, b] = [states[contact.a], states[contact.b]];
+      const friction = Math.sqrt(a.body.material.friction * b.body.material.friction);
+      const restitution = Math.max(a.body.material.restitution, b.body.material.restitution);
+      const tangent = new Vector2d(-contact.normal.y, contact.normal.x);
+      return acc.concat(contact.points.map(point => {
+        const rA = point.minus(a.center);
+        const rB = point.minus(b.center);
+        const calcMass = n => a.invMass + b.invMass + perpDot(rA, n) ** 2 * a.invInertia + perpDot(rB, n) ** 2 * b.invInertia;
+        const normalSpeed = pointVelocity(b, rB).minus(pointVelocity(a, rA)).innerProd(contact.normal);
+        return {
+          a, b, rA, rB, normal: contact.normal, tangent, friction,
+          normalMass: calcMass(contact.normal),
+          tangentMass: calcMass(tangent),
+          // the target speed of bouncing is fixed before impulses change velocities
+          bounce: normalSpeed < -this.restitutionThreshold ? -restitution * normalSpeed : 0,
+          normalImpulse: 0,
+          tangentImpulse: 0
+        };
+      }));
+    }, []).filter(point => point.normalMass > 0);
+
+    for (let i = 0; i < this.iterations; i++) {
+      joints.forEach(joint => joint.solve());
+      points.forEach(point => {
+        const relative = () => pointVelocity(point.b, point.rB).minus(pointVelocity(point.a, point.rA));
+        const prevNormal = point.normalImpulse;
+        point.normalImpulse = Math.max(0, prevNormal + (point.bounce - relative().innerProd(point.normal)) / point.normalMass);
+        const normalImpulse = point.normal.scalar(point.normalImpulse - prevNormal);
+        applyImpulse(point.a, point.rA, normalImpulse.scalar(-1));
+        applyImpulse(point.b, point.rB, normalImpulse);
+
+        const prevTangent = point.tangentImpulse;
+        const maxFriction = point.friction * point.normalImpulse;
+        point.tangentImpulse = Math.min(maxFriction, Math.max(-maxFriction, prevTangent - relative().innerProd(point.tangent) / point.tangentMass));
+        const tangentImpulse = point.tangent.scalar(point.tangentImpulse - prevTangent);
+        applyImpulse(point.a, point.rA, tangentImpulse.scalar(-1));
+        applyImpulse(point.b, point.rB, tangentImpulse);
+      });
+    }
+  }
+
+  _substep(bodies, stillTimes, dt) {
+    const isAwake = i => bodies[i].physicalType === PhysicalType.DYNAMIC && stillTimes[i] < this.timeToSleep;
+    const isConnected = (a, b) => this.joints.some(joint => !joint.collideConnected && ((joint.a === a && joint.b === b) || (joint.a === b && joint.b === a)));
+    const contacts = Collision2d.detect(bodies).filter(contact => (isAwake(contact.a) || isAwake(contact.b)) && !isConnected(contact.a, contact.b));
+    // moving figures wake up sleeping ones
+    contacts.concat(this.joints).forEach(pair => {
+      [[pair.a, pair.b], [pair.b, pair.a]].forEach(([i, j]) => {
+        if (isAwake(i) && stillTimes[i] === 0 && bodies[j].physicalType === PhysicalType.DYNAMIC) stillTimes[j] = 0;
+      });
+    });
+
+    const states = bodies.map((body, i) => {
+      const awake = isAwake(i);
+      const velocity = awake ? body.velocity.plus(this.gravity.scalar(dt)) : body.velocity;
+      return {
+        body,
+        center: body.center,
+        rotation: body.rotation,
+        vx: velocity.x,
+        vy: velocity.y,
+        w: body.angularVelocity,
+        invMass: awake ? 1 / body.mass : 0,
+        invInertia: awake ? 1 / body.inertia : 0
+      };
+    });
+    const joints = this.joints.filter(joint => isAwake(joint.a) || isAwake(joint.b))
+      .map(joint => joint.createSolver(states[joint.a], states[joint.b], dt, this.correction));
+    this._solve(states, contacts, joints);
+
+    const moved = states.map((state, i) => {
+      if (!isAwake(i)) return state.body;
+      const body = state.body;
+      return new Rigid2d(body.physicalType, body.shape, body.material, body.center, body.rotation, new Vector2d(state.vx, state.vy), state.w, body.category, body.mask).step(dt);
+    });
+
+    // push figures apart to remove the remaining penetration
+    const corrected = moved.map(body => body.center);
+    contacts.forEach(contact => {
+      const [a, b] = [states[contact.a], states[contact.b]];
+      if (a.invMass + b.invMass === 0) return;
+      const amount = Math.max(contact.depth - this.slop, 0) * this.correction / (a.invMass + b.invMass);
+      corrected[contact.a] = corrected[contact.a].minus(contact.normal.scalar(amount * a.invMass));
+      corrected[contact.b] = corrected[contact.b].plus(contact.normal.scalar(amount * b.invMass));
+    });
+
+    return {
+      contacts,
+      bodies: moved.map((body, i) => !isAwake(i) ? body :
+        new Rigid2d(body.physicalType, body.shape, body.material, corrected[i], body.rotation, body.velocity, body.angularVelocity, body.category, body.mask))
+    };
+  }
+
+  /**
+   * Step next tick.
+   * @returns {World2d} new world
+   */
+  step() {
+    const dt = 1 / this.substeps;
+    let bodies = this.bodies;
+    const stillTimes = this.stillTimes.slice();
+    let contacts = [];
+    for (let i = 0; i < this.substeps; i++) {
+      const result = this._substep(bodies, stillTimes, dt);
+      bodies = result.bodies;
+      contacts = result.contacts;
+    }
+
+    bodies = bodies.map((body, i) => {
+      if (body.physicalType !== PhysicalType.DYNAMIC) return body;
+      const still = body.velocity.norm < this.sleepLinearVelocity && Math.abs(body.angularVelocity) < this.sleepAngularVelocity;
+      stillTimes[i] = still ? stillTimes[i] + 1 : 0;
+      // sleeping figures stop completely
+      if (stillTimes[i] === this.timeToSleep) {
+        return new Rigid2d(body.physicalType, body.shape, body.material, body.center, body.rotation, new Vector2d(0, 0), 0, body.category, body.mask);
+      }
+      return body;
+    });
+    return this._with({ bodies, stillTimes, contacts });
+  }
+
+  /**
+   * Draw the figures, the contacts and the joints for debugging.
+   * @param {Painter2d} painter painter
+   * @param {Object} [opt] options
+   * @param {string} [opt.bodyStyle='#00ff00'] stroke style of awake figures
+   * @param {string} [opt.sleepingStyle='#808080'] stroke style of sleeping and static figures
+   * @param {string} [opt.contactStyle='#ff0000'] style of contact points and normals
+   * @param {string} [opt.jointStyle='#00ffff'] stroke style of joints
+   */
+  drawDebug(painter, opt = {}) {
+    const bodyStyle = 'bodyStyle' in opt ? opt.bodyStyle : '#00ff00';
+    const sleepingStyle = 'sleepingStyle' in opt ? opt.sleepingStyle : '#808080';
+    const contactStyle = 'contactStyle' in opt ? opt.contactStyle : '#ff0000';
+    const jointStyle = 'jointStyle' in opt ? opt.jointStyle : '#00ffff';
+    this.bodies.forEach((body, i) => {
+      const style = body.physicalType === PhysicalType.STATIC || this.isSleeping(i) ? sleepingStyle : bodyStyle;
+      body.createPath(painter).stroke(style, { width: 1 });
+      // a line to the right edge shows the rotation
+      const bounds = body.shape.calcBounds(0);
+      const edge = body.localToWorld(new Vector2d(bounds.x + bounds.width, 0));
+      painter.line(body.center.x, body.center.y, edge.x, edge.y).stroke(style, { width: 1 });
+    });
+    this.contacts.forEach(contact => {
+      contact.points.forEach(point => {
+        painter.circle(point.x, point.y, 2).fill(contactStyle);
+        painter.line(point.x, point.y, point.x + contact.normal.x * 8, point.y + contact.normal.y * 8).stroke(contactStyle, { width: 1 });
+      });
+    });
+    this.joints.forEach(joint => joint.drawDebug(painter, this.bodies, jointStyle));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[World2d ${this.bodies.length} bodies]`;
+  }
+}
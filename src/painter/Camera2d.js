@@ -0,0 +1,226 @@
+/**
+ * Class representing a camera looking at the world. It is immutable, so it can be a state value.
+ * The camera position is the world point at the center of the viewport.
+ * @param {Object} [obj] camera properties
+ * @param {number} [obj.width=600] viewport width
+ * @param {number} [obj.height=600] viewport height
+ * @param {number} [obj.x=0] x-coordinate of the camera position
+ * @param {number} [obj.y=0] y-coordinate of the camera position
+ * @param {number} [obj.zoom=1] zoom factor
+ * @param {number} [obj.rotation=0] rotation angle of the camera, expressed in radians
+ * @param {?Object} [obj.bounds=null] world rectangle the viewport cannot go out of
+ * @param {number} obj.bounds.x x-coordinate of the leftmost point
+ * @param {number} obj.bounds.y y-coordinate of the uppermost point
+ * @param {number} obj.bounds.width width
+ * @param {number} obj.bounds.height height
+ * @param {Object} [obj.deadZone] size of the rectangle around the camera position in which the followed target does not move the camera
+ * @param {number} [obj.deadZone.width=0] width
+ * @param {number} [obj.deadZone.height=0] height
+ * @param {number} [obj.followRate=1] ratio of the distance to the followed target moved in one tick. `1` means no smoothing
+ * @param {?Object} [obj.shake=null] current screen shake. See {@link Camera2d#shake}
+ */
+class Camera2d {
+  constructor(obj = {}) {
+    /** @member {number} */
+    this.width = 'width' in obj ? obj.width : 600;
+    /** @member {number} */
+    this.height = 'height' in obj ? obj.height : 600;
+    /** @member {number} */
+    this.zoom = 'zoom' in obj ? obj.zoom : 1;
+    /** @member {number} */
+    this.rotation = 'rotation' in obj ? obj.rotation : 0;
+    /** @member {?Object} */
+    this.bounds = 'bounds' in obj ? obj.bounds : null;
+    /** @member {Object} */
+    this.deadZone = 'deadZone' in obj ? obj.deadZone : { width: 0, height: 0 };
+    /** @member {number} */
+    this.followRate = 'followRate' in obj ? obj.followRate : 1;
+    this.shaking = 'shake' in obj ? obj.shake : null;
+
+    const [x, y] = this._clamp('x' in obj ? obj.x : 0, 'y' in obj ? obj.y : 0);
+    /** @member {number} */
+    this.x = x;
+    /** @member {number} */
+    this.y = y;
+    Object.freeze(this);
+  }
+
+  _clamp(x, y) {
+    if (this.bounds === null) return [x, y];
+    const halfWidth = this.width / this.zoom / 2;
+    const halfHeight = this.height / this.zoom / 2;
+    const clamp = (val, min, max) => min > max ? (min + max) / 2 : Math.min(max, Math.max(min, val));
+    return [
+      clamp(x, this.bounds.x + halfWidth, this.bounds.x + this.bounds.width - halfWidth),
+      clamp(y, this.bounds.y + halfHeight, this.bounds.y + this.bounds.height - halfHeight)
+    ];
+  }
+
+  _with(obj) {
+    return new Camera2d(Object.assign({
+      width: this.width,
+      height: this.height,
+      x: this.x,
+      y: this.y,
+      zoom: this.zoom,
+      rotation: this.rotation,
+      bounds: this.bounds,
+      deadZone: this.deadZone,
+      followRate: this.followRate,
+      shake: this.shaking
+    }, obj));
+  }
+
+  /**
+   * Move the camera to the position.
+   * @param {number} x x-coordinate
+   * @param {number} y y-coordinate
+   * @returns {Camera2d} new camera
+   */
+  moveTo(x, y) {
+    return this._with({ x, y });
+  }
+
+  /**
+   * Move the camera by the difference.
+   * @param {number} dx difference of x-coordinate
+   * @param {number} dy difference of y-coordinate
+   * @returns {Camera2d} new camera
+   */
+  moveBy(dx, dy) {
+    return this._with({ x: this.x + dx, y: this.y + dy });
+  }
+
+  /**
+   * Change the zoom factor.
+   * @param {number} zoom zoom factor
+   * @returns {Camera2d} new camera
+   */
+  zoomTo(zoom) {
+    return this._with({ zoom });
+  }
+
+  /**
+   * Change the rotation angle.
+   * @param {number} rotation rotation angle, expressed in radians
+   * @returns {Camera2d} new camera
+   */
+  rotateTo(rotation) {
+    return this._with({ rotation });
+  }
+
+  /**
+   * Change the bounds.
+   * @param {?Object} bounds world rectangle. If it is `null`, then the camera can go anywhere
+   * @returns {Camera2d} new camera
+   */
+  setBounds(bounds) {
+    return this._with({ bounds });
+  }
+
+  /**
+   * Follow the target. Call it every tick.
+   * @param {number} x x-coordinate of the target
+   * @param {number} y y-coordinate of the target
+   * @returns {Camera2d} new camera
+   */
+  follow(x, y) {
+    const follow1d = (pos, target, deadZone) => {
+      const goal = Math.min(target + deadZone / 2, Math.max(target - deadZone / 2, pos));
+      return pos + (goal - pos) * this.followRate;
+    };
+    return this.moveTo(follow1d(this.x, x, this.deadZone.width), follow1d(this.y, y, this.deadZone.height));
+  }
+
+  /**
+   * Shake the screen. The shake weakens linearly.
+   * @param {number} intensity maximum distance of shaking in world coordinates
+   * @param {number} duration duration in ticks
+   * @param {Counters} counters counters
+   * @param {number} [seed=0] seed of shaking
+   * @returns {Camera2d} new camera
+   */
+  shake(intensity, duration, counters, seed = 0) {
+    return this._with({ shake: { intensity, duration, start: counters.general, seed } });
+  }
+
+  /**
+   * Get the offset by the screen shake.
+   * @param {Counters} counters counters
+   * @returns {Vector2d} offset in world coordinates
+   */
+  getShakeOffset(counters) {
+    if (this.shaking === null) return new Vector2d(0, 0);
+    const elapsed = counters.general - this.shaking.start;
+    if (elapsed < 0 || elapsed >= this.shaking.duration) return new Vector2d(0, 0);
+    const random = new Random(this.shaking.seed + elapsed);
+    const distance = this.shaking.intensity * (1 - elapsed / this.shaking.duration);
+    return new Vector2d(random.nextRange(-distance, distance), random.nextRange(-distance, distance));
+  }
+
+  _getMatrix(x, y) {
+    const cosVal = Math.cos(this.rotation) * this.zoom;
+    const sinVal = Math.sin(this.rotation) * this.zoom;
+    return [
+      cosVal, -sinVal, sinVal, cosVal,
+      this.width / 2 - cosVal * x - sinVal * y,
+      this.height / 2 + sinVal * x - cosVal * y
+    ];
+  }
+
+  /**
+   * Draw in world coordinates.
+   * @param {Painter2d} painter painter
+   * @param {Counters} counters counters
+   * @param {function} cb callback function
+   */
+  apply(painter, counters, cb) {
+    const offset = this.getShakeOffset(counters);
+    painter.transformAndDraw(...this._getMatrix(this.x + offset.x, this.y + offset.y), cb);
+  }
+
+  /**
+   * Convert world coordinates into screen coordinates. The screen shake is ignored.
+   * @param {Vector2d} point point in world coordinates
+   * @returns {Vector2d} point in screen coordinates
+   */
+  worldToScreen(point) {
+    const [m11, m12, m21, m22, dx, dy] = this._getMatrix(this.x, this.y);
+    return new Vector2d(m11 * point.x + m21 * point.y + dx, m12 * point.x + m22 * point.y + dy);
+  }
+
+  /**
+   * Convert screen coordinates into world coordinates. The screen shake is ignored.
+   * It can convert {@link Mouse#position}.
+   * @param {Vector2d} point point in screen coordinates
+   * @returns {Vector2d} point in world coordinates
+   */
+  screenToWorld(point) {
+    const cosVal = Math.cos(this.rotation) / this.zoom;
+    const sinVal = Math.sin(this.rotation) / this.zoom;
+    const dx = point.x - this.width / 2;
+    const dy = point.y - this.height / 2;
+    return new Vector2d(this.x + cosVal * dx - sinVal * dy, this.y + sinVal * dx + cosVal * dy);
+  }
+
+  /**
+   * Get the smallest world rectangle containing the viewport. It is useful for culling.
+   * @returns {Object} rectangle which has `x`, `y`, `width` and `height`
+   */
+  getViewRect() {
+    const corners = [[0, 0], [this.width, 0], [0, this.height], [this.width, this.height]]
+      .map(([x, y]) => this.screenToWorld(new Vector2d(x, y)));
+    const xs = corners.map(corner => corner.x);
+    const ys = corners.map(corner => corner.y);
+    const [left, top] = [Math.min(...xs), Math.min(...ys)];
+    return { x: left, y: top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Camera2d (${this.x}, ${this.y}) x${this.zoom}]`;
+  }
+}
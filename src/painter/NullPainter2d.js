@@ -0,0 +1,61 @@
+/**
+ * Class of 2-dimentional graphics which draws nothing.
+ * It is used for headless games.
+ * @param {number} width canvas width
+ * @param {number} height canvas height
+ * @param {ImageManager} imageManager
+ */
+class NullPainter2d extends Painter2d {
+  constructor(width, height, imageManager) {
+    super(NullPainter2d.createCanvas(width, height), imageManager);
+  }
+
+  /**
+   * Create a canvas-like object whose context does nothing.
+   * @param {number} width canvas width
+   * @param {number} height canvas height
+   * @returns {Object} canvas-like object
+   */
+  static createCanvas(width, height) {
+    const context = {
+      measureText: text => ({ width: 0 }),
+      createPattern: () => null,
+      setLineDash: () => {}
+    };
+    [
+      'save', 'restore', 'transform', 'clip', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'rect', 'arc', 'arcTo', 'ellipse',
+      'fill', 'stroke', 'clearRect', 'fillText', 'strokeText', 'drawImage'
+    ].forEach(name => {
+      context[name] = () => {};
+    });
+    return {
+      width,
+      height,
+      getContext: () => context
+    };
+  }
+
+  /**
+   * Create another painter with new canvas.
+   * @returns {NullPainter2d} another painter
+   */
+  createAnotherPainter() {
+    const another = new NullPainter2d(this.width, this.height, this.imageManager);
+    another.recentLineOptions = this.recentLineOptions;
+    another.recentTextOptions = this.recentTextOptions;
+    return another;
+  }
+
+  /**
+   * Draw nothing, because images are not loaded in headless games.
+   */
+  image(img, x, y, opt = {}) {}
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[NullPainter2d]`;
+  }
+}
@@ -151,6 +151,21 @@ class Painter2d extends Painter {
     return this.pathOperations;
   }
 
+  /**
+   * Create line path.
+   * @param {number} x1 x-coordinate of the start point
+   * @param {number} y1 y-coordinate of the start point
+   * @param {number} x2 x-coordinate of the end point
+   * @param {number} y2 y-coordinate of the end point
+   * @returns {Object} path operations
+   */
+  line(x1, y1, x2, y2) {
+    this.context.beginPath();
+    this.context.moveTo(x1, y1);
+    this.context.lineTo(x2, y2);
+    return this.pathOperations;
+  }
+
   /**
    * Create round rectangle path.
    * @param {number} x x-coordinate of the leftmost point
@@ -305,9 +320,41 @@ class Painter2d extends Painter {
     };
   }
 
+  /**
+   * Draw a frame of an atlas. Trimmed frames are drawn at the same position as untrimmed ones.
+   * @param {Object} frame atlas frame. See {@link ImageManager#getFrame}
+   * @param {number} x x-coordinate
+   * @param {number} y y-coordinate
+   * @param {Object} opt options. See {@link Painter2d#image}
+   * @protected
+   */
+  _drawFrame(frame, x, y, opt) {
+    const relativeOrigin = 'relativeOrigin' in opt ? opt.relativeOrigin : Directions.NW;
+    const horizontalRelativeDiff = (relativeOrigin + 4) % 3;
+    const verticalRelativeDiff = Math.floor((relativeOrigin + 4) / 3);
+    const w = 'width' in opt ? opt.width : frame.sourceWidth;
+    const h = 'height' in opt ? opt.height : frame.sourceHeight;
+    const keepAspectRatio = `keepAspectRatio` in opt && opt.keepAspectRatio;
+    const scaleX = keepAspectRatio ? Math.min(w / frame.sourceWidth, h / frame.sourceHeight) : w / frame.sourceWidth;
+    const scaleY = keepAspectRatio ? scaleX : h / frame.sourceHeight;
+    const dx = x - w * horizontalRelativeDiff / 2 + frame.offsetX * scaleX;
+    const dy = y - h * verticalRelativeDiff / 2 + frame.offsetY * scaleY;
+    const dw = frame.width * scaleX;
+    const dh = frame.height * scaleY;
+
+    if (frame.rotated) {
+      // rotated frames are stored clockwise in the atlas
+      this.rotateAndDraw(dx + dw / 2, dy + dh / 2, Math.PI / 2, () => {
+        this.context.drawImage(frame.image, frame.x, frame.y, frame.height, frame.width, dx + (dw - dh) / 2, dy + (dh - dw) / 2, dh, dw);
+      });
+    } else {
+      this.context.drawImage(frame.image, frame.x, frame.y, frame.width, frame.height, dx, dy, dw, dh);
+    }
+  }
+
   /**
    * Draw image.
-   * @param {(string|CanvasImageSource)} img image source or the registered name of an image
+   * @param {(string|CanvasImageSource)} img image source, the registered name of an image or the name of an atlas frame
    * @param {number} x x-coordinate of the leftmost point of an image
    * @param {number} y y-coordinate of the uppermost point of an image
    * @param {Object} [opt] options
@@ -317,18 +364,24 @@ class Painter2d extends Painter {
    * @param {number} [opt.crop.x=0] x-coordinate of the leftmost point of the cropped image
    * @param {number} [opt.crop.y=0] y-coordinate of the uppermost point of the cropped image
    * @param {number} [opt.crop.width] width of the cropped image
-   * @param {number} [opt.crop.height] height of the cropped image
+   * @param {number} [opt.crop.height] height of the cropped image. Atlas frames cannot be cropped
    * @param {boolean} [opt.keepAspectRatio=false] if `true`, aspect ratio of an image is kept
    * @param {number} [opt.spriteID=0] sprite ID
    * @param {Directions} [opt.relativeOrigin=Directions.NW] relative origin position
    */
   image(img, x, y, opt = {}) {
     let imageProps;
+    if (Object.prototype.toString.call(img) === '[object String]' && !this.imageManager.images.has(img) && this.imageManager.hasFrame(img)) {
+      this._drawFrame(this.imageManager.getFrame(img), x, y, opt);
+      return;
+    }
     if (Object.prototype.toString.call(img) === '[object String]') {
       imageProps = this.imageManager.getImageProperties(img);
     } else {
       imageProps = { image: img, size: { width: img.width, height: img.height } };
     }
+    // unknown or skipped optional image
+    if (imageProps === null || imageProps.image === null) return;
 
     const spriteCols = Math.floor(imageProps.image.width / imageProps.size.width);
     const spriteRows = Math.floor(imageProps.image.height / imageProps.size.height);
@@ -368,6 +421,23 @@ class Painter2d extends Painter {
     }
   }
 
+  /**
+   * Draw the current frame of an animation.
+   * @param {Animator} animator animator
+   * @param {Counters} counters counters
+   * @param {number} x x-coordinate of the leftmost point of an image
+   * @param {number} y y-coordinate of the uppermost point of an image
+   * @param {Object} [opt] options. See {@link Painter2d#image}
+   */
+  animation(animator, counters, x, y, opt = {}) {
+    const frame = animator.getFrame(counters);
+    if (Object.prototype.toString.call(frame) === '[object String]') {
+      this.image(frame, x, y, opt);
+    } else {
+      this.image(animator.clip.image, x, y, Object.assign({}, opt, { spriteID: frame }));
+    }
+  }
+
   /**
    * Set global alpha value and draw.
    * @param {number} alpha global alpha value
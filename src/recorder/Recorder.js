@@ -10,7 +10,8 @@ class Recorder {
       startTime: 0,
       endTime: 0,
       revision: 0,
-      title: `NoTitle:${document.lastModified}`
+      seed: 0,
+      title: typeof document === 'undefined' ? 'NoTitle' : `NoTitle:${document.lastModified}`
     };
   }
 
@@ -25,7 +26,7 @@ class Recorder {
    * Version number of Recorder.js.
    */
   static get VERSION() {
-    return 0x2001;
+    return 0x2002;
   }
 
   /**
@@ -35,6 +36,43 @@ class Recorder {
     return 8;
   }
 
+  /**
+   * Seed of the random number generator at the start of the record.
+   * @member {number}
+   */
+  get seed() {
+    return this._detail.seed;
+  }
+
+  /**
+   * Create empty input data of a frame.
+   * @returns {Object} frame data
+   */
+  static createFrameData() {
+    return {
+      keyboard: [],
+      mouseButton: [],
+      mousePosition: { x: Number.NaN, y: Number.NaN },
+      pointers: [],
+      gamepads: Array.from({ length: ActionManager.GAMEPADS }, () => ({ connected: false, buttons: [], axes: [] }))
+    };
+  }
+
+  /**
+   * Copy input data of a frame.
+   * @param {Object} frameData frame data
+   * @returns {Object} copied frame data
+   */
+  static copyFrameData(frameData) {
+    return {
+      keyboard: [...frameData.keyboard],
+      mouseButton: [...frameData.mouseButton],
+      mousePosition: { x: frameData.mousePosition.x, y: frameData.mousePosition.y },
+      pointers: frameData.pointers.map(pointer => ({ id: pointer.id, x: pointer.x, y: pointer.y })),
+      gamepads: frameData.gamepads.map(gamepad => ({ connected: gamepad.connected, buttons: [...gamepad.buttons], axes: [...gamepad.axes] }))
+    };
+  }
+
   /**
    * Set recorder mode.
    * @param {string} mode `'r'` if reading, `'w'` if writing
@@ -46,12 +84,17 @@ class Recorder {
   /**
    * Start recording.
    * @param {string} [title] game title
+   * @param {number} [seed] seed of the random number generator
    */
-  startRecord(title = null) {
+  startRecord(title = null, seed = null) {
     if (this.mode === 'r') return;
     if (title !== null) this._detail.title = title;
-    if (this._detail.startTime === 0) this._detail.startTime = Date.now();
-    else this._detail.revision++;
+    if (this._detail.startTime === 0) {
+      this._detail.startTime = Date.now();
+      if (seed !== null) this._detail.seed = seed >>> 0;
+    } else {
+      this._detail.revision++;
+    }
   }
 
   /**
@@ -61,15 +104,17 @@ class Recorder {
    */
   storeAction(action, frame) {
     if (this.mode === 'r') return;
-    while (!(frame in this.data)) this.data.push({
-      keyboard: [],
-      mouseButton: [],
-      mousePosition: { x: Number.NaN, y: Number.NaN }
-    });
+    while (!(frame in this.data)) this.data.push(Recorder.createFrameData());
     this.data[frame].keyboard = [...action.keyboard.down];
     this.data[frame].mouseButton = [...action.mouse.down];
     this.data[frame].mousePosition.x = action.mouse.position.x;
     this.data[frame].mousePosition.y = action.mouse.position.y;
+    this.data[frame].pointers = action.pointer.getContacts().map(contact => ({ id: contact.id, x: contact.position.x, y: contact.position.y }));
+    this.data[frame].gamepads = action.gamepads.map(gamepad => ({
+      connected: gamepad.connected,
+      buttons: [...gamepad.down],
+      axes: [...gamepad.axes]
+    }));
   }
 
   /**
@@ -84,24 +129,45 @@ class Recorder {
   }
 
   /**
-   * Save as a file.
-   * @param {string} [fileName='savedata'] name of save file
+   * Convert the record to binary.
+   * @returns {ArrayBuffer} record data
    */
-  save(fileName = 'savedata') {
-    if (this.mode === 'r') return;
-    if (!window.Blob) {
-      Logger.error('The File APIs are not fully supported in this browser.');
-      return;
-    }
+  toBuffer() {
     this._detail.endTime = Date.now();
 
     // parse action data
     const binaryData0 = [0x18];
     let waitFrames = -1;
-    let prevData = {
-      keyboard: [],
-      mouseButton: [],
-      mousePosition: { x: Number.NaN, y: Number.NaN }
+    let prevData = Recorder.createFrameData();
+    const diffGamepads = (prevGamepads, frameGamepads) => {
+      const binary = [];
+      frameGamepads.forEach((frameGamepad, i) => {
+        const prevGamepad = prevGamepads[i];
+        if (frameGamepad.connected && !prevGamepad.connected) binary.push(0x4c, i);
+        frameGamepad.buttons.filter(button => !prevGamepad.buttons.includes(button)).forEach(button => binary.push(0x40, i, button));
+        prevGamepad.buttons.filter(button => !frameGamepad.buttons.includes(button)).forEach(button => binary.push(0x41, i, button));
+        frameGamepad.axes.forEach((value, axis) => {
+          if (value !== prevGamepad.axes[axis]) {
+            const quantized = Math.round(value * 0x7fff) & 0xffff;
+            binary.push(0x48, i, axis, quantized & 0xff, quantized >>> 8);
+          }
+        });
+        if (!frameGamepad.connected && prevGamepad.connected) binary.push(0x4d, i);
+      });
+      return binary;
+    };
+    const diffPointers = (prevPointers, framePointers) => {
+      const binary = [];
+      framePointers.forEach(pointer => {
+        const prevPointer = prevPointers.find(prev => prev.id === pointer.id);
+        if (prevPointer === undefined || prevPointer.x !== pointer.x || prevPointer.y !== pointer.y) {
+          binary.push(0x50, pointer.id & 0xff, (pointer.id >>> 8) & 0xff, pointer.x & 0xff, (pointer.x >>> 8) & 0xff, pointer.y & 0xff, (pointer.y >>> 8) & 0xff);
+        }
+      });
+      prevPointers.filter(prev => !framePointers.some(pointer => pointer.id === prev.id)).forEach(prev => {
+        binary.push(0x51, prev.id & 0xff, (prev.id >>> 8) & 0xff);
+      });
+      return binary;
     };
     this.data.forEach(frameData => {
       const keyboardPlus = frameData.keyboard.filter(frameKey => !prevData.keyboard.includes(frameKey));
@@ -110,7 +176,9 @@ class Recorder {
       const mouseButtonMinus = prevData.mouseButton.filter(prevButton => !frameData.mouseButton.includes(prevButton));
       const mouseMove = (prevData.mousePosition.x !== frameData.mousePosition.x && (!Number.isNaN(prevData.mousePosition.x) || !Number.isNaN(frameData.mousePosition.x))) ||
         (prevData.mousePosition.y !== frameData.mousePosition.y && (!Number.isNaN(prevData.mousePosition.y) || !Number.isNaN(frameData.mousePosition.y)));
-      if (keyboardPlus.length + keyboardMinus.length + mouseButtonPlus.length + mouseButtonMinus.length === 0 && !mouseMove) {
+      const pointerBinary = diffPointers(prevData.pointers, frameData.pointers);
+      const gamepadBinary = diffGamepads(prevData.gamepads, frameData.gamepads);
+      if (keyboardPlus.length + keyboardMinus.length + mouseButtonPlus.length + mouseButtonMinus.length + pointerBinary.length + gamepadBinary.length === 0 && !mouseMove) {
         waitFrames++;
       } else {
         switch (waitFrames) {
@@ -139,6 +207,8 @@ class Recorder {
           if (Number.isNaN(mouseY)) binaryData0.push(0xff, 0xff);
           else binaryData0.push(mouseY & 0xff, mouseY >>> 8);
         }
+        binaryData0.push(...pointerBinary);
+        binaryData0.push(...gamepadBinary);
 
         waitFrames = 0;
         prevData = frameData;
@@ -187,17 +257,33 @@ class Recorder {
       if (i >= this._detail.title.length) binaryData1.push(0);
       else binaryData1.push(this._detail.title.charCodeAt(i) & 0xff);
     }
+    // push random seed
+    pushUint(binaryData1, this._detail.seed, 4);
     // push reserved
-    for (let i = 0; i < 32; i++) {
-      binaryData1.push(Math.floor(Math.random() * 0xff));
+    for (let i = 0; i < 28; i++) {
+      binaryData1.push(0);
     }
     // push checksum
     new Uint8Array(checkSum.buffer).forEach(num => binaryData1.push(num));
     // push action data
     binaryData1.push(...binaryData0);
 
+    return Uint8Array.from(binaryData1).buffer;
+  }
+
+  /**
+   * Save as a file.
+   * @param {string} [fileName='savedata'] name of save file
+   */
+  save(fileName = 'savedata') {
+    if (this.mode === 'r') return;
+    if (!window.Blob) {
+      Logger.error('The File APIs are not fully supported in this browser.');
+      return;
+    }
+
     // download save data
-    const blob = new Blob([Uint8Array.from(binaryData1).buffer]);
+    const blob = new Blob([this.toBuffer()]);
     const url = window.URL.createObjectURL(blob);
     const aElem = document.createElement('a');
     document.body.appendChild(aElem);
@@ -234,28 +320,7 @@ class Recorder {
       inputElem.addEventListener('change', ev0 => {
         const reader = new FileReader();
         reader.addEventListener('load', ev1 => {
-          const result = ev1.target.result;
-          if (new Uint16Array(result, 0, 2)[0] !== Recorder.MAGIC) {
-            rej('Save data is wrong!');
-          }
-          if (new Uint16Array(result, 0, 2)[1] !== Recorder.VERSION) {
-            rej('Save data is too old!');
-          }
-          const checkSum = new Uint32Array(result, 0x60, 8);
-          const exackHashes = SHA256.digest(new Uint32Array(result, 0x80));
-          if (!checkSum.every((hash, i) => hash === exackHashes[i])) {
-            rej('Save data is broken!');
-          }
-
-          this._detail.revision = new Uint32Array(result, 0x0c, 1)[0];
-          this._detail.title = String.fromCharCode(...new Uint8Array(result, 0x20, 32).filter(byte => byte !== 0));
-          const timeBinary = new Uint32Array(result, 0x10, 4);
-          this._detail.startTime = timeBinary[0] + (timeBinary[1] * 2 ** 32);
-          this._detail.endTime = timeBinary[2] + (timeBinary[3] * 2 ** 32);
-
-          const dataBinary = new Uint8Array(result, 0x80);
-          this.parseData(dataBinary);
-          res();
+          this.loadBuffer(ev1.target.result).then(res, rej);
         });
         reader.readAsArrayBuffer(ev0.target.files[0]);
 
@@ -264,34 +329,53 @@ class Recorder {
     });
   }
 
+  /**
+   * Load a record data from a buffer.
+   * @param {ArrayBuffer} buffer record data
+   * @returns {Promise}
+   */
+  loadBuffer(buffer) {
+    if (this.mode === 'w') return Promise.reject('Please set recorder in reading mode.');
+    if (new Uint16Array(buffer, 0, 2)[0] !== Recorder.MAGIC) {
+      return Promise.reject('Save data is wrong!');
+    }
+    if (new Uint16Array(buffer, 0, 2)[1] !== Recorder.VERSION) {
+      return Promise.reject('Save data is too old!');
+    }
+    const checkSum = new Uint32Array(buffer, 0x60, 8);
+    const exackHashes = SHA256.digest(new Uint32Array(buffer, 0x80));
+    if (!checkSum.every((hash, i) => hash === exackHashes[i])) {
+      return Promise.reject('Save data is broken!');
+    }
+
+    this._detail.revision = new Uint32Array(buffer, 0x0c, 1)[0];
+    this._detail.title = String.fromCharCode(...new Uint8Array(buffer, 0x20, 32).filter(byte => byte !== 0));
+    const timeBinary = new Uint32Array(buffer, 0x10, 4);
+    this._detail.startTime = timeBinary[0] + (timeBinary[1] * 2 ** 32);
+    this._detail.endTime = timeBinary[2] + (timeBinary[3] * 2 ** 32);
+    this._detail.seed = new Uint32Array(buffer, 0x40, 1)[0];
+
+    const dataBinary = new Uint8Array(buffer, 0x80);
+    this.parseData(dataBinary);
+    return Promise.resolve();
+  }
+
   /**
    * Parse binary to data.
    * @param {Uint8Array} binary
    */
   parseData(binary) {
-    let _tmpData = {
-      keyboard: [],
-      mouseButton: [],
-      mousePosition: { x: Number.NaN, y: Number.NaN }
-    };
+    let _tmpData = Recorder.createFrameData();
     let readingByte = 0;
     let _end = false;
     while (!_end) {
       switch (binary[readingByte]) {
       case 0x10:
-        this.data.push({
-          keyboard: [..._tmpData.keyboard],
-          mouseButton: [..._tmpData.mouseButton],
-          mousePosition: { x: _tmpData.mousePosition.x, y: _tmpData.mousePosition.y }
-        });
+        this.data.push(Recorder.copyFrameData(_tmpData));
         break;
       case 0x18:
         this.data = [];
-        _tmpData = {
-          keyboard: [],
-          mouseButton: [],
-          mousePosition: { x: Number.NaN, y: Number.NaN }
-        };
+        _tmpData = Recorder.createFrameData();
         break;
       case 0x19:
         _end = true;
@@ -299,11 +383,7 @@ class Recorder {
       case 0x1a:
         const skipFrames = binary[readingByte + 1] | (binary[readingByte + 2] << 8);
         for (let i = 0; i < skipFrames; i++)
-          this.data.push({
-            keyboard: [..._tmpData.keyboard],
-            mouseButton: [..._tmpData.mouseButton],
-            mousePosition: { x: _tmpData.mousePosition.x, y: _tmpData.mousePosition.y }
-          });
+          this.data.push(Recorder.copyFrameData(_tmpData));
         readingByte += 2;
         break;
       case 0x20:
@@ -329,6 +409,44 @@ class Recorder {
           _tmpData.mousePosition = { x: Number.NaN, y: Number.NaN };
         readingByte += 4;
         break;
+      case 0x50:
+        const pointerId = binary[readingByte + 1] | (binary[readingByte + 2] << 8);
+        const pointer = {
+          id: pointerId,
+          x: ((binary[readingByte + 3] | (binary[readingByte + 4] << 8)) << 16) >> 16,
+          y: ((binary[readingByte + 5] | (binary[readingByte + 6] << 8)) << 16) >> 16
+        };
+        _tmpData.pointers = _tmpData.pointers.some(prev => prev.id === pointerId) ?
+          _tmpData.pointers.map(prev => prev.id === pointerId ? pointer : prev) : [..._tmpData.pointers, pointer];
+        readingByte += 6;
+        break;
+      case 0x51:
+        _tmpData.pointers = _tmpData.pointers.filter(prev => prev.id !== (binary[readingByte + 1] | (binary[readingByte + 2] << 8)));
+        readingByte += 2;
+        break;
+      case 0x40:
+        _tmpData.gamepads[binary[readingByte + 1]].buttons.push(binary[readingByte + 2]);
+        readingByte += 2;
+        break;
+      case 0x41:
+        _tmpData.gamepads[binary[readingByte + 1]].buttons = _tmpData.gamepads[binary[readingByte + 1]].buttons.filter(button => button != binary[readingByte + 2]);
+        readingByte += 2;
+        break;
+      case 0x48:
+        const axes = _tmpData.gamepads[binary[readingByte + 1]].axes;
+        const axis = binary[readingByte + 2];
+        while (axes.length <= axis) axes.push(0.0);
+        axes[axis] = (((binary[readingByte + 3] | (binary[readingByte + 4] << 8)) << 16) >> 16) / 0x7fff;
+        readingByte += 4;
+        break;
+      case 0x4c:
+        _tmpData.gamepads[binary[readingByte + 1]].connected = true;
+        readingByte += 1;
+        break;
+      case 0x4d:
+        _tmpData.gamepads[binary[readingByte + 1]] = { connected: false, buttons: [], axes: [] };
+        readingByte += 1;
+        break;
       default:
         //
       }
@@ -363,14 +481,49 @@ class Recorder {
     });
     action.mouse.position.x = this.data[frame].mousePosition.x;
     action.mouse.position.y = this.data[frame].mousePosition.y;
+    action.pointer._setContacts(this.data[frame].pointers);
+    action.gamepads.forEach((gamepad, i) => {
+      const gamepadData = this.data[frame].gamepads[i];
+      if (gamepadData.connected && !gamepad.connected) gamepad._connect('recorded');
+      if (!gamepadData.connected && gamepad.connected) gamepad._disconnect();
+      gamepadData.buttons.forEach(button => {
+        gamepad._down(button);
+      });
+      [...gamepad.down].filter(button => !gamepadData.buttons.includes(button)).forEach(button => {
+        gamepad._up(button);
+      });
+      gamepad._setAxes([...gamepadData.axes]);
+    });
+  }
+
+  // the last frame of the shown rows, which keeps the cursor in the middle while scrubbing
+  static _timelineEnd(frame, cursor) {
+    if (cursor === null) return frame;
+    return Math.min(frame, Math.max(cursor + Math.floor(Recorder.SHOWING_LOG / 2), Recorder.SHOWING_LOG - 1));
+  }
+
+  /**
+   * Get the frame of the row at the position on the timeline.
+   * @param {Painter2d} painter painter which the timeline is printed on
+   * @param {number} frame the latest frame number
+   * @param {?number} cursor frame number of the cursor. See {@link Recorder#printTimeline}
+   * @param {number} y y-coordinate on the painter
+   * @returns {?number} frame number, or `null` if there is no row
+   */
+  timelineFrameAt(painter, frame, cursor, y) {
+    // rows are printed from the bottom
+    const row = Recorder.SHOWING_LOG - 1 - Math.floor(y / (painter.height / Recorder.SHOWING_LOG));
+    const target = Recorder._timelineEnd(frame, cursor) - row;
+    return row >= 0 && row < Recorder.SHOWING_LOG && target >= 0 && target <= frame ? target : null;
   }
 
   /**
    * Print timeline.
    * @param {Painter2d} painter painter
-   * @param {number} frame frame number
+   * @param {number} frame the latest frame number
+   * @param {?number} [cursor=null] frame number to be marked, such as the frame rewound to
    */
-  printTimeline(painter, frame) {
+  printTimeline(painter, frame, cursor = null) {
     const LOG_HEIGHT = painter.height / Recorder.SHOWING_LOG;
     const LOG_MARK_WIDTH = painter.width / 20;
     const LOG_FRAME_WIDTH = painter.width / 5;
@@ -389,20 +542,22 @@ class Recorder {
         return `${Math.floor(seconds / 86400).toString(10)}d${(Math.floor(seconds / 3600) % 24).toString(10)}h${(Math.floor(seconds / 60) % 60).toString(10)}m${(seconds % 60).toFixed(2)}s`;
       }
     };
+    const end = Recorder._timelineEnd(frame, cursor);
     painter.background('#000');
     for (let i = 0; i < Recorder.SHOWING_LOG; i++) {
-      if (i > frame) break;
+      if (i > end) break;
       // console.log(this.data);
       // debugger;
-      const FRAME_DATA = this.data[frame - i];
+      const FRAME_DATA = this.data[end - i];
+      if (end - i === cursor) painter.rect(0, painter.height - LOG_HEIGHT * (i + 1), painter.width, LOG_HEIGHT).fill('#030');
       painter.rect(0, painter.height - LOG_HEIGHT * (i + 1), LOG_MARK_WIDTH, LOG_HEIGHT).stroke('#0f0', { width: 1 });
       painter.rect(LOG_MARK_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_FRAME_WIDTH, LOG_HEIGHT).stroke('#0f0');
       painter.rect(LOG_MARK_WIDTH + LOG_FRAME_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_TIME_WIDTH, LOG_HEIGHT).stroke('#0f0');
       painter.rect(LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_KEYBOARD_WIDTH, LOG_HEIGHT).stroke('#0f0');
       painter.rect(LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH + LOG_KEYBOARD_WIDTH, painter.height - LOG_HEIGHT * (i + 1), LOG_MOUSE_WIDTH, LOG_HEIGHT).stroke('#0f0');
-      painter.text('-', LOG_MARK_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5), { size: LOG_HEIGHT / 2, align: 'center', baseline: 'middle' }).fill('#0f0');
-      painter.text((frame - i).toString(10) + 'f', LOG_MARK_WIDTH + LOG_FRAME_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
-      painter.text(frameToTime(frame - i), LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
+      painter.text(end - i === cursor ? '>' : '-', LOG_MARK_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5), { size: LOG_HEIGHT / 2, align: 'center', baseline: 'middle' }).fill('#0f0');
+      painter.text((end - i).toString(10) + 'f', LOG_MARK_WIDTH + LOG_FRAME_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
+      painter.text(frameToTime(end - i), LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
       painter.text(FRAME_DATA.keyboard.toString(), LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH + LOG_KEYBOARD_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
       painter.text(`(${FRAME_DATA.mousePosition.x}, ${FRAME_DATA.mousePosition.y})`, LOG_MARK_WIDTH + LOG_FRAME_WIDTH + LOG_TIME_WIDTH + LOG_KEYBOARD_WIDTH + LOG_MOUSE_WIDTH / 2, painter.height - LOG_HEIGHT * (i + 0.5)).fill('#0f0');
     }
@@ -0,0 +1,151 @@
+/**
+ * Class for keeping the latest snapshots of the game for time-travel debugging.
+ * It is a ring buffer, so the oldest snapshot is dropped when it is full.
+ * A snapshot is taken at the beginning of a tick, and it has the scene name `scene`, the state `state` and the counters `counters`.
+ * @param {number} [capacity=600] maximum number of snapshots
+ */
+class SnapshotHistory {
+  constructor(capacity = 600) {
+    /** @member {number} */
+    this.capacity = Math.max(1, Math.floor(capacity));
+    this._buffer = new Array(this.capacity);
+    this._start = 0;
+    this._size = 0;
+    this._cursor = null;
+  }
+
+  /** @member {number} */
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * General counter of the oldest snapshot, or `null` if empty.
+   * @member {?number}
+   */
+  get oldestFrame() {
+    return this._size === 0 ? null : this._at(0).counters.general;
+  }
+
+  /**
+   * General counter of the newest snapshot, or `null` if empty.
+   * @member {?number}
+   */
+  get newestFrame() {
+    return this._size === 0 ? null : this._at(this._size - 1).counters.general;
+  }
+
+  /**
+   * General counter of the snapshot being looked at, or `null` if the game is not rewound.
+   * @member {?number}
+   */
+  get cursor() {
+    return this._cursor;
+  }
+
+  _at(index) {
+    return this._buffer[(this._start + index) % this.capacity];
+  }
+
+  // index of the newest snapshot taken at or before the frame, or -1
+  _search(frame) {
+    let low = 0;
+    let high = this._size - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this._at(mid).counters.general <= frame) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Add a snapshot. The snapshots taken at or after its frame are dropped, and the cursor is cleared.
+   * @param {Object} snapshot snapshot
+   */
+  push(snapshot) {
+    this.truncateAfter(snapshot.counters.general - 1);
+    if (this._size === this.capacity) {
+      this._buffer[this._start] = undefined;
+      this._start = (this._start + 1) % this.capacity;
+      this._size--;
+    }
+    this._buffer[(this._start + this._size) % this.capacity] = snapshot;
+    this._size++;
+    this._cursor = null;
+  }
+
+  /**
+   * Find the newest snapshot taken at or before the frame.
+   * @param {number} frame general counter
+   * @returns {?Object} snapshot or null
+   */
+  find(frame) {
+    const index = this._search(frame);
+    return index < 0 ? null : this._at(index);
+  }
+
+  /**
+   * Drop the snapshots taken after the frame.
+   * @param {number} frame general counter
+   */
+  truncateAfter(frame) {
+    const size = this._search(frame) + 1;
+    for (let i = size; i < this._size; i++) this._buffer[(this._start + i) % this.capacity] = undefined;
+    this._size = size;
+    if (this._cursor !== null && this._cursor > frame) this._cursor = null;
+  }
+
+  /**
+   * Look at the snapshot of the frame. The frame is clamped into the kept range.
+   * @param {number} frame general counter
+   * @returns {?Object} snapshot, or `null` if empty
+   */
+  seek(frame) {
+    if (this._size === 0) return null;
+    const snapshot = this.find(Math.min(this.newestFrame, Math.max(this.oldestFrame, frame)));
+    this._cursor = snapshot.counters.general;
+    return snapshot;
+  }
+
+  /**
+   * Check if the game is rewound to an earlier snapshot than the newest one.
+   * @returns {boolean} `true` if rewound
+   */
+  isRewound() {
+    return this._cursor !== null && this._cursor !== this.newestFrame;
+  }
+
+  /**
+   * Stop looking at the snapshot.
+   * @returns {?Object} the snapshot which was looked at, or `null`
+   */
+  leave() {
+    const snapshot = this._cursor === null ? null : this.find(this._cursor);
+    this._cursor = null;
+    return snapshot;
+  }
+
+  /**
+   * Drop all snapshots.
+   */
+  clear() {
+    this._buffer = new Array(this.capacity);
+    this._start = 0;
+    this._size = 0;
+    this._cursor = null;
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[SnapshotHistory ${this._size}/${this.capacity}]`;
+  }
+}
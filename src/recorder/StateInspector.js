@@ -0,0 +1,231 @@
+/**
+ * Class for showing the current state as a tree in the debug UI.
+ * The shown state is the one at the start of a frame, before the update, like the snapshots for rewinding.
+ * The values changed since the previous frame are highlighted, and numbers, strings and booleans can be edited while the game is paused.
+ * While the game is playing, the tree is rebuilt only once in several frames.
+ * States, maps, arrays and objects are expanded, and other classes can be expanded by {@link StateInspector#register}.
+ * @param {HTMLDivElement} div element which the tree is shown in
+ * @param {function(): boolean} [isEditable] function which returns `true` if the values can be edited
+ * @param {number} [interval=10] number of frames between the rebuilds while the values cannot be edited
+ */
+class StateInspector {
+  constructor(div, isEditable = () => true, interval = 10) {
+    this.div = div;
+    this.isEditable = isEditable;
+    /** @member {number} */
+    this.interval = Math.max(1, Math.floor(interval));
+    this._skipped = 0;
+    /** @member {?string} */
+    this.sceneName = null;
+    /**
+     * The shown state, including the edits.
+     * @member {?State}
+     */
+    this.state = null;
+    this._base = null;
+    this._previous = null;
+    this._views = [];
+    this._expanded = new Set([StateInspector._pathKey([])]);
+    this.register(Vector2d, {
+      entries: vector => [['x', vector.x], ['y', vector.y]],
+      with: (vector, key, child) => key === 'x' ? new Vector2d(child, vector.y) : new Vector2d(vector.x, child)
+    });
+  }
+
+  /**
+   * Register how to expand and edit the instances of a class. The latest registration is used first.
+   * @param {function} type class
+   * @param {Object} view view
+   * @param {function(Object): Array} view.entries function which returns the pairs of the keys and the children
+   * @param {function(Object, *, *): Object} [view.with] function which returns a copy with the child of the key replaced
+   * @returns {StateInspector} this
+   */
+  register(type, view) {
+    this._views.unshift({ type, entries: view.entries, with: 'with' in view ? view.with : State._setChild });
+    return this;
+  }
+
+  static _pathKey(path) {
+    return JSON.stringify(path.map(key => String(key)));
+  }
+
+  static _summarize(value) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'function') return `function ${value.name}`;
+    if (value === null || typeof value !== 'object') return String(value);
+    if (Array.isArray(value)) return `Array(${value.length})`;
+    if (value instanceof Map) return `Map(${value.size})`;
+    if (value.toString !== Object.prototype.toString) return String(value);
+    return typeof value.constructor === 'function' ? value.constructor.name : 'Object';
+  }
+
+  _viewOf(value) {
+    if (value === null || typeof value !== 'object') return null;
+    const registered = this._views.find(view => value instanceof view.type);
+    if (registered !== undefined) return registered;
+    const entries = (() => {
+      if (value instanceof State) return state => state.names().map(name => [name, state.getState(name)]);
+      if (value instanceof Map || value instanceof PersistentMap) return map => Array.from(map.entries());
+      if (Array.isArray(value)) return array => array.map((child, i) => [i, child]);
+      return obj => Object.keys(obj).map(key => [key, obj[key]]);
+    })();
+    return { entries, with: State._setChild };
+  }
+
+  _updateIn(target, path, value) {
+    if (path.length === 0) return value;
+    const view = this._viewOf(target);
+    const entry = view.entries(target).find(([key]) => Object.is(key, path[0]));
+    return view.with(target, path[0], this._updateIn(entry[1], path.slice(1), value));
+  }
+
+  /**
+   * Show the state of the frame.
+   * @param {string} sceneName scene name
+   * @param {State} state state at the start of the frame
+   * @param {?State} [previous=null] state at the start of the previous frame, which the state is compared with
+   */
+  show(sceneName, state, previous = null) {
+    this._previous = previous;
+    this.sceneName = sceneName;
+    this._base = state;
+    this.state = state;
+    this._skipped++;
+    if (this.isEditable() || this._skipped >= this.interval) {
+      this.render();
+    }
+  }
+
+  /**
+   * Check if the shown state has been edited.
+   * @returns {boolean} `true` if edited
+   */
+  isEdited() {
+    return !Object.is(this.state, this._base);
+  }
+
+  /**
+   * Get the state which the next update starts from.
+   * @param {State} state the state given to {@link StateInspector#show}
+   * @returns {State} the edited state, or the given state if it is not shown or not edited
+   */
+  edited(state) {
+    return Object.is(state, this._base) ? this.state : state;
+  }
+
+  /**
+   * Edit the value at the path of the shown state.
+   * @param {Array} path state name followed by the keys of the children
+   * @param {*} value value
+   */
+  set(path, value) {
+    if (this.state === null) return;
+    if (!this.isEditable()) {
+      Logger.warn(`Pause the game to edit the state.\npath: ${path.map(key => String(key)).join('.')}`);
+    } else {
+      this.state = this._updateIn(this.state, path, value);
+    }
+    this.render();
+  }
+
+  /**
+   * Expand or collapse the value at the path.
+   * @param {Array} path state name followed by the keys of the children
+   */
+  toggle(path) {
+    const pathKey = StateInspector._pathKey(path);
+    if (this._expanded.has(pathKey)) {
+      this._expanded.delete(pathKey);
+    } else {
+      this._expanded.add(pathKey);
+    }
+    this.render();
+  }
+
+  /**
+   * Rebuild the tree.
+   */
+  render() {
+    this._skipped = 0;
+    this.div.innerHTML = '';
+    const header = document.createElement('div');
+    header.setAttribute('style', 'border-bottom: 1px #0f0 solid;');
+    header.textContent = `scene: ${this.sceneName}`;
+    this.div.appendChild(header);
+    if (this.state !== null) {
+      this._renderChildren(this.state, this._previous, [], 0);
+    }
+  }
+
+  _renderChildren(value, previous, path, depth) {
+    const previousView = this._viewOf(previous);
+    const previousChildren = new Map(previousView === null ? [] : previousView.entries(previous));
+    this._viewOf(value).entries(value).forEach(([key, child]) => {
+      const changed = this._previous !== null && !Object.is(child, previousChildren.get(key));
+      this._renderNode(key, child, previousChildren.get(key), [...path, key], depth, changed);
+    });
+  }
+
+  _renderNode(key, value, previous, path, depth, changed) {
+    const row = document.createElement('div');
+    row.setAttribute('style', `padding-left: ${depth}em; white-space: nowrap;` + (changed ? ' background-color: #060;' : ''));
+    const view = this._viewOf(value);
+    const expandable = view !== null && view.entries(value).length > 0;
+    const expanded = expandable && this._expanded.has(StateInspector._pathKey(path));
+
+    const mark = document.createElement('span');
+    mark.textContent = expandable ? (expanded ? '- ' : '+ ') : '  ';
+    if (expandable) {
+      mark.setAttribute('style', 'cursor: pointer;');
+      mark.addEventListener('mousedown', () => this.toggle(path));
+    }
+    row.appendChild(mark);
+    const label = document.createElement('span');
+    label.textContent = `${String(key)}: `;
+    row.appendChild(label);
+
+    if (['number', 'string', 'boolean'].includes(typeof value)) {
+      row.appendChild(this._createInput(value, path));
+    } else {
+      const summary = document.createElement('span');
+      summary.textContent = StateInspector._summarize(value);
+      row.appendChild(summary);
+    }
+    this.div.appendChild(row);
+
+    if (expanded) {
+      this._renderChildren(value, previous, path, depth + 1);
+    }
+  }
+
+  _createInput(value, path) {
+    const input = document.createElement('input');
+    input.setAttribute('style', 'background-color: #000; color: #0f0; border: none; font-family: monospace;');
+    if (typeof value === 'boolean') {
+      input.setAttribute('type', 'checkbox');
+      input.checked = value;
+      input.addEventListener('change', () => this.set(path, input.checked));
+    } else {
+      input.value = String(value);
+      input.addEventListener('change', () => {
+        if (typeof value === 'string') {
+          this.set(path, input.value);
+        } else if (Number.isNaN(Number(input.value)) && input.value.trim() !== 'NaN') {
+          Logger.warn(`${input.value} is not a number.`);
+          this.render();
+        } else {
+          this.set(path, Number(input.value));
+        }
+      });
+    }
+    return input;
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[StateInspector ${this.sceneName}]`;
+  }
+}
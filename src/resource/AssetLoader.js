@@ -0,0 +1,145 @@
+/**
+ * Class for loading assets with progress reports.
+ * Each asset property may have the following parameters.
+ * - `optional` if `true`, then the asset is skipped when it cannot be loaded
+ * - `retry` number of retries before the asset is given up
+ * @param {Object} [opt] options
+ * @param {function(Object)} [opt.onProgress] function called with {@link AssetLoader#progress} every time an asset makes progress
+ */
+class AssetLoader {
+  constructor(opt = {}) {
+    this.onProgress = 'onProgress' in opt ? opt.onProgress : () => {};
+    this.reset();
+  }
+
+  /**
+   * Check if assets can be fetched with byte progress.
+   * @returns {boolean} `true` if `fetch` is available
+   */
+  static canFetch() {
+    return typeof fetch === 'function' && !(typeof location !== 'undefined' && location.protocol === 'file:');
+  }
+
+  /**
+   * Fetch an asset and report received bytes.
+   * @param {string} src source path
+   * @param {string} [type='arrayBuffer'] `'arrayBuffer'`, `'blob'`, `'text'` or `'json'`
+   * @param {function(number, number)} [onBytes] function called with loaded bytes and total bytes (`0` if unknown)
+   * @returns {Promise} promise of the fetched data
+   */
+  static fetch(src, type = 'arrayBuffer', onBytes = () => {}) {
+    return fetch(src).then(res => {
+      if (!res.ok) return Promise.reject(new Error(`${res.status} ${res.statusText}`));
+      const total = Number(res.headers.get('Content-Length')) || 0;
+      if (!res.body || !res.body.getReader) {
+        return res[type]().then(data => {
+          onBytes(total, total);
+          return data;
+        });
+      }
+      const reader = res.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      const read = () => reader.read().then(chunk => {
+        if (chunk.done) {
+          const blob = new Blob(chunks, { type: res.headers.get('Content-Type') || '' });
+          return type === 'blob' ? blob : new Response(blob)[type]();
+        }
+        chunks.push(chunk.value);
+        loaded += chunk.value.length;
+        onBytes(loaded, total);
+        return read();
+      });
+      return read();
+    });
+  }
+
+  /**
+   * Current progress.
+   * @type {Object}
+   * @property {number} loaded number of finished assets including skipped ones
+   * @property {number} total number of requested assets
+   * @property {number} bytesLoaded received bytes
+   * @property {number} bytesTotal total bytes known so far
+   * @property {number} ratio ratio of finished assets
+   * @property {string[]} skipped source paths of skipped assets
+   * @property {?string} src source path of the asset which made progress last
+   */
+  get progress() {
+    const bytes = Array.from(this.bytes.values());
+    return Object.freeze({
+      loaded: this.loaded,
+      total: this.total,
+      bytesLoaded: bytes.reduce((acc, b) => acc + b.loaded, 0),
+      bytesTotal: bytes.reduce((acc, b) => acc + b.total, 0),
+      ratio: this.total === 0 ? 1.0 : this.loaded / this.total,
+      skipped: this.skipped.slice(),
+      src: this.src
+    });
+  }
+
+  /**
+   * Reset the progress.
+   * @returns {AssetLoader} this
+   */
+  reset() {
+    this.loaded = 0;
+    this.total = 0;
+    this.bytes = new Map();
+    this.skipped = [];
+    this.src = null;
+    return this;
+  }
+
+  _notify(src) {
+    this.src = src;
+    this.onProgress(this.progress);
+  }
+
+  /**
+   * Load an asset following its retry and skip policies.
+   * @param {Object} prop asset property
+   * @param {string} prop.src source path
+   * @param {boolean} [prop.optional=false] if `true`, then the asset is skipped when it cannot be loaded
+   * @param {number} [prop.retry=0] number of retries
+   * @param {function(function(number, number)): Promise} load function which loads the asset. It receives the function to report bytes
+   * @returns {Promise} promise of the loaded asset. It is resolved with `null` if the asset is skipped, and rejected with an error naming the source path if it fails
+   */
+  loadAsset(prop, load) {
+    const retry = 'retry' in prop ? prop.retry : 0;
+    const onBytes = (loaded, total) => {
+      this.bytes.set(prop.src, { loaded, total });
+      this._notify(prop.src);
+    };
+    const attempt = count => load(onBytes).catch(err => {
+      if (count >= retry) return Promise.reject(err);
+      Logger.warn(`Retry loading ${prop.src} (${count + 1}/${retry})`);
+      return attempt(count + 1);
+    });
+
+    this.total++;
+    return attempt(0).then(asset => {
+      this.loaded++;
+      this._notify(prop.src);
+      return asset;
+    }, err => {
+      const reason = err instanceof Error ? err.message : String(err);
+      if ('optional' in prop && prop.optional) {
+        Logger.warn(`Skipped optional asset ${prop.src}: ${reason}`);
+        this.skipped.push(prop.src);
+        this.loaded++;
+        this._notify(prop.src);
+        return null;
+      }
+      return Promise.reject(new Error(`Failed to load ${prop.src}: ${reason}`));
+    });
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[AssetLoader ${this.loaded}/${this.total}]`;
+  }
+}
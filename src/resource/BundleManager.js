@@ -0,0 +1,143 @@
+/**
+ * Class for manageing asset bundles, which are loaded when a scene needs them and unloaded when no scene needs them.
+ * Assets are reference-counted, so an asset shared by several bundles is loaded only once.
+ * Assets in bundles are not loaded when the game starts.
+ * @param {Object.<string, Object>} bundles bundles keyed by their names
+ * @param {string[]} [bundles[].images] image names. See {@link ImageManager}
+ * @param {string[]} [bundles[].sounds] sound names. See {@link SoundManager}
+ * @param {ImageManager} imageManager image manager
+ * @param {SoundManager} soundManager sound manager
+ * @param {AssetLoader} [loader] loader which reports the progress
+ */
+class BundleManager {
+  constructor(bundles, imageManager, soundManager, loader = new AssetLoader()) {
+    this.imageManager = imageManager;
+    this.soundManager = soundManager;
+    this.loader = loader;
+    this.bundles = new Map();
+    this.counts = new Map();
+    this.assets = new Map();
+
+    Object.keys(bundles).forEach(name => {
+      const images = 'images' in bundles[name] ? bundles[name].images : [];
+      const sounds = 'sounds' in bundles[name] ? bundles[name].sounds : [];
+      images.filter(image => !imageManager.images.has(image)).forEach(image => {
+        Logger.error(`Bundle ${name} has no image of name ${image}!`);
+      });
+      sounds.filter(sound => !soundManager.sounds.has(sound)).forEach(sound => {
+        Logger.error(`Bundle ${name} has no sound of name ${sound}!`);
+      });
+      this.bundles.set(name, {
+        images: images.filter(image => imageManager.images.has(image)),
+        sounds: sounds.filter(sound => soundManager.sounds.has(sound))
+      });
+      this.counts.set(name, 0);
+    });
+  }
+
+  /**
+   * Names of the images in bundles.
+   * @type {Set.<string>}
+   */
+  get images() {
+    return new Set(Array.from(this.bundles.values()).reduce((acc, bundle) => acc.concat(bundle.images), []));
+  }
+
+  /**
+   * Names of the sounds in bundles.
+   * @type {Set.<string>}
+   */
+  get sounds() {
+    return new Set(Array.from(this.bundles.values()).reduce((acc, bundle) => acc.concat(bundle.sounds), []));
+  }
+
+  _hasBundle(name) {
+    if (!this.bundles.has(name)) Logger.error(`There is no bundle of name ${name}!`);
+    return this.bundles.has(name);
+  }
+
+  _getAssets(name) {
+    const bundle = this.bundles.get(name);
+    return bundle.images.map(image => ({ key: `image:${image}`, name: image, manager: this.imageManager }))
+      .concat(bundle.sounds.map(sound => ({ key: `sound:${sound}`, name: sound, manager: this.soundManager })));
+  }
+
+  /**
+   * Acquire bundles, and load their assets if they are not loaded.
+   * @param {...string} names bundle names
+   * @returns {Promise} promise resolved when all assets of the bundles are loaded.
+   * If it is rejected, then the bundles are released, and they can be acquired again
+   */
+  acquire(...names) {
+    return Promise.all(names.filter(name => this._hasBundle(name)).map(name => {
+      const first = this.counts.get(name) === 0;
+      this.counts.set(name, this.counts.get(name) + 1);
+      return Promise.all(this._getAssets(name).map(asset => {
+        if (!this.assets.has(asset.key)) {
+          const entry = { count: 0, loaded: false, promise: null };
+          entry.promise = asset.manager.load(this.loader, [asset.name]).then(() => {
+            entry.loaded = true;
+          }, err => {
+            // forget the failure, so that the asset is loaded again next time
+            if (this.assets.get(asset.key) === entry) this.assets.delete(asset.key);
+            return Promise.reject(err);
+          });
+          this.assets.set(asset.key, entry);
+        }
+        const entry = this.assets.get(asset.key);
+        if (first) entry.count++;
+        return entry.promise;
+      })).catch(err => {
+        this.release(name);
+        return Promise.reject(err);
+      });
+    })).then(() => null);
+  }
+
+  /**
+   * Release bundles, and unload the assets which no bundle needs.
+   * @param {...string} names bundle names
+   */
+  release(...names) {
+    names.filter(name => this._hasBundle(name)).forEach(name => {
+      if (this.counts.get(name) === 0) {
+        Logger.warn(`Bundle ${name} is not acquired!`);
+      } else {
+        this.counts.set(name, this.counts.get(name) - 1);
+        if (this.counts.get(name) === 0) {
+          this._getAssets(name).forEach(asset => {
+            const entry = this.assets.get(asset.key);
+            // the entry is already removed if the asset failed to load
+            if (entry === undefined) return;
+            entry.count--;
+            if (entry.count === 0) {
+              this.assets.delete(asset.key);
+              // unload after loading, unless the asset is acquired again meanwhile
+              entry.promise.then(() => {
+                if (!this.assets.has(asset.key)) asset.manager.unload([asset.name]);
+              }, () => {});
+            }
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Check if all assets of the bundles are loaded.
+   * @param {...string} names bundle names
+   * @returns {boolean} `true` if loaded
+   */
+  isLoaded(...names) {
+    return names.filter(name => this._hasBundle(name))
+      .every(name => this._getAssets(name).every(asset => this.assets.has(asset.key) && this.assets.get(asset.key).loaded));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[BundleManager ${this.bundles.size}]`;
+  }
+}
@@ -6,6 +6,16 @@
  * @param {Object} [images[].sprite] if the image is a sprite, then use this parameter
  * @param {number} [images[].sprite.width] sprite width
  * @param {number} [images[].sprite.height] sprite height
+ * @param {(string|Object)} [images[].atlas] source path or content of the atlas JSON exported by TexturePacker or Aseprite.
+ * Its frames can be drawn by their names with {@link Painter2d#image}, and its frame tags of Aseprite become animation clips
+ * @param {Object.<string, Object>} [images[].animations] animation clips keyed by their names. See {@link AnimationClip}
+ * @param {(Array.<(number|string)>|Object)} images[].animations[].frames sprite IDs or atlas frame names, or a range of sprite IDs
+ * @param {(number|number[])} [images[].animations[].duration=1] ticks of each frame
+ * @param {AnimationMode} [images[].animations[].mode=AnimationMode.LOOP] playing mode
+ * @param {Object.<number, (string|string[])>} [images[].animations[].events] events keyed by frame indices
+ * @param {number} [images[].tickRate=60] ticks per second used to convert frame durations of Aseprite
+ * @param {boolean} [images[].optional=false] if `true`, then the image is skipped when it cannot be loaded. See {@link AssetLoader}
+ * @param {number} [images[].retry=0] number of retries
  */
 class ImageManager {
   constructor(images) {
@@ -17,39 +27,157 @@ class ImageManager {
           src: image.src,
           image: null,
           imageData: null,
-          size: 'sprite' in image ? image.sprite : null
+          sprite: 'sprite' in image ? image.sprite : null,
+          size: 'sprite' in image ? image.sprite : null,
+          atlas: 'atlas' in image ? image.atlas : null,
+          frameNames: [],
+          animations: new Map(Object.keys('animations' in image ? image.animations : {})
+            .map(clip => [clip, new AnimationClip(clip, image.name, image.animations[clip].frames, image.animations[clip])])),
+          tickRate: 'tickRate' in image ? image.tickRate : 60,
+          optional: 'optional' in image ? image.optional : false,
+          retry: 'retry' in image ? image.retry : 0
         });
       });
+      this.frames = new Map();
     } else {
       Logger.fatal("ImageManager requires image properties of 'name' and 'src'");
     }
   }
 
+  /**
+   * Decode an image.
+   * @param {string} src source path or object URL of an image
+   * @returns {Promise} promise of the image
+   */
+  static decode(src) {
+    return new Promise((res, rej) => {
+      const image = new Image();
+      image.onload = e => {
+        res(image);
+      };
+      image.onerror = e => {
+        rej(new Error('The image cannot be decoded'));
+      };
+      image.src = src;
+    });
+  }
+
+  /**
+   * Load an image, fetching it if possible to report bytes.
+   * @param {string} src source path
+   * @param {function(number, number)} onBytes function called with loaded bytes and total bytes
+   * @returns {Promise} promise of the image
+   */
+  static fetchImage(src, onBytes) {
+    if (!AssetLoader.canFetch()) return ImageManager.decode(src);
+    return AssetLoader.fetch(src, 'blob', onBytes).then(blob => {
+      const url = URL.createObjectURL(blob);
+      return ImageManager.decode(url).then(image => {
+        URL.revokeObjectURL(url);
+        return image;
+      }, err => {
+        URL.revokeObjectURL(url);
+        return Promise.reject(err);
+      });
+    });
+  }
+
+  /**
+   * Parse the atlas JSON exported by TexturePacker or Aseprite. Both hash and array formats are accepted.
+   * @param {Object} json atlas JSON
+   * @returns {Map.<string, Object>} frames keyed by their names
+   */
+  static parseAtlas(json) {
+    const entries = Array.isArray(json.frames) ?
+      json.frames.map(frame => [frame.filename, frame]) :
+      Object.keys(json.frames).map(name => [name, json.frames[name]]);
+    return new Map(entries.map(([name, frame]) => [name, {
+      x: frame.frame.x,
+      y: frame.frame.y,
+      width: frame.frame.w,
+      height: frame.frame.h,
+      rotated: 'rotated' in frame ? frame.rotated : false,
+      offsetX: 'spriteSourceSize' in frame ? frame.spriteSourceSize.x : 0,
+      offsetY: 'spriteSourceSize' in frame ? frame.spriteSourceSize.y : 0,
+      sourceWidth: 'sourceSize' in frame ? frame.sourceSize.w : frame.frame.w,
+      sourceHeight: 'sourceSize' in frame ? frame.sourceSize.h : frame.frame.h,
+      duration: 'duration' in frame ? frame.duration : null
+    }]));
+  }
+
+  _registerFrames(imageProp, json) {
+    ImageManager.parseAtlas(json).forEach((frame, name) => {
+      const frameProp = Object.assign({ name, image: imageProp.image, imageName: imageProp.name }, frame);
+      // 'hero/run_03.png' can be also called 'hero/run_03'
+      const aliases = [name, name.replace(/\.(png|jpe?g|gif|webp|bmp)$/i, '')].filter((alias, i, arr) => arr.indexOf(alias) === i);
+      aliases.forEach(alias => {
+        if (this.frames.has(alias)) Logger.warn(`Frame ${alias} is already registered!`);
+        this.frames.set(alias, frameProp);
+        imageProp.frameNames.push(alias);
+      });
+    });
+  }
+
+  _registerAnimations(imageProp, json) {
+    const frames = ImageManager.parseAtlas(json);
+    const frameNames = Array.from(frames.keys());
+    const tags = 'meta' in json && 'frameTags' in json.meta ? json.meta.frameTags : [];
+    tags.forEach(tag => {
+      const direction = 'direction' in tag ? tag.direction : 'forward';
+      const range = frameNames.slice(tag.from, tag.to + 1);
+      const names = direction === 'reverse' || direction === 'pingpong_reverse' ? range.reverse() : range;
+      const duration = names.map(name => frames.get(name).duration === null ? 1 : Math.max(1, Math.round(frames.get(name).duration * imageProp.tickRate / 1000)));
+      let mode = AnimationMode.LOOP;
+      if (direction === 'pingpong' || direction === 'pingpong_reverse') mode = AnimationMode.PING_PONG;
+      else if ('repeat' in tag && Number(tag.repeat) === 1) mode = AnimationMode.ONCE;
+      imageProp.animations.set(tag.name, new AnimationClip(tag.name, imageProp.name, names, { duration, mode }));
+    });
+  }
+
   /**
    * Load images.
-   * @returns {Promise}
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @param {string[]} [names] names of the images to load. If it is omitted, then all images
+   * @returns {Promise} promise rejected with an error naming the source path of the failing image
    */
-  load() {
-    return Promise.all(Array.from(this.images.values()).map(imageProp => new Promise((res, rej) => {
-      if (imageProp.image === null) {
-        imageProp.image = new Image();
-        imageProp.image.onload = e => {
-          if (imageProp.size === null) imageProp.size = { width: imageProp.image.width, height: imageProp.image.height };
-          const cv = document.createElement('canvas');
-          const ctx = cv.getContext('2d');
-          [cv.width, cv.height] = [imageProp.image.width, imageProp.image.height];
-          ctx.drawImage(imageProp.image, 0, 0);
-          imageProp.imageData = ctx.getImageData(0, 0, cv.width, cv.height);
-          res(null);
-        };
-        imageProp.image.onerror = e => {
-          rej(null);
-        };
-        imageProp.image.src = imageProp.src;
-      } else {
-        res(null);
-      }
-    })));
+  load(loader = new AssetLoader(), names = Array.from(this.images.keys())) {
+    return Promise.all(names.filter(name => this.images.has(name)).map(name => this.images.get(name)).map(imageProp => {
+      if (imageProp.image !== null) return null;
+      const atlasProp = { src: imageProp.atlas, optional: imageProp.optional, retry: imageProp.retry };
+      return Promise.all([
+        loader.loadAsset(imageProp, onBytes => ImageManager.fetchImage(imageProp.src, onBytes)),
+        Object.prototype.toString.call(imageProp.atlas) === '[object String]' ?
+          loader.loadAsset(atlasProp, onBytes => AssetLoader.fetch(imageProp.atlas, 'json', onBytes)) :
+          imageProp.atlas
+      ]).then(([image, atlas]) => {
+        if (image === null) return null;
+        imageProp.image = image;
+        if (imageProp.size === null) imageProp.size = { width: image.width, height: image.height };
+        if (atlas !== null) {
+          this._registerFrames(imageProp, atlas);
+          this._registerAnimations(imageProp, atlas);
+        }
+        return null;
+      });
+    }));
+  }
+
+  /**
+   * Unload images to free their memory.
+   * @param {string[]} names names of the images to unload
+   */
+  unload(names) {
+    names.filter(name => this.images.has(name)).map(name => this.images.get(name)).forEach(imageProp => {
+      imageProp.image = null;
+      imageProp.imageData = null;
+      imageProp.size = imageProp.sprite;
+      imageProp.frameNames.filter(frame => {
+        // the frame may have been overwritten by another image, and then deleted when that image was unloaded
+        const frameProp = this.frames.get(frame);
+        return frameProp !== undefined && frameProp.imageName === imageProp.name;
+      }).forEach(frame => this.frames.delete(frame));
+      imageProp.frameNames = [];
+    });
   }
 
   /**
@@ -66,6 +194,64 @@ class ImageManager {
     }
   }
 
+  /**
+   * Get pixels of an image. They are copied at the first call and cached until the image is unloaded.
+   * @param {string} name image name
+   * @returns {?ImageData} pixels of the image
+   */
+  getImageData(name) {
+    const imageProp = this.getImageProperties(name);
+    if (imageProp === null || imageProp.image === null) return null;
+    if (imageProp.imageData === null) {
+      const cv = document.createElement('canvas');
+      const ctx = cv.getContext('2d');
+      [cv.width, cv.height] = [imageProp.image.width, imageProp.image.height];
+      ctx.drawImage(imageProp.image, 0, 0);
+      imageProp.imageData = ctx.getImageData(0, 0, cv.width, cv.height);
+    }
+    return imageProp.imageData;
+  }
+
+  /**
+   * Check if there is a loaded atlas frame of the name.
+   * @param {string} name frame name
+   * @returns {boolean} `true` if there is the frame
+   */
+  hasFrame(name) {
+    return this.frames.has(name);
+  }
+
+  /**
+   * Get an atlas frame.
+   * @param {string} name frame name
+   * @returns {?Object} the frame, which has the image, the rectangle in the image, the trim offset and the size before trimmed
+   */
+  getFrame(name) {
+    if (this.frames.has(name)) {
+      return this.frames.get(name);
+    } else {
+      Logger.fatal(`ImageManager has no frame of name ${name}. Please preload before use.`);
+      return null;
+    }
+  }
+
+  /**
+   * Get an animation clip of an image.
+   * @param {string} name image name
+   * @param {string} clip clip name
+   * @returns {?AnimationClip} the clip
+   */
+  getAnimation(name, clip) {
+    const imageProp = this.getImageProperties(name);
+    if (imageProp === null) return null;
+    if (imageProp.animations.has(clip)) {
+      return imageProp.animations.get(clip);
+    } else {
+      Logger.fatal(`Image ${name} has no animation clip of name ${clip}.`);
+      return null;
+    }
+  }
+
   /**
    * Get image properties.
    * @param {string} name image name
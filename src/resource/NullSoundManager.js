@@ -0,0 +1,92 @@
+/**
+ * Class for manageing BGMs and SEs without playing any sound.
+ * It is used for headless games, and keeps the same states as {@link SoundManager}.
+ * @param {Object[]} sounds sound properties. See {@link SoundManager}
+ * @param {number} [maxPlaySE=32] maximum number of simultaneously playing se
+ */
+class NullSoundManager extends SoundManager {
+  constructor(sounds, maxPlaySE = 32) {
+    super(sounds, maxPlaySE);
+  }
+
+  /**
+   * Load nothing.
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @param {string[]} [names] names of the sounds to load
+   * @returns {Promise}
+   */
+  load(loader = new AssetLoader(), names = []) {
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Play nothing but check the SE name.
+   * @param {string} name SE name
+   * @param {Object} [opt] options
+   */
+  playSE(name, opt = {}) {
+    if (!this.SEs.has(name)) {
+      Logger.error(`There is no SE of name ${name}!`);
+    }
+  }
+
+  /**
+   * Set BGM as playing one.
+   * @param {string} name BGM name
+   * @param {Object} [opt] options
+   */
+  playBGM(name, opt = {}) {
+    if (this.BGMs.has(name)) {
+      this.currentPlayBGM = this.BGMs.get(name);
+    } else {
+      Logger.error(`There is no BGM of name ${name}!`);
+    }
+  }
+
+  /**
+   * Do nothing.
+   * @param {Object} param parameters
+   */
+  changeBGMParams(param) {}
+
+  /**
+   * Pause playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then pause playing BGM.
+   */
+  pauseBGM(name) {
+    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Stop playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then stop playing BGM.
+   */
+  stopBGM(name) {
+    this.pauseBGM(name);
+  }
+
+  /**
+   * Stop playing BGM without fading.
+   * @param {number} duration fading duration in seconds
+   */
+  fadeOutBGM(duration) {
+    this.stopBGM();
+  }
+
+  /**
+   * Finalize sound manager.
+   */
+  finalize() {
+    this.stopBGM();
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[NullSoundManager (${this.BGMs.size}, ${this.SEs.size})]`;
+  }
+}
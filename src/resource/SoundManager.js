@@ -5,6 +5,11 @@
  * @param {string} sounds[].src source path of sound
  * @param {SoundType} sounds[].type sound type
  * @param {boolean} [sounds[].loop=false] whether the sound should loops or not
+ * @param {number} [sounds[].loopStart=0.0] time in seconds where the loop begins. The section before it is played only once as an intro
+ * @param {number} [sounds[].loopEnd] time in seconds where the loop ends. If it is omitted, then the end of the sound.
+ * Loop points are sample-accurate only with {@link WebAudioSoundManager}
+ * @param {boolean} [sounds[].optional=false] if `true`, then the sound is skipped when it cannot be loaded. See {@link AssetLoader}
+ * @param {number} [sounds[].retry=0] number of retries
  * @param {number} [maxPlaySE=32] maximum number of simultaneously playing se
  */
 class SoundManager {
@@ -37,8 +42,18 @@ class SoundManager {
           src: sound.src,
           audio: null,
           loop: 'loop' in sound ? sound.loop : false,
-          playing: 0
+          loopStart: 'loopStart' in sound ? Math.max(0.0, sound.loopStart) : 0.0,
+          loopEnd: 'loopEnd' in sound ? sound.loopEnd : null,
+          playing: 0,
+          fade: null,
+          optional: 'optional' in sound ? sound.optional : false,
+          retry: 'retry' in sound ? sound.retry : 0
         };
+        if (soundProp.loopEnd !== null && soundProp.loopEnd <= soundProp.loopStart) {
+          Logger.error(`Invalid loop points of ${sound.name}!\nloopStart: ${soundProp.loopStart}, loopEnd: ${soundProp.loopEnd}`);
+          soundProp.loopStart = 0.0;
+          soundProp.loopEnd = null;
+        }
         this.sounds.set(sound.name, soundProp);
         if (sound.type === SoundType.BGM) {
           this.BGMs.set(sound.name, soundProp);
@@ -92,17 +107,35 @@ class SoundManager {
 
   /**
    * Load all sounds.
+   * Loading errors of audio elements are reported after the promise is resolved, because they are found only when playing.
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @param {string[]} [names] names of the sounds to load. If it is omitted, then all sounds
    * @returns {Promise}
    */
-  load() {
-    return Promise.all(Array.from(this.sounds.values()).map(soundProp => new Promise((res, rej) => {
+  load(loader = new AssetLoader(), names = Array.from(this.sounds.keys())) {
+    return Promise.all(names.filter(name => this.sounds.has(name)).map(name => this.sounds.get(name)).map(soundProp => loader.loadAsset(soundProp, () => new Promise((res, rej) => {
       if (soundProp.audio === null) {
-        soundProp.audio = new Audio(soundProp.src);
-        soundProp.audio.loop = soundProp.loop;
-        soundProp.audio.load();
+        const audio = new Audio(soundProp.src);
+        audio.addEventListener('error', () => {
+          Logger.error(`Failed to load ${soundProp.src}`);
+        });
+        audio.loop = soundProp.loop && soundProp.loopStart === 0.0 && soundProp.loopEnd === null;
+        if (soundProp.loop && !audio.loop) {
+          audio.addEventListener('timeupdate', () => {
+            if (soundProp.loopEnd !== null && audio.currentTime >= soundProp.loopEnd)
+              audio.currentTime = soundProp.loopStart + audio.currentTime - soundProp.loopEnd;
+          });
+          audio.addEventListener('ended', () => {
+            audio.currentTime = soundProp.loopStart;
+            audio.play();
+          });
+        }
+        audio.load();
+        soundProp.audio = audio;
       }
       res(null);
-    }))).then(() => new Promise((res, rej) => {
+    })))).then(() => new Promise((res, rej) => {
+      if (this._silent !== null) return res(null);
       let tmp = __SCRIPT_PATH__.split('/');
       tmp[tmp.length - 1] = 'silent.wav';
       this._silent = new Audio(tmp.join('/'));
@@ -114,6 +147,20 @@ class SoundManager {
     }));
   }
 
+  /**
+   * Unload sounds to free their memory. The playing BGM is not unloaded.
+   * @param {string[]} names names of the sounds to unload
+   */
+  unload(names) {
+    names.filter(name => this.sounds.has(name)).map(name => this.sounds.get(name))
+      .filter(soundProp => soundProp !== this.currentPlayBGM && soundProp.audio !== null)
+      .forEach(soundProp => {
+        this._cancelFade(soundProp);
+        soundProp.audio.pause();
+        soundProp.audio = null;
+      });
+  }
+
   /**
    * Play SE.
    * @param {string} name SE name
@@ -159,6 +206,41 @@ class SoundManager {
     }
   }
 
+  /**
+   * Change the volume of the sound gradually.
+   * @param {Object} soundProp sound property
+   * @param {number} volume target volume
+   * @param {number} duration fading duration in seconds
+   * @param {function} [callback] function called when fading ends
+   * @protected
+   */
+  _fadeAudio(soundProp, volume, duration, callback = () => {}) {
+    const audio = soundProp.audio;
+    const from = audio.volume;
+    const start = Date.now();
+    this._cancelFade(soundProp);
+    soundProp.fade = window.setInterval(() => {
+      const t = Math.min(1.0, (Date.now() - start) / (duration * 1000));
+      audio.volume = from + (volume - from) * t;
+      if (t >= 1.0) {
+        this._cancelFade(soundProp);
+        callback();
+      }
+    }, 16);
+  }
+
+  /**
+   * Cancel fading of the sound.
+   * @param {Object} soundProp sound property
+   * @protected
+   */
+  _cancelFade(soundProp) {
+    if (soundProp.fade !== null) {
+      window.clearInterval(soundProp.fade);
+      soundProp.fade = null;
+    }
+  }
+
   /**
    * Play BGM.
    * @param {string} name BGM name
@@ -166,6 +248,7 @@ class SoundManager {
    * @param {number} [opt.time] start time
    * @param {number} [opt.volume] volume
    * @param {number} [opt.speed=1.0] playing speed
+   * @param {number} [opt.fade=0.0] duration of crossfading from the playing BGM in seconds
    */
   playBGM(name, opt = {}) {
     if (this.BGMs.has(name)) {
@@ -173,16 +256,20 @@ class SoundManager {
       if (bgm.audio === null) {
         Logger.fatal('Please load before playing!');
       } else if (this.currentPlayBGM === null || this.currentPlayBGM.name !== name) {
+        const fade = 'fade' in opt ? Math.max(0.0, opt.fade) : 0.0;
+        const volume = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : this.BGMVolume;
+        this._cancelFade(bgm);
         bgm.audio.currentTime = 'time' in opt ? opt.time : bgm.audio.currentTime;
-        bgm.audio.volume = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : this.BGMVolume;
+        bgm.audio.volume = fade > 0.0 ? 0.0 : volume;
         bgm.audio.playbackRate = 'speed' in opt ? opt.speed : 1.0;
 
-        this.stopBGM();
+        this.fadeOutBGM(fade);
         this.currentPlayBGM = bgm;
         if (this._debugMode) {
           Logger.debug(`play bgm: ${name}`);
         } else {
           bgm.audio.play();
+          if (fade > 0.0) this._fadeAudio(bgm, volume, fade);
         }
       }
     } else {
@@ -199,6 +286,8 @@ class SoundManager {
    */
   changeBGMParams(param) {
     if (this.isPlayingBGM()) {
+      if ('volume' in param)
+        this._cancelFade(this.currentPlayBGM);
       if ('time' in param)
         this.currentPlayBGM.audio.currentTime = param.time;
       if ('volume' in param)
@@ -214,6 +303,7 @@ class SoundManager {
    */
   pauseBGM(name) {
     if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      this._cancelFade(this.currentPlayBGM);
       if (this._debugMode) {
         Logger.debug('pause bgm');
       } else {
@@ -229,6 +319,7 @@ class SoundManager {
    */
   stopBGM(name) {
     if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      this._cancelFade(this.currentPlayBGM);
       if (this._debugMode) {
         Logger.debug('stop bgm');
       } else {
@@ -240,7 +331,30 @@ class SoundManager {
   }
 
   /**
-   * Fade playing BGM.
+   * Fade out and stop playing BGM.
+   * @param {number} duration fading duration in seconds. If it is `0`, then stop immediately
+   */
+  fadeOutBGM(duration) {
+    if (duration <= 0.0) {
+      this.stopBGM();
+    } else if (this.isPlayingBGM()) {
+      const bgm = this.currentPlayBGM;
+      if (this._debugMode) {
+        Logger.debug('fade out bgm');
+        bgm.audio.currentTime = 0.0;
+      } else {
+        this._fadeAudio(bgm, 0.0, duration, () => {
+          bgm.audio.pause();
+          bgm.audio.currentTime = 0.0;
+        });
+      }
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Fade playing BGM. It must be called every frame while fading.
+   * @deprecated Please use the `fade` option of {@link SoundManager#playBGM} or {@link SoundManager#fadeOutBGM}.
    * @param {number} duration fading duration
    * @param {number} time current time from start fading
    * @param {boolean} [out=true] `true` if fading out
@@ -282,8 +396,8 @@ class SoundManager {
    */
   reset() {
     this.stopBGM();
-    this.BGMVolume = 1.0;
-    this.SEVolume = 1.0;
+    this.setVolume(SoundType.BGM, 1.0);
+    this.setVolume(SoundType.SE, 1.0);
   }
 
   /**
@@ -304,6 +418,7 @@ class SoundManager {
 }
 
 const __SCRIPT_PATH__ = (() => {
+  if (typeof document === 'undefined') return null;
   if (document.currentScript) return document.currentScript.src;
   const scripts = document.getElementsByTagName('script');
   const script = scripts[scripts.length - 1];
@@ -0,0 +1,399 @@
+/**
+ * Class for manageing BGMs and SEs with Web Audio API.
+ * Each sound is decoded only once, and BGMs and SEs are played through the gain nodes of their sound types.
+ * Volumes given as options are relative to the volume of the sound type.
+ * @param {Object[]} sounds sound properties. See {@link SoundManager}
+ * @param {number} [maxPlaySE=32] maximum number of simultaneously playing se
+ */
+class WebAudioSoundManager extends SoundManager {
+  constructor(sounds, maxPlaySE = 32) {
+    super(sounds, maxPlaySE);
+
+    /** @member {AudioContext} */
+    this.context = new (window.AudioContext || window.webkitAudioContext)();
+    this.gains = new Map([SoundType.BGM, SoundType.SE].map(type => {
+      const gain = this.context.createGain();
+      gain.gain.value = this.getVolume(type);
+      gain.connect(this.context.destination);
+      return [type, gain];
+    }));
+
+    this.sounds.forEach(soundProp => {
+      Object.assign(soundProp, {
+        buffer: null,
+        source: null,
+        gain: null,
+        offset: 0.0,
+        startedAt: 0.0,
+        speed: 1.0,
+        unloading: false
+      });
+    });
+    this.BGMs.forEach(bgm => {
+      bgm.gain = this.context.createGain();
+      bgm.gain.connect(this.gains.get(SoundType.BGM));
+    });
+  }
+
+  /**
+   * Check if Web Audio API is available.
+   * @returns {boolean} `true` if available
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && ('AudioContext' in window || 'webkitAudioContext' in window);
+  }
+
+  /**
+   * Current time of the audio context in seconds.
+   * @type {number}
+   */
+  get currentTime() {
+    return this.context.currentTime;
+  }
+
+  /**
+   * Set volume.
+   * @param {SoundType} type sound type
+   * @param {number} vol volume
+   * @returns {number} actually setted volume (-1 if Failed)
+   */
+  setVolume(type, vol) {
+    const volume = super.setVolume(type, vol);
+    if (this.gains.has(type)) this.gains.get(type).gain.value = volume;
+    return volume;
+  }
+
+  /**
+   * Resume the audio context at the first user gesture, because browsers suspend it until then.
+   * @protected
+   */
+  _unlock() {
+    if (typeof document === 'undefined') return;
+    const unlock = () => {
+      if (this.context.state === 'suspended') this.context.resume();
+      ['pointerdown', 'keydown', 'touchend'].forEach(type => document.removeEventListener(type, unlock));
+    };
+    ['pointerdown', 'keydown', 'touchend'].forEach(type => document.addEventListener(type, unlock));
+  }
+
+  /**
+   * Load and decode all sounds.
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @param {string[]} [names] names of the sounds to load. If it is omitted, then all sounds
+   * @returns {Promise} promise rejected with an error naming the source path of the failing sound
+   */
+  load(loader = new AssetLoader(), names = Array.from(this.sounds.keys())) {
+    this._unlock();
+    return Promise.all(names.filter(name => this.sounds.has(name)).map(name => this.sounds.get(name)).map(soundProp => {
+      soundProp.unloading = false;
+      if (soundProp.buffer !== null) return null;
+      return loader.loadAsset(soundProp, onBytes => AssetLoader.fetch(soundProp.src, 'arrayBuffer', onBytes)
+        .then(data => new Promise((res, rej) => this.context.decodeAudioData(data, res, () => rej(new Error('The sound cannot be decoded'))))))
+        .then(buffer => {
+          soundProp.buffer = buffer;
+        });
+    })).then(() => null);
+  }
+
+  /**
+   * Unload sounds to free their memory. The playing BGM is not unloaded,
+   * and BGMs fading out are unloaded when they end.
+   * @param {string[]} names names of the sounds to unload
+   */
+  unload(names) {
+    names.filter(name => this.sounds.has(name)).map(name => this.sounds.get(name))
+      .filter(soundProp => soundProp !== this.currentPlayBGM)
+      .forEach(soundProp => {
+        if (soundProp.source !== null) {
+          soundProp.unloading = true;
+        } else {
+          soundProp.buffer = null;
+          soundProp.offset = 0.0;
+        }
+      });
+  }
+
+  /**
+   * Play SE.
+   * @param {string} name SE name
+   * @param {Object} [opt] options
+   * @param {number} [opt.time=0.0] start time
+   * @param {number} [opt.volume=1.0] volume relative to the SE volume
+   * @param {number} [opt.speed=1.0] playing speed
+   * @param {number} [opt.pan=0.0] stereo panning from `-1` (left) to `1` (right)
+   * @param {number} [opt.when=0.0] delay in seconds. See {@link WebAudioSoundManager#currentTime}
+   * @param {number} [opt.maxPlay] maximum number of simultaneously playing this SE
+   */
+  playSE(name, opt = {}) {
+    if (this.SEs.has(name)) {
+      const se = this.SEs.get(name);
+      const maxPlayTheSE = 'maxPlay' in opt ? opt.maxPlay : this.maxPlaySE;
+      if (se.buffer === null && se.optional) {
+        Logger.warn(`SE ${name} is not loaded!`);
+      } else if (se.buffer === null) {
+        Logger.fatal('Please load before playing!');
+      } else if (this.currentPlaySE >= this.maxPlaySE || se.playing >= maxPlayTheSE) {
+        Logger.warn(`Too many SEs are playing!\nSE: ${name}`);
+      } else if (this._debugMode) {
+        Logger.debug(`play se: ${name}`);
+      } else {
+        const source = this.context.createBufferSource();
+        const gain = this.context.createGain();
+        source.buffer = se.buffer;
+        source.playbackRate.value = 'speed' in opt ? opt.speed : 1.0;
+        gain.gain.value = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : 1.0;
+        source.connect(gain);
+
+        if ('pan' in opt && this.context.createStereoPanner) {
+          const panner = this.context.createStereoPanner();
+          panner.pan.value = Math.min(1.0, Math.max(-1.0, opt.pan));
+          gain.connect(panner);
+          panner.connect(this.gains.get(SoundType.SE));
+        } else {
+          gain.connect(this.gains.get(SoundType.SE));
+        }
+
+        this.currentPlaySE++;
+        se.playing++;
+        source.onended = () => {
+          this.currentPlaySE--;
+          se.playing--;
+          gain.disconnect();
+        };
+        source.start(this.context.currentTime + ('when' in opt ? Math.max(0.0, opt.when) : 0.0), 'time' in opt ? opt.time : 0.0);
+      }
+    } else {
+      Logger.error(`There is no SE of name ${name}!`);
+    }
+  }
+
+  /**
+   * Get the current position of the BGM.
+   * @param {Object} bgm BGM property
+   * @returns {number} position in seconds
+   * @protected
+   */
+  _getPosition(bgm) {
+    if (bgm.source === null) return bgm.offset;
+    const position = bgm.offset + (this.context.currentTime - bgm.startedAt) * bgm.speed;
+    const loopEnd = bgm.loopEnd === null ? bgm.buffer.duration : bgm.loopEnd;
+    if (!bgm.loop) return Math.min(position, bgm.buffer.duration);
+    if (position < loopEnd) return position;
+    return bgm.loopStart + (position - bgm.loopStart) % (loopEnd - bgm.loopStart);
+  }
+
+  /**
+   * Change the value of the gain node.
+   * @param {GainNode} gain gain node
+   * @param {number} value target value
+   * @param {number} [duration=0.0] fading duration in seconds
+   * @param {number} [from] value at the beginning of fading
+   * @protected
+   */
+  _setGain(gain, value, duration = 0.0, from = gain.gain.value) {
+    const now = this.context.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(from, now);
+    if (duration > 0.0) {
+      gain.gain.linearRampToValueAtTime(value, now + duration);
+    } else {
+      gain.gain.setValueAtTime(value, now);
+    }
+  }
+
+  /**
+   * Start the BGM from the position.
+   * @param {Object} bgm BGM property
+   * @param {number} time start time
+   * @protected
+   */
+  _startSource(bgm, time) {
+    const source = this.context.createBufferSource();
+    this._stopSource(bgm);
+    source.buffer = bgm.buffer;
+    source.loop = bgm.loop;
+    source.loopStart = bgm.loopStart;
+    source.loopEnd = bgm.loopEnd === null ? bgm.buffer.duration : bgm.loopEnd;
+    source.playbackRate.value = bgm.speed;
+    source.connect(bgm.gain);
+    source.onended = () => {
+      if (bgm.source === source) {
+        bgm.source = null;
+        bgm.offset = 0.0;
+        if (bgm.unloading) {
+          bgm.buffer = null;
+          bgm.unloading = false;
+        }
+      }
+    };
+    source.start(0, time);
+    bgm.unloading = false;
+    bgm.source = source;
+    bgm.offset = time;
+    bgm.startedAt = this.context.currentTime;
+  }
+
+  /**
+   * Stop the source of the BGM.
+   * @param {Object} bgm BGM property
+   * @protected
+   */
+  _stopSource(bgm) {
+    if (bgm.source !== null) {
+      bgm.source.onended = null;
+      bgm.source.stop();
+      bgm.source.disconnect();
+      bgm.source = null;
+    }
+  }
+
+  /**
+   * Play BGM.
+   * @param {string} name BGM name
+   * @param {Object} [opt] options
+   * @param {number} [opt.time] start time
+   * @param {number} [opt.volume=1.0] volume relative to the BGM volume
+   * @param {number} [opt.speed=1.0] playing speed
+   * @param {number} [opt.fade=0.0] duration of crossfading from the playing BGM in seconds
+   */
+  playBGM(name, opt = {}) {
+    if (this.BGMs.has(name)) {
+      const bgm = this.BGMs.get(name);
+      if (bgm.buffer === null && bgm.optional) {
+        Logger.warn(`BGM ${name} is not loaded!`);
+      } else if (bgm.buffer === null) {
+        Logger.fatal('Please load before playing!');
+      } else if (this.currentPlayBGM === null || this.currentPlayBGM.name !== name) {
+        const time = 'time' in opt ? opt.time : bgm.offset;
+        const fade = 'fade' in opt ? Math.max(0.0, opt.fade) : 0.0;
+        const volume = 'volume' in opt ? Math.min(1.0, Math.max(0.0, opt.volume)) : 1.0;
+        this._setGain(bgm.gain, volume, fade, fade > 0.0 ? 0.0 : volume);
+        bgm.speed = 'speed' in opt ? opt.speed : 1.0;
+
+        this.fadeOutBGM(fade);
+        this.currentPlayBGM = bgm;
+        if (this._debugMode) {
+          Logger.debug(`play bgm: ${name}`);
+        } else {
+          this._startSource(bgm, time);
+        }
+      }
+    } else {
+      Logger.error(`There is no BGM of name ${name}!`);
+    }
+  }
+
+  /**
+   * Change BGM parameters.
+   * @param {Object} param parameters
+   * @param {number} [param.time] start time
+   * @param {number} [param.volume] volume relative to the BGM volume
+   * @param {number} [param.speed] playing speed
+   */
+  changeBGMParams(param) {
+    if (this.isPlayingBGM()) {
+      const bgm = this.currentPlayBGM;
+      if ('volume' in param)
+        this._setGain(bgm.gain, Math.min(1.0, Math.max(0.0, param.volume)));
+      if ('speed' in param) {
+        if (bgm.source !== null) {
+          bgm.offset = this._getPosition(bgm);
+          bgm.startedAt = this.context.currentTime;
+          bgm.source.playbackRate.value = param.speed;
+        }
+        bgm.speed = param.speed;
+      }
+      if ('time' in param) {
+        if (bgm.source !== null) {
+          this._stopSource(bgm);
+          this._startSource(bgm, param.time);
+        } else {
+          bgm.offset = param.time;
+        }
+      }
+    }
+  }
+
+  /**
+   * Pause playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then pause playing BGM.
+   */
+  pauseBGM(name) {
+    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      if (this._debugMode) {
+        Logger.debug('pause bgm');
+      } else {
+        this.currentPlayBGM.offset = this._getPosition(this.currentPlayBGM);
+        this._stopSource(this.currentPlayBGM);
+      }
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Stop playing BGM.
+   * @param {string} [name] BGM name. If it is blank, then stop playing BGM.
+   */
+  stopBGM(name) {
+    if (this.isPlayingBGM() && (!name || this.currentPlayBGM.name === name)) {
+      if (this._debugMode) {
+        Logger.debug('stop bgm');
+      } else {
+        this._stopSource(this.currentPlayBGM);
+      }
+      this.currentPlayBGM.offset = 0.0;
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Fade out and stop playing BGM.
+   * @param {number} duration fading duration in seconds. If it is `0`, then stop immediately
+   */
+  fadeOutBGM(duration) {
+    if (duration <= 0.0) {
+      this.stopBGM();
+    } else if (this.isPlayingBGM()) {
+      const bgm = this.currentPlayBGM;
+      if (this._debugMode) {
+        Logger.debug('fade out bgm');
+      } else if (bgm.source !== null) {
+        this._setGain(bgm.gain, 0.0, duration);
+        bgm.source.stop(this.context.currentTime + duration);
+      }
+      bgm.offset = 0.0;
+      this.currentPlayBGM = null;
+    }
+  }
+
+  /**
+   * Fade playing BGM. It must be called every frame while fading.
+   * @deprecated Please use the `fade` option of {@link SoundManager#playBGM} or {@link SoundManager#fadeOutBGM}.
+   * @param {number} duration fading duration
+   * @param {number} time current time from start fading
+   * @param {boolean} [out=true] `true` if fading out
+   * @returns {number} current BGM volume
+   */
+  fadeBGM(duration, time, out = true) {
+    const volume = out ? 1 - time / duration : time / duration;
+    this.changeBGMParams({ volume });
+    if (volume <= 0) this.stopBGM();
+    return Math.min(1.0, Math.max(0.0, volume)) * this.BGMVolume;
+  }
+
+  /**
+   * Finalize sound manager.
+   */
+  finalize() {
+    this.stopBGM();
+    if (this.context.state === 'running') this.context.suspend();
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[WebAudioSoundManager (${this.BGMs.size}, ${this.SEs.size})]`;
+  }
+}
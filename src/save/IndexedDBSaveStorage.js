@@ -0,0 +1,100 @@
+/**
+ * Class for storing saved data in IndexedDB, which can keep larger data than `localStorage`.
+ * The database is opened when it is used first.
+ * @param {string} [dbName='koturno'] database name
+ * @param {string} [storeName='saves'] object store name
+ */
+class IndexedDBSaveStorage extends SaveStorage {
+  constructor(dbName = 'koturno', storeName = 'saves') {
+    super();
+    /** @member {string} */
+    this.dbName = dbName;
+    /** @member {string} */
+    this.storeName = storeName;
+    this._db = null;
+  }
+
+  // open the database at the version, or the current version if it is omitted
+  _openVersion(version) {
+    return new Promise((resolve, reject) => {
+      const request = version === undefined ? indexedDB.open(this.dbName) : indexedDB.open(this.dbName, version);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) request.result.createObjectStore(this.storeName);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _open() {
+    if (this._db === null) {
+      // another storage may have created the database without the store, so upgrade it to add the store
+      this._db = this._openVersion().then(db => {
+        if (db.objectStoreNames.contains(this.storeName)) return db;
+        const version = db.version + 1;
+        db.close();
+        return this._openVersion(version);
+      });
+      // allow retrying after the failure
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    return this._db;
+  }
+
+  // run a request in a transaction, and resolve with its result when the transaction completes
+  _request(mode, f) {
+    return this._open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = f(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  }
+
+  /**
+   * Read the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved with the string, or `null` if nothing is stored
+   */
+  read(key) {
+    return this._request('readonly', store => store.get(key)).then(data => data === undefined ? null : data);
+  }
+
+  /**
+   * Write the data of the key.
+   * @param {string} key key
+   * @param {string} data data
+   * @returns {Promise} promise resolved when written
+   */
+  write(key, data) {
+    return this._request('readwrite', store => store.put(data, key)).then(() => undefined);
+  }
+
+  /**
+   * Remove the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved when removed
+   */
+  remove(key) {
+    return this._request('readwrite', store => store.delete(key)).then(() => undefined);
+  }
+
+  /**
+   * List the stored keys.
+   * @returns {Promise} promise resolved with the keys
+   */
+  keys() {
+    return this._request('readonly', store => store.getAllKeys());
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[IndexedDBSaveStorage ${this.dbName}]`;
+  }
+}
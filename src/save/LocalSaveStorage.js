@@ -0,0 +1,55 @@
+/**
+ * Class for storing saved data in `localStorage`.
+ * The promises are rejected if the storage is not available or full.
+ * @param {Storage} [storage=window.localStorage] web storage
+ */
+class LocalSaveStorage extends SaveStorage {
+  constructor(storage = window.localStorage) {
+    super();
+    this.storage = storage;
+  }
+
+  /**
+   * Read the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved with the string, or `null` if nothing is stored
+   */
+  read(key) {
+    return new Promise(resolve => resolve(this.storage.getItem(key)));
+  }
+
+  /**
+   * Write the data of the key.
+   * @param {string} key key
+   * @param {string} data data
+   * @returns {Promise} promise resolved when written
+   */
+  write(key, data) {
+    return new Promise(resolve => resolve(this.storage.setItem(key, data)));
+  }
+
+  /**
+   * Remove the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved when removed
+   */
+  remove(key) {
+    return new Promise(resolve => resolve(this.storage.removeItem(key)));
+  }
+
+  /**
+   * List the stored keys.
+   * @returns {Promise} promise resolved with the keys
+   */
+  keys() {
+    return new Promise(resolve => resolve(Array.from({ length: this.storage.length }, (_, i) => this.storage.key(i))));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[LocalSaveStorage]`;
+  }
+}
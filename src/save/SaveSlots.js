@@ -0,0 +1,138 @@
+/**
+ * Class for saving states in named slots. All methods are asynchronous.
+ * Each save remembers the schema version, and older saves are migrated to the current version when they are loaded.
+ * @param {Object} [opt] options
+ * @param {string} [opt.name='koturno'] prefix of the keys in the storage. Games sharing a storage must have different names
+ * @param {number} [opt.version=1] current schema version of the saved states
+ * @param {Object.<number, function(State): State>} [opt.migrations={}] functions keyed by versions, each of which converts a state of the previous version to the version
+ * @param {Object.<number, function(Object): Object>} [opt.rawMigrations={}] functions keyed by versions, each of which converts the encoded state of the previous version to the version.
+ * They run before the state is decoded, so they can fix the data which the current codecs cannot decode, such as renamed types. See {@link Serializer#encode}
+ * @param {Serializer} [opt.serializer=new Serializer()] serializer which knows the types in the states
+ * @param {SaveStorage} [opt.storage] storage. {@link LocalSaveStorage} if `localStorage` is available, otherwise {@link SaveStorage} on memory
+ */
+class SaveSlots {
+  constructor(opt = {}) {
+    /** @member {string} */
+    this.name = 'name' in opt ? opt.name : 'koturno';
+    /** @member {number} */
+    this.version = 'version' in opt ? opt.version : 1;
+    this.migrations = 'migrations' in opt ? opt.migrations : {};
+    this.rawMigrations = 'rawMigrations' in opt ? opt.rawMigrations : {};
+    /** @member {Serializer} */
+    this.serializer = 'serializer' in opt ? opt.serializer : new Serializer();
+    /** @member {SaveStorage} */
+    this.storage = 'storage' in opt ? opt.storage : SaveSlots._createStorage();
+  }
+
+  static _createStorage() {
+    try {
+      // accessing localStorage throws when it is disabled
+      if (typeof localStorage !== 'undefined' && localStorage !== null) return new LocalSaveStorage(localStorage);
+    } catch (e) {
+      Logger.warn(`localStorage is not available, so saves are kept on memory.\n${e}`);
+    }
+    return new SaveStorage();
+  }
+
+  _key(slot) {
+    return `${this.name}:${slot}`;
+  }
+
+  _summarize(slot, record) {
+    return { slot, version: record.version, savedAt: record.savedAt, meta: record.meta };
+  }
+
+  _read(slot) {
+    return this.storage.read(this._key(slot)).then(data => data === null ? null : JSON.parse(data));
+  }
+
+  /**
+   * Save the state in the slot. The data in the slot is overwritten.
+   * @param {string} slot slot name
+   * @param {State} state state
+   * @param {Object} [meta={}] information shown in save menus, such as the play time. It must be JSON
+   * @returns {Promise} promise resolved with the summary of the save, which has `slot`, `version`, `savedAt` and `meta`
+   */
+  save(slot, state, meta = {}) {
+    const record = { version: this.version, savedAt: Date.now(), meta, state: this.serializer.encode(state) };
+    return this.storage.write(this._key(slot), JSON.stringify(record)).then(() => this._summarize(slot, record));
+  }
+
+  /**
+   * Load the state in the slot, migrating it to the current version.
+   * The raw migrations of all newer versions run before decoding, and then the migrations run on the decoded state.
+   * @param {string} slot slot name
+   * @returns {Promise} promise resolved with the state, or `null` if the slot is empty.
+   * It is rejected if the save is newer than the current version
+   */
+  load(slot) {
+    return this._read(slot).then(record => {
+      if (record === null) return null;
+      if (record.version > this.version) {
+        return Promise.reject(new Error(`The save in slot ${slot} is version ${record.version}, newer than ${this.version}.`));
+      }
+      let data = record.state;
+      for (let version = record.version + 1; version <= this.version; version++) {
+        if (version in this.rawMigrations) {
+          data = this.rawMigrations[version](data);
+          Logger.debug(`Migrated the raw data in slot ${slot} to version ${version}.`);
+        }
+      }
+      let state = this.serializer.decode(data);
+      for (let version = record.version + 1; version <= this.version; version++) {
+        if (version in this.migrations) {
+          state = this.migrations[version](state);
+          Logger.debug(`Migrated the save in slot ${slot} to version ${version}.`);
+        }
+      }
+      return state;
+    });
+  }
+
+  /**
+   * Check if the slot has a save.
+   * @param {string} slot slot name
+   * @returns {Promise} promise resolved with `true` if it has
+   */
+  has(slot) {
+    return this.storage.read(this._key(slot)).then(data => data !== null);
+  }
+
+  /**
+   * Get the summary of the save in the slot without restoring the state.
+   * @param {string} slot slot name
+   * @returns {Promise} promise resolved with the summary, or `null` if the slot is empty. See {@link SaveSlots#save}
+   */
+  info(slot) {
+    return this._read(slot).then(record => record === null ? null : this._summarize(slot, record));
+  }
+
+  /**
+   * List the summaries of all saves.
+   * @returns {Promise} promise resolved with the summaries in ascending order of slot names. See {@link SaveSlots#save}
+   */
+  list() {
+    const prefix = `${this.name}:`;
+    return this.storage.keys().then(keys => {
+      const slots = keys.filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length)).sort();
+      return Promise.all(slots.map(slot => this.info(slot)));
+    }).then(summaries => summaries.filter(summary => summary !== null));
+  }
+
+  /**
+   * Delete the save in the slot.
+   * @param {string} slot slot name
+   * @returns {Promise} promise resolved when deleted
+   */
+  remove(slot) {
+    return this.storage.remove(this._key(slot));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[SaveSlots ${this.name} v${this.version}]`;
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Class for storing saved data on memory. The data are lost when the page is closed.
+ * It is used for headless games, and it is the base class of the other storages. All methods are asynchronous.
+ */
+class SaveStorage {
+  constructor() {
+    this._data = new Map();
+  }
+
+  /**
+   * Read the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved with the string, or `null` if nothing is stored
+   */
+  read(key) {
+    return Promise.resolve(this._data.has(key) ? this._data.get(key) : null);
+  }
+
+  /**
+   * Write the data of the key.
+   * @param {string} key key
+   * @param {string} data data
+   * @returns {Promise} promise resolved when written
+   */
+  write(key, data) {
+    this._data.set(key, data);
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove the data of the key.
+   * @param {string} key key
+   * @returns {Promise} promise resolved when removed
+   */
+  remove(key) {
+    this._data.delete(key);
+    return Promise.resolve();
+  }
+
+  /**
+   * List the stored keys.
+   * @returns {Promise} promise resolved with the keys
+   */
+  keys() {
+    return Promise.resolve(Array.from(this._data.keys()));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[SaveStorage]`;
+  }
+}
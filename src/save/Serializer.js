@@ -0,0 +1,204 @@
+/**
+ * Class for converting states into JSON and back.
+ * Instances of classes are written with the names of their types, so they must be registered by {@link Serializer#register}.
+ * Primitives, arrays, plain objects, `Map`, `Set`, `Date`, {@link State}, {@link PersistentMap} and the immutable classes of koturno
+ * such as {@link Vector2d}, {@link Counters}, {@link Entities}, {@link Camera2d}, {@link Animator} and {@link Rigid2d} are registered by default.
+ * @param {Object} [opt] options
+ * @param {Object[]} [opt.types=[]] additional types. Each one has `type` and the properties of the codec of {@link Serializer#register}
+ */
+class Serializer {
+  constructor(opt = {}) {
+    this.codecs = new Map();
+    this.names = new Map();
+    this._registerDefaults();
+    ('types' in opt ? opt.types : []).forEach(type => this.register(type.type, type));
+  }
+
+  /**
+   * Register a type. A codec converts an instance into a value which can be serialized, and restores the instance from the value.
+   * The value may include instances of the registered types, e.g.
+   * `serializer.register(Player, { encode: player => [player.name, player.position], decode: ([name, position]) => new Player(name, position) })`.
+   * A type of the same name is overwritten.
+   * @param {function} type class
+   * @param {Object} codec codec
+   * @param {string} [codec.name=type.name] type name written in JSON
+   * @param {function(any): any} codec.encode function which converts an instance
+   * @param {function(any): any} codec.decode function which restores an instance
+   */
+  register(type, codec) {
+    const name = 'name' in codec ? codec.name : type.name;
+    const entry = { name, type, encode: codec.encode, decode: codec.decode };
+    if (this.names.has(name)) this.codecs.delete(this.names.get(name).type);
+    this.codecs.set(type, entry);
+    this.names.set(name, entry);
+  }
+
+  /**
+   * Register a type whose instances are created from their constructor arguments.
+   * @param {function} type class
+   * @param {function(any): Array} toArgs function which returns the constructor arguments of an instance
+   * @param {string} [name=type.name] type name written in JSON
+   */
+  registerByArgs(type, toArgs, name = type.name) {
+    this.register(type, { name, encode: toArgs, decode: args => new type(...args) });
+  }
+
+  /**
+   * Register a type whose instances are created from an object of their own properties, like {@link World2d}.
+   * @param {function} type class
+   * @param {string[]} [omit=[]] names of the properties which are not written
+   * @param {string} [name=type.name] type name written in JSON
+   */
+  registerByProperties(type, omit = [], name = type.name) {
+    this.register(type, {
+      name,
+      encode: value => Object.keys(value).filter(key => !omit.includes(key))
+        .reduce((acc, key) => Object.assign(acc, { [key]: value[key] }), {}),
+      decode: obj => new type(obj)
+    });
+  }
+
+  _registerDefaults() {
+    this.register(Map, { encode: map => Array.from(map.entries()), decode: entries => new Map(entries) });
+    this.register(Set, { encode: set => Array.from(set.values()), decode: values => new Set(values) });
+    this.register(Date, { encode: date => date.getTime(), decode: time => new Date(time) });
+    this.register(State, { encode: state => Array.from(state.data.entries()), decode: entries => new State(entries) });
+    this.register(PersistentMap, { encode: map => Array.from(map.entries()), decode: entries => new PersistentMap(entries) });
+    this.registerByArgs(Vector, vector => [vector.vector.slice()]);
+    this.registerByArgs(Vector2d, vector => [vector.x, vector.y]);
+    this.registerByArgs(Counters, counters => [counters.general, counters.scene]);
+    this.registerByArgs(ComponentType, type => [type.name, type.defaults]);
+    this.register(Entities, {
+      encode: entities => ({ types: entities.types, data: entities.toObject() }),
+      decode: obj => Entities.fromObject(obj.data, obj.types)
+    });
+    this.registerByArgs(AnimationClip, clip => [clip.name, clip.image, clip.frames, {
+      duration: clip.durations,
+      mode: clip.mode,
+      events: Array.from(clip.events.entries()).reduce((acc, [index, names]) => Object.assign(acc, { [index]: names }), {})
+    }]);
+    this.registerByArgs(Animator, animator => [animator.clip, animator.origin, animator.offset, animator.speed, animator.paused]);
+    this.register(Camera2d, {
+      encode: camera => ({
+        width: camera.width,
+        height: camera.height,
+        x: camera.x,
+        y: camera.y,
+        zoom: camera.zoom,
+        rotation: camera.rotation,
+        bounds: camera.bounds,
+        deadZone: camera.deadZone,
+        followRate: camera.followRate,
+        shake: camera.shaking
+      }),
+      decode: obj => new Camera2d(obj)
+    });
+
+    // figures are optional, so they are registered only if they exist
+    if (typeof Rigid2d === 'undefined') return;
+    this.registerByArgs(Material, material => [material.density, material.friction, material.restitution]);
+    this.registerByArgs(Rect2d, shape => [shape.width, shape.height, shape.gravityCenter, shape.gyradius]);
+    this.registerByArgs(Circle2d, shape => [shape.radius, shape.gravityCenter, shape.gyradius]);
+    this.registerByArgs(Polygon2d, shape => [shape.vertices, shape.gravityCenter, shape.gyradius]);
+    this.registerByArgs(Capsule2d, shape => [shape.length, shape.radius, shape.gravityCenter, shape.gyradius]);
+    this.registerByArgs(CompoundShape2d, shape => [shape.children]);
+    this.registerByArgs(Rigid2d, figure => [figure.physicalType, figure.shape, figure.material, figure.center, figure.rotation,
+      figure.velocity, figure.angularVelocity, figure.category, figure.mask]);
+    this.registerByArgs(Manifold2d, manifold => [manifold.normal, manifold.depth, manifold.points, manifold.a, manifold.b]);
+    this.registerByProperties(World2d);
+    [DistanceJoint2d, RevoluteJoint2d, PrismaticJoint2d, SpringJoint2d].forEach(type => this.registerByProperties(type, ['name']));
+  }
+
+  /**
+   * Convert a value into a value which can be written as JSON.
+   * Instances of the registered types become objects which have `$type` and `$value`.
+   * @param {} value value
+   * @returns {} JSON value
+   */
+  encode(value) {
+    if (value === undefined) return { $type: 'undefined' };
+    if (typeof value === 'number') {
+      if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+      return { $type: 'number', $value: Object.is(value, -0) ? '-0' : String(value) };
+    }
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+    if (typeof value !== 'object') {
+      Logger.error(`Cannot serialize a value of type ${typeof value}!`);
+      return null;
+    }
+    const proto = Object.getPrototypeOf(value);
+    if (Array.isArray(value) || proto === Object.prototype || proto === null) {
+      let encoded = Array.isArray(value) ? value.map(v => this.encode(v)) : this._encodeProperties(value);
+      // plain objects having `$type` are escaped not to be decoded as typed values
+      if (!Array.isArray(value) && '$type' in value) encoded = { $type: 'object', $value: encoded };
+      return Object.isFrozen(value) ? { $type: 'frozen', $value: encoded } : encoded;
+    }
+    const codec = this.codecs.get(value.constructor);
+    if (codec === undefined) {
+      Logger.error(`Type ${value.constructor.name} is not registered in the serializer!`);
+      return null;
+    }
+    return { $type: codec.name, $value: this.encode(codec.encode(value)) };
+  }
+
+  _encodeProperties(obj) {
+    return Object.keys(obj).reduce((acc, key) => Object.assign(acc, { [key]: this.encode(obj[key]) }), {});
+  }
+
+  _decodeProperties(obj) {
+    return Object.keys(obj).reduce((acc, key) => Object.assign(acc, { [key]: this.decode(obj[key]) }), {});
+  }
+
+  /**
+   * Restore a value converted by {@link Serializer#encode}.
+   * @param {} value JSON value
+   * @returns {} value
+   */
+  decode(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(v => this.decode(v));
+    if (!('$type' in value)) return this._decodeProperties(value);
+    switch (value.$type) {
+      case 'undefined':
+        return undefined;
+      case 'number':
+        return Number(value.$value);
+      case 'object':
+        return this._decodeProperties(value.$value);
+      case 'frozen':
+        return Object.freeze(this.decode(value.$value));
+    }
+    const codec = this.names.get(value.$type);
+    if (codec === undefined) {
+      Logger.error(`Type ${value.$type} is not registered in the serializer!`);
+      return null;
+    }
+    return codec.decode(this.decode(value.$value));
+  }
+
+  /**
+   * Serialize a state.
+   * @param {State} state state
+   * @returns {string} JSON string
+   */
+  serialize(state) {
+    return JSON.stringify(this.encode(state));
+  }
+
+  /**
+   * Deserialize a state.
+   * @param {string} json JSON string made by {@link Serializer#serialize}
+   * @returns {State} state
+   */
+  deserialize(json) {
+    return this.decode(JSON.parse(json));
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Serializer ${this.codecs.size}]`;
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Class representing the scene drawn while assets are loading.
+ * It shows a progress bar of {@link AssetLoader#progress}. Its state is not recorded, and it never transits.
+ * If you want to customize it, please extend it and give it to {@link Game} as `loadingScene`.
+ * @param {string} [name='loading'] scene name
+ */
+class LoadingScene extends Scene {
+  constructor(name = 'loading') {
+    super(name);
+  }
+
+  /**
+   * Draw the progress bar.
+   * @param {State} state previous state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {Painter} painter graphics controller
+   * @param {Game} game game itself
+   * @param {number} [alpha=0] always `0`
+   */
+  draw(state, action, counters, painter, game, alpha = 0) {
+    if (painter.contextType === '2d') {
+      const progress = game.loader.progress;
+      const width = painter.width * 0.6;
+      const x = (painter.width - width) / 2;
+      const y = painter.height / 2;
+      painter.background("#000000");
+      painter.rect(x, y, width * progress.ratio, 8).fill("#ffffff");
+      painter.rect(x, y, width, 8).stroke("#ffffff", { width: 1 });
+      painter.text(`${progress.loaded} / ${progress.total}`, painter.width / 2, y - 12, { size: 16, align: 'center', baseline: 'bottom' }).fill("#ffffff");
+    }
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[LoadingScene ${this.name}]`;
+  }
+}
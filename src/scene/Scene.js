@@ -2,11 +2,61 @@
  * Class representing a game scene.
  * If you want to create new scene, please extend it.
  * @param {string} name scene name
+ * @param {Object} [opt] options
+ * @param {string[]} [opt.bundles=[]] names of the asset bundles which the scene needs. See {@link BundleManager}
+ * @param {System[]} [opt.systems=[]] systems processing the entities of the scene. See {@link Scene#addSystem}
  */
 class Scene {
-  constructor(name) {
+  constructor(name, opt = {}) {
     /** @member {string} */
     this.name = name;
+    /** @member {string[]} */
+    this.bundles = 'bundles' in opt ? opt.bundles : [];
+    /** @member {System[]} */
+    this.systems = [];
+    ('systems' in opt ? opt.systems : []).forEach(system => this.addSystem(system));
+  }
+
+  /**
+   * Add new system.
+   * @param {System} system new system
+   * @returns {boolean} If this already has the system of the same name, returns `false`.
+   */
+  addSystem(system) {
+    if (this.systems.some(other => other.name === system.name)) {
+      return false;
+    } else {
+      this.systems.push(system);
+      return true;
+    }
+  }
+
+  /**
+   * Update the state by the systems in the update order.
+   * @param {State} state previous state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {SoundManager} sound sound manager
+   * @param {Game} game game itself
+   * @returns {State} updated state
+   */
+  updateSystems(state, action, counters, sound, game) {
+    return this.systems.slice().sort((a, b) => a.updateOrder - b.updateOrder)
+      .reduce((acc, system) => system.update(acc, action, counters, sound, game), state);
+  }
+
+  /**
+   * Draw by the systems in the draw order.
+   * @param {State} state current state
+   * @param {ActionManager} action user inputs
+   * @param {Counters} counters counters
+   * @param {Painter} painter graphics controller
+   * @param {Game} game game itself
+   * @param {number} [alpha=0] elapsed fraction of a tick since the state was updated
+   */
+  drawSystems(state, action, counters, painter, game, alpha = 0) {
+    this.systems.slice().sort((a, b) => a.drawOrder - b.drawOrder)
+      .forEach(system => system.draw(state, action, counters, painter, game, alpha));
   }
 
   /**
@@ -21,7 +71,19 @@ class Scene {
   }
 
   /**
-   * Update the state.
+   * Resume the scene when the scene pushed on it pops.
+   * @param {State} state the state when the scene was frozen
+   * @param {} result result of the popped scene
+   * @param {Counters} counters counters
+   * @param {Game} game game itself
+   * @returns {State} resumed state
+   */
+  resume(state, result, counters, game) {
+    return state;
+  }
+
+  /**
+   * Update the state. By default, the systems update it.
    * @param {State} state previous state
    * @param {ActionManager} action user inputs
    * @param {Counters} counters counters
@@ -30,19 +92,22 @@ class Scene {
    * @returns {State} updated state
    */
   update(state, action, counters, sound, game) {
-    return state;
+    return this.updateSystems(state, action, counters, sound, game);
   }
 
   /**
-   * Draw on the canvas.
+   * Draw on the canvas. By default, the systems draw if the scene has any.
    * @param {State} state previous state
    * @param {ActionManager} action user inputs
    * @param {Counters} counters counters
    * @param {Painter} painter graphics controller
    * @param {Game} game game itself
+   * @param {number} [alpha=0] elapsed fraction of a tick since the state was updated. It is always `0` unless the game runs with fixed timestep
    */
-  draw(state, action, counters, painter, game) {
-    if (painter.contextType === '2d') {
+  draw(state, action, counters, painter, game, alpha = 0) {
+    if (this.systems.length > 0) {
+      this.drawSystems(state, action, counters, painter, game, alpha);
+    } else if (painter.contextType === '2d') {
       painter.background("#ffffff");
       painter.text(this.name, painter.width / 2, painter.height / 2, { size: 64, align: 'center', baseline: 'middle' }).fill("#000000");
     }
@@ -14,6 +14,8 @@ class Transition {
    * @param {function} pattern.trans if Transition.Trans then do this
    * @param {function} pattern.end if Transition.End then do this
    * @param {function} pattern.reset if Transition.Reset then do this
+   * @param {function} pattern.push if Transition.Push then do this
+   * @param {function} pattern.pop if Transition.Pop then do this
    */
   match(pattern) {
     return this.data(pattern);
@@ -57,6 +59,30 @@ class Transition {
     return new Transition(pattern => pattern.reset());
   }
 
+  /**
+   * Push another scene on the current scene.
+   * The current scene is frozen until the pushed scene pops.
+   * @param {string} nextScene next scene name
+   * @param {Object} [opt] options
+   * @param {number} [opt.counter=0] scene counter when the next scene start
+   * @param {boolean} [opt.drawBelow=true] if `true`, then the frozen scene is drawn beneath the next scene
+   * @returns {Transition}
+   */
+  static Push(nextScene, opt = {}) {
+    const nextCounter = 'counter' in opt ? opt.counter : 0;
+    const drawBelow = 'drawBelow' in opt ? opt.drawBelow : true;
+    return new Transition(pattern => pattern.push(nextScene, nextCounter, drawBelow));
+  }
+
+  /**
+   * Pop the current scene and resume the scene beneath.
+   * @param {} [result=null] result delivered to {@link Scene#resume}
+   * @returns {Transition}
+   */
+  static Pop(result = null) {
+    return new Transition(pattern => pattern.pop(result));
+  }
+
   /**
    * Convert to string.
    * @returns {string} a string
@@ -66,7 +92,9 @@ class Transition {
       stay: () => `[Transition Stay]`,
       trans: () => `[Transition Trans]`,
       end: () => `[Transition End]`,
-      reset: () => `[Transition Reset]`
+      reset: () => `[Transition Reset]`,
+      push: () => `[Transition Push]`,
+      pop: () => `[Transition Pop]`
     });
   }
 }
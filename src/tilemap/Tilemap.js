@@ -0,0 +1,561 @@
+/**
+ * Class representing a map made with Tiled. Orthogonal maps in the JSON format are supported, including infinite maps.
+ * Its tilesets reuse images of {@link ImageManager}, so register the tileset images as images beforehand.
+ * The map itself does not change, so keep positions of characters in the state and the map outside of it.
+ * @param {Object} json map JSON exported by Tiled. External tilesets must be embedded. See {@link Tilemap.load}
+ * @param {ImageManager} imageManager image manager which has the tileset images
+ * @param {Object} [opt] options
+ * @param {Object.<string, string>} [opt.tilesets] image names keyed by tileset names. Tilesets not given here use the image of the same name,
+ * or the image whose source path is the same as the tileset image
+ * @param {string} [opt.basePath=''] path of the directory of the map, which is used to resolve tileset images
+ * @param {number} [opt.tickRate=60] ticks per second used to play animated tiles
+ * @param {string} [opt.collisionProperty='collides'] name of the tile property which makes tiles solid
+ */
+class Tilemap {
+  constructor(json, imageManager, opt = {}) {
+    if (('orientation' in json ? json.orientation : 'orthogonal') !== 'orthogonal') {
+      Logger.error(`Tilemap supports only orthogonal maps, not ${json.orientation} ones!`);
+    }
+    this.imageManager = imageManager;
+    /** @member {number} */
+    this.width = json.width;
+    /** @member {number} */
+    this.height = json.height;
+    /** @member {number} */
+    this.tileWidth = json.tilewidth;
+    /** @member {number} */
+    this.tileHeight = json.tileheight;
+    /** @member {boolean} */
+    this.infinite = 'infinite' in json ? json.infinite : false;
+    /** @member {Object} */
+    this.properties = Tileset.parseProperties(json.properties);
+    this.tickRate = 'tickRate' in opt ? opt.tickRate : 60;
+    this.collisionProperty = 'collisionProperty' in opt ? opt.collisionProperty : 'collides';
+
+    const basePath = 'basePath' in opt ? opt.basePath : '';
+    const imageNames = 'tilesets' in opt ? opt.tilesets : {};
+    /** @member {Tileset[]} */
+    this.tilesets = json.tilesets.map(tileset => {
+      if ('source' in tileset && !('tilewidth' in tileset)) {
+        Logger.error(`External tileset ${tileset.source} is not loaded! Please embed it or use Tilemap.load.`);
+        return new Tileset({ firstgid: tileset.firstgid, name: tileset.source, tilewidth: this.tileWidth, tileheight: this.tileHeight }, null);
+      }
+      if (!('image' in tileset)) {
+        Logger.error(`Tileset ${tileset.name} is a collection of images, which is not supported!`);
+        return new Tileset(tileset, null);
+      }
+      return new Tileset(tileset, this._findImage(tileset.name in imageNames ? imageNames[tileset.name] : tileset.name, basePath + tileset.image, tileset.image));
+    });
+
+    /** @member {Object[]} */
+    this.layers = [];
+    this._addLayers(json.layers, basePath, { visible: true, opacity: 1, offsetX: 0, offsetY: 0 });
+    this.chunks = new Map();
+  }
+
+  /**
+   * Flag of a global tile ID which flips the tile horizontally.
+   * @type {number}
+   */
+  static get FLIPPED_HORIZONTALLY() {
+    return 0x80000000;
+  }
+
+  /**
+   * Flag of a global tile ID which flips the tile vertically.
+   * @type {number}
+   */
+  static get FLIPPED_VERTICALLY() {
+    return 0x40000000;
+  }
+
+  /**
+   * Flag of a global tile ID which swaps the x and y axes of the tile.
+   * @type {number}
+   */
+  static get FLIPPED_DIAGONALLY() {
+    return 0x20000000;
+  }
+
+  /**
+   * Number of tiles in a row or a column of a cached chunk.
+   * @type {number}
+   */
+  static get CHUNK_SIZE() {
+    return 16;
+  }
+
+  /**
+   * Load a map JSON and its external tilesets.
+   * @param {string} src source path of the map JSON
+   * @param {ImageManager} imageManager image manager which has the tileset images
+   * @param {Object} [opt] options. See {@link Tilemap}
+   * @param {AssetLoader} [loader] loader which reports the progress
+   * @returns {Promise} promise of the map
+   */
+  static load(src, imageManager, opt = {}, loader = new AssetLoader()) {
+    const basePath = src.replace(/[^/]*$/, '');
+    const fetchJSON = path => loader.loadAsset({ src: path }, onBytes => AssetLoader.fetch(path, 'json', onBytes));
+    return fetchJSON(src).then(json => Promise.all(json.tilesets.map(tileset => {
+      if (!('source' in tileset)) return tileset;
+      // images of external tilesets are relative to the tilesets
+      const tilesetPath = basePath + tileset.source;
+      return fetchJSON(tilesetPath).then(external => Object.assign({}, external, {
+        firstgid: tileset.firstgid,
+        image: tilesetPath.replace(/[^/]*$/, '').slice(basePath.length) + external.image
+      }));
+    })).then(tilesets => new Tilemap(Object.assign({}, json, { tilesets }), imageManager, Object.assign({ basePath }, opt))));
+  }
+
+  _findImage(name, src, rawSrc) {
+    if (this.imageManager.images.has(name)) return name;
+    const found = Array.from(this.imageManager.images.values()).find(image => image.src === src || image.src === rawSrc);
+    if (found === undefined) {
+      Logger.error(`There is no image for tileset ${name}!`);
+      return null;
+    }
+    return found.name;
+  }
+
+  _decodeData(layer, data) {
+    if (!('encoding' in layer) || layer.encoding === 'csv') return data;
+    if ('compression' in layer && layer.compression !== '') {
+      Logger.error(`Layer ${layer.name} is compressed with ${layer.compression}, which is not supported!`);
+      return [];
+    }
+    const bytes = atob(data);
+    const gids = [];
+    for (let i = 0; i < bytes.length; i += 4) {
+      gids.push((bytes.charCodeAt(i) | bytes.charCodeAt(i + 1) << 8 | bytes.charCodeAt(i + 2) << 16 | bytes.charCodeAt(i + 3) << 24) >>> 0);
+    }
+    return gids;
+  }
+
+  _addLayers(layers, basePath, parent) {
+    layers.forEach(layer => {
+      const common = {
+        type: layer.type,
+        name: layer.name,
+        visible: parent.visible && ('visible' in layer ? layer.visible : true),
+        opacity: parent.opacity * ('opacity' in layer ? layer.opacity : 1),
+        offsetX: parent.offsetX + ('offsetx' in layer ? layer.offsetx : 0),
+        offsetY: parent.offsetY + ('offsety' in layer ? layer.offsety : 0),
+        properties: Tileset.parseProperties(layer.properties)
+      };
+      if (layer.type === 'group') {
+        this._addLayers(layer.layers, basePath, common);
+      } else if (layer.type === 'tilelayer') {
+        this.layers.push(Object.freeze(Object.assign(common, this._createTileLayer(layer), { index: this.layers.length })));
+      } else if (layer.type === 'objectgroup') {
+        this.layers.push(Object.freeze(Object.assign(common, {
+          objects: Object.freeze(layer.objects.map(obj => this._createObject(obj, common))),
+          index: this.layers.length
+        })));
+      } else if (layer.type === 'imagelayer') {
+        const image = 'image' in layer && layer.image !== '' ? this._findImage(layer.name, basePath + layer.image, layer.image) : null;
+        this.layers.push(Object.freeze(Object.assign(common, { image, index: this.layers.length })));
+      } else {
+        Logger.warn(`Layer ${layer.name} of type ${layer.type} is ignored.`);
+      }
+    });
+  }
+
+  _createTileLayer(layer) {
+    if ('chunks' in layer) {
+      const chunks = new Map(layer.chunks.map(chunk => [`${chunk.x},${chunk.y}`, this._decodeData(layer, chunk.data)]));
+      const chunkWidth = layer.chunks.length > 0 ? layer.chunks[0].width : 16;
+      const chunkHeight = layer.chunks.length > 0 ? layer.chunks[0].height : 16;
+      const xs = layer.chunks.map(chunk => chunk.x);
+      const ys = layer.chunks.map(chunk => chunk.y);
+      const [left, top] = layer.chunks.length > 0 ? [Math.min(...xs), Math.min(...ys)] : [0, 0];
+      return {
+        bounds: Object.freeze({
+          x: left,
+          y: top,
+          width: layer.chunks.length > 0 ? Math.max(...xs) + chunkWidth - left : 0,
+          height: layer.chunks.length > 0 ? Math.max(...ys) + chunkHeight - top : 0
+        }),
+        getGID: (tx, ty) => {
+          const [cx, cy] = [Math.floor(tx / chunkWidth) * chunkWidth, Math.floor(ty / chunkHeight) * chunkHeight];
+          const data = chunks.get(`${cx},${cy}`);
+          return data === undefined ? 0 : data[(ty - cy) * chunkWidth + (tx - cx)] || 0;
+        }
+      };
+    }
+    const data = this._decodeData(layer, layer.data);
+    const bounds = Object.freeze({ x: 'x' in layer ? layer.x : 0, y: 'y' in layer ? layer.y : 0, width: layer.width, height: layer.height });
+    return {
+      bounds,
+      getGID: (tx, ty) => {
+        const [x, y] = [tx - bounds.x, ty - bounds.y];
+        return x < 0 || y < 0 || x >= bounds.width || y >= bounds.height ? 0 : data[y * bounds.width + x] || 0;
+      }
+    };
+  }
+
+  _createObject(obj, layer) {
+    const gid = 'gid' in obj ? obj.gid : 0;
+    return Object.freeze({
+      id: obj.id,
+      name: 'name' in obj ? obj.name : '',
+      type: 'class' in obj ? obj.class : 'type' in obj ? obj.type : '',
+      x: obj.x + layer.offsetX,
+      y: obj.y + layer.offsetY,
+      width: 'width' in obj ? obj.width : 0,
+      height: 'height' in obj ? obj.height : 0,
+      rotation: ('rotation' in obj ? obj.rotation : 0) * Math.PI / 180,
+      visible: 'visible' in obj ? obj.visible : true,
+      point: 'point' in obj ? obj.point : false,
+      ellipse: 'ellipse' in obj ? obj.ellipse : false,
+      polygon: 'polygon' in obj ? Object.freeze(obj.polygon.map(p => new Vector2d(p.x, p.y))) : null,
+      polyline: 'polyline' in obj ? Object.freeze(obj.polyline.map(p => new Vector2d(p.x, p.y))) : null,
+      tile: gid === 0 ? null : this.resolveGID(gid),
+      properties: Tileset.parseProperties(obj.properties)
+    });
+  }
+
+  /**
+   * Size of the map in pixels. It can be given to {@link Camera2d} as bounds.
+   * Infinite maps have no fixed size, so the size of their first tile layer is used.
+   * @type {Object}
+   */
+  get bounds() {
+    if (this.infinite) {
+      const layer = this.layers.find(l => l.type === 'tilelayer');
+      if (layer === undefined) return { x: 0, y: 0, width: 0, height: 0 };
+      return {
+        x: layer.bounds.x * this.tileWidth,
+        y: layer.bounds.y * this.tileHeight,
+        width: layer.bounds.width * this.tileWidth,
+        height: layer.bounds.height * this.tileHeight
+      };
+    }
+    return { x: 0, y: 0, width: this.width * this.tileWidth, height: this.height * this.tileHeight };
+  }
+
+  /**
+   * Get a layer.
+   * @param {string} name layer name. Layers in groups are also found by their own names
+   * @returns {?Object} the layer
+   */
+  getLayer(name) {
+    const layer = this.layers.find(l => l.name === name);
+    if (layer === undefined) {
+      Logger.error(`Tilemap has no layer of name ${name}!`);
+      return null;
+    }
+    return layer;
+  }
+
+  /**
+   * Resolve a global tile ID.
+   * @param {number} gid global tile ID which may have flip flags
+   * @returns {?Object} tile which has `gid`, `id`, `tileset`, `type`, `properties`, `flippedHorizontally`, `flippedVertically` and `flippedDiagonally`,
+   * or `null` if it is empty
+   */
+  resolveGID(gid) {
+    // bits 28-31 are flags
+    const rawGID = gid & 0x0FFFFFFF;
+    if (rawGID === 0) return null;
+    const tileset = this.tilesets.reduce((acc, t) => t.firstgid <= rawGID && (acc === null || t.firstgid > acc.firstgid) ? t : acc, null);
+    if (tileset === null) return null;
+    const id = rawGID - tileset.firstgid;
+    const tileProps = tileset.getTileProperties(id);
+    return {
+      gid: rawGID,
+      id,
+      tileset,
+      type: tileProps.type,
+      properties: tileProps.properties,
+      flippedHorizontally: (gid & Tilemap.FLIPPED_HORIZONTALLY) !== 0,
+      flippedVertically: (gid & Tilemap.FLIPPED_VERTICALLY) !== 0,
+      flippedDiagonally: (gid & Tilemap.FLIPPED_DIAGONALLY) !== 0
+    };
+  }
+
+  _getTileLayer(name) {
+    const layer = this.getLayer(name);
+    if (layer !== null && layer.type !== 'tilelayer') {
+      Logger.error(`Layer ${name} is not a tile layer!`);
+      return null;
+    }
+    return layer;
+  }
+
+  /**
+   * Get a tile.
+   * @param {string} layerName tile layer name
+   * @param {number} tx column of the tile
+   * @param {number} ty row of the tile
+   * @returns {?Object} the tile, or `null` if it is empty. See {@link Tilemap#resolveGID}
+   */
+  getTile(layerName, tx, ty) {
+    const layer = this._getTileLayer(layerName);
+    return layer === null ? null : this.resolveGID(layer.getGID(tx, ty));
+  }
+
+  /**
+   * Get the tile at the point.
+   * @param {string} layerName tile layer name
+   * @param {number} x x-coordinate in the world
+   * @param {number} y y-coordinate in the world
+   * @returns {?Object} the tile, or `null` if it is empty. See {@link Tilemap#resolveGID}
+   */
+  getTileAt(layerName, x, y) {
+    const layer = this._getTileLayer(layerName);
+    if (layer === null) return null;
+    const pos = this.worldToTile(x - layer.offsetX, y - layer.offsetY);
+    return this.resolveGID(layer.getGID(pos.x, pos.y));
+  }
+
+  /**
+   * Convert world coordinates into the column and the row of a tile. Layer offsets are ignored.
+   * @param {number} x x-coordinate in the world
+   * @param {number} y y-coordinate in the world
+   * @returns {Vector2d} column and row
+   */
+  worldToTile(x, y) {
+    return new Vector2d(Math.floor(x / this.tileWidth), Math.floor(y / this.tileHeight));
+  }
+
+  /**
+   * Convert the column and the row of a tile into world coordinates of its upper-left corner. Layer offsets are ignored.
+   * @param {number} tx column
+   * @param {number} ty row
+   * @returns {Vector2d} world coordinates
+   */
+  tileToWorld(tx, ty) {
+    return new Vector2d(tx * this.tileWidth, ty * this.tileHeight);
+  }
+
+  /**
+   * Get the tiles overlapping the rectangle.
+   * @param {string} layerName tile layer name
+   * @param {number} x x-coordinate of the leftmost point in the world
+   * @param {number} y y-coordinate of the uppermost point in the world
+   * @param {number} width width
+   * @param {number} height height
+   * @param {function(Object): boolean} [filter] function which selects tiles
+   * @returns {Object[]} non-empty tiles which have `tx`, `ty`, `x`, `y`, `width`, `height` and `tile`
+   */
+  getTilesInRect(layerName, x, y, width, height, filter = tile => true) {
+    const layer = this._getTileLayer(layerName);
+    if (layer === null) return [];
+    const start = this.worldToTile(x - layer.offsetX, y - layer.offsetY);
+    // tiles merely touching the rectangle are excluded
+    const end = this.worldToTile(x - layer.offsetX + width - 1e-9, y - layer.offsetY + height - 1e-9);
+    const tiles = [];
+    for (let ty = start.y; ty <= end.y; ty++) {
+      for (let tx = start.x; tx <= end.x; tx++) {
+        const tile = this.resolveGID(layer.getGID(tx, ty));
+        if (tile !== null && filter(tile)) {
+          const pos = this.tileToWorld(tx, ty);
+          tiles.push({ tx, ty, x: pos.x + layer.offsetX, y: pos.y + layer.offsetY, width: this.tileWidth, height: this.tileHeight, tile });
+        }
+      }
+    }
+    return tiles;
+  }
+
+  _isSolidTile(tile) {
+    return this.collisionProperty in tile.properties && Boolean(tile.properties[this.collisionProperty]);
+  }
+
+  _getTileLayerNames(layerNames) {
+    return layerNames === null ? this.layers.filter(layer => layer.type === 'tilelayer').map(layer => layer.name) : layerNames;
+  }
+
+  /**
+   * Check if the tile is solid, which means it has the collision property.
+   * @param {number} tx column
+   * @param {number} ty row
+   * @param {?string[]} [layerNames=null] names of tile layers to check. If it is `null`, then all tile layers
+   * @returns {boolean} `true` if solid in any layer
+   */
+  isSolid(tx, ty, layerNames = null) {
+    return this._getTileLayerNames(layerNames).some(name => {
+      const tile = this.getTile(name, tx, ty);
+      return tile !== null && this._isSolidTile(tile);
+    });
+  }
+
+  /**
+   * Get the solid tiles overlapping the rectangle. It is useful for the collision of characters.
+   * @param {number} x x-coordinate of the leftmost point in the world
+   * @param {number} y y-coordinate of the uppermost point in the world
+   * @param {number} width width
+   * @param {number} height height
+   * @param {?string[]} [layerNames=null] names of tile layers to check. If it is `null`, then all tile layers
+   * @returns {Object[]} solid tiles. See {@link Tilemap#getTilesInRect}
+   */
+  getSolidTilesInRect(x, y, width, height, layerNames = null) {
+    return this._getTileLayerNames(layerNames)
+      .reduce((acc, name) => acc.concat(this.getTilesInRect(name, x, y, width, height, tile => this._isSolidTile(tile))), []);
+  }
+
+  /**
+   * Check if the rectangle overlaps solid tiles.
+   * @param {number} x x-coordinate of the leftmost point in the world
+   * @param {number} y y-coordinate of the uppermost point in the world
+   * @param {number} width width
+   * @param {number} height height
+   * @param {?string[]} [layerNames=null] names of tile layers to check. If it is `null`, then all tile layers
+   * @returns {boolean} `true` if it overlaps
+   */
+  collides(x, y, width, height, layerNames = null) {
+    return this.getSolidTilesInRect(x, y, width, height, layerNames).length > 0;
+  }
+
+  /**
+   * Get the objects of an object layer.
+   * @param {string} layerName object layer name
+   * @returns {Object[]} objects, whose rotation is expressed in radians
+   */
+  getObjects(layerName) {
+    const layer = this.getLayer(layerName);
+    if (layer !== null && layer.type !== 'objectgroup') {
+      Logger.error(`Layer ${layerName} is not an object layer!`);
+      return [];
+    }
+    return layer === null ? [] : layer.objects;
+  }
+
+  /**
+   * Find an object by its name in all object layers.
+   * @param {string} name object name
+   * @returns {?Object} the object
+   */
+  findObject(name) {
+    const found = this.layers.filter(layer => layer.type === 'objectgroup')
+      .reduce((acc, layer) => acc.concat(layer.objects), [])
+      .find(obj => obj.name === name);
+    return found === undefined ? null : found;
+  }
+
+  _drawTile(context, tile, id, x, y) {
+    const image = tile.tileset.imageName === null ? null : this.imageManager.getImage(tile.tileset.imageName);
+    if (image === null) return false;
+    const src = tile.tileset.getSourceRect(id);
+    // tiles larger than the grid are aligned to the bottom
+    const dx = x + tile.tileset.offsetX;
+    const dy = y + this.tileHeight - src.height + tile.tileset.offsetY;
+    if (!tile.flippedHorizontally && !tile.flippedVertically && !tile.flippedDiagonally) {
+      context.drawImage(image, src.x, src.y, src.width, src.height, dx, dy, src.width, src.height);
+      return true;
+    }
+    // the same order as Tiled: the diagonal flip is a rotation followed by a horizontal flip
+    let [flipX, flipY] = [tile.flippedHorizontally, tile.flippedVertically];
+    context.save();
+    context.translate(dx + src.width / 2, dy + src.height / 2);
+    if (tile.flippedDiagonally) {
+      context.rotate(Math.PI / 2);
+      [flipX, flipY] = [flipY, !flipX];
+    }
+    context.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+    context.drawImage(image, src.x, src.y, src.width, src.height, -src.width / 2, -src.height / 2, src.width, src.height);
+    context.restore();
+    return true;
+  }
+
+  _getPadding() {
+    return {
+      right: Math.max(0, ...this.tilesets.map(tileset => tileset.tileWidth + Math.max(0, tileset.offsetX) - this.tileWidth)),
+      top: Math.max(0, ...this.tilesets.map(tileset => tileset.tileHeight - Math.min(0, tileset.offsetY) - this.tileHeight))
+    };
+  }
+
+  _getChunk(layer, cx, cy) {
+    const key = `${layer.index}:${cx},${cy}`;
+    if (this.chunks.has(key)) return this.chunks.get(key);
+    const size = Tilemap.CHUNK_SIZE;
+    const padding = this._getPadding();
+    const animated = [];
+    let canvas = null;
+    let complete = true;
+    for (let ty = cy * size; ty < (cy + 1) * size; ty++) {
+      for (let tx = cx * size; tx < (cx + 1) * size; tx++) {
+        const tile = this.resolveGID(layer.getGID(tx, ty));
+        if (tile === null) continue;
+        if (tile.tileset.isAnimated(tile.id)) {
+          animated.push({ tx, ty, tile });
+          continue;
+        }
+        if (canvas === null) {
+          canvas = document.createElement('canvas');
+          canvas.width = size * this.tileWidth + padding.right;
+          canvas.height = size * this.tileHeight + padding.top;
+        }
+        const drawn = this._drawTile(canvas.getContext('2d'), tile, tile.id, (tx - cx * size) * this.tileWidth, (ty - cy * size) * this.tileHeight + padding.top);
+        complete = complete && drawn;
+      }
+    }
+    const chunk = { canvas, animated, top: padding.top };
+    // chunks drawn before their images are loaded are drawn again
+    if (complete) this.chunks.set(key, chunk);
+    return chunk;
+  }
+
+  /**
+   * Discard the cached chunks. Call it after tileset images are reloaded.
+   */
+  clearCache() {
+    this.chunks.clear();
+  }
+
+  /**
+   * Draw the layers in the viewport. Static tiles are drawn through cached chunks, and animated tiles are drawn every time.
+   * Draw it in world coordinates, for example inside {@link Camera2d#apply}.
+   * @param {Painter2d} painter painter
+   * @param {Counters} counters counters
+   * @param {Object} viewRect world rectangle to draw, such as {@link Camera2d#getViewRect}
+   * @param {number} viewRect.x x-coordinate of the leftmost point
+   * @param {number} viewRect.y y-coordinate of the uppermost point
+   * @param {number} viewRect.width width
+   * @param {number} viewRect.height height
+   * @param {Object} [opt] options
+   * @param {string[]} [opt.layers] names of the layers to draw. If it is omitted, then all visible tile and image layers
+   */
+  draw(painter, counters, viewRect, opt = {}) {
+    // images are not loaded in headless games
+    if (painter instanceof NullPainter2d) return;
+    const layers = 'layers' in opt ? opt.layers.map(name => this.getLayer(name)).filter(layer => layer !== null) : this.layers.filter(layer => layer.visible);
+    const time = counters.general * 1000 / this.tickRate;
+    const size = Tilemap.CHUNK_SIZE;
+    const padding = this._getPadding();
+    layers.forEach(layer => {
+      painter.setGlobalAlphaAndDraw(layer.opacity, () => {
+        if (layer.type === 'imagelayer' && layer.image !== null) {
+          painter.image(layer.image, layer.offsetX, layer.offsetY);
+        }
+        if (layer.type !== 'tilelayer') return;
+        const bounds = layer.bounds;
+        // oversized tiles in the next chunks may reach the viewport
+        const start = this.worldToTile(viewRect.x - layer.offsetX - padding.right, viewRect.y - layer.offsetY);
+        const end = this.worldToTile(viewRect.x - layer.offsetX + viewRect.width, viewRect.y - layer.offsetY + viewRect.height + padding.top);
+        const [left, top] = [Math.max(start.x, bounds.x), Math.max(start.y, bounds.y)];
+        const [right, bottom] = [Math.min(end.x, bounds.x + bounds.width - 1), Math.min(end.y, bounds.y + bounds.height - 1)];
+        if (left > right || top > bottom) return;
+        for (let cy = Math.floor(top / size); cy <= Math.floor(bottom / size); cy++) {
+          for (let cx = Math.floor(left / size); cx <= Math.floor(right / size); cx++) {
+            const chunk = this._getChunk(layer, cx, cy);
+            if (chunk.canvas !== null) {
+              painter.image(chunk.canvas, layer.offsetX + cx * size * this.tileWidth, layer.offsetY + cy * size * this.tileHeight - chunk.top);
+            }
+            chunk.animated.filter(a => a.tx >= left && a.tx <= right && a.ty >= top && a.ty <= bottom).forEach(a => {
+              const pos = this.tileToWorld(a.tx, a.ty);
+              this._drawTile(painter.context, a.tile, a.tile.tileset.getAnimatedID(a.tile.id, time), pos.x + layer.offsetX, pos.y + layer.offsetY);
+            });
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Tilemap ${this.width}x${this.height}]`;
+  }
+}
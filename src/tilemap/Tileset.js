@@ -0,0 +1,121 @@
+/**
+ * Class representing a tileset of a Tiled map. Its image is an image of {@link ImageManager}.
+ * @param {Object} json tileset JSON exported by Tiled, which has `firstgid`
+ * @param {?string} imageName name of the image in {@link ImageManager}. If it is `null`, then the tiles are not drawn
+ */
+class Tileset {
+  constructor(json, imageName) {
+    /** @member {number} */
+    this.firstgid = json.firstgid;
+    /** @member {string} */
+    this.name = 'name' in json ? json.name : '';
+    /** @member {?string} */
+    this.imageName = imageName;
+    /** @member {number} */
+    this.tileWidth = json.tilewidth;
+    /** @member {number} */
+    this.tileHeight = json.tileheight;
+    /** @member {number} */
+    this.margin = 'margin' in json ? json.margin : 0;
+    /** @member {number} */
+    this.spacing = 'spacing' in json ? json.spacing : 0;
+    /** @member {number} */
+    this.columns = 'columns' in json && json.columns > 0 ? json.columns :
+      Math.max(1, Math.floor((('imagewidth' in json ? json.imagewidth : 0) - this.margin * 2 + this.spacing) / (this.tileWidth + this.spacing)));
+    /** @member {number} */
+    this.tileCount = 'tilecount' in json ? json.tilecount : 0;
+    /** @member {number} */
+    this.offsetX = 'tileoffset' in json ? json.tileoffset.x : 0;
+    /** @member {number} */
+    this.offsetY = 'tileoffset' in json ? json.tileoffset.y : 0;
+    /** @member {Object} */
+    this.properties = Tileset.parseProperties(json.properties);
+    this.tiles = new Map(('tiles' in json ? json.tiles : []).map(tile => {
+      const animation = 'animation' in tile && tile.animation.length > 0 ? tile.animation : null;
+      return [tile.id, Object.freeze({
+        type: 'class' in tile ? tile.class : 'type' in tile ? tile.type : '',
+        properties: Tileset.parseProperties(tile.properties),
+        animation,
+        animationDuration: animation === null ? 0 : animation.reduce((acc, frame) => acc + frame.duration, 0)
+      })];
+    }));
+    Object.freeze(this);
+  }
+
+  /**
+   * Convert custom properties of Tiled into an object. Both the array format and the old object format are accepted.
+   * @param {(Object[]|Object)} [properties] custom properties
+   * @returns {Object} values keyed by their property names
+   */
+  static parseProperties(properties) {
+    if (properties === undefined) return Object.freeze({});
+    if (!Array.isArray(properties)) return Object.freeze(Object.assign({}, properties));
+    return Object.freeze(properties.reduce((acc, prop) => Object.assign(acc, { [prop.name]: prop.value }), {}));
+  }
+
+  /**
+   * Check if the tileset has the tile.
+   * @param {number} gid global tile ID without flip flags
+   * @returns {boolean} `true` if it has
+   */
+  has(gid) {
+    return gid >= this.firstgid && gid < this.firstgid + this.tileCount;
+  }
+
+  /**
+   * Get the type and the custom properties of a tile.
+   * @param {number} id local tile ID
+   * @returns {Object} object which has `type`, `properties`, `animation` and `animationDuration`
+   */
+  getTileProperties(id) {
+    return this.tiles.has(id) ? this.tiles.get(id) : { type: '', properties: Object.freeze({}), animation: null, animationDuration: 0 };
+  }
+
+  /**
+   * Check if a tile is animated.
+   * @param {number} id local tile ID
+   * @returns {boolean} `true` if animated
+   */
+  isAnimated(id) {
+    return this.getTileProperties(id).animation !== null;
+  }
+
+  /**
+   * Get the tile shown at the time by the tile animation.
+   * @param {number} id local tile ID
+   * @param {number} time elapsed time in milliseconds
+   * @returns {number} local tile ID of the current frame
+   */
+  getAnimatedID(id, time) {
+    const tile = this.getTileProperties(id);
+    if (tile.animation === null || tile.animationDuration <= 0) return id;
+    let rest = time % tile.animationDuration;
+    const frame = tile.animation.find(f => {
+      rest -= f.duration;
+      return rest < 0;
+    });
+    return frame === undefined ? tile.animation[tile.animation.length - 1].tileid : frame.tileid;
+  }
+
+  /**
+   * Get the rectangle of a tile in the image.
+   * @param {number} id local tile ID
+   * @returns {Object} rectangle which has `x`, `y`, `width` and `height`
+   */
+  getSourceRect(id) {
+    return {
+      x: this.margin + (id % this.columns) * (this.tileWidth + this.spacing),
+      y: this.margin + Math.floor(id / this.columns) * (this.tileHeight + this.spacing),
+      width: this.tileWidth,
+      height: this.tileHeight
+    };
+  }
+
+  /**
+   * Convert to string.
+   * @returns {string} a string
+   */
+  toString() {
+    return `[Tileset ${this.name}]`;
+  }
+}